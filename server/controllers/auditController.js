@@ -0,0 +1,152 @@
+/**
+ * Audit Controller
+ *
+ * Handles HTTP request/response for the audit trail.
+ */
+
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { toCsvLine } from '../utils/csv.js';
+
+const MAX_PAGE_SIZE = 500;
+
+// CSV export columns: [header, entry => value]
+const CSV_COLUMNS = [
+  ['Timestamp', entry => new Date(entry.createdAt).toISOString()],
+  ['Actor ID', entry => entry.actor],
+  ['Actor', entry => entry.actorName],
+  ['Actor Role', entry => entry.actorRole],
+  ['Action', entry => entry.action],
+  ['Target Type', entry => entry.targetType],
+  ['Target ID', entry => entry.targetId],
+  ['Target', entry => entry.targetName],
+  ['Summary', entry => entry.summary],
+  ['Before', entry => (entry.before ? JSON.stringify(entry.before) : '')],
+  ['After', entry => (entry.after ? JSON.stringify(entry.after) : '')],
+  ['IP Address', entry => entry.ipAddress]
+];
+
+/**
+ * Read audit filters from the query string
+ * Query: { action, actor, targetType, targetId, from, to, search }
+ * Returns { filters } or { error }
+ */
+const parseFilters = (query) => {
+  const filters = {
+    action: query.action || '',
+    actor: query.actor || '',
+    targetType: query.targetType || '',
+    targetId: query.targetId || '',
+    from: query.from || '',
+    to: query.to || '',
+    search: (query.search || '').trim()
+  };
+
+  if (filters.action && !AUDIT_ACTIONS[filters.action]) {
+    return { error: `Unknown action '${filters.action}'` };
+  }
+
+  for (const key of ['from', 'to']) {
+    if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+      return { error: `${key} must be a date` };
+    }
+  }
+
+  // A bare "to" date includes the whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+    filters.to = `${filters.to} 23:59:59`;
+  }
+
+  return { filters };
+};
+
+const auditController = {
+  /**
+   * GET /api/audit
+   * Get audit entries, newest first
+   *
+   * Query: { action, actor, targetType, targetId, from, to, search, page, pageSize }
+   */
+  async getAuditLog(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const page = parseInt(req.query.page, 10) || 1;
+      const pageSize = parseInt(req.query.pageSize, 10) || 50;
+
+      if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}`
+        });
+      }
+
+      const { filters, error } = parseFilters(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const { entries, total } = await AuditLog.getAll(tenant, subtenant, { ...filters, page, pageSize });
+
+      res.json({
+        success: true,
+        data: entries,
+        actions: Object.values(AUDIT_ACTIONS),
+        pagination: {
+          page,
+          pageSize,
+          total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch audit log',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/audit/export
+   * Download audit entries matching the filters as CSV
+   *
+   * Query: { action, actor, targetType, targetId, from, to, search }
+   */
+  async exportAuditLog(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+
+      const { filters, error } = parseFilters(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const entries = await AuditLog.getForExport(tenant, subtenant, filters);
+
+      const lines = [
+        toCsvLine(CSV_COLUMNS.map(([header]) => header)),
+        ...entries.map(entry => toCsvLine(CSV_COLUMNS.map(([, getValue]) => getValue(entry))))
+      ];
+
+      const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(lines.join('\r\n'));
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export audit log',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default auditController;
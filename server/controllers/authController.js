@@ -1,27 +1,199 @@
 /**
  * Authentication Controller
  *
- * Handles JWT token generation from tenant/subtenant URL parameters.
- * Maps tenant/subtenant codes to database IDs and issues JWT tokens.
+ * Issues JWT tokens after authenticating the caller, either with
+ * idx_users credentials or with a signed hand-off assertion from the
+ * host IAM console. Maps tenant/subtenant codes to database IDs.
+ * Tokens carry the caller's user id and role ("admin" or "user").
+ *
+ * Access tokens are short-lived; each sign-in also gets a rotating refresh
+ * token (see AuthToken) to obtain new ones until logout.
  */
 
 import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
 import { pool } from '../config/db.js';
+import { ROLES, signAccessToken } from '../middleware/auth.js';
+import AuthToken, { REFRESH_ERRORS } from '../models/AuthToken.js';
+
+// Shared secret the host IAM console signs hand-off assertions with
+const IAM_HANDOFF_SECRET = process.env.IAM_HANDOFF_SECRET;
+const IAM_HANDOFF_AUDIENCE = 'diy-dashboard';
+const IAM_HANDOFF_MAX_AGE = process.env.IAM_HANDOFF_MAX_AGE || '5m';
+
+// Role names (idx_roles.role_name) that grant dashboard admin rights
+const ADMIN_ROLE_NAMES = (process.env.DASHBOARD_ADMIN_ROLES || 'Dashboard Admin')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * Look up active tenant/subtenant IDs from their codes
+ * Returns { tenantId, subtenantId } or { error } with an HTTP status
+ */
+const resolveTenant = async (tenant, subtenant) => {
+  const [tenantRows] = await pool.query(
+    'SELECT id FROM cix_tenant WHERE tenant_id = ? AND status = ? LIMIT 1',
+    [tenant, 'ACTIVE']
+  );
+
+  if (tenantRows.length === 0) {
+    return { error: { status: 404, message: `Tenant '${tenant}' not found or inactive` } };
+  }
+
+  const tenantId = tenantRows[0].id;
+
+  const [subtenantRows] = await pool.query(
+    'SELECT id FROM cix_subtenant WHERE subtenant_id = ? AND tenant = ? AND status = ? LIMIT 1',
+    [subtenant, tenantId, 'ACTIVE']
+  );
+
+  if (subtenantRows.length === 0) {
+    return { error: { status: 404, message: `Subtenant '${subtenant}' not found or inactive for tenant '${tenant}'` } };
+  }
+
+  return { tenantId, subtenantId: subtenantRows[0].id };
+};
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+/**
+ * Check whether a user holds one of the dashboard admin roles
+ */
+const hasAdminRole = async (userId, tenantId, subtenantId) => {
+  if (ADMIN_ROLE_NAMES.length === 0) return false;
+
+  const placeholders = ADMIN_ROLE_NAMES.map(() => '?').join(',');
+  const [rows] = await pool.query(
+    `SELECT 1
+     FROM idx_role_user_map rum
+     JOIN idx_roles r ON rum.role = r.id AND rum.tenant = r.tenant AND rum.subtenant = r.subtenant
+     WHERE rum.user = ? AND rum.tenant = ? AND rum.subtenant = ?
+     AND r.role_name IN (${placeholders})
+     LIMIT 1`,
+    [userId, tenantId, subtenantId, ...ADMIN_ROLE_NAMES]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Authenticate with idx_users credentials (username + bcrypt password hash)
+ * Returns { userId, role } or null
+ */
+const authenticateCredentials = async (username, password, tenantId, subtenantId) => {
+  const [rows] = await pool.query(
+    `SELECT id, password
+     FROM idx_users
+     WHERE username = ? AND tenant = ? AND subtenant = ? AND status = ?
+     AND (isdeleted = '0' OR isdeleted IS NULL OR isdeleted = 0)
+     LIMIT 1`,
+    [username, tenantId, subtenantId, 'ACTIVE']
+  );
+
+  if (rows.length === 0 || !rows[0].password) {
+    return null;
+  }
+
+  const valid = await bcrypt.compare(password, rows[0].password);
+  if (!valid) {
+    return null;
+  }
+
+  const userId = rows[0].id;
+  const role = await hasAdminRole(userId, tenantId, subtenantId) ? ROLES.ADMIN : ROLES.USER;
+  return { userId, role };
+};
+
+/**
+ * Verify a hand-off assertion signed by the host IAM console
+ *
+ * Assertion claims: { tenant, subtenant, sub: userId, role: "admin" | "user", aud, iat, exp }
+ * Returns the decoded claims or null
+ */
+const verifyHandoffAssertion = (assertion) => {
+  if (!IAM_HANDOFF_SECRET) {
+    console.error('IAM_HANDOFF_SECRET is not configured; hand-off assertions are disabled');
+    return null;
+  }
+
+  try {
+    return jwt.verify(assertion, IAM_HANDOFF_SECRET, {
+      algorithms: ['HS256'],
+      audience: IAM_HANDOFF_AUDIENCE,
+      maxAge: IAM_HANDOFF_MAX_AGE
+    });
+  } catch (error) {
+    console.error('Invalid hand-off assertion:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Check that an asserted user is active in the tenant/subtenant
+ */
+const isActiveUser = async (userId, tenantId, subtenantId) => {
+  const [rows] = await pool.query(
+    `SELECT id FROM idx_users
+     WHERE id = ? AND tenant = ? AND subtenant = ? AND status = ?
+     AND (isdeleted = '0' OR isdeleted IS NULL OR isdeleted = 0)
+     LIMIT 1`,
+    [userId, tenantId, subtenantId, 'ACTIVE']
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Token response for a session: a new access token plus the given refresh token
+ * session: { tenant, subtenant, tenantCode, subtenantCode, userId, role }
+ */
+const tokenResponse = (session, { refreshToken, refreshExpiresAt }) => ({
+  token: signAccessToken(session),
+  refreshToken,
+  refreshExpiresAt,
+  tenant: session.tenant,
+  subtenant: session.subtenant,
+  tenantCode: session.tenantCode,
+  subtenantCode: session.subtenantCode,
+  userId: session.userId,
+  role: session.role
+});
+
+const REFRESH_ERROR_MESSAGES = {
+  [REFRESH_ERRORS.INVALID]: 'Invalid refresh token',
+  [REFRESH_ERRORS.EXPIRED]: 'Refresh token expired, please sign in again',
+  [REFRESH_ERRORS.REUSED]: 'Refresh token was already used; the session has been revoked',
+  [REFRESH_ERRORS.INACTIVE]: 'User not found or inactive'
+};
 
 const authController = {
   /**
    * POST /api/auth/token
-   * Generate JWT token from tenant/subtenant codes
+   * Authenticate and generate JWT token
    *
-   * Body: { tenant: "CODE", subtenant: "CODE" }
-   * Returns: { token, tenantId, subtenantId }
+   * Body (credentials): { tenant: "CODE", subtenant: "CODE", username, password }
+   * Body (IAM hand-off): { assertion: "<signed JWT>" }
+   * Returns: { token, refreshToken, refreshExpiresAt, tenant, subtenant, tenantCode, subtenantCode, userId, role }
    */
   generateToken: async (req, res) => {
     try {
-      const { tenant, subtenant } = req.body;
+      const { username, password, assertion } = req.body;
+      let { tenant, subtenant } = req.body;
+      let claims = null;
+
+      if (assertion) {
+        claims = verifyHandoffAssertion(assertion);
+        if (!claims) {
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired hand-off assertion'
+          });
+        }
+        tenant = claims.tenant;
+        subtenant = claims.subtenant;
+      } else if (!username || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username and password or a signed assertion are required'
+        });
+      }
 
       // Validate input
       if (!tenant || !subtenant) {
@@ -31,63 +203,51 @@ const authController = {
         });
       }
 
-      // Look up tenant ID from tenant_id code
-      const [tenantRows] = await pool.query(
-        'SELECT id FROM cix_tenant WHERE tenant_id = ? AND status = ? LIMIT 1',
-        [tenant, 'ACTIVE']
-      );
-
-      if (tenantRows.length === 0) {
-        return res.status(404).json({
+      const resolved = await resolveTenant(tenant, subtenant);
+      if (resolved.error) {
+        return res.status(resolved.error.status).json({
           success: false,
-          message: `Tenant '${tenant}' not found or inactive`
+          message: resolved.error.message
         });
       }
 
-      console.log('DEBUG tenantRows[0]:', JSON.stringify(tenantRows[0]));
-      const tenantId = tenantRows[0].id;
-      console.log('DEBUG tenantId value:', tenantId, 'type:', typeof tenantId);
+      const { tenantId, subtenantId } = resolved;
 
-      // Look up subtenant ID from subtenant_id code
-      const [subtenantRows] = await pool.query(
-        'SELECT id FROM cix_subtenant WHERE subtenant_id = ? AND tenant = ? AND status = ? LIMIT 1',
-        [subtenant, tenantId, 'ACTIVE']
-      );
+      // Authenticate the caller
+      let identity = null;
+      if (claims) {
+        const role = claims.role === ROLES.ADMIN ? ROLES.ADMIN : ROLES.USER;
+        if (claims.sub && await isActiveUser(claims.sub, tenantId, subtenantId)) {
+          identity = { userId: Number(claims.sub), role };
+        }
+      } else {
+        identity = await authenticateCredentials(username, password, tenantId, subtenantId);
+      }
 
-      if (subtenantRows.length === 0) {
-        return res.status(404).json({
+      if (!identity) {
+        return res.status(401).json({
           success: false,
-          message: `Subtenant '${subtenant}' not found or inactive for tenant '${tenant}'`
+          message: claims ? 'Asserted user not found or inactive' : 'Invalid username or password'
         });
       }
 
-      const subtenantId = subtenantRows[0].id;
+      console.log(`Authenticated user ${identity.userId} (${identity.role}) for tenant '${tenant}' -> ID ${tenantId}, subtenant '${subtenant}' -> ID ${subtenantId}`);
 
-      console.log(`Mapped: tenant '${tenant}' -> ID ${tenantId} (type: ${typeof tenantId}), subtenant '${subtenant}' -> ID ${subtenantId} (type: ${typeof subtenantId})`);
-
-      // Debug: Show what we're putting in the JWT
-      const jwtPayload = {
+      const session = {
         tenant: tenantId,
         subtenant: subtenantId,
         tenantCode: tenant,
-        subtenantCode: subtenant
+        subtenantCode: subtenant,
+        userId: identity.userId,
+        role: identity.role
       };
-      console.log('DEBUG JWT Payload:', JSON.stringify(jwtPayload));
 
-      // Generate JWT token with tenant/subtenant context
-      const token = jwt.sign(
-        jwtPayload,
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Generate JWT token with tenant/subtenant and caller context, and start a refresh token family
+      const refresh = await AuthToken.issueRefreshToken(session);
 
       res.json({
         success: true,
-        data: {
-          token,
-          tenant: tenantId,
-          subtenant: subtenantId
-        }
+        data: tokenResponse(session, refresh)
       });
     } catch (error) {
       console.error('Token generation error:', error);
@@ -97,6 +257,90 @@ const authController = {
         error: error.message
       });
     }
+  },
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a refresh token for a new access token and refresh token
+   * The presented refresh token can no longer be used.
+   *
+   * Body: { refreshToken }
+   * Returns: same as POST /api/auth/token
+   */
+  refreshToken: async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      // Users deactivated since sign-in cannot extend their session, and the role
+      // follows the user's current admin roles
+      const result = await AuthToken.rotateRefreshToken(refreshToken, async (session) => {
+        if (!(await isActiveUser(session.userId, session.tenant, session.subtenant))) {
+          return null;
+        }
+        const isAdminUser = await hasAdminRole(session.userId, session.tenant, session.subtenant);
+        return { ...session, role: isAdminUser ? ROLES.ADMIN : ROLES.USER };
+      });
+
+      if (result.error) {
+        if (result.error === REFRESH_ERRORS.REUSED) {
+          console.warn(`Refresh token reused for user ${result.session.userId} (tenant ${result.session.tenant}); session revoked`);
+        }
+        return res.status(401).json({
+          success: false,
+          message: REFRESH_ERROR_MESSAGES[result.error]
+        });
+      }
+
+      res.json({
+        success: true,
+        data: tokenResponse(result.session, result)
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refresh token',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/auth/logout
+   * Revoke the caller's access token and, when given, the refresh token of the session
+   *
+   * Body: { refreshToken (optional) }
+   */
+  logout: async (req, res) => {
+    try {
+      const { tenant, subtenant, userId, tokenId, tokenExpiresAt } = req.user;
+      const { refreshToken } = req.body || {};
+
+      await AuthToken.revokeAccessToken(tokenId, tokenExpiresAt, tenant, subtenant, userId);
+
+      if (refreshToken && typeof refreshToken === 'string' && userId) {
+        await AuthToken.revokeRefreshToken(refreshToken, tenant, subtenant, userId);
+      }
+
+      res.json({
+        success: true,
+        message: 'Signed out'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign out',
+        error: error.message
+      });
+    }
   }
 };
 
@@ -4,24 +4,204 @@
  * Handles HTTP request/response for dashboard operations.
  */
 
-import Dashboard from '../models/Dashboard.js';
+import Dashboard, { TRASH_RETENTION_DAYS, DASHBOARD_SORT_FIELDS } from '../models/Dashboard.js';
+import { PERMISSIONS, ADMIN_PERMISSION, hasPermission } from '../models/DashboardPermission.js';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { diffSnapshots } from '../models/DashboardRevision.js';
+import DashboardBundle, { validateBundle, MAX_BUNDLE_DASHBOARDS } from '../models/DashboardBundle.js';
+import UserDisplayName from '../models/UserDisplayName.js';
+import { validateFilters, resolveFilterParams } from '../models/DashboardFilter.js';
+import WidgetData, { WidgetDataError } from '../models/WidgetData.js';
+import ReportSnapshot from '../models/ReportSnapshot.js';
+import AccessMatrix from '../models/AccessMatrix.js';
+import AccessExplanation from '../models/AccessExplanation.js';
+import { toCsvLine } from '../utils/csv.js';
+import ExcelJS from 'exceljs';
+import { isAdmin } from '../middleware/auth.js';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Audit hook for a Dashboard model change: writes the caller's audit entries on the
+ * change's transaction, so a failed audit write rolls the change back.
+ * buildEntry(details, userLabels) returns the entry (or entries); getUserIds(details)
+ * lists users to resolve to display names first.
+ */
+const auditHook = (req, buildEntry, getUserIds = () => []) => async (connection, details) => {
+  const { tenant, subtenant, userId, role } = req.user;
+  const userLabels = await Dashboard.getUserLabels([userId, ...getUserIds(details)], tenant, subtenant);
+  const entries = [].concat(await buildEntry(details, userLabels));
+
+  for (const entry of entries) {
+    await AuditLog.record({
+      tenant,
+      subtenant,
+      actor: userId,
+      actorName: userLabels[userId],
+      actorRole: role,
+      ipAddress: req.ip,
+      targetType: 'DASHBOARD',
+      ...entry
+    }, connection);
+  }
+};
+
+/**
+ * Audit entry for a dashboard change between two revision snapshots
+ */
+const dashboardChangeEntry = (action, id, before, after, userLabels) => ({
+  action,
+  targetId: id,
+  targetName: (after || before)?.dashboardName,
+  summary: AuditLog.describeChanges(diffSnapshots(before, after), userLabels),
+  before: AuditLog.summarizeDashboard(before),
+  after: AuditLog.summarizeDashboard(after)
+});
+
+/**
+ * One audit entry per dashboard for Trash actions (delete, restore, purge)
+ */
+const trashEntries = (action, states, summary, after) => states.map(state => ({
+  action,
+  targetId: state.id,
+  targetName: state.dashboardName,
+  summary,
+  before: { name: state.dashboardName, inTrash: Boolean(state.deletedAt) },
+  after
+}));
+
+/**
+ * Audit entry for a direct user grant or revoke
+ */
+const accessEntry = async (action, dashboardId, userId, userLabels, tenant, subtenant) => {
+  const [state] = await Dashboard.getStates([dashboardId], tenant, subtenant);
+  const userName = userLabels[userId] || `User ${userId}`;
+  const granted = action === AUDIT_ACTIONS.ACCESS_GRANT;
+
+  return {
+    action,
+    targetId: Number(dashboardId),
+    targetName: state?.dashboardName,
+    summary: granted ? `Access granted to ${userName}` : `Access revoked from ${userName}`,
+    before: { userId: Number(userId), userName, hasAccess: !granted },
+    after: { userId: Number(userId), userName, hasAccess: granted }
+  };
+};
+
+/**
+ * User ids granted or revoked between two snapshots (for display names)
+ */
+const changedUserIds = (before, after) => {
+  const changes = diffSnapshots(before, after);
+  return [
+    ...changes.usersGranted,
+    ...changes.usersRevoked,
+    ...changes.permissionsChanged.filter(change => change.ruleType === 'USER').map(change => change.ruleRef)
+  ];
+};
+
+/**
+ * Revision without access data (direct users, their permissions and access rules),
+ * for callers who cannot manage the dashboard's access
+ */
+const withoutAccess = ({ snapshot, changes, ...revision }) => {
+  const { users, userPermissions, accessRules, ...content } = snapshot;
+  return {
+    ...revision,
+    snapshot: content,
+    changes: { ...changes, usersGranted: [], usersRevoked: [], rulesAdded: [], rulesRemoved: [], permissionsChanged: [] }
+  };
+};
+
+/**
+ * Validation error for the permission levels of access rules, or null
+ */
+const validatePermissions = (accessRules) => {
+  const invalid = accessRules.some(rule => rule && rule.permission !== undefined && !PERMISSIONS.includes(rule.permission));
+  return invalid ? `Access rule permission must be one of ${PERMISSIONS.join(', ')}` : null;
+};
+
+/**
+ * Read access matrix filters from the query string
+ * Query: { profile: "1,2", search }
+ * Returns { filters } or { error }
+ */
+const parseAccessMatrixFilters = (query) => {
+  const profileIds = String(query.profile || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  if (!profileIds.every(value => /^\d+$/.test(value))) {
+    return { error: 'profile must be a comma-separated list of profile IDs' };
+  }
+
+  return { filters: { profileIds: profileIds.map(Number), search: String(query.search || '') } };
+};
+
+/**
+ * Access matrix as rows for export: User ID, User, Profile, then one column per dashboard
+ * listing how the user has access ("User, Role") or empty
+ */
+const accessMatrixRows = ({ dashboards, users }) => [
+  ['User ID', 'User', 'Profile', ...dashboards.map(dashboard => dashboard.name)],
+  ...users.map(user => [
+    user.userId,
+    user.userName,
+    user.profile,
+    ...dashboards.map(dashboard => (user.access[dashboard.id] || []).join(', '))
+  ])
+];
 
 const dashboardController = {
   /**
    * GET /api/dashboards
-   * Get all dashboards
+   * Get a page of dashboards, each with the caller's effective permission
+   * (admins: every dashboard as OWNER; other callers: the dashboards they can open)
+   *
+   * Query: { search, page, pageSize, sort (id | name | description), order (asc | desc) }
    */
   async getAllDashboards(req, res) {
     try {
       const { tenant, subtenant } = req.user;
-      console.log('DEBUG getAllDashboards - req.user:', req.user);
-      console.log('DEBUG getAllDashboards - tenant:', tenant, 'subtenant:', subtenant);
-      const dashboards = await Dashboard.getAll(tenant, subtenant);
-      console.log('DEBUG getAllDashboards - returned rows:', dashboards.length);
+      const search = (req.query.search || '').trim();
+      const page = parseInt(req.query.page, 10) || 1;
+      const pageSize = parseInt(req.query.pageSize, 10) || 50;
+      const sort = req.query.sort || 'id';
+      const order = (req.query.order || 'desc').toLowerCase();
+
+      if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}`
+        });
+      }
+
+      if (!Object.hasOwn(DASHBOARD_SORT_FIELDS, sort) || !['asc', 'desc'].includes(order)) {
+        return res.status(400).json({
+          success: false,
+          message: `sort must be one of ${Object.keys(DASHBOARD_SORT_FIELDS).join(', ')} and order asc or desc`
+        });
+      }
+
+      const admin = isAdmin(req.user);
+      const { dashboards, total } = await Dashboard.getAll(tenant, subtenant, {
+        search,
+        page,
+        pageSize,
+        sort,
+        order,
+        ...(admin ? {} : { userId: req.user.userId })
+      });
 
       res.json({
         success: true,
-        data: dashboards
+        data: admin ? dashboards.map(dashboard => ({ ...dashboard, permission: ADMIN_PERMISSION })) : dashboards,
+        pagination: {
+          page,
+          pageSize,
+          total
+        }
       });
     } catch (error) {
       console.error('Error fetching dashboards:', error);
@@ -35,12 +215,24 @@ const dashboardController = {
 
   /**
    * GET /api/dashboards/:id
-   * Get single dashboard with widgets and users
+   * Get single dashboard with widgets, users and the caller's effective permission
+   * Non-admin callers only get dashboards they can access; access details only as owner
    */
   async getDashboard(req, res) {
     try {
       const { id } = req.params;
-      const { tenant, subtenant } = req.user;
+      const { tenant, subtenant, userId } = req.user;
+      const admin = isAdmin(req.user);
+      const permission = admin
+        ? ADMIN_PERMISSION
+        : userId && await Dashboard.getUserPermission(id, userId, tenant, subtenant);
+
+      if (!permission) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this dashboard'
+        });
+      }
 
       const dashboard = await Dashboard.getById(id, tenant, subtenant);
 
@@ -51,9 +243,18 @@ const dashboardController = {
         });
       }
 
+      if (!admin) {
+        if (!hasPermission(permission, 'OWNER')) {
+          delete dashboard.users;
+          delete dashboard.accessRules;
+        }
+        // Users load widget data through the data proxy only
+        dashboard.customWidgets = dashboard.customWidgets.map(({ widget_url, widget_filter, ...widget }) => widget);
+      }
+
       res.json({
         success: true,
-        data: dashboard
+        data: { ...dashboard, permission }
       });
     } catch (error) {
       console.error('Error fetching dashboard:', error);
@@ -65,6 +266,72 @@ const dashboardController = {
     }
   },
 
+  /**
+   * GET /api/dashboards/:id/widgets/:widgetId/data
+   * Load a custom widget's data through the server (cached per widget TTL).
+   * Query parameters are the dashboard filter values; other parameters are
+   * ignored, except refresh=true which bypasses the cache.
+   */
+  async getWidgetData(req, res) {
+    try {
+      const { id, widgetId } = req.params;
+      const { tenant, subtenant, userId } = req.user;
+
+      if (!isAdmin(req.user) && !(await Dashboard.hasUserAccess(id, userId, tenant, subtenant))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this dashboard'
+        });
+      }
+
+      const target = await WidgetData.getDashboardWidget(id, widgetId, tenant, subtenant);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Widget not found on this dashboard'
+        });
+      }
+
+      const { params, error: filterError } = resolveFilterParams(target.filters, req.query);
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError
+        });
+      }
+
+      const { data, lastUpdated, cached } = await WidgetData.load(
+        target.widget,
+        params,
+        { tenant, subtenant, userId: req.user.userId, role: req.user.role, authorization: req.headers.authorization },
+        { refresh: req.query.refresh === 'true' }
+      );
+
+      res.json({
+        success: true,
+        data,
+        lastUpdated,
+        cached
+      });
+    } catch (error) {
+      if (error instanceof WidgetDataError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          upstreamStatus: error.upstreamStatus
+        });
+      }
+
+      console.error('Error loading widget data:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load widget data',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * POST /api/dashboards
    * Create new dashboard
@@ -72,7 +339,7 @@ const dashboardController = {
   async createDashboard(req, res) {
     try {
       const { tenant, subtenant } = req.user;
-      const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users } = req.body;
+      const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users, accessRules, layout, filters } = req.body;
 
       // Validation
       if (!dashboardName || dashboardName.trim() === '') {
@@ -82,17 +349,68 @@ const dashboardController = {
         });
       }
 
+      if (accessRules !== undefined && !Array.isArray(accessRules)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Access rules must be an array'
+        });
+      }
+
+      const permissionError = accessRules ? validatePermissions(accessRules) : null;
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      if (selectedPredefinedWidgets !== undefined && !Array.isArray(selectedPredefinedWidgets)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected predefined widgets must be an array'
+        });
+      }
+
+      if (customWidgetIds !== undefined && !Array.isArray(customWidgetIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom widget ids must be an array'
+        });
+      }
+
+      if (layout !== undefined && !Array.isArray(layout)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Layout must be an array'
+        });
+      }
+
+      const filterError = filters !== undefined ? validateFilters(filters) : null;
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError
+        });
+      }
+
       const dashboardData = {
         dashboardName: dashboardName.trim(),
         dashboardDesc: dashboardDesc?.trim() || '',
         selectedPredefinedWidgets: selectedPredefinedWidgets || [],
         customWidgetIds: customWidgetIds || [],
         users: users || [],
+        accessRules,
+        layout,
+        filters,
+        author: req.user.userId,
         tenant,
         subtenant
       };
 
-      const newDashboard = await Dashboard.create(dashboardData);
+      const { snapshot, ...newDashboard } = await Dashboard.create(dashboardData, auditHook(req,
+        (created, labels) => dashboardChangeEntry(AUDIT_ACTIONS.DASHBOARD_CREATE, created.id, null, created.snapshot, labels),
+        (created) => changedUserIds(null, created.snapshot)
+      ));
 
       res.status(201).json({
         success: true,
@@ -101,6 +419,14 @@ const dashboardController = {
       });
     } catch (error) {
       console.error('Error creating dashboard:', error);
+
+      if (error.message === 'Custom widget not found') {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom widget not found'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to create dashboard',
@@ -111,13 +437,20 @@ const dashboardController = {
 
   /**
    * PUT /api/dashboards/:id
-   * Update dashboard
+   * Update dashboard (editor permission; changing access requires owner permission)
    */
   async updateDashboard(req, res) {
     try {
       const { id } = req.params;
       const { tenant, subtenant } = req.user;
-      const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users } = req.body;
+      const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users, accessRules, layout, filters } = req.body;
+
+      if ((users !== undefined || accessRules !== undefined) && !hasPermission(req.dashboardPermission, 'OWNER')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only dashboard owners can change access'
+        });
+      }
 
       // Validation
       if (!dashboardName || dashboardName.trim() === '') {
@@ -127,15 +460,66 @@ const dashboardController = {
         });
       }
 
+      if (accessRules !== undefined && !Array.isArray(accessRules)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Access rules must be an array'
+        });
+      }
+
+      const permissionError = accessRules ? validatePermissions(accessRules) : null;
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      if (selectedPredefinedWidgets !== undefined && !Array.isArray(selectedPredefinedWidgets)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected predefined widgets must be an array'
+        });
+      }
+
+      if (customWidgetIds !== undefined && !Array.isArray(customWidgetIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom widget ids must be an array'
+        });
+      }
+
+      if (layout !== undefined && !Array.isArray(layout)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Layout must be an array'
+        });
+      }
+
+      const filterError = filters !== undefined ? validateFilters(filters) : null;
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError
+        });
+      }
+
       const dashboardData = {
         dashboardName: dashboardName.trim(),
         dashboardDesc: dashboardDesc?.trim() || '',
         selectedPredefinedWidgets,
         customWidgetIds,
-        users
+        users,
+        accessRules,
+        layout,
+        filters,
+        author: req.user.userId
       };
 
-      const updated = await Dashboard.update(id, dashboardData, tenant, subtenant);
+      const { before, after, ...updated } = await Dashboard.update(id, dashboardData, tenant, subtenant, auditHook(req,
+        (change, labels) => dashboardChangeEntry(AUDIT_ACTIONS.DASHBOARD_UPDATE, Number(id), change.before, change.after, labels),
+        (change) => changedUserIds(change.before, change.after)
+      ));
 
       res.json({
         success: true,
@@ -152,6 +536,13 @@ const dashboardController = {
         });
       }
 
+      if (error.message === 'Custom widget not found') {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom widget not found'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to update dashboard',
@@ -160,6 +551,58 @@ const dashboardController = {
     }
   },
 
+  /**
+   * POST /api/dashboards/:id/clone
+   * Clone dashboard with its widgets; includeUsers also copies user access and Profile/Role rules
+   */
+  async cloneDashboard(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+      const { includeUsers } = req.body || {};
+
+      if (includeUsers !== undefined && typeof includeUsers !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'includeUsers must be a boolean'
+        });
+      }
+
+      const cloned = await Dashboard.clone(
+        id,
+        { includeAccess: includeUsers === true, author: req.user.userId },
+        tenant,
+        subtenant,
+        auditHook(req, (copy, labels) => ({
+          ...dashboardChangeEntry(AUDIT_ACTIONS.DASHBOARD_CLONE, copy.id, null, copy.snapshot, labels),
+          summary: `Cloned from "${copy.sourceName}"${includeUsers ? ' with user access' : ''}`
+        }))
+      );
+
+      if (!cloned) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
+      const { snapshot, sourceName, ...newDashboard } = cloned;
+
+      res.status(201).json({
+        success: true,
+        message: 'Dashboard cloned successfully',
+        data: newDashboard
+      });
+    } catch (error) {
+      console.error('Error cloning dashboard:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clone dashboard',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * DELETE /api/dashboards/:id
    * Delete single dashboard
@@ -169,7 +612,10 @@ const dashboardController = {
       const { id } = req.params;
       const { tenant, subtenant } = req.user;
 
-      const deleted = await Dashboard.delete(id, tenant, subtenant);
+      const states = (await Dashboard.getStates([id], tenant, subtenant)).filter(state => !state.deletedAt);
+      const deleted = await Dashboard.delete(id, tenant, subtenant, req.user.userId, auditHook(req, () =>
+        trashEntries(AUDIT_ACTIONS.DASHBOARD_DELETE, states, 'Moved to Trash', { inTrash: true })
+      ));
 
       if (!deleted) {
         return res.status(404).json({
@@ -180,7 +626,7 @@ const dashboardController = {
 
       res.json({
         success: true,
-        message: 'Dashboard deleted successfully'
+        message: 'Dashboard moved to Trash'
       });
     } catch (error) {
       console.error('Error deleting dashboard:', error);
@@ -208,11 +654,14 @@ const dashboardController = {
         });
       }
 
-      const deletedCount = await Dashboard.deleteMultiple(ids, tenant, subtenant);
+      const states = (await Dashboard.getStates(ids, tenant, subtenant)).filter(state => !state.deletedAt);
+      const deletedCount = await Dashboard.deleteMultiple(ids, tenant, subtenant, req.user.userId, auditHook(req, () =>
+        trashEntries(AUDIT_ACTIONS.DASHBOARD_DELETE, states, 'Moved to Trash', { inTrash: true })
+      ));
 
       res.json({
         success: true,
-        message: `${deletedCount} dashboard(s) deleted successfully`,
+        message: `${deletedCount} dashboard(s) moved to Trash`,
         data: { deletedCount }
       });
     } catch (error) {
@@ -225,13 +674,215 @@ const dashboardController = {
     }
   },
 
+  /**
+   * POST /api/dashboards/export
+   * Download dashboards as a versioned JSON bundle
+   */
+  async exportDashboards(req, res) {
+    try {
+      const { ids } = req.body;
+      const { tenant, subtenant } = req.user;
+
+      if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide dashboard IDs to export'
+        });
+      }
+
+      if (ids.length > MAX_BUNDLE_DASHBOARDS) {
+        return res.status(400).json({
+          success: false,
+          message: `A bundle can contain at most ${MAX_BUNDLE_DASHBOARDS} dashboards`
+        });
+      }
+
+      const bundle = await DashboardBundle.export(ids, tenant, subtenant);
+
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
+      const fileName = `dashboards-${new Date().toISOString().slice(0, 10)}.json`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.json(bundle);
+    } catch (error) {
+      console.error('Error exporting dashboards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export dashboards',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/dashboards/import
+   * Create dashboards from a JSON bundle, remapping custom widgets by name.
+   * Body: { bundle, dryRun } - dryRun reports the widget mapping without importing
+   */
+  async importDashboards(req, res) {
+    try {
+      const { bundle, dryRun } = req.body;
+      const { tenant, subtenant } = req.user;
+
+      const bundleError = validateBundle(bundle);
+      if (bundleError) {
+        return res.status(400).json({
+          success: false,
+          message: bundleError
+        });
+      }
+
+      const results = await DashboardBundle.import(
+        bundle,
+        { author: req.user.userId, dryRun: dryRun === true },
+        tenant,
+        subtenant,
+        auditHook(req, (result, labels) => ({
+          ...dashboardChangeEntry(AUDIT_ACTIONS.DASHBOARD_IMPORT, result.id, null, result.snapshot, labels),
+          summary: result.missingWidgets.length > 0
+            ? `Imported from bundle; missing custom widgets: ${result.missingWidgets.join(', ')}`
+            : 'Imported from bundle'
+        }))
+      );
+
+      const missingCount = results.reduce((count, result) => count + result.missingWidgets.length, 0);
+
+      res.status(dryRun === true ? 200 : 201).json({
+        success: true,
+        message: dryRun === true
+          ? `${results.length} dashboard(s) can be imported`
+          : `${results.length} dashboard(s) imported${missingCount > 0 ? `, ${missingCount} missing custom widget(s) skipped` : ''}`,
+        data: results.map(({ snapshot, ...result }) => result)
+      });
+    } catch (error) {
+      console.error('Error importing dashboards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import dashboards',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/dashboards/trash
+   * Get deleted dashboards with their purge date
+   */
+  async getTrash(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const dashboards = await Dashboard.getTrash(tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: dashboards,
+        retentionDays: TRASH_RETENTION_DAYS
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch trash',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/dashboards/trash/restore
+   * Restore dashboards from Trash
+   */
+  async restoreDashboards(req, res) {
+    try {
+      const { ids } = req.body;
+      const { tenant, subtenant } = req.user;
+
+      if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide dashboard IDs to restore'
+        });
+      }
+
+      const states = (await Dashboard.getStates(ids, tenant, subtenant)).filter(state => state.deletedAt);
+      const restoredCount = await Dashboard.restore(ids, tenant, subtenant, auditHook(req, () =>
+        trashEntries(AUDIT_ACTIONS.DASHBOARD_RESTORE, states, 'Restored from Trash', { inTrash: false })
+      ));
+
+      res.json({
+        success: true,
+        message: `${restoredCount} dashboard(s) restored successfully`,
+        data: { restoredCount }
+      });
+    } catch (error) {
+      console.error('Error restoring dashboards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore dashboards',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/dashboards/trash/purge
+   * Permanently delete dashboards in Trash
+   */
+  async purgeDashboards(req, res) {
+    try {
+      const { ids } = req.body;
+      const { tenant, subtenant } = req.user;
+
+      if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide dashboard IDs to purge'
+        });
+      }
+
+      const states = (await Dashboard.getStates(ids, tenant, subtenant)).filter(state => state.deletedAt);
+      const { count: purgedCount, filePaths } = await Dashboard.purge(ids, tenant, subtenant, auditHook(req, () =>
+        trashEntries(AUDIT_ACTIONS.DASHBOARD_PURGE, states, 'Permanently deleted with its widgets, access and history', null)
+      ));
+
+      await ReportSnapshot.removeFiles(filePaths.filter(filePath => ReportSnapshot.isStoredPath(filePath)))
+        .catch(error => console.error('Error removing report snapshots:', error));
+
+      res.json({
+        success: true,
+        message: `${purgedCount} dashboard(s) permanently deleted`,
+        data: { purgedCount }
+      });
+    } catch (error) {
+      console.error('Error purging dashboards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to purge dashboards',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * GET /api/dashboards/users/all
    * Get all users for dropdown
+   *
+   * Query: { refresh } - "true" reloads the cached display name config
    */
   async getAllUsers(req, res) {
     try {
       const { tenant, subtenant } = req.user;
+
+      // refresh=true reloads cached profile display attributes
+      if (req.query.refresh === 'true') {
+        UserDisplayName.invalidate(tenant, subtenant);
+      }
+
       const users = await Dashboard.getAllUsers(tenant, subtenant);
 
       res.json({
@@ -248,6 +899,106 @@ const dashboardController = {
     }
   },
 
+  /**
+   * GET /api/dashboards/access-matrix
+   * Users versus dashboards they can open, with how access was granted
+   *
+   * Query: { profile: "1,2", search, page, pageSize } - paging applies to users
+   */
+  async getAccessMatrix(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+
+      const { filters, error } = parseAccessMatrixFilters(req.query);
+      const page = parseInt(req.query.page, 10) || 1;
+      const pageSize = parseInt(req.query.pageSize, 10) || 50;
+
+      if (error || page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: error || `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}`
+        });
+      }
+
+      const [matrix, profiles] = await Promise.all([
+        AccessMatrix.get(tenant, subtenant, { ...filters, page, pageSize }),
+        AccessMatrix.getProfiles(tenant, subtenant)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          dashboards: matrix.dashboards,
+          users: matrix.users
+        },
+        profiles,
+        pagination: {
+          page,
+          pageSize,
+          total: matrix.total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching access matrix:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch access matrix',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/dashboards/access-matrix/export
+   * Download the access matrix as CSV or XLSX
+   *
+   * Query: { format: "csv" | "xlsx", profile, search }
+   */
+  async exportAccessMatrix(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const format = req.query.format || 'csv';
+
+      const { filters, error } = parseAccessMatrixFilters(req.query);
+      if (error || !['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: error || 'format must be csv or xlsx'
+        });
+      }
+
+      const rows = accessMatrixRows(await AccessMatrix.get(tenant, subtenant, filters));
+      const fileName = `access-matrix-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(rows.map(toCsvLine).join('\r\n'));
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Access Matrix', {
+        views: [{ state: 'frozen', xSplit: 3, ySplit: 1 }]
+      });
+      sheet.addRows(rows);
+      sheet.getRow(1).font = { bold: true };
+      sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: rows[0].length } };
+      sheet.getColumn(2).width = 30;
+      sheet.getColumn(3).width = 20;
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+    } catch (error) {
+      console.error('Error exporting access matrix:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export access matrix',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * GET /api/dashboards/widgets/all
    * Get all custom widgets for dropdown
@@ -296,11 +1047,13 @@ const dashboardController = {
   /**
    * POST /api/dashboards/:id/users
    * Add user to dashboard
+   *
+   * Body: { userId, permission (VIEWER | EDITOR | OWNER, default VIEWER) }
    */
   async addUserToDashboard(req, res) {
     try {
       const { id } = req.params;
-      const { userId } = req.body;
+      const { userId, permission } = req.body;
       const { tenant, subtenant } = req.user;
 
       if (!userId) {
@@ -310,7 +1063,18 @@ const dashboardController = {
         });
       }
 
-      const result = await Dashboard.addUser(id, userId, tenant, subtenant);
+      const permissionError = validatePermissions([{ permission }]);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      const result = await Dashboard.addUser(id, userId, tenant, subtenant, req.user.userId, permission, auditHook(req,
+        (_, labels) => accessEntry(AUDIT_ACTIONS.ACCESS_GRANT, id, userId, labels, tenant, subtenant),
+        () => [userId]
+      ));
 
       if (result.alreadyExists) {
         return res.status(400).json({
@@ -325,6 +1089,14 @@ const dashboardController = {
       });
     } catch (error) {
       console.error('Error adding user to dashboard:', error);
+
+      if (error.message === 'Dashboard not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to add user to dashboard',
@@ -342,7 +1114,10 @@ const dashboardController = {
       const { id, userId } = req.params;
       const { tenant, subtenant } = req.user;
 
-      const removed = await Dashboard.removeUser(id, userId, tenant, subtenant);
+      const removed = await Dashboard.removeUser(id, userId, tenant, subtenant, req.user.userId, auditHook(req,
+        (_, labels) => accessEntry(AUDIT_ACTIONS.ACCESS_REVOKE, id, userId, labels, tenant, subtenant),
+        () => [userId]
+      ));
 
       if (!removed) {
         return res.status(404).json({
@@ -357,6 +1132,14 @@ const dashboardController = {
       });
     } catch (error) {
       console.error('Error removing user from dashboard:', error);
+
+      if (error.message === 'Dashboard not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to remove user from dashboard',
@@ -365,15 +1148,130 @@ const dashboardController = {
     }
   },
 
+  /**
+   * GET /api/dashboards/:id/users/:userId/explain
+   * List every direct assignment and Profile/Role rule that lets the user open the dashboard,
+   * with when and by whom it was added
+   */
+  async explainUserAccess(req, res) {
+    try {
+      const { id, userId } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const explanation = await AccessExplanation.explain(id, userId, tenant, subtenant);
+
+      if (!explanation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
+      if (!explanation.user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: explanation
+      });
+    } catch (error) {
+      console.error('Error explaining dashboard access:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to explain dashboard access',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/dashboards/:id/revisions
+   * Get revision history (newest first, with changes to the previous revision);
+   * access data is left out for non-owners
+   */
+  async getDashboardRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const revisions = await Dashboard.getRevisions(id, tenant, subtenant);
+
+      // Access changes are only shown to owners, like the dashboard's access itself
+      res.json({
+        success: true,
+        data: hasPermission(req.dashboardPermission, 'OWNER') ? revisions : revisions.map(withoutAccess)
+      });
+    } catch (error) {
+      console.error('Error fetching dashboard revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch dashboard revisions',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/dashboards/:id/revisions/:revisionId/revert
+   * Restore the dashboard to an earlier revision
+   */
+  async revertDashboard(req, res) {
+    try {
+      const { id, revisionId } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const { before, after, ...result } = await Dashboard.revertToRevision(id, revisionId, req.user.userId, tenant, subtenant, auditHook(req,
+        (change, labels) => {
+          const entry = dashboardChangeEntry(AUDIT_ACTIONS.DASHBOARD_REVERT, Number(id), change.before, change.after, labels);
+          return { ...entry, summary: `Restored revision ${change.restoredFrom}: ${entry.summary}` };
+        },
+        (change) => changedUserIds(change.before, change.after)
+      ));
+
+      res.json({
+        success: true,
+        message: `Dashboard restored to revision ${result.restoredFrom}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error reverting dashboard:', error);
+
+      if (error.message === 'Dashboard not found' || error.message === 'Revision not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revert dashboard',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * GET /api/dashboards/user/:userId
    * Get dashboards for a specific user (User Console)
+   * Non-admin callers can only read their own assignments
    */
   async getUserDashboards(req, res) {
     try {
       const { userId } = req.params;
       const { tenant, subtenant } = req.user;
 
+      if (!isAdmin(req.user) && String(userId) !== String(req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own dashboards'
+        });
+      }
+
       const dashboards = await Dashboard.getDashboardsForUser(userId, tenant, subtenant);
 
       res.json({
@@ -388,6 +1286,37 @@ const dashboardController = {
         error: error.message
       });
     }
+  },
+
+  /**
+   * GET /api/me/dashboards
+   * Get dashboards for the calling user (User Console)
+   */
+  async getMyDashboards(req, res) {
+    try {
+      const { tenant, subtenant, userId } = req.user;
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token does not carry a user identity'
+        });
+      }
+
+      const dashboards = await Dashboard.getDashboardsForUser(userId, tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: dashboards
+      });
+    } catch (error) {
+      console.error('Error fetching my dashboards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch user dashboards',
+        error: error.message
+      });
+    }
   }
 };
 
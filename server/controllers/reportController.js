@@ -0,0 +1,365 @@
+/**
+ * Report Controller
+ *
+ * Handles HTTP request/response for scheduled dashboard reports.
+ */
+
+import fs from 'node:fs/promises';
+import Dashboard from '../models/Dashboard.js';
+import ReportSchedule, { validateSchedule, REPORT_FORMATS } from '../models/ReportSchedule.js';
+import ReportSnapshot from '../models/ReportSnapshot.js';
+import ReportTransport from '../models/ReportTransport.js';
+import { CRON_PRESETS } from '../models/CronExpression.js';
+
+/**
+ * Check the dashboard and recipients of a schedule from the client.
+ * Recipients must be users assigned to the dashboard.
+ * Returns an error { status, message } or null.
+ */
+const checkDashboardAndRecipients = async ({ dashboardId, recipients }, tenant, subtenant) => {
+  const dashboard = await Dashboard.getById(dashboardId, tenant, subtenant);
+  if (!dashboard) {
+    return { status: 404, message: 'Dashboard not found' };
+  }
+
+  const candidates = await ReportSchedule.getRecipientCandidates(dashboardId, tenant, subtenant);
+  const assigned = new Set(candidates.map(candidate => Number(candidate.userId)));
+  const unassigned = recipients.map(Number).filter(userId => !assigned.has(userId));
+  if (unassigned.length > 0) {
+    return { status: 400, message: `User(s) ${unassigned.join(', ')} are not assigned to this dashboard` };
+  }
+
+  return null;
+};
+
+const reportController = {
+  /**
+   * GET /api/report-schedules
+   * Get all report schedules with the available formats, transports and schedule presets
+   */
+  async getAllSchedules(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const schedules = await ReportSchedule.getAll(tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: schedules,
+        formats: REPORT_FORMATS,
+        transports: ReportTransport.names(),
+        presets: CRON_PRESETS
+      });
+    } catch (error) {
+      console.error('Error fetching report schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report schedules',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/report-schedules/recipients?dashboardId=
+   * Users assigned to a dashboard (idx2_dashboard_user_map) with their email addresses
+   */
+  async getRecipientCandidates(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const { dashboardId } = req.query;
+
+      if (!dashboardId) {
+        return res.status(400).json({
+          success: false,
+          message: 'dashboardId is required'
+        });
+      }
+
+      const recipients = await ReportSchedule.getRecipientCandidates(dashboardId, tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: recipients
+      });
+    } catch (error) {
+      console.error('Error fetching report recipients:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report recipients',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/report-schedules/:id
+   * Get a report schedule
+   */
+  async getSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const schedule = await ReportSchedule.getById(id, tenant, subtenant);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      console.error('Error fetching report schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/report-schedules
+   * Create report schedule
+   *
+   * Body: { dashboardId, cronExpr, formats: ["pdf", "csv"], transport, recipients: [userId], enabled }
+   */
+  async createSchedule(req, res) {
+    try {
+      const { tenant, subtenant, userId } = req.user;
+
+      const validationError = validateSchedule(req.body, ReportTransport.names());
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const checkError = await checkDashboardAndRecipients(req.body, tenant, subtenant);
+      if (checkError) {
+        return res.status(checkError.status).json({
+          success: false,
+          message: checkError.message
+        });
+      }
+
+      const schedule = await ReportSchedule.create(req.body, userId, tenant, subtenant);
+
+      res.status(201).json({
+        success: true,
+        message: 'Report schedule created successfully',
+        data: schedule
+      });
+    } catch (error) {
+      console.error('Error creating report schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create report schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * PUT /api/report-schedules/:id
+   * Update report schedule
+   *
+   * Body: { dashboardId, cronExpr, formats, transport, recipients, enabled }
+   */
+  async updateSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const validationError = validateSchedule(req.body, ReportTransport.names());
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const checkError = await checkDashboardAndRecipients(req.body, tenant, subtenant);
+      if (checkError) {
+        return res.status(checkError.status).json({
+          success: false,
+          message: checkError.message
+        });
+      }
+
+      const schedule = await ReportSchedule.update(id, req.body, tenant, subtenant);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Report schedule updated successfully',
+        data: schedule
+      });
+    } catch (error) {
+      console.error('Error updating report schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update report schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/report-schedules/:id
+   * Delete report schedule with its stored snapshots
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const filePaths = await ReportSchedule.delete(id, tenant, subtenant);
+
+      if (filePaths === null) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report schedule not found'
+        });
+      }
+
+      await ReportSnapshot.removeFiles(filePaths.filter(filePath => ReportSnapshot.isStoredPath(filePath)))
+        .catch(error => console.error('Error removing report snapshots:', error));
+
+      res.json({
+        success: true,
+        message: 'Report schedule deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting report schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete report schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/report-schedules/:id/run
+   * Render and deliver a schedule's report now (the next scheduled run is unchanged)
+   */
+  async runSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const schedule = await ReportSchedule.getById(id, tenant, subtenant);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report schedule not found'
+        });
+      }
+
+      let result;
+      try {
+        result = await ReportSnapshot.run(schedule);
+      } catch (error) {
+        console.error(`Report schedule ${id} failed:`, error);
+        return res.status(502).json({
+          success: false,
+          message: `Report failed: ${error.message}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Report sent to ${result.recipients} recipient(s)`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error running report schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run report schedule',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/report-schedules/:id/snapshots
+   * Latest stored snapshots of a schedule
+   */
+  async getSnapshots(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const snapshots = await ReportSchedule.getSnapshots(id, tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: snapshots
+      });
+    } catch (error) {
+      console.error('Error fetching report snapshots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch report snapshots',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/report-schedules/snapshots/:snapshotId/download
+   * Download a stored snapshot file
+   */
+  async downloadSnapshot(req, res) {
+    try {
+      const { snapshotId } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const snapshot = await ReportSchedule.getSnapshot(snapshotId, tenant, subtenant);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Snapshot not found'
+        });
+      }
+
+      const available = ReportSnapshot.isStoredPath(snapshot.file_path)
+        && await fs.access(snapshot.file_path).then(() => true, () => false);
+      if (!available) {
+        return res.status(404).json({
+          success: false,
+          message: 'Snapshot file is no longer available'
+        });
+      }
+
+      res.setHeader('Content-Type', snapshot.format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${snapshot.file_name}"`);
+      res.sendFile(snapshot.file_path);
+    } catch (error) {
+      console.error('Error downloading report snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download report snapshot',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default reportController;
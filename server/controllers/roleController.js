@@ -0,0 +1,55 @@
+/**
+ * Role Controller
+ *
+ * Handles HTTP request/response for role lookups (Role access rules).
+ */
+
+import Role from '../models/Role.js';
+import { isAdmin } from '../middleware/auth.js';
+
+const MAX_PAGE_SIZE = 1000;
+
+const roleController = {
+  /**
+   * GET /api/roles
+   * Get roles with member counts for tenant/subtenant; admins also get the members
+   *
+   * Query: { search, page, pageSize }
+   */
+  async getAllRoles(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const search = (req.query.search || '').trim();
+      const page = parseInt(req.query.page, 10) || 1;
+      const pageSize = parseInt(req.query.pageSize, 10) || 50;
+
+      if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}`
+        });
+      }
+
+      const { roles, total } = await Role.getAll(tenant, subtenant, { search, page, pageSize, includeMembers: isAdmin(req.user) });
+
+      res.json({
+        success: true,
+        data: roles,
+        pagination: {
+          page,
+          pageSize,
+          total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch roles',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default roleController;
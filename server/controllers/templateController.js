@@ -0,0 +1,138 @@
+/**
+ * Template Controller
+ *
+ * Handles HTTP request/response for dashboard templates.
+ */
+
+import DashboardTemplate from '../models/DashboardTemplate.js';
+
+const templateController = {
+  /**
+   * GET /api/templates
+   * Get built-in and tenant templates
+   */
+  async getAllTemplates(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const templates = await DashboardTemplate.getAll(tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: templates
+      });
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch templates',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/templates
+   * Save an existing dashboard as a tenant template
+   *
+   * Body: { dashboardId, templateName, templateDesc }
+   */
+  async createTemplate(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const { dashboardId, templateName, templateDesc } = req.body;
+
+      if (!dashboardId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dashboard ID is required'
+        });
+      }
+
+      if (!templateName || templateName.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Template name is required'
+        });
+      }
+
+      const template = await DashboardTemplate.createFromDashboard(
+        dashboardId,
+        {
+          templateName: templateName.trim(),
+          templateDesc: templateDesc?.trim() || '',
+          createdBy: req.user.userId
+        },
+        tenant,
+        subtenant
+      );
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dashboard not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Template saved successfully',
+        data: template
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'A template with this name already exists'
+        });
+      }
+
+      console.error('Error creating template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save template',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/templates/:id
+   * Delete a tenant template
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      if (String(id).startsWith('builtin-')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Built-in templates cannot be deleted'
+        });
+      }
+
+      const deleted = await DashboardTemplate.delete(id, tenant, subtenant);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete template',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default templateController;
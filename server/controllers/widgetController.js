@@ -0,0 +1,219 @@
+/**
+ * Widget Controller
+ *
+ * Handles HTTP request/response for custom widget operations.
+ */
+
+import CustomWidget, { validateWidget, WIDGET_CHART_TYPES } from '../models/CustomWidget.js';
+import { DEFAULT_CACHE_TTL_SECONDS } from '../models/WidgetDataCache.js';
+
+const widgetController = {
+  /**
+   * GET /api/widgets
+   * Get all custom widgets with usage counts
+   */
+  async getAllWidgets(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+      const widgets = await CustomWidget.getAll(tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: widgets,
+        chartTypes: WIDGET_CHART_TYPES,
+        defaultCacheTtl: DEFAULT_CACHE_TTL_SECONDS
+      });
+    } catch (error) {
+      console.error('Error fetching widgets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch widgets',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/widgets/:id
+   * Get a custom widget with the dashboards using it
+   */
+  async getWidget(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const widget = await CustomWidget.getById(id, tenant, subtenant);
+
+      if (!widget) {
+        return res.status(404).json({
+          success: false,
+          message: 'Widget not found'
+        });
+      }
+
+      const usedBy = await CustomWidget.getUsage(id, tenant, subtenant);
+
+      res.json({
+        success: true,
+        data: { ...widget, usedBy }
+      });
+    } catch (error) {
+      console.error('Error fetching widget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch widget',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/widgets
+   * Create custom widget
+   *
+   * Body: { widgetName, widgetDesc, widgetUrl, widgetChart, widgetFilter, cacheTtl }
+   */
+  async createWidget(req, res) {
+    try {
+      const { tenant, subtenant } = req.user;
+
+      const validationError = validateWidget(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      if (await CustomWidget.nameExists(req.body.widgetName, tenant, subtenant)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A widget with this name already exists'
+        });
+      }
+
+      const widget = await CustomWidget.create(req.body, tenant, subtenant);
+
+      res.status(201).json({
+        success: true,
+        message: 'Widget created successfully',
+        data: widget
+      });
+    } catch (error) {
+      console.error('Error creating widget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create widget',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * PUT /api/widgets/:id
+   * Update custom widget
+   *
+   * Body: { widgetName, widgetDesc, widgetUrl, widgetChart, widgetFilter, cacheTtl }
+   */
+  async updateWidget(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+
+      const validationError = validateWidget(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      if (await CustomWidget.nameExists(req.body.widgetName, tenant, subtenant, id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A widget with this name already exists'
+        });
+      }
+
+      const widget = await CustomWidget.update(id, req.body, tenant, subtenant);
+
+      if (!widget) {
+        return res.status(404).json({
+          success: false,
+          message: 'Widget not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Widget updated successfully',
+        data: widget
+      });
+    } catch (error) {
+      console.error('Error updating widget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update widget',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/widgets/:id
+   * Delete custom widget. A widget used by dashboards is only deleted
+   * with force=true, which also removes it from those dashboards.
+   */
+  async deleteWidget(req, res) {
+    try {
+      const { id } = req.params;
+      const { tenant, subtenant } = req.user;
+      const force = req.query.force === 'true';
+
+      const widget = await CustomWidget.getById(id, tenant, subtenant);
+
+      if (!widget) {
+        return res.status(404).json({
+          success: false,
+          message: 'Widget not found'
+        });
+      }
+
+      const usedBy = await CustomWidget.getUsage(id, tenant, subtenant);
+
+      if (usedBy.length > 0 && !force) {
+        return res.status(409).json({
+          success: false,
+          message: `Widget is used by ${usedBy.length} dashboard(s)`,
+          data: { usedBy }
+        });
+      }
+
+      const removedFrom = await CustomWidget.delete(id, req.user.userId, tenant, subtenant);
+
+      if (removedFrom === null) {
+        return res.status(404).json({
+          success: false,
+          message: 'Widget not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: removedFrom > 0
+          ? `Widget deleted and removed from ${removedFrom} dashboard(s)`
+          : 'Widget deleted successfully',
+        data: { removedFrom }
+      });
+    } catch (error) {
+      console.error('Error deleting widget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete widget',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default widgetController;
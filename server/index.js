@@ -11,6 +11,15 @@ import dotenv from 'dotenv';
 import { testConnection } from './config/db.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import meRoutes from './routes/meRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import widgetRoutes from './routes/widgetRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import { startTrashPurgeJob } from './jobs/trashPurge.js';
+import { startReportSchedulerJob } from './jobs/reportScheduler.js';
+import { startAuthTokenPurgeJob } from './jobs/authTokenPurge.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,8 +39,8 @@ app.use(cors({
   credentials: true
 }));
 
-// Parse JSON request bodies
-app.use(express.json());
+// Parse JSON request bodies (limit raised for dashboard import bundles)
+app.use(express.json({ limit: '5mb' }));
 
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true }));
@@ -55,6 +64,24 @@ app.use('/api/auth', authRoutes);
 // Dashboard routes (protected)
 app.use('/api/dashboards', dashboardRoutes);
 
+// Role routes (protected)
+app.use('/api/roles', roleRoutes);
+
+// Current user routes (protected, User Console)
+app.use('/api/me', meRoutes);
+
+// Audit trail routes (protected)
+app.use('/api/audit', auditRoutes);
+
+// Dashboard template routes (protected)
+app.use('/api/templates', templateRoutes);
+
+// Custom widget routes (protected)
+app.use('/api/widgets', widgetRoutes);
+
+// Scheduled report routes (protected)
+app.use('/api/report-schedules', reportRoutes);
+
 // 404 handler for unknown routes
 app.use((req, res) => {
   res.status(404).json({
@@ -81,6 +108,15 @@ const startServer = async () => {
   // Test database connection
   await testConnection();
 
+  // Purge dashboards past their Trash retention period
+  startTrashPurgeJob();
+
+  // Send scheduled dashboard reports
+  startReportSchedulerJob();
+
+  // Delete expired refresh tokens and revocation entries
+  startAuthTokenPurgeJob();
+
   // Start Express server
   app.listen(PORT, () => {
     console.log(`
@@ -90,6 +126,11 @@ const startServer = async () => {
    Server running on: http://localhost:${PORT}
    Health check: /api/health
    Dashboard API: /api/dashboards
+   Roles API: /api/roles
+   Audit API: /api/audit
+   Templates API: /api/templates
+   Widgets API: /api/widgets
+   Reports API: /api/report-schedules
 ================================================
     `);
   });
@@ -0,0 +1,32 @@
+/**
+ * Auth Token Purge Job
+ *
+ * Deletes expired refresh tokens and revoked access tokens that have expired
+ * (see AuthToken). Runs at startup and then every
+ * AUTH_TOKEN_PURGE_INTERVAL_MINUTES (default 60).
+ */
+
+import AuthToken from '../models/AuthToken.js';
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.AUTH_TOKEN_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+const runPurge = async () => {
+  try {
+    const purgedCount = await AuthToken.purgeExpired();
+    if (purgedCount > 0) {
+      console.log(`Auth token purge: deleted ${purgedCount} expired token(s)`);
+    }
+  } catch (error) {
+    console.error('Auth token purge failed:', error.message);
+  }
+};
+
+/**
+ * Start the purge timer (does not keep the process alive on its own)
+ */
+export const startAuthTokenPurgeJob = () => {
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
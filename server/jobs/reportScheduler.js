@@ -0,0 +1,53 @@
+/**
+ * Report Scheduler Job
+ *
+ * Runs report schedules whose next run is due (see ReportSnapshot.run).
+ * Checks every REPORT_SCHEDULER_INTERVAL_SECONDS (default 60); due schedules
+ * are run one at a time. Each run is claimed by moving the schedule to its
+ * next run first, so several server instances do not send the same report twice.
+ */
+
+import ReportSchedule from '../models/ReportSchedule.js';
+import ReportSnapshot from '../models/ReportSnapshot.js';
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_SECONDS, 10) || 60;
+
+// Skip a check while the previous one is still running
+let running = false;
+
+const runDueSchedules = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const due = await ReportSchedule.getDue();
+
+    for (const item of due) {
+      const schedule = await ReportSchedule.getById(item.id, item.tenant, item.subtenant);
+      if (!schedule || !await ReportSchedule.claimRun(item, schedule.cron_expr)) {
+        continue;
+      }
+
+      try {
+        const { snapshots, recipients } = await ReportSnapshot.run(schedule);
+        console.log(`Report schedule ${schedule.id}: sent ${snapshots.length} snapshot(s) to ${recipients} recipient(s)`);
+      } catch (error) {
+        console.error(`Report schedule ${schedule.id} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Report scheduler failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler timer (does not keep the process alive on its own)
+ */
+export const startReportSchedulerJob = () => {
+  runDueSchedules();
+  const timer = setInterval(runDueSchedules, CHECK_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,35 @@
+/**
+ * Trash Purge Job
+ *
+ * Permanently deletes dashboards that have been in Trash longer than
+ * DASHBOARD_TRASH_RETENTION_DAYS (default 30). Runs at startup and then
+ * every DASHBOARD_TRASH_PURGE_INTERVAL_MINUTES (default 60).
+ */
+
+import Dashboard, { TRASH_RETENTION_DAYS } from '../models/Dashboard.js';
+import ReportSnapshot from '../models/ReportSnapshot.js';
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.DASHBOARD_TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+const runPurge = async () => {
+  try {
+    const { count: purgedCount, filePaths } = await Dashboard.purgeExpired(TRASH_RETENTION_DAYS);
+    await ReportSnapshot.removeFiles(filePaths.filter(filePath => ReportSnapshot.isStoredPath(filePath)))
+      .catch(error => console.error('Error removing report snapshots:', error));
+    if (purgedCount > 0) {
+      console.log(`Trash purge: permanently deleted ${purgedCount} dashboard(s) older than ${TRASH_RETENTION_DAYS} day(s)`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error.message);
+  }
+};
+
+/**
+ * Start the purge timer (does not keep the process alive on its own)
+ */
+export const startTrashPurgeJob = () => {
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
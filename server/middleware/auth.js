@@ -1,18 +1,56 @@
 /**
  * JWT Authentication Middleware
  *
- * Verifies JWT tokens and extracts tenant/subtenant context.
+ * Signs and verifies JWT access tokens and extracts tenant/subtenant and caller context.
+ * Every token carries a jti; tokens on the revocation list (see AuthToken) are refused.
  */
 
+import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
+import AuthToken from '../models/AuthToken.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
 
+// Access tokens are short-lived; sessions are extended with refresh tokens
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Caller roles carried in the token
+export const ROLES = {
+  ADMIN: 'admin',
+  USER: 'user'
+};
+
+/**
+ * Check whether the caller has admin rights
+ */
+export const isAdmin = (user) => user?.role === ROLES.ADMIN;
+
+/**
+ * Sign an access token for a signed-in caller
+ * claims: { tenant, subtenant, tenantCode, subtenantCode, userId, role }
+ */
+export const signAccessToken = (claims) => jwt.sign(
+  claims,
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Sign a short-lived user token for calls the server makes on a user's behalf
+ * (e.g. scheduled reports loading widget data from this server). Never has admin rights.
+ */
+export const signServiceToken = ({ tenant, subtenant, userId }, expiresIn = '5m') => jwt.sign(
+  { tenant, subtenant, userId: userId || null, role: ROLES.USER },
+  JWT_SECRET,
+  { expiresIn, jwtid: crypto.randomUUID() }
+);
+
 /**
  * Middleware to authenticate JWT token
- * Extracts tenant/subtenant from token and adds to req.user
+ * Extracts tenant/subtenant and caller identity from token and adds to req.user
+ * (with tokenId and tokenExpiresAt, used to revoke the token on logout)
  */
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -23,22 +61,67 @@ export const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
 
-    // Add tenant/subtenant context to request
-    req.user = {
-      tenant: decoded.tenant,
-      subtenant: decoded.subtenant,
-      tenantCode: decoded.tenantCode,
-      subtenantCode: decoded.subtenantCode
-    };
+  // Tokens without jti cannot be revoked and are not accepted
+  if (!decoded.jti) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
 
-    next();
+  try {
+    if (await AuthToken.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
   } catch (error) {
+    console.error('Error checking token revocation:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify token',
+      error: error.message
+    });
+  }
+
+  // Add tenant/subtenant and caller context to request
+  // Tokens without a role claim get no admin rights
+  req.user = {
+    tenant: decoded.tenant,
+    subtenant: decoded.subtenant,
+    tenantCode: decoded.tenantCode,
+    subtenantCode: decoded.subtenantCode,
+    userId: decoded.userId || null,
+    role: decoded.role || null,
+    tokenId: decoded.jti,
+    tokenExpiresAt: new Date(decoded.exp * 1000)
+  };
+
+  next();
+};
+
+/**
+ * Middleware to restrict a route to admin callers (admin role claim)
+ * Must run after authenticateToken
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: 'Admin access required'
     });
   }
+
+  next();
 };
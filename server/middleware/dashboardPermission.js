@@ -0,0 +1,78 @@
+/**
+ * Dashboard Permission Middleware
+ *
+ * Restricts dashboard routes to callers with at least a given permission level
+ * (VIEWER, EDITOR, OWNER) on the dashboard. Admins pass every check.
+ * Must run after authenticateToken.
+ */
+
+import Dashboard from '../models/Dashboard.js';
+import { ADMIN_PERMISSION, hasPermission } from '../models/DashboardPermission.js';
+import { isAdmin } from './auth.js';
+
+/**
+ * Require a permission level on the dashboard in req.params.id.
+ * Sets req.dashboardPermission to the caller's effective permission.
+ */
+export const requireDashboardPermission = (required) => async (req, res, next) => {
+  if (isAdmin(req.user)) {
+    req.dashboardPermission = ADMIN_PERMISSION;
+    return next();
+  }
+
+  try {
+    const { tenant, subtenant, userId } = req.user;
+    const permission = userId
+      ? await Dashboard.getUserPermission(req.params.id, userId, tenant, subtenant)
+      : null;
+
+    if (!hasPermission(permission, required)) {
+      return res.status(403).json({
+        success: false,
+        message: permission
+          ? `This action requires ${required.toLowerCase()} permission on the dashboard`
+          : 'You do not have access to this dashboard'
+      });
+    }
+
+    req.dashboardPermission = permission;
+    next();
+  } catch (error) {
+    console.error('Error checking dashboard permission:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check dashboard permission',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Require a permission level on at least one dashboard
+ * (for the lookups editors and owners need, e.g. the widget and user lists)
+ */
+export const requireAnyDashboardPermission = (required) => async (req, res, next) => {
+  if (isAdmin(req.user)) {
+    return next();
+  }
+
+  try {
+    const { tenant, subtenant, userId } = req.user;
+
+    if (!userId || !(await Dashboard.hasAnyPermission(userId, required, tenant, subtenant))) {
+      return res.status(403).json({
+        success: false,
+        message: `Admin access or ${required.toLowerCase()} permission on a dashboard required`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking dashboard permission:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check dashboard permission',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,202 @@
+/**
+ * Access Explanation Model
+ *
+ * Explains why a user can open a dashboard: every direct User assignment,
+ * Profile rule and Role rule that grants access, with when and by whom it was added.
+ * Matches the checks of Dashboard.hasUserAccess (the user's current profile and roles;
+ * Profile/Role rules only cover active users).
+ *
+ * Mappings added before server/sql/010_dashboard_access_provenance.sql have no author;
+ * for those, the latest revision that added the mapping is used instead.
+ *
+ * Tables used:
+ * - idx2_dashboard: Dashboards (Trash excluded)
+ * - idx2_dashboard_user_map: Direct User assignments (created_at, created_by)
+ * - idx2_dashboard_access_rule: Profile/Role rules (created_at, created_by)
+ * - idx_users, idx_identity_profile: The user and profile names
+ * - idx_roles / idx_role_user_map: Role names and the user's roles
+ * - idx2_dashboard_revision: Origin of older mappings (see DashboardRevision model)
+ */
+
+import { pool } from '../config/db.js';
+import Dashboard from './Dashboard.js';
+import { PERMISSIONS } from './DashboardPermission.js';
+import DashboardRevision from './DashboardRevision.js';
+import UserDisplayName from './UserDisplayName.js';
+
+// How addedAt/addedBy were determined
+export const ADDED_SOURCES = {
+  MAPPING: 'mapping', // Recorded on the mapping itself
+  HISTORY: 'history'  // Taken from the revision that added the mapping
+};
+
+const grantKey = (type, ref) => `${type}-${ref}`;
+
+/**
+ * Find, per grant, the latest revision that added it: { [key]: { addedAt, addedBy } }.
+ * Grants in a dashboard's first revision without author (recorded when history
+ * was introduced) were added at an unknown time and are left out.
+ */
+const getHistoryOrigins = async (dashboardId, tenant, subtenant) => {
+  const revisions = (await DashboardRevision.getAll(dashboardId, tenant, subtenant)).reverse();
+  const origins = {};
+
+  revisions.forEach((revision, index) => {
+    const origin = index === 0 && !revision.author
+      ? null
+      : { addedAt: revision.createdAt, addedBy: revision.author };
+
+    revision.changes.usersGranted.forEach(userId => {
+      origins[grantKey('User', userId)] = origin;
+    });
+    revision.changes.rulesAdded.forEach(rule => {
+      origins[grantKey(rule.ruleType, rule.ruleRef)] = origin;
+    });
+  });
+
+  return origins;
+};
+
+const AccessExplanation = {
+  /**
+   * Explain a user's access to a dashboard
+   *
+   * Returns null if the dashboard does not exist (or is in Trash), else
+   * { dashboard: { id, name }, user: { userId, userName, profile, status } | null,
+   *   hasAccess, permission (highest grant level or null),
+   *   grants: [{ type, id, ref, condition, roleType, permission, addedAt, addedBy, addedByName, addedSource }] }
+   * user is null if the user does not exist in the tenant.
+   */
+  async explain(dashboardId, userId, tenant, subtenant) {
+    const [dashboards] = await pool.execute(
+      'SELECT id, dashboard_name FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
+      [dashboardId, tenant, subtenant]
+    );
+
+    if (dashboards.length === 0) {
+      return null;
+    }
+
+    const dashboard = { id: dashboards[0].id, name: dashboards[0].dashboard_name };
+
+    const [users] = await pool.execute(
+      `SELECT u.id, u.profile AS profile_id, u.userAttrs, u.status, u.isdeleted, ip.profile_name
+       FROM idx_users u
+       LEFT JOIN idx_identity_profile ip ON u.profile = ip.id AND u.tenant = ip.tenant AND u.subtenant = ip.subtenant
+       WHERE u.id = ? AND u.tenant = ? AND u.subtenant = ?`,
+      [userId, tenant, subtenant]
+    );
+
+    if (users.length === 0) {
+      return { dashboard, user: null, hasAccess: false, permission: null, grants: [] };
+    }
+
+    const userRow = users[0];
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+    const user = {
+      userId: userRow.id,
+      userName: displayName(userRow.id, userRow.profile_id, userRow.userAttrs),
+      profile: userRow.profile_name || `Profile ${userRow.profile_id}`,
+      status: String(userRow.isdeleted) === '1' ? 'DELETED' : userRow.status
+    };
+
+    // 1. Direct User assignment
+    const [mappings] = await pool.execute(
+      `SELECT id, user, permission, created_at, created_by
+       FROM idx2_dashboard_user_map
+       WHERE dashboard = ? AND user = ? AND tenant = ? AND subtenant = ?`,
+      [dashboardId, userId, tenant, subtenant]
+    );
+
+    // 2. Profile rule for the user's profile (active users only)
+    const active = user.status === 'ACTIVE';
+    const [profileRules] = !active ? [[]] : await pool.execute(
+      `SELECT r.id, r.rule_ref, r.permission, r.created_at, r.created_by, ip.profile_name
+       FROM idx2_dashboard_access_rule r
+       LEFT JOIN idx_identity_profile ip ON r.rule_ref = ip.id AND r.tenant = ip.tenant AND r.subtenant = ip.subtenant
+       WHERE r.dashboard = ? AND r.rule_type = 'PROFILE' AND r.rule_ref = ? AND r.tenant = ? AND r.subtenant = ?`,
+      [dashboardId, userRow.profile_id, tenant, subtenant]
+    );
+
+    // 3. Role rules for the user's roles (active users only)
+    const [roleRules] = !active ? [[]] : await pool.execute(
+      `SELECT r.id, r.rule_ref, r.permission, r.created_at, r.created_by, ro.role_name, ro.role_type
+       FROM idx2_dashboard_access_rule r
+       JOIN idx_role_user_map rum ON rum.role = r.rule_ref AND rum.tenant = r.tenant AND rum.subtenant = r.subtenant
+       LEFT JOIN idx_roles ro ON r.rule_ref = ro.id AND r.tenant = ro.tenant AND r.subtenant = ro.subtenant
+       WHERE r.dashboard = ? AND r.rule_type = 'ROLE' AND rum.user = ? AND r.tenant = ? AND r.subtenant = ?
+       ORDER BY r.id`,
+      [dashboardId, userId, tenant, subtenant]
+    );
+
+    const grants = [
+      ...mappings.map(row => ({
+        type: 'User',
+        id: row.id,
+        ref: row.user,
+        condition: 'Assigned directly',
+        roleType: null,
+        permission: row.permission,
+        row
+      })),
+      ...profileRules.map(row => ({
+        type: 'Profile',
+        id: row.id,
+        ref: row.rule_ref,
+        condition: row.profile_name || `Profile ${row.rule_ref}`,
+        roleType: null,
+        permission: row.permission,
+        row
+      })),
+      ...roleRules.map(row => ({
+        type: 'Role',
+        id: row.id,
+        ref: row.rule_ref,
+        condition: row.role_name || `Role ${row.rule_ref}`,
+        roleType: row.role_type,
+        permission: row.permission,
+        row
+      }))
+    ];
+
+    // Mappings without author predate provenance columns: look them up in the history
+    const origins = grants.some(grant => grant.row.created_by === null)
+      ? await getHistoryOrigins(dashboardId, tenant, subtenant)
+      : {};
+
+    const explained = grants.map(({ row, ...grant }) => {
+      const key = grant.type === 'User'
+        ? grantKey('User', grant.ref)
+        : grantKey(grant.type === 'Profile' ? 'PROFILE' : 'ROLE', grant.ref);
+      const origin = row.created_by === null ? origins[key] : null;
+
+      if (origin) {
+        return { ...grant, addedAt: origin.addedAt, addedBy: origin.addedBy, addedSource: ADDED_SOURCES.HISTORY };
+      }
+      return {
+        ...grant,
+        addedAt: row.created_at || null,
+        addedBy: row.created_by,
+        addedSource: row.created_at || row.created_by !== null ? ADDED_SOURCES.MAPPING : null
+      };
+    });
+
+    const authorLabels = await Dashboard.getUserLabels(explained.map(grant => grant.addedBy), tenant, subtenant);
+    const rank = Math.max(0, ...explained.map(grant => PERMISSIONS.indexOf(grant.permission) + 1));
+
+    return {
+      dashboard,
+      user,
+      hasAccess: explained.length > 0,
+      permission: PERMISSIONS[rank - 1] || null,
+      grants: explained.map(grant => ({
+        ...grant,
+        addedByName: grant.addedBy !== null && grant.addedBy !== undefined
+          ? authorLabels[grant.addedBy] || `User ${grant.addedBy}`
+          : null
+      }))
+    };
+  }
+};
+
+export default AccessExplanation;
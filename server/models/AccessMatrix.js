@@ -0,0 +1,192 @@
+/**
+ * Access Matrix Model
+ *
+ * Which users can open which dashboards, for the whole subtenant. Each cell
+ * lists how the user got access: a direct User assignment, a Profile rule
+ * for the user's profile or a Role rule for one of the user's roles.
+ * Only active users with access to at least one dashboard outside Trash are listed.
+ *
+ * Tables used:
+ * - idx2_dashboard: Dashboards (Trash excluded)
+ * - idx2_dashboard_user_map: Direct User assignments
+ * - idx2_dashboard_access_rule, idx_role_user_map: Profile/Role rules
+ * - idx_users, idx_identity_profile: Users and profile names
+ */
+
+import { pool } from '../config/db.js';
+import { likeContains } from '../utils/sql.js';
+import UserDisplayName from './UserDisplayName.js';
+
+// Access sources, in the order they are listed in a cell
+export const ACCESS_SOURCES = ['User', 'Profile', 'Role'];
+
+// Active users of the tenant (alias u); profile filter appended by buildGrantsQuery
+const ACTIVE_USER = `
+  u.tenant = d.tenant AND u.subtenant = d.subtenant
+  AND (u.isdeleted = '0' OR u.isdeleted IS NULL OR u.isdeleted = 0)
+  AND u.status = 'ACTIVE'
+`;
+
+/**
+ * One row per (user, dashboard, source) grant, optionally limited to profiles and users
+ */
+const buildGrantsQuery = (tenant, subtenant, profileIds, userIds = null) => {
+  let profileCondition = profileIds.length > 0
+    ? `AND u.profile IN (${profileIds.map(() => '?').join(',')})`
+    : '';
+  let filterParams = profileIds;
+
+  if (userIds) {
+    profileCondition += ` AND u.id IN (${userIds.map(() => '?').join(',')})`;
+    filterParams = [...profileIds, ...userIds];
+  }
+
+  const query = `
+    SELECT dum.user AS user_id, d.id AS dashboard_id, 'User' AS source
+    FROM idx2_dashboard_user_map dum
+    JOIN idx2_dashboard d ON dum.dashboard = d.id AND dum.tenant = d.tenant AND dum.subtenant = d.subtenant
+    JOIN idx_users u ON dum.user = u.id AND ${ACTIVE_USER}
+    WHERE d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL ${profileCondition}
+
+    UNION
+
+    SELECT u.id AS user_id, d.id AS dashboard_id, 'Profile' AS source
+    FROM idx2_dashboard_access_rule r
+    JOIN idx2_dashboard d ON r.dashboard = d.id AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    JOIN idx_users u ON u.profile = r.rule_ref AND ${ACTIVE_USER}
+    WHERE r.rule_type = 'PROFILE' AND d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL ${profileCondition}
+
+    UNION
+
+    SELECT u.id AS user_id, d.id AS dashboard_id, 'Role' AS source
+    FROM idx2_dashboard_access_rule r
+    JOIN idx2_dashboard d ON r.dashboard = d.id AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    JOIN idx_role_user_map rum ON rum.role = r.rule_ref AND rum.tenant = r.tenant AND rum.subtenant = r.subtenant
+    JOIN idx_users u ON rum.user = u.id AND ${ACTIVE_USER}
+    WHERE r.rule_type = 'ROLE' AND d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL ${profileCondition}
+  `;
+
+  const params = [tenant, subtenant, ...filterParams];
+  return { query, params: [...params, ...params, ...params] };
+};
+
+/**
+ * Users with at least one grant, joined with their profile, plus the search condition
+ * search matches the profile name, "User <id>" or any userAttrs value (display names
+ * are one of those values); the JSON is lowercased for a case-insensitive match.
+ */
+const buildUsersQuery = (tenant, subtenant, profileIds, search) => {
+  const grants = buildGrantsQuery(tenant, subtenant, profileIds);
+  let query = `
+    FROM idx_users u
+    LEFT JOIN idx_identity_profile ip ON u.profile = ip.id AND u.tenant = ip.tenant AND u.subtenant = ip.subtenant
+    WHERE u.tenant = ? AND u.subtenant = ?
+    AND u.id IN (SELECT g.user_id FROM (${grants.query}) g)
+  `;
+  const params = [tenant, subtenant, ...grants.params];
+
+  const term = search.trim().toLowerCase();
+  if (term) {
+    const pattern = likeContains(term);
+    query += `
+      AND (
+        ip.profile_name LIKE ? ESCAPE '!'
+        OR CONCAT('user ', u.id) LIKE ? ESCAPE '!'
+        OR (CASE WHEN JSON_VALID(u.userAttrs)
+            THEN JSON_SEARCH(LOWER(u.userAttrs), 'one', ?, '!', '$[*].attrval') END) IS NOT NULL
+      )
+    `;
+    params.push(pattern, pattern, pattern);
+  }
+
+  return { query, params };
+};
+
+const AccessMatrix = {
+  /**
+   * Get the access matrix
+   *
+   * Options: { profileIds, search, page, pageSize } - search matches user names
+   * (any user attribute) and profile names; without page all users are returned
+   * Returns: { dashboards: [{ id, name }],
+   *            users: [{ userId, userName, profileId, profile, access: { [dashboardId]: [source] } }],
+   *            total }
+   * Users are sorted by profile and user id.
+   */
+  async get(tenant, subtenant, { profileIds = [], search = '', page = null, pageSize = 50 } = {}) {
+    const [dashboards] = await pool.execute(
+      `SELECT id, dashboard_name AS name
+       FROM idx2_dashboard
+       WHERE tenant = ? AND subtenant = ? AND deleted_at IS NULL
+       ORDER BY dashboard_name, id`,
+      [tenant, subtenant]
+    );
+
+    const users = buildUsersQuery(tenant, subtenant, profileIds, search);
+
+    const [countRows] = await pool.execute(`SELECT COUNT(*) AS total ${users.query}`, users.params);
+    const total = Number(countRows[0].total);
+
+    // LIMIT/OFFSET are validated integers, inlined because execute() rejects them as placeholders
+    const limitClause = page ? `LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}` : '';
+    const [userRows] = await pool.execute(
+      `SELECT u.id, u.profile AS profile_id, u.userAttrs, ip.profile_name
+       ${users.query}
+       ORDER BY ip.profile_name, u.id
+       ${limitClause}`,
+      users.params
+    );
+
+    if (userRows.length === 0) {
+      return { dashboards, users: [], total };
+    }
+
+    const { query, params } = buildGrantsQuery(tenant, subtenant, profileIds, userRows.map(row => row.id));
+    const [grants] = await pool.execute(query, params);
+
+    // user id -> { [dashboardId]: Set(source) }
+    const accessByUser = new Map();
+    grants.forEach(({ user_id, dashboard_id, source }) => {
+      const key = String(user_id);
+      if (!accessByUser.has(key)) accessByUser.set(key, {});
+      const access = accessByUser.get(key);
+      (access[dashboard_id] = access[dashboard_id] || new Set()).add(source);
+    });
+
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+
+    return {
+      dashboards,
+      users: userRows.map(row => {
+        const access = {};
+        Object.entries(accessByUser.get(String(row.id)) || {}).forEach(([dashboardId, sources]) => {
+          access[dashboardId] = ACCESS_SOURCES.filter(source => sources.has(source));
+        });
+        return {
+          userId: row.id,
+          userName: displayName(row.id, row.profile_id, row.userAttrs),
+          profileId: row.profile_id,
+          profile: row.profile_name || `Profile ${row.profile_id}`,
+          access
+        };
+      }),
+      total
+    };
+  },
+
+  /**
+   * Get the profiles of the tenant (for the profile filter)
+   */
+  async getProfiles(tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, profile_name AS name
+       FROM idx_identity_profile
+       WHERE tenant = ? AND subtenant = ?
+       ORDER BY profile_name`,
+      [tenant, subtenant]
+    );
+    return rows;
+  }
+};
+
+export default AccessMatrix;
@@ -0,0 +1,237 @@
+/**
+ * Audit Log Model
+ *
+ * Append-only audit trail of dashboard and access mutations:
+ * who (actor) did what (action) to which target, with a before/after summary.
+ *
+ * Tables used:
+ * - idx2_audit_log: Audit entries
+ */
+
+import { pool } from '../config/db.js';
+import { likeContains } from '../utils/sql.js';
+
+// Audited actions
+export const AUDIT_ACTIONS = {
+  DASHBOARD_CREATE: 'DASHBOARD_CREATE',
+  DASHBOARD_UPDATE: 'DASHBOARD_UPDATE',
+  DASHBOARD_CLONE: 'DASHBOARD_CLONE',
+  DASHBOARD_IMPORT: 'DASHBOARD_IMPORT',
+  DASHBOARD_DELETE: 'DASHBOARD_DELETE',
+  DASHBOARD_RESTORE: 'DASHBOARD_RESTORE',
+  DASHBOARD_PURGE: 'DASHBOARD_PURGE',
+  DASHBOARD_REVERT: 'DASHBOARD_REVERT',
+  ACCESS_GRANT: 'ACCESS_GRANT',
+  ACCESS_REVOKE: 'ACCESS_REVOKE'
+};
+
+// Columns returned by queries and exports
+const AUDIT_COLUMNS = `
+  id, actor, actor_name, actor_role, action, target_type, target_id, target_name,
+  summary, before_state, after_state, ip_address, created_at
+`;
+
+// Upper bound for a single CSV export
+const MAX_EXPORT_ROWS = 50000;
+
+/**
+ * Parse a JSON column value
+ */
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return null;
+  }
+};
+
+const toEntry = (row) => ({
+  id: row.id,
+  actor: row.actor,
+  actorName: row.actor_name,
+  actorRole: row.actor_role,
+  action: row.action,
+  targetType: row.target_type,
+  targetId: row.target_id,
+  targetName: row.target_name,
+  summary: row.summary,
+  before: parseJson(row.before_state),
+  after: parseJson(row.after_state),
+  ipAddress: row.ip_address,
+  createdAt: row.created_at
+});
+
+/**
+ * Build the WHERE clause for audit filters
+ * Filters: { action, actor, targetType, targetId, from, to, search }
+ */
+const buildFilter = (tenant, subtenant, filters = {}) => {
+  const conditions = ['tenant = ?', 'subtenant = ?'];
+  const params = [tenant, subtenant];
+
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.actor) {
+    conditions.push('actor = ?');
+    params.push(filters.actor);
+  }
+  if (filters.targetType) {
+    conditions.push('target_type = ?');
+    params.push(filters.targetType);
+  }
+  if (filters.targetId) {
+    conditions.push('target_id = ?');
+    params.push(filters.targetId);
+  }
+  if (filters.from) {
+    conditions.push('created_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('created_at <= ?');
+    params.push(filters.to);
+  }
+  if (filters.search) {
+    const pattern = likeContains(filters.search);
+    conditions.push(`(target_name LIKE ? ESCAPE '!' OR actor_name LIKE ? ESCAPE '!' OR summary LIKE ? ESCAPE '!')`);
+    params.push(pattern, pattern, pattern);
+  }
+
+  return { whereClause: conditions.join(' AND '), params };
+};
+
+const AuditLog = {
+  /**
+   * Record an audit entry
+   * Pass the connection of an open transaction to write it as part of that transaction.
+   *
+   * Entry: { tenant, subtenant, actor, actorName, actorRole, action,
+   *          targetType, targetId, targetName, summary, before, after, ipAddress }
+   */
+  async record(entry, connection = pool) {
+    const query = `
+      INSERT INTO idx2_audit_log
+        (tenant, subtenant, actor, actor_name, actor_role, action, target_type, target_id,
+         target_name, summary, before_state, after_state, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    await connection.execute(query, [
+      entry.tenant,
+      entry.subtenant,
+      entry.actor || null,
+      entry.actorName || null,
+      entry.actorRole || null,
+      entry.action,
+      entry.targetType,
+      entry.targetId || null,
+      entry.targetName || null,
+      entry.summary ? String(entry.summary).slice(0, 2000) : null,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null,
+      entry.ipAddress || null
+    ]);
+  },
+
+  /**
+   * Get audit entries, newest first
+   *
+   * Options: filters plus { page, pageSize }
+   * Returns: { entries, total }
+   */
+  async getAll(tenant, subtenant, { page = 1, pageSize = 50, ...filters } = {}) {
+    const { whereClause, params } = buildFilter(tenant, subtenant, filters);
+
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) AS total FROM idx2_audit_log WHERE ${whereClause}`,
+      params
+    );
+
+    // LIMIT/OFFSET are validated integers, inlined because execute() rejects them as placeholders
+    const offset = (page - 1) * pageSize;
+
+    const [rows] = await pool.execute(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM idx2_audit_log
+       WHERE ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${pageSize} OFFSET ${offset}`,
+      params
+    );
+
+    return { entries: rows.map(toEntry), total: countRows[0].total };
+  },
+
+  /**
+   * Get all audit entries matching the filters (for CSV export)
+   */
+  async getForExport(tenant, subtenant, filters = {}) {
+    const { whereClause, params } = buildFilter(tenant, subtenant, filters);
+
+    const [rows] = await pool.execute(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM idx2_audit_log
+       WHERE ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${MAX_EXPORT_ROWS}`,
+      params
+    );
+
+    return rows.map(toEntry);
+  },
+
+  /**
+   * Compact before/after state of a dashboard revision snapshot
+   */
+  summarizeDashboard(snapshot) {
+    if (!snapshot) return null;
+
+    return {
+      name: snapshot.dashboardName,
+      description: snapshot.dashboardDesc,
+      predefinedWidgets: (snapshot.widgetCfg || []).filter(w => w.status === 'true').map(w => w.dwname),
+      filters: (snapshot.filters || []).map(filter => filter.key),
+      customWidgets: (snapshot.customWidgets || []).map(w => w.widgetId),
+      users: snapshot.users || [],
+      userPermissions: snapshot.userPermissions || {},
+      accessRules: snapshot.accessRules || []
+    };
+  },
+
+  /**
+   * Describe snapshot changes (see diffSnapshots) as one line of text
+   * userLabels: { [userId]: displayName }
+   */
+  describeChanges(changes, userLabels = {}) {
+    const userList = (ids) => ids.map(id => userLabels[id] || `User ${id}`).join(', ');
+    const ruleList = (rules) => rules.map(rule => `${rule.ruleType} ${rule.ruleRef}`).join(', ');
+    const parts = [];
+
+    if (changes.nameChanged) {
+      parts.push(`Renamed "${changes.nameChanged.from}" to "${changes.nameChanged.to}"`);
+    }
+    if (changes.descriptionChanged) parts.push('Description changed');
+    if (changes.filtersChanged) parts.push('Filters changed');
+    if (changes.predefinedAdded.length) parts.push(`Widgets added: ${changes.predefinedAdded.join(', ')}`);
+    if (changes.predefinedRemoved.length) parts.push(`Widgets removed: ${changes.predefinedRemoved.join(', ')}`);
+    if (changes.widgetsAdded.length) parts.push(`Custom widgets added: ${changes.widgetsAdded.join(', ')}`);
+    if (changes.widgetsRemoved.length) parts.push(`Custom widgets removed: ${changes.widgetsRemoved.join(', ')}`);
+    if (changes.usersGranted.length) parts.push(`Access granted: ${userList(changes.usersGranted)}`);
+    if (changes.usersRevoked.length) parts.push(`Access revoked: ${userList(changes.usersRevoked)}`);
+    if (changes.rulesAdded.length) parts.push(`Rules added: ${ruleList(changes.rulesAdded)}`);
+    if (changes.rulesRemoved.length) parts.push(`Rules removed: ${ruleList(changes.rulesRemoved)}`);
+    if (changes.permissionsChanged.length) {
+      parts.push(`Permissions changed: ${changes.permissionsChanged.map(change => {
+        const grant = change.ruleType === 'USER' ? (userLabels[change.ruleRef] || `User ${change.ruleRef}`) : `${change.ruleType} ${change.ruleRef}`;
+        return `${grant} ${change.from} to ${change.to}`;
+      }).join(', ')}`);
+    }
+    if (changes.layoutChanged) parts.push('Layout changed');
+
+    return parts.length > 0 ? parts.join('; ') : 'No changes';
+  }
+};
+
+export default AuditLog;
@@ -0,0 +1,221 @@
+/**
+ * Auth Token Model
+ *
+ * Server-side state of signed-in sessions:
+ * - Refresh tokens: random opaque tokens, stored as SHA-256 hashes and rotated on
+ *   every use. Tokens rotated from the same sign-in share a family. Presenting a
+ *   refresh token that was already used revokes the whole family, since one of
+ *   the copies must have leaked. A family ends REFRESH_SESSION_MAX_DAYS after
+ *   its sign-in, however often it is rotated.
+ * - Revoked access tokens: the jti of access tokens revoked before they expire
+ *   (e.g. on logout), checked by authenticateToken.
+ *
+ * Rows are kept until they expire and are then removed by purgeExpired.
+ *
+ * Tables used:
+ * - idx2_auth_refresh_token: Refresh tokens (see server/sql/012_auth_tokens.sql)
+ * - idx2_auth_revoked_token: Revocation list of access tokens
+ */
+
+import crypto from 'node:crypto';
+import { pool } from '../config/db.js';
+
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+export const REFRESH_SESSION_MAX_DAYS = parseInt(process.env.REFRESH_SESSION_MAX_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a refresh token was refused
+export const REFRESH_ERRORS = {
+  INVALID: 'invalid',
+  EXPIRED: 'expired',
+  REUSED: 'reused',
+  INACTIVE: 'inactive'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toSession = (row) => ({
+  tenant: row.tenant,
+  subtenant: row.subtenant,
+  tenantCode: row.tenant_code,
+  subtenantCode: row.subtenant_code,
+  userId: row.user,
+  role: row.role
+});
+
+/**
+ * Store a new refresh token of a family and return it (only its hash is stored)
+ * The token expires after REFRESH_TOKEN_TTL_DAYS, but not after the family's maximum lifetime.
+ */
+const insertRefreshToken = async (executor, family, session, sessionStartedAt = new Date()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Math.min(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS,
+    sessionStartedAt.getTime() + REFRESH_SESSION_MAX_DAYS * DAY_MS
+  ));
+
+  await executor.execute(
+    `INSERT INTO idx2_auth_refresh_token
+     (token_hash, family, tenant, subtenant, tenant_code, subtenant_code, user, role, session_started_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      hashToken(refreshToken),
+      family,
+      session.tenant,
+      session.subtenant,
+      session.tenantCode,
+      session.subtenantCode,
+      session.userId,
+      session.role,
+      sessionStartedAt,
+      expiresAt
+    ]
+  );
+
+  return { refreshToken, refreshExpiresAt: expiresAt };
+};
+
+const AuthToken = {
+  /**
+   * Start a refresh token family for a new sign-in
+   *
+   * session: { tenant, subtenant, tenantCode, subtenantCode, userId, role }
+   * Returns { refreshToken, refreshExpiresAt }
+   */
+  async issueRefreshToken(session) {
+    return insertRefreshToken(pool, crypto.randomUUID(), session);
+  },
+
+  /**
+   * Exchange a refresh token for the next one of its family
+   *
+   * checkSession(session) re-checks the stored session: it resolves to the session
+   * to continue with (e.g. with the user's current role), or null to end the family.
+   * Returns { session, refreshToken, refreshExpiresAt } or { error } (see REFRESH_ERRORS).
+   * A token that was already used revokes its family.
+   */
+  async rotateRefreshToken(refreshToken, checkSession = async (session) => session) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, family, tenant, subtenant, tenant_code, subtenant_code, user, role,
+         session_started_at, expires_at <= NOW() AS expired, revoked_at
+         FROM idx2_auth_refresh_token
+         WHERE token_hash = ?
+         FOR UPDATE`,
+        [hashToken(refreshToken)]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        return { error: REFRESH_ERRORS.INVALID };
+      }
+
+      const row = rows[0];
+
+      if (row.revoked_at) {
+        await connection.execute(
+          'UPDATE idx2_auth_refresh_token SET revoked_at = NOW() WHERE family = ? AND revoked_at IS NULL',
+          [row.family]
+        );
+        await connection.commit();
+        return { error: REFRESH_ERRORS.REUSED, session: toSession(row) };
+      }
+
+      if (Number(row.expired) === 1) {
+        await connection.rollback();
+        return { error: REFRESH_ERRORS.EXPIRED };
+      }
+
+      const session = await checkSession(toSession(row));
+
+      if (!session) {
+        await connection.execute(
+          'UPDATE idx2_auth_refresh_token SET revoked_at = NOW() WHERE family = ? AND revoked_at IS NULL',
+          [row.family]
+        );
+        await connection.commit();
+        return { error: REFRESH_ERRORS.INACTIVE };
+      }
+
+      await connection.execute(
+        'UPDATE idx2_auth_refresh_token SET revoked_at = NOW() WHERE id = ?',
+        [row.id]
+      );
+
+      const next = await insertRefreshToken(connection, row.family, session, new Date(row.session_started_at));
+
+      await connection.commit();
+      return { session, ...next };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Revoke the family of a refresh token (ends that sign-in)
+   * Only tokens of the given user are revoked. Returns true if the token was found.
+   */
+  async revokeRefreshToken(refreshToken, tenant, subtenant, userId) {
+    const [rows] = await pool.execute(
+      `SELECT family FROM idx2_auth_refresh_token
+       WHERE token_hash = ? AND tenant = ? AND subtenant = ? AND user = ?`,
+      [hashToken(refreshToken), tenant, subtenant, userId]
+    );
+
+    if (rows.length === 0) {
+      return false;
+    }
+
+    await pool.execute(
+      'UPDATE idx2_auth_refresh_token SET revoked_at = NOW() WHERE family = ? AND revoked_at IS NULL',
+      [rows[0].family]
+    );
+    return true;
+  },
+
+  /**
+   * Add an access token to the revocation list until it expires
+   * expiresAt: Date the token expires (exp claim)
+   */
+  async revokeAccessToken(jti, expiresAt, tenant, subtenant, userId) {
+    await pool.execute(
+      `INSERT IGNORE INTO idx2_auth_revoked_token (jti, tenant, subtenant, user, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [jti, tenant ?? null, subtenant ?? null, userId ?? null, expiresAt]
+    );
+  },
+
+  /**
+   * Check whether an access token is on the revocation list
+   */
+  async isAccessTokenRevoked(jti) {
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM idx2_auth_revoked_token WHERE jti = ? LIMIT 1',
+      [jti]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Delete expired refresh tokens and revoked access tokens that have expired
+   * Returns the number of deleted rows
+   */
+  async purgeExpired() {
+    const [refreshResult] = await pool.execute(
+      'DELETE FROM idx2_auth_refresh_token WHERE expires_at < NOW()'
+    );
+    const [revokedResult] = await pool.execute(
+      'DELETE FROM idx2_auth_revoked_token WHERE expires_at < NOW()'
+    );
+    return refreshResult.affectedRows + revokedResult.affectedRows;
+  }
+};
+
+export default AuthToken;
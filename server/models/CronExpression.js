@@ -0,0 +1,173 @@
+/**
+ * Cron Expression
+ *
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * evaluated in server time, as used by report schedules.
+ *
+ * Each field accepts "*", numbers, ranges ("1-5"), lists ("1,15") and steps
+ * ("*\/15", "0-30/10"). Day of week is 0-7 (0 and 7 are Sunday). As in cron,
+ * when both day fields are restricted a day matching either one runs.
+ * The shortcuts @hourly, @daily, @weekly and @monthly are accepted.
+ */
+
+export const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 6 * * *',
+  '@weekly': '0 6 * * 1',
+  '@monthly': '0 6 1 * *'
+};
+
+// [name, min, max] per field
+const FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['day of month', 1, 31],
+  ['month', 1, 12],
+  ['day of week', 0, 7]
+];
+
+// Upper bound when searching for the next run (impossible dates such as 31 February)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one field into the set of allowed values.
+ * Returns { values, any } or { error }.
+ */
+const parseField = (text, [name, min, max]) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      return { error: `Invalid ${name} "${part}"` };
+    }
+
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (to === undefined) {
+      // "5/10" runs from 5 to the end of the range
+      to = match[2] ? max : from;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (from < min || to > max || from > to) {
+      return { error: `The ${name} must be between ${min} and ${max}` };
+    }
+    if (step < 1) {
+      return { error: `Invalid ${name} step "${part}"` };
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any: text === '*' };
+};
+
+/**
+ * Parse a cron expression.
+ * Returns { minutes, hours, days, months, weekdays, anyDay, anyWeekday } or { error }.
+ */
+export const parseCron = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    return { error: 'Schedule is required' };
+  }
+
+  const text = CRON_PRESETS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: 'Schedule must have 5 fields: minute hour day-of-month month day-of-week' };
+  }
+
+  const fields = [];
+  for (const [index, part] of parts.entries()) {
+    const field = parseField(part, FIELDS[index]);
+    if (field.error) {
+      return { error: field.error };
+    }
+    fields.push(field);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields;
+
+  // 7 is Sunday as well
+  if (weekdays.values.has(7)) {
+    weekdays.values.add(0);
+  }
+
+  return {
+    minutes: minutes.values,
+    hours: hours.values,
+    days: days.values,
+    months: months.values,
+    weekdays: weekdays.values,
+    anyDay: days.any,
+    anyWeekday: weekdays.any
+  };
+};
+
+/**
+ * Check a cron expression. Returns an error message or null.
+ */
+export const validateCron = (expression) => {
+  const parsed = parseCron(expression);
+  if (parsed.error) {
+    return parsed.error;
+  }
+  if (!nextRunAt(expression)) {
+    return 'Schedule never runs';
+  }
+  return null;
+};
+
+const matchesDay = (cron, date) => {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatch && weekdayMatch;
+  }
+  return dayMatch || weekdayMatch;
+};
+
+/**
+ * Next time after `from` that the expression runs (whole minutes, server time).
+ * Returns a Date, or null for invalid expressions or dates that never occur.
+ */
+export const nextRunAt = (expression, from = new Date()) => {
+  const cron = parseCron(expression);
+  if (cron.error) {
+    return null;
+  }
+
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
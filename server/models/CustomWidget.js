@@ -0,0 +1,315 @@
+/**
+ * Custom Widget Model
+ *
+ * Database operations for tenant custom widgets. A widget has a data URL
+ * (widget_url), a chart type (widget_chart), optional query parameters
+ * applied to the data request (widget_filter) and a data cache lifetime
+ * (cache_ttl_seconds, see WidgetDataCache).
+ *
+ * Tables used:
+ * - idx2_dashboard_widget: Custom widgets
+ * - idx2_dashboard_widget_map: Dashboards using a widget
+ * - idx2_dashboard: Dashboard names for usage lists
+ */
+
+import { pool } from '../config/db.js';
+import DashboardRevision from './DashboardRevision.js';
+
+// Chart types the dashboard viewer renders (see src/utils/widgetData.js)
+export const WIDGET_CHART_TYPES = ['bar', 'pie', 'line', 'table', 'kpi'];
+
+const MAX_NAME_LENGTH = 255;
+const MAX_URL_LENGTH = 2000;
+const MAX_FILTER_LENGTH = 2000;
+const MAX_CACHE_TTL_SECONDS = 86400;
+
+/**
+ * Parse widget_filter: a JSON object or a query string.
+ * Returns the key/value object, or null if the filter is malformed.
+ */
+export const parseWidgetFilter = (widgetFilter) => {
+  const raw = widgetFilter.trim();
+
+  if (raw.startsWith('{') || raw.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const params = new URLSearchParams(raw.replace(/^\?/, ''));
+  const filter = {};
+  for (const [key, value] of params) {
+    if (!key.trim()) return null;
+    filter[key] = value;
+  }
+  return filter;
+};
+
+/**
+ * Check widget fields from the client ({ widgetName, widgetDesc, widgetUrl, widgetChart, widgetFilter, cacheTtl }).
+ * cacheTtl is in seconds; empty uses the default TTL, 0 disables caching.
+ * Returns an error message or null.
+ */
+export const validateWidget = ({ widgetName, widgetDesc, widgetUrl, widgetChart, widgetFilter, cacheTtl }) => {
+  if (typeof widgetName !== 'string' || widgetName.trim() === '') {
+    return 'Widget name is required';
+  }
+  if (widgetName.trim().length > MAX_NAME_LENGTH) {
+    return `Widget name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (widgetDesc !== undefined && widgetDesc !== null && typeof widgetDesc !== 'string') {
+    return 'Widget description must be text';
+  }
+
+  // widget_url: a same-origin path or an absolute http(s) URL
+  if (typeof widgetUrl !== 'string' || widgetUrl.trim() === '') {
+    return 'Widget URL is required';
+  }
+  const url = widgetUrl.trim();
+  if (url.length > MAX_URL_LENGTH) {
+    return `Widget URL must be at most ${MAX_URL_LENGTH} characters`;
+  }
+  // URL parsing turns "\" into "/" and drops tabs and newlines, so "/\host" would be another host
+  if (/[\\\u0000-\u0020\u007f]/.test(url)) {
+    return 'Widget URL must not contain backslashes, spaces or control characters';
+  }
+  if (url.startsWith('/')) {
+    if (url.startsWith('//')) {
+      return 'Widget URL must be a path starting with / or an http(s) URL';
+    }
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return 'Widget URL must be a path starting with / or an http(s) URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return 'Widget URL must use http or https';
+    }
+  }
+
+  if (typeof widgetChart !== 'string' || !WIDGET_CHART_TYPES.includes(widgetChart.trim().toLowerCase())) {
+    return `Widget chart must be one of ${WIDGET_CHART_TYPES.join(', ')}`;
+  }
+
+  // widget_filter: optional JSON object or query string with scalar values
+  if (widgetFilter !== undefined && widgetFilter !== null && widgetFilter !== '') {
+    if (typeof widgetFilter !== 'string') {
+      return 'Widget filter must be a JSON object or query string';
+    }
+    if (widgetFilter.length > MAX_FILTER_LENGTH) {
+      return `Widget filter must be at most ${MAX_FILTER_LENGTH} characters`;
+    }
+    const filter = parseWidgetFilter(widgetFilter);
+    if (!filter) {
+      return 'Widget filter must be a JSON object or query string';
+    }
+    const invalidKey = Object.keys(filter).find(key => {
+      const value = filter[key];
+      const isScalar = (item) => item === null || ['string', 'number', 'boolean'].includes(typeof item);
+      return Array.isArray(value) ? !value.every(isScalar) : !isScalar(value);
+    });
+    if (invalidKey) {
+      return `Widget filter value for "${invalidKey}" must be text, a number, a boolean or a list of those`;
+    }
+  }
+
+  if (cacheTtl !== undefined && cacheTtl !== null && cacheTtl !== '') {
+    const ttl = Number(cacheTtl);
+    if (!Number.isInteger(ttl) || ttl < 0 || ttl > MAX_CACHE_TTL_SECONDS) {
+      return `Cache TTL must be a whole number of seconds between 0 and ${MAX_CACHE_TTL_SECONDS}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map client fields to column values
+ */
+const toColumns = ({ widgetName, widgetDesc, widgetUrl, widgetChart, widgetFilter, cacheTtl }) => ({
+  widget_name: widgetName.trim(),
+  widget_desc: (widgetDesc || '').trim(),
+  widget_url: widgetUrl.trim(),
+  widget_chart: widgetChart.trim().toLowerCase(),
+  widget_filter: widgetFilter ? widgetFilter.trim() : null,
+  cache_ttl_seconds: cacheTtl !== undefined && cacheTtl !== null && cacheTtl !== '' ? Number(cacheTtl) : null
+});
+
+const CustomWidget = {
+  /**
+   * Get all custom widgets with the number of dashboards using each
+   */
+  async getAll(tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT w.id, w.widget_name, w.widget_desc, w.widget_url, w.widget_chart, w.widget_filter,
+              w.cache_ttl_seconds, COUNT(dwm.id) AS usage_count
+       FROM idx2_dashboard_widget w
+       LEFT JOIN idx2_dashboard_widget_map dwm
+         ON dwm.widget = w.id AND dwm.tenant = w.tenant AND dwm.subtenant = w.subtenant
+       WHERE w.tenant = ? AND w.subtenant = ?
+       GROUP BY w.id, w.widget_name, w.widget_desc, w.widget_url, w.widget_chart, w.widget_filter, w.cache_ttl_seconds
+       ORDER BY w.widget_name`,
+      [tenant, subtenant]
+    );
+    return rows;
+  },
+
+  /**
+   * Get a custom widget by ID
+   */
+  async getById(id, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, widget_name, widget_desc, widget_url, widget_chart, widget_filter, cache_ttl_seconds
+       FROM idx2_dashboard_widget
+       WHERE id = ? AND tenant = ? AND subtenant = ?`,
+      [id, tenant, subtenant]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Check whether another widget of the tenant has this name
+   * (names identify widgets in export bundles)
+   */
+  async nameExists(widgetName, tenant, subtenant, excludeId = null) {
+    const [rows] = await pool.execute(
+      `SELECT id FROM idx2_dashboard_widget
+       WHERE widget_name = ? AND tenant = ? AND subtenant = ? AND id <> ?`,
+      [widgetName.trim(), tenant, subtenant, excludeId || 0]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Get the dashboards (including those in Trash) that use a widget
+   */
+  async getUsage(id, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT DISTINCT d.id, d.dashboard_name, d.deleted_at
+       FROM idx2_dashboard_widget_map dwm
+       JOIN idx2_dashboard d ON dwm.dashboard = d.id AND dwm.tenant = d.tenant AND dwm.subtenant = d.subtenant
+       WHERE dwm.widget = ? AND dwm.tenant = ? AND dwm.subtenant = ?
+       ORDER BY d.dashboard_name`,
+      [id, tenant, subtenant]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      dashboardName: row.dashboard_name,
+      inTrash: Boolean(row.deleted_at)
+    }));
+  },
+
+  /**
+   * Create a custom widget
+   */
+  async create(widgetData, tenant, subtenant) {
+    const columns = toColumns(widgetData);
+
+    const [result] = await pool.execute(
+      `INSERT INTO idx2_dashboard_widget
+         (tenant, subtenant, widget_name, widget_desc, widget_url, widget_chart, widget_filter, cache_ttl_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenant,
+        subtenant,
+        columns.widget_name,
+        columns.widget_desc,
+        columns.widget_url,
+        columns.widget_chart,
+        columns.widget_filter,
+        columns.cache_ttl_seconds
+      ]
+    );
+
+    return { id: result.insertId, ...columns };
+  },
+
+  /**
+   * Update a custom widget
+   * Returns null if the widget does not exist
+   */
+  async update(id, widgetData, tenant, subtenant) {
+    const columns = toColumns(widgetData);
+
+    const [result] = await pool.execute(
+      `UPDATE idx2_dashboard_widget
+       SET widget_name = ?, widget_desc = ?, widget_url = ?, widget_chart = ?, widget_filter = ?,
+           cache_ttl_seconds = ?
+       WHERE id = ? AND tenant = ? AND subtenant = ?`,
+      [
+        columns.widget_name,
+        columns.widget_desc,
+        columns.widget_url,
+        columns.widget_chart,
+        columns.widget_filter,
+        columns.cache_ttl_seconds,
+        id,
+        tenant,
+        subtenant
+      ]
+    );
+
+    return result.affectedRows > 0 ? { id: Number(id), ...columns } : null;
+  },
+
+  /**
+   * Delete a custom widget and remove it from the dashboards using it.
+   * Each affected dashboard outside Trash gets a revision for the change.
+   * Returns the number of dashboards it was removed from, or null if the widget does not exist.
+   */
+  async delete(id, author, tenant, subtenant) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [dashboards] = await connection.execute(
+        `SELECT DISTINCT d.id, d.deleted_at
+         FROM idx2_dashboard_widget_map dwm
+         JOIN idx2_dashboard d ON dwm.dashboard = d.id AND dwm.tenant = d.tenant AND dwm.subtenant = d.subtenant
+         WHERE dwm.widget = ? AND dwm.tenant = ? AND dwm.subtenant = ?`,
+        [id, tenant, subtenant]
+      );
+      const activeDashboardIds = dashboards.filter(d => !d.deleted_at).map(d => d.id);
+
+      for (const dashboardId of activeDashboardIds) {
+        await DashboardRevision.ensureBaseline(connection, dashboardId, tenant, subtenant);
+      }
+
+      await connection.execute(
+        'DELETE FROM idx2_dashboard_widget_map WHERE widget = ? AND tenant = ? AND subtenant = ?',
+        [id, tenant, subtenant]
+      );
+
+      const [result] = await connection.execute(
+        'DELETE FROM idx2_dashboard_widget WHERE id = ? AND tenant = ? AND subtenant = ?',
+        [id, tenant, subtenant]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      for (const dashboardId of activeDashboardIds) {
+        await DashboardRevision.record(connection, dashboardId, author, tenant, subtenant);
+      }
+
+      await connection.commit();
+      return dashboards.length;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+export default CustomWidget;
@@ -4,15 +4,30 @@
  * Database operations for Custom Dashboard feature.
  *
  * Tables used:
- * - idx2_dashboard: Main dashboard (name, desc, widget_cfg JSON)
- * - idx2_dashboard_widget_map: Links dashboards to custom widgets
- * - idx2_dashboard_user_map: Links dashboards to users (access control)
+ * - idx2_dashboard: Main dashboard (name, desc, widget_cfg JSON, dashboard_filters JSON, deleted_at for Trash)
+ * - idx2_dashboard_widget_map: Links dashboards to custom widgets (with grid position/size)
+ * - idx2_dashboard_user_map: Links dashboards to users (direct User access rules, with permission level)
+ * - idx2_dashboard_access_rule: Profile/Role access rules (with permission level), resolved to users on read
+ * - idx2_dashboard_revision: Revision history (see DashboardRevision model)
+ * - idx2_dashboard_report_schedule: Report schedules (removed on purge)
  * - idx_users: User information
+ * - idx_roles / idx_role_user_map: Roles and memberships (used to resolve Role rules)
  * - idx_identity_profile: Profile names
- * - idx_identity_profile_attrcfg: Profile attribute config (display_attr)
+ * - idx_identity_profile_attrcfg: Profile attribute config (display_attr, see UserDisplayName model)
+ *
+ * Changes take an optional audit(connection, details) hook that runs inside the
+ * transaction before commit, so a change and its audit record commit or roll back together.
  */
 
 import { pool } from '../config/db.js';
+import { likeContains } from '../utils/sql.js';
+import DashboardRevision from './DashboardRevision.js';
+import UserDisplayName from './UserDisplayName.js';
+import { normalizeFilters, parseFilters } from './DashboardFilter.js';
+import { PERMISSIONS, DEFAULT_PERMISSION, normalizePermission } from './DashboardPermission.js';
+
+// Days a deleted dashboard stays in Trash before it is purged
+export const TRASH_RETENTION_DAYS = parseInt(process.env.DASHBOARD_TRASH_RETENTION_DAYS, 10) || 30;
 
 // Predefined system widgets (stored in widget_cfg JSON)
 const PREDEFINED_WIDGETS = [
@@ -31,23 +46,238 @@ const PREDEFINED_WIDGETS = [
   "Access Map"
 ];
 
+// Dashboard grid width in columns (react-grid-layout on the client)
+const GRID_COLS = 12;
+
+/**
+ * Parse widget_cfg JSON (predefined widgets)
+ */
+export const parseWidgetCfg = (widgetCfg) => {
+  if (!widgetCfg) return [];
+  try {
+    return typeof widgetCfg === 'string' ? JSON.parse(widgetCfg) : widgetCfg;
+  } catch (e) {
+    console.error('Error parsing widget_cfg:', e);
+    return [];
+  }
+};
+
+/**
+ * Normalize a client layout ([{ i, x, y, w, h }]) into a map keyed by item id.
+ * Item ids are "custom-<widgetId>" or "predefined-<dwname>".
+ */
+const normalizeLayout = (layout) => {
+  if (!Array.isArray(layout)) return null;
+
+  const toInt = (value, min, max) => Math.min(Math.max(parseInt(value, 10) || 0, min), max);
+  const layoutMap = {};
+
+  layout.forEach(item => {
+    if (!item || !item.i) return;
+    const w = toInt(item.w, 1, GRID_COLS);
+    layoutMap[item.i] = {
+      x: toInt(item.x, 0, GRID_COLS - w),
+      y: toInt(item.y, 0, 10000),
+      w,
+      h: toInt(item.h, 1, 100)
+    };
+  });
+
+  return layoutMap;
+};
+
+/**
+ * Build widget_cfg JSON for predefined widgets.
+ * When selectedPredefinedWidgets is undefined, each widget keeps its current status.
+ * A widget keeps its layout from the client layout, else from the current widget_cfg.
+ */
+const buildWidgetCfg = (selectedPredefinedWidgets, layoutMap, currentCfg = []) =>
+  PREDEFINED_WIDGETS.map(widgetName => {
+    const current = currentCfg.find(cfg => cfg.dwname === widgetName);
+    const enabled = selectedPredefinedWidgets !== undefined
+      ? Array.isArray(selectedPredefinedWidgets) && selectedPredefinedWidgets.includes(widgetName)
+      : Boolean(current && current.status === "true");
+    const entry = {
+      dwname: widgetName,
+      status: enabled ? "true" : "false"
+    };
+    const layout = (layoutMap && layoutMap[`predefined-${widgetName}`]) || (current && current.layout);
+    if (layout) {
+      entry.layout = layout;
+    }
+    return entry;
+  });
+
+// Sortable fields of the dashboard list (query value -> column)
+export const DASHBOARD_SORT_FIELDS = {
+  id: 'id',
+  name: 'dashboard_name',
+  description: 'dashboard_desc'
+};
+
+// Appended to the name of a cloned dashboard
+const CLONE_NAME_SUFFIX = ' (Copy)';
+
+// Access rule types stored in idx2_dashboard_access_rule.
+// User rules are kept in idx2_dashboard_user_map.
+const RULE_TYPES = {
+  Profile: 'PROFILE',
+  Role: 'ROLE'
+};
+
+// SQL condition for an active, non-deleted user (alias of idx_users).
+// Profile/Role rules only cover these users, both when listing their members and when checking access.
+const activeUserCondition = (alias) =>
+  `(${alias}.isdeleted = '0' OR ${alias}.isdeleted IS NULL OR ${alias}.isdeleted = 0) AND ${alias}.status = 'ACTIVE'`;
+
+// SQL rank (1 = VIEWER ... 3 = OWNER) of a permission column
+const permissionRank = (column) => `FIELD(${column}, ${PERMISSIONS.map(level => `'${level}'`).join(', ')})`;
+
+// SQL expression for a user's effective permission rank on a dashboard (alias d):
+// the highest level of the direct assignment and the matching Profile/Role rules,
+// 0 without access. Binds the user id three times.
+const USER_PERMISSION_RANK = `GREATEST(
+  COALESCE((
+    SELECT MAX(${permissionRank('dum.permission')}) FROM idx2_dashboard_user_map dum
+    WHERE dum.dashboard = d.id AND dum.user = ?
+    AND dum.tenant = d.tenant AND dum.subtenant = d.subtenant
+  ), 0),
+  COALESCE((
+    SELECT MAX(${permissionRank('r.permission')}) FROM idx2_dashboard_access_rule r
+    JOIN idx_users u ON u.profile = r.rule_ref AND u.tenant = r.tenant AND u.subtenant = r.subtenant
+    WHERE r.dashboard = d.id AND r.rule_type = 'PROFILE' AND u.id = ?
+    AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    AND ${activeUserCondition('u')}
+  ), 0),
+  COALESCE((
+    SELECT MAX(${permissionRank('r.permission')}) FROM idx2_dashboard_access_rule r
+    JOIN idx_role_user_map rum ON rum.role = r.rule_ref AND rum.tenant = r.tenant AND rum.subtenant = r.subtenant
+    JOIN idx_users u ON rum.user = u.id AND rum.tenant = u.tenant AND rum.subtenant = u.subtenant
+    WHERE r.dashboard = d.id AND r.rule_type = 'ROLE' AND rum.user = ?
+    AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    AND ${activeUserCondition('u')}
+  ), 0)
+)`;
+
+const rankToPermission = (rank) => PERMISSIONS[Number(rank) - 1] || null;
+
+// SQL condition matching dashboards (alias d) a user can open:
+// direct assignment, a Profile rule for the user's profile or a Role rule
+// for one of the user's roles (rules only match active users). Binds the user id three times.
+const USER_ACCESS_CONDITION = `(
+  EXISTS (
+    SELECT 1 FROM idx2_dashboard_user_map dum
+    WHERE dum.dashboard = d.id AND dum.user = ?
+    AND dum.tenant = d.tenant AND dum.subtenant = d.subtenant
+  )
+  OR EXISTS (
+    SELECT 1 FROM idx2_dashboard_access_rule r
+    JOIN idx_users u ON u.profile = r.rule_ref AND u.tenant = r.tenant AND u.subtenant = r.subtenant
+    WHERE r.dashboard = d.id AND r.rule_type = 'PROFILE' AND u.id = ?
+    AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    AND ${activeUserCondition('u')}
+  )
+  OR EXISTS (
+    SELECT 1 FROM idx2_dashboard_access_rule r
+    JOIN idx_role_user_map rum ON rum.role = r.rule_ref AND rum.tenant = r.tenant AND rum.subtenant = r.subtenant
+    JOIN idx_users u ON rum.user = u.id AND rum.tenant = u.tenant AND rum.subtenant = u.subtenant
+    WHERE r.dashboard = d.id AND r.rule_type = 'ROLE' AND rum.user = ?
+    AND r.tenant = d.tenant AND r.subtenant = d.subtenant
+    AND ${activeUserCondition('u')}
+  )
+)`;
+
+/**
+ * Split access rules from the client ({ ruleType, ruleRef, permission }) into
+ * direct user grants ({ userId, permission }) and Profile/Role rule rows
+ */
+const splitAccessRules = (accessRules) => {
+  const users = [];
+  const rules = [];
+  const seen = new Set();
+
+  for (const rule of accessRules) {
+    const key = `${rule.ruleType}-${rule.ruleRef}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const permission = normalizePermission(rule.permission);
+    if (rule.ruleType === 'User') {
+      users.push({ userId: rule.ruleRef, permission });
+    } else if (RULE_TYPES[rule.ruleType]) {
+      rules.push({ ruleType: RULE_TYPES[rule.ruleType], ruleRef: rule.ruleRef, permission });
+    }
+  }
+
+  return { users, rules };
+};
+
+/**
+ * Direct user grants from plain user ids or { userId, permission } objects
+ * A plain id has permission null: the user keeps their current level (VIEWER if new).
+ */
+const toUserGrants = (users) => (users || []).map(user =>
+  user !== null && typeof user === 'object'
+    ? { userId: user.userId, permission: normalizePermission(user.permission) }
+    : { userId: user, permission: null }
+);
+
 const Dashboard = {
   /**
-   * Get all dashboards for tenant/subtenant
+   * Get a page of dashboards for tenant/subtenant (Trash excluded)
+   *
+   * Options: { search, page, pageSize, sort, order, userId }
+   * search matches name and description; sort is a DASHBOARD_SORT_FIELDS key.
+   * With userId, only the dashboards that user can open are returned, each with
+   * the user's effective permission.
+   * Returns: { dashboards, total }
    */
-  async getAll(tenant, subtenant) {
-    console.log('DEBUG Dashboard.getAll - tenant:', tenant, 'type:', typeof tenant);
-    console.log('DEBUG Dashboard.getAll - subtenant:', subtenant, 'type:', typeof subtenant);
-    const query = `
-      SELECT id, dashboard_name, dashboard_desc, widget_cfg
-      FROM idx2_dashboard
-      WHERE tenant = ? AND subtenant = ?
-      ORDER BY id DESC
-    `;
-    console.log('DEBUG Dashboard.getAll - executing query with params:', [tenant, subtenant]);
-    const [rows] = await pool.execute(query, [tenant, subtenant]);
-    console.log('DEBUG Dashboard.getAll - query returned:', rows.length, 'rows');
-    return rows;
+  async getAll(tenant, subtenant, { search = '', page = 1, pageSize = 50, sort = 'id', order = 'desc', userId } = {}) {
+    const conditions = ['tenant = ?', 'subtenant = ?', 'deleted_at IS NULL'];
+    const params = [tenant, subtenant];
+    const forUser = userId !== undefined;
+
+    if (search) {
+      conditions.push(`(dashboard_name LIKE ? ESCAPE '!' OR dashboard_desc LIKE ? ESCAPE '!')`);
+      params.push(likeContains(search), likeContains(search));
+    }
+
+    if (forUser) {
+      conditions.push(USER_ACCESS_CONDITION);
+      params.push(userId, userId, userId);
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    // 1. Count matching dashboards
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) AS total FROM idx2_dashboard d WHERE ${whereClause}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    // 2. Get the requested page
+    // Sort column/direction come from a whitelist; id breaks ties so pages are stable.
+    // LIMIT/OFFSET are validated integers, inlined because execute() rejects them as placeholders
+    const sortColumn = Object.hasOwn(DASHBOARD_SORT_FIELDS, sort) ? DASHBOARD_SORT_FIELDS[sort] : DASHBOARD_SORT_FIELDS.id;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const offset = (page - 1) * pageSize;
+
+    const [rows] = await pool.execute(
+      `SELECT id, dashboard_name, dashboard_desc, widget_cfg
+              ${forUser ? `, ${USER_PERMISSION_RANK} AS permission_rank` : ''}
+       FROM idx2_dashboard d
+       WHERE ${whereClause}
+       ORDER BY ${sortColumn} ${direction}, id ${direction}
+       LIMIT ${pageSize} OFFSET ${offset}`,
+      forUser ? [userId, userId, userId, ...params] : params
+    );
+
+    const dashboards = forUser
+      ? rows.map(({ permission_rank, ...row }) => ({ ...row, permission: rankToPermission(permission_rank) }))
+      : rows;
+
+    return { dashboards, total };
   },
 
   /**
@@ -56,9 +286,9 @@ const Dashboard = {
   async getById(id, tenant, subtenant) {
     // 1. Get dashboard basic info
     const dashboardQuery = `
-      SELECT id, dashboard_name, dashboard_desc, widget_cfg
+      SELECT id, dashboard_name, dashboard_desc, widget_cfg, dashboard_filters
       FROM idx2_dashboard
-      WHERE id = ? AND tenant = ? AND subtenant = ?
+      WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL
     `;
     const [dashboards] = await pool.execute(dashboardQuery, [id, tenant, subtenant]);
 
@@ -66,36 +296,37 @@ const Dashboard = {
       return null;
     }
 
-    const dashboard = dashboards[0];
-
-    // 2. Parse widget_cfg JSON (predefined widgets)
-    let widgetCfg = [];
-    if (dashboard.widget_cfg) {
-      try {
-        widgetCfg = typeof dashboard.widget_cfg === 'string'
-          ? JSON.parse(dashboard.widget_cfg)
-          : dashboard.widget_cfg;
-      } catch (e) {
-        console.error('Error parsing widget_cfg:', e);
-        widgetCfg = [];
-      }
-    }
+    const { dashboard_filters, ...dashboard } = dashboards[0];
 
-    // 3. Get custom widgets linked to this dashboard
+    // 2. Parse widget_cfg JSON (predefined widgets) and dashboard filters
+    const widgetCfg = parseWidgetCfg(dashboard.widget_cfg);
+    const filters = parseFilters(dashboard_filters);
+
+    // 3. Get custom widgets linked to this dashboard, in layout order
     const customWidgetsQuery = `
       SELECT w.id, w.widget_name, w.widget_desc, w.widget_url,
-             w.widget_chart, w.widget_filter
+             w.widget_chart, w.widget_filter, w.cache_ttl_seconds,
+             dwm.pos_x, dwm.pos_y, dwm.width, dwm.height
       FROM idx2_dashboard_widget_map dwm
-      JOIN idx2_dashboard_widget w ON dwm.widget = w.id
+      JOIN idx2_dashboard_widget w ON dwm.widget = w.id AND w.tenant = dwm.tenant AND w.subtenant = dwm.subtenant
       WHERE dwm.dashboard = ? AND dwm.tenant = ? AND dwm.subtenant = ?
+      ORDER BY dwm.pos_y IS NULL, dwm.pos_y, dwm.pos_x, dwm.id
     `;
-    const [customWidgets] = await pool.execute(customWidgetsQuery, [id, tenant, subtenant]);
+    const [widgetRows] = await pool.execute(customWidgetsQuery, [id, tenant, subtenant]);
+
+    const customWidgets = widgetRows.map(({ pos_x, pos_y, width, height, ...widget }) => ({
+      ...widget,
+      layout: pos_x !== null && pos_y !== null && width && height
+        ? { x: pos_x, y: pos_y, w: width, h: height }
+        : null
+    }));
 
     // 4. Get users assigned to this dashboard
     const usersQuery = `
       SELECT
         dum.id as mapping_id,
         dum.user as user_id,
+        dum.permission,
         u.profile as profile_id,
         u.userAttrs,
         ip.profile_name
@@ -106,134 +337,401 @@ const Dashboard = {
     `;
     const [usersRaw] = await pool.execute(usersQuery, [id, tenant, subtenant]);
 
-    // 5. Process users to get display names
-    const users = await Promise.all(usersRaw.map(async (user) => {
-      const displayName = await this.getUserDisplayName(user.user_id, user.profile_id, user.userAttrs, tenant, subtenant);
-      return {
-        id: user.mapping_id,
-        userId: user.user_id,
-        userName: displayName,
-        profile: user.profile_name
-      };
+    // 5. Resolve display names in memory
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+    const users = usersRaw.map(user => ({
+      id: user.mapping_id,
+      userId: user.user_id,
+      userName: displayName(user.user_id, user.profile_id, user.userAttrs),
+      profile: user.profile_name,
+      permission: user.permission
     }));
 
+    // 6. Get Profile/Role access rules and resolve their current members
+    const accessRules = await this.getAccessRules(id, tenant, subtenant);
+
     return {
       ...dashboard,
       widgetCfg,
+      filters,
       customWidgets,
-      users
+      users,
+      accessRules
     };
   },
 
   /**
-   * Get user display name from userAttrs JSON using display_attr config
+   * Get Profile/Role access rules for a dashboard.
+   * Each rule is resolved to the users that currently match it,
+   * so users who join a profile or role later are picked up automatically.
    */
-  async getUserDisplayName(userId, profileId, userAttrs, tenant, subtenant) {
-    try {
-      // Get the display_attr for this profile
-      const attrCfgQuery = `
-        SELECT display_attr
-        FROM idx_identity_profile_attrcfg
-        WHERE profile = ? AND tenant = ? AND subtenant = ?
-      `;
-      const [attrCfg] = await pool.execute(attrCfgQuery, [profileId, tenant, subtenant]);
+  async getAccessRules(dashboardId, tenant, subtenant) {
+    const rulesQuery = `
+      SELECT r.id, r.rule_type, r.rule_ref, r.permission, r.created_at,
+             ip.profile_name, ro.role_name, ro.role_type
+      FROM idx2_dashboard_access_rule r
+      LEFT JOIN idx_identity_profile ip
+        ON r.rule_type = 'PROFILE' AND r.rule_ref = ip.id AND r.tenant = ip.tenant AND r.subtenant = ip.subtenant
+      LEFT JOIN idx_roles ro
+        ON r.rule_type = 'ROLE' AND r.rule_ref = ro.id AND r.tenant = ro.tenant AND r.subtenant = ro.subtenant
+      WHERE r.dashboard = ? AND r.tenant = ? AND r.subtenant = ?
+      ORDER BY r.id
+    `;
+    const [rules] = await pool.execute(rulesQuery, [dashboardId, tenant, subtenant]);
 
-      if (attrCfg.length === 0) {
-        return `User ${userId}`;
-      }
+    if (rules.length === 0) {
+      return [];
+    }
 
-      const displayAttrId = attrCfg[0].display_attr.toString();
+    const profileIds = rules.filter(r => r.rule_type === RULE_TYPES.Profile).map(r => r.rule_ref);
+    const roleIds = rules.filter(r => r.rule_type === RULE_TYPES.Role).map(r => r.rule_ref);
+
+    // Resolve profile members
+    const profileMembers = {};
+    if (profileIds.length > 0) {
+      const placeholders = profileIds.map(() => '?').join(',');
+      const [rows] = await pool.execute(
+        `SELECT u.id, u.profile
+         FROM idx_users u
+         WHERE u.profile IN (${placeholders}) AND u.tenant = ? AND u.subtenant = ?
+         AND ${activeUserCondition('u')}`,
+        [...profileIds, tenant, subtenant]
+      );
+      rows.forEach(row => {
+        (profileMembers[row.profile] = profileMembers[row.profile] || []).push(row.id);
+      });
+    }
 
-      // Parse userAttrs JSON
-      let attrs = [];
-      if (userAttrs) {
-        try {
-          attrs = typeof userAttrs === 'string' ? JSON.parse(userAttrs) : userAttrs;
-        } catch (e) {
-          return `User ${userId}`;
-        }
+    // Resolve role members
+    const roleMembers = {};
+    if (roleIds.length > 0) {
+      const placeholders = roleIds.map(() => '?').join(',');
+      const [rows] = await pool.execute(
+        `SELECT rum.role, u.id
+         FROM idx_role_user_map rum
+         JOIN idx_users u ON rum.user = u.id AND rum.tenant = u.tenant AND rum.subtenant = u.subtenant
+         WHERE rum.role IN (${placeholders}) AND rum.tenant = ? AND rum.subtenant = ?
+         AND ${activeUserCondition('u')}`,
+        [...roleIds, tenant, subtenant]
+      );
+      rows.forEach(row => {
+        (roleMembers[row.role] = roleMembers[row.role] || []).push(row.id);
+      });
+    }
+
+    return rules.map(rule => {
+      const isProfile = rule.rule_type === RULE_TYPES.Profile;
+      return {
+        id: rule.id,
+        ruleType: isProfile ? 'Profile' : 'Role',
+        ruleRef: rule.rule_ref,
+        condition: isProfile
+          ? (rule.profile_name || `Profile ${rule.rule_ref}`)
+          : (rule.role_name || `Role ${rule.rule_ref}`),
+        roleType: isProfile ? null : rule.role_type,
+        userIds: (isProfile ? profileMembers : roleMembers)[rule.rule_ref] || [],
+        permission: rule.permission,
+        createdAt: rule.created_at
+      };
+    });
+  },
+
+  /**
+   * Replace the Profile/Role access rules of a dashboard (within a transaction).
+   * Rules that stay keep their created_at/created_by (their permission is updated);
+   * new rules are added by author.
+   */
+  async saveAccessRules(connection, dashboardId, rules, tenant, subtenant, author = null) {
+    const [currentRows] = await connection.execute(
+      'SELECT id, rule_type, rule_ref, permission FROM idx2_dashboard_access_rule WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+
+    const ruleKey = (ruleType, ruleRef) => `${ruleType}-${ruleRef}`;
+    const wanted = new Set(rules.map(rule => ruleKey(rule.ruleType, rule.ruleRef)));
+    const current = new Map(currentRows.map(row => [ruleKey(row.rule_type, row.rule_ref), row]));
+
+    const removedIds = currentRows
+      .filter(row => !wanted.has(ruleKey(row.rule_type, row.rule_ref)))
+      .map(row => row.id);
+    if (removedIds.length > 0) {
+      const placeholders = removedIds.map(() => '?').join(',');
+      await connection.execute(
+        `DELETE FROM idx2_dashboard_access_rule WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...removedIds, tenant, subtenant]
+      );
+    }
+
+    const ruleQuery = `
+      INSERT INTO idx2_dashboard_access_rule (tenant, subtenant, dashboard, rule_type, rule_ref, permission, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    for (const rule of rules) {
+      const permission = normalizePermission(rule.permission);
+      const existing = current.get(ruleKey(rule.ruleType, rule.ruleRef));
+
+      if (!existing) {
+        await connection.execute(ruleQuery, [tenant, subtenant, dashboardId, rule.ruleType, rule.ruleRef, permission, author || null]);
+      } else if (existing.permission !== permission) {
+        await connection.execute(
+          'UPDATE idx2_dashboard_access_rule SET permission = ? WHERE id = ? AND tenant = ? AND subtenant = ?',
+          [permission, existing.id, tenant, subtenant]
+        );
       }
+    }
+  },
 
-      // Find the display attribute value
-      const displayAttr = attrs.find(attr =>
-        attr.attrId === displayAttrId ||
-        attr.attrId === parseInt(displayAttrId) ||
-        attr.attrId.toString() === displayAttrId
+  /**
+   * Replace the direct user assignments of a dashboard (within a transaction).
+   * users are user ids or { userId, permission }. Users who stay keep their
+   * created_at/created_by, and their permission unless a new one is given;
+   * new users are added by author (as VIEWER when given by id only).
+   */
+  async saveUserMap(connection, dashboardId, users, tenant, subtenant, author = null) {
+    const grants = toUserGrants(users);
+    const [currentRows] = await connection.execute(
+      'SELECT id, user, permission FROM idx2_dashboard_user_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+
+    const wanted = new Set(grants.map(grant => String(grant.userId)));
+    const current = new Map(currentRows.map(row => [String(row.user), row]));
+
+    const removedIds = currentRows.filter(row => !wanted.has(String(row.user))).map(row => row.id);
+    if (removedIds.length > 0) {
+      const placeholders = removedIds.map(() => '?').join(',');
+      await connection.execute(
+        `DELETE FROM idx2_dashboard_user_map WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...removedIds, tenant, subtenant]
       );
+    }
 
-      if (displayAttr && displayAttr.attrVal) {
-        return displayAttr.attrVal;
+    const userMapQuery = `
+      INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user, permission, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    for (const grant of grants) {
+      const { userId } = grant;
+      const existing = current.get(String(userId));
+      const permission = grant.permission || (existing ? existing.permission : DEFAULT_PERMISSION);
+
+      if (!existing) {
+        const [result] = await connection.execute(userMapQuery, [tenant, subtenant, dashboardId, userId, permission, author || null]);
+        current.set(String(userId), { id: result.insertId, permission });
+      } else if (existing.permission !== permission) {
+        await connection.execute(
+          'UPDATE idx2_dashboard_user_map SET permission = ? WHERE id = ? AND tenant = ? AND subtenant = ?',
+          [permission, existing.id, tenant, subtenant]
+        );
+        existing.permission = permission;
       }
+    }
+  },
 
-      // Fallback: return first non-empty attribute value
-      for (const attr of attrs) {
-        if (attr.attrVal && attr.attrVal.length > 0) {
-          return attr.attrVal;
-        }
+  /**
+   * Replace the custom widget mappings of a dashboard (within a transaction).
+   * Each widget gets its position/size from layoutMap, else keeps its current one.
+   * Throws 'Custom widget not found' if a widget is not one of the tenant/subtenant's.
+   */
+  async saveWidgetMap(connection, dashboardId, customWidgetIds, layoutMap, tenant, subtenant) {
+    if (customWidgetIds.length > 0) {
+      const placeholders = customWidgetIds.map(() => '?').join(',');
+      const [widgetRows] = await connection.execute(
+        `SELECT id FROM idx2_dashboard_widget WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...customWidgetIds, tenant, subtenant]
+      );
+      const existingIds = widgetRows.map(row => String(row.id));
+      if (customWidgetIds.some(widgetId => !existingIds.includes(String(widgetId)))) {
+        throw new Error('Custom widget not found');
       }
+    }
 
-      return `User ${userId}`;
-    } catch (error) {
-      console.error('Error getting user display name:', error);
-      return `User ${userId}`;
+    const [currentRows] = await connection.execute(
+      'SELECT widget, pos_x, pos_y, width, height FROM idx2_dashboard_widget_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+
+    await connection.execute(
+      'DELETE FROM idx2_dashboard_widget_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+
+    if (customWidgetIds.length === 0) return;
+
+    const widgetMapQuery = `
+      INSERT INTO idx2_dashboard_widget_map (tenant, subtenant, dashboard, widget, pos_x, pos_y, width, height)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    for (const widgetId of customWidgetIds) {
+      const current = currentRows.find(row => String(row.widget) === String(widgetId));
+      const layout = (layoutMap && layoutMap[`custom-${widgetId}`]) ||
+        (current && current.pos_x !== null ? { x: current.pos_x, y: current.pos_y, w: current.width, h: current.height } : null);
+
+      await connection.execute(widgetMapQuery, [
+        tenant, subtenant, dashboardId, widgetId,
+        layout ? layout.x : null,
+        layout ? layout.y : null,
+        layout ? layout.w : null,
+        layout ? layout.h : null
+      ]);
     }
   },
 
   /**
    * Create new dashboard
+   * audit details: { id, snapshot }
    */
-  async create(dashboardData) {
-    const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users, tenant, subtenant } = dashboardData;
+  async create(dashboardData, audit = null) {
+    const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, accessRules, filters, author, tenant, subtenant } = dashboardData;
+    const layoutMap = normalizeLayout(dashboardData.layout);
+
+    // Access rules take precedence over a plain user id list
+    const { users, rules } = accessRules
+      ? splitAccessRules(accessRules)
+      : { users: dashboardData.users, rules: [] };
 
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
     try {
       // 1. Build widget_cfg JSON for predefined widgets
-      const widgetCfg = PREDEFINED_WIDGETS.map(widgetName => ({
-        dwname: widgetName,
-        status: selectedPredefinedWidgets && selectedPredefinedWidgets.includes(widgetName) ? "true" : "false"
-      }));
+      const widgetCfg = buildWidgetCfg(selectedPredefinedWidgets, layoutMap);
 
       // 2. Insert dashboard
       const insertDashboardQuery = `
-        INSERT INTO idx2_dashboard (tenant, subtenant, dashboard_name, dashboard_desc, widget_cfg)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO idx2_dashboard (tenant, subtenant, dashboard_name, dashboard_desc, widget_cfg, dashboard_filters)
+        VALUES (?, ?, ?, ?, ?, ?)
       `;
       const [dashboardResult] = await connection.execute(insertDashboardQuery, [
         tenant,
         subtenant,
         dashboardName,
         dashboardDesc || '',
-        JSON.stringify(widgetCfg)
+        JSON.stringify(widgetCfg),
+        JSON.stringify(normalizeFilters(filters || []))
       ]);
 
       const dashboardId = dashboardResult.insertId;
 
       // 3. Insert custom widget mappings if provided
       if (customWidgetIds && customWidgetIds.length > 0) {
-        const widgetMapQuery = `
-          INSERT INTO idx2_dashboard_widget_map (tenant, subtenant, dashboard, widget)
-          VALUES (?, ?, ?, ?)
-        `;
-        for (const widgetId of customWidgetIds) {
-          await connection.execute(widgetMapQuery, [tenant, subtenant, dashboardId, widgetId]);
-        }
+        await this.saveWidgetMap(connection, dashboardId, customWidgetIds, layoutMap, tenant, subtenant);
       }
 
       // 4. Insert user access mappings if provided
       if (users && users.length > 0) {
-        const userMapQuery = `
-          INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user)
-          VALUES (?, ?, ?, ?)
-        `;
-        for (const userId of users) {
-          await connection.execute(userMapQuery, [tenant, subtenant, dashboardId, userId]);
-        }
+        await this.saveUserMap(connection, dashboardId, users, tenant, subtenant, author);
+      }
+
+      // 5. Insert Profile/Role access rules if provided
+      if (rules.length > 0) {
+        await this.saveAccessRules(connection, dashboardId, rules, tenant, subtenant, author);
+      }
+
+      // 6. Record the first revision
+      const { snapshot } = await DashboardRevision.record(connection, dashboardId, author, tenant, subtenant);
+
+      if (audit) await audit(connection, { id: dashboardId, snapshot });
+
+      await connection.commit();
+      return { id: dashboardId, dashboardName, dashboardDesc, snapshot };
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Clone a dashboard: name (with suffix), description, widget_cfg, filters and widget map,
+   * plus user map and access rules when includeAccess is set
+   * Returns null if the source dashboard does not exist
+   * audit details: { id, snapshot, sourceName }
+   */
+  async clone(id, { includeAccess = false, author = null } = {}, tenant, subtenant, audit = null) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [sources] = await connection.execute(
+        `SELECT dashboard_name, dashboard_desc, widget_cfg, dashboard_filters
+         FROM idx2_dashboard
+         WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL`,
+        [id, tenant, subtenant]
+      );
+
+      if (sources.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const source = sources[0];
+      const dashboardName = `${source.dashboard_name}${CLONE_NAME_SUFFIX}`;
+
+      // 1. Insert the copy
+      const [dashboardResult] = await connection.execute(
+        `INSERT INTO idx2_dashboard (tenant, subtenant, dashboard_name, dashboard_desc, widget_cfg, dashboard_filters)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          tenant,
+          subtenant,
+          dashboardName,
+          source.dashboard_desc || '',
+          JSON.stringify(parseWidgetCfg(source.widget_cfg)),
+          JSON.stringify(parseFilters(source.dashboard_filters))
+        ]
+      );
+
+      const dashboardId = dashboardResult.insertId;
+
+      // 2. Copy custom widget mappings with their positions
+      await connection.execute(
+        `INSERT INTO idx2_dashboard_widget_map (tenant, subtenant, dashboard, widget, pos_x, pos_y, width, height)
+         SELECT dwm.tenant, dwm.subtenant, ?, dwm.widget, dwm.pos_x, dwm.pos_y, dwm.width, dwm.height
+         FROM idx2_dashboard_widget_map dwm
+         JOIN idx2_dashboard_widget w ON dwm.widget = w.id AND w.tenant = dwm.tenant AND w.subtenant = dwm.subtenant
+         WHERE dwm.dashboard = ? AND dwm.tenant = ? AND dwm.subtenant = ?
+         ORDER BY dwm.id`,
+        [dashboardId, id, tenant, subtenant]
+      );
+
+      // 3. Copy user access mappings and Profile/Role rules if requested
+      if (includeAccess) {
+        await connection.execute(
+          `INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user, permission, created_by)
+           SELECT tenant, subtenant, ?, user, permission, ?
+           FROM idx2_dashboard_user_map
+           WHERE dashboard = ? AND tenant = ? AND subtenant = ?
+           ORDER BY id`,
+          [dashboardId, author || null, id, tenant, subtenant]
+        );
+
+        await connection.execute(
+          `INSERT INTO idx2_dashboard_access_rule (tenant, subtenant, dashboard, rule_type, rule_ref, permission, created_by)
+           SELECT tenant, subtenant, ?, rule_type, rule_ref, permission, ?
+           FROM idx2_dashboard_access_rule
+           WHERE dashboard = ? AND tenant = ? AND subtenant = ?
+           ORDER BY id`,
+          [dashboardId, author || null, id, tenant, subtenant]
+        );
       }
 
+      // 4. Record the first revision of the copy
+      const { snapshot } = await DashboardRevision.record(connection, dashboardId, author, tenant, subtenant);
+
+      if (audit) await audit(connection, { id: dashboardId, snapshot, sourceName: source.dashboard_name });
+
       await connection.commit();
-      return { id: dashboardId, dashboardName, dashboardDesc };
+      return {
+        id: dashboardId,
+        dashboardName,
+        dashboardDesc: source.dashboard_desc || '',
+        sourceId: Number(id),
+        sourceName: source.dashboard_name,
+        snapshot
+      };
 
     } catch (error) {
       await connection.rollback();
@@ -245,9 +743,16 @@ const Dashboard = {
 
   /**
    * Update dashboard
+   * audit details: { before, after } (revision snapshots)
    */
-  async update(id, dashboardData, tenant, subtenant) {
-    const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, users } = dashboardData;
+  async update(id, dashboardData, tenant, subtenant, audit = null) {
+    const { dashboardName, dashboardDesc, selectedPredefinedWidgets, customWidgetIds, accessRules, filters, author } = dashboardData;
+    const layoutMap = normalizeLayout(dashboardData.layout);
+
+    // Access rules take precedence over a plain user id list
+    const { users, rules } = accessRules
+      ? splitAccessRules(accessRules)
+      : { users: dashboardData.users, rules: undefined };
 
     const connection = await pool.getConnection();
     await connection.beginTransaction();
@@ -255,7 +760,7 @@ const Dashboard = {
     try {
       // 1. Verify dashboard exists
       const [existing] = await connection.execute(
-        'SELECT id FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ?',
+        'SELECT id, widget_cfg, dashboard_filters FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
         [id, tenant, subtenant]
       );
 
@@ -263,65 +768,66 @@ const Dashboard = {
         throw new Error('Dashboard not found');
       }
 
-      // 2. Build widget_cfg JSON
-      const widgetCfg = PREDEFINED_WIDGETS.map(widgetName => ({
-        dwname: widgetName,
-        status: selectedPredefinedWidgets && selectedPredefinedWidgets.includes(widgetName) ? "true" : "false"
-      }));
+      await DashboardRevision.ensureBaseline(connection, id, tenant, subtenant);
+      const before = await DashboardRevision.snapshot(connection, id, tenant, subtenant);
 
-      // 3. Update dashboard basic info
+      // 2. Build widget_cfg JSON (keeps current statuses/layout unless new ones are given)
+      const widgetCfg = buildWidgetCfg(selectedPredefinedWidgets, layoutMap, parseWidgetCfg(existing[0].widget_cfg));
+
+      // 3. Update dashboard basic info (filters are kept unless new ones are given)
+      const dashboardFilters = filters !== undefined
+        ? normalizeFilters(filters)
+        : parseFilters(existing[0].dashboard_filters);
       const updateQuery = `
         UPDATE idx2_dashboard
-        SET dashboard_name = ?, dashboard_desc = ?, widget_cfg = ?
+        SET dashboard_name = ?, dashboard_desc = ?, widget_cfg = ?, dashboard_filters = ?
         WHERE id = ? AND tenant = ? AND subtenant = ?
       `;
       await connection.execute(updateQuery, [
         dashboardName,
         dashboardDesc || '',
         JSON.stringify(widgetCfg),
+        JSON.stringify(dashboardFilters),
         id,
         tenant,
         subtenant
       ]);
 
-      // 4. Update custom widget mappings
+      // 4. Update custom widget mappings and their layout
       if (customWidgetIds !== undefined) {
-        await connection.execute(
-          'DELETE FROM idx2_dashboard_widget_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
-          [id, tenant, subtenant]
-        );
-
-        if (customWidgetIds.length > 0) {
-          const widgetMapQuery = `
-            INSERT INTO idx2_dashboard_widget_map (tenant, subtenant, dashboard, widget)
-            VALUES (?, ?, ?, ?)
-          `;
-          for (const widgetId of customWidgetIds) {
-            await connection.execute(widgetMapQuery, [tenant, subtenant, id, widgetId]);
-          }
+        await this.saveWidgetMap(connection, id, customWidgetIds, layoutMap, tenant, subtenant);
+      } else if (layoutMap) {
+        const layoutQuery = `
+          UPDATE idx2_dashboard_widget_map
+          SET pos_x = ?, pos_y = ?, width = ?, height = ?
+          WHERE dashboard = ? AND widget = ? AND tenant = ? AND subtenant = ?
+        `;
+        for (const [key, layout] of Object.entries(layoutMap)) {
+          if (!key.startsWith('custom-')) continue;
+          await connection.execute(layoutQuery, [
+            layout.x, layout.y, layout.w, layout.h,
+            id, key.slice('custom-'.length), tenant, subtenant
+          ]);
         }
       }
 
       // 5. Update user access mappings
       if (users !== undefined) {
-        await connection.execute(
-          'DELETE FROM idx2_dashboard_user_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
-          [id, tenant, subtenant]
-        );
+        await this.saveUserMap(connection, id, users || [], tenant, subtenant, author);
+      }
 
-        if (users.length > 0) {
-          const userMapQuery = `
-            INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user)
-            VALUES (?, ?, ?, ?)
-          `;
-          for (const userId of users) {
-            await connection.execute(userMapQuery, [tenant, subtenant, id, userId]);
-          }
-        }
+      // 6. Update Profile/Role access rules
+      if (rules !== undefined) {
+        await this.saveAccessRules(connection, id, rules, tenant, subtenant, author);
       }
 
+      // 7. Record the new revision
+      const { revision, snapshot: after } = await DashboardRevision.record(connection, id, author, tenant, subtenant);
+
+      if (audit) await audit(connection, { before, after });
+
       await connection.commit();
-      return { id, dashboardName, dashboardDesc };
+      return { id, dashboardName, dashboardDesc, revision, before, after };
 
     } catch (error) {
       await connection.rollback();
@@ -332,33 +838,84 @@ const Dashboard = {
   },
 
   /**
-   * Delete dashboard
+   * Delete dashboard (moves it to Trash)
+   */
+  async delete(id, tenant, subtenant, deletedBy = null, audit = null) {
+    const deletedCount = await this.deleteMultiple([id], tenant, subtenant, deletedBy, audit);
+    return deletedCount > 0;
+  },
+
+  /**
+   * Delete multiple dashboards (moves them to Trash)
+   * Widget, user and access rule mappings are kept so a restore brings them back.
+   * audit details: { count } (audited only if a dashboard was moved)
    */
-  async delete(id, tenant, subtenant) {
+  async deleteMultiple(ids, tenant, subtenant, deletedBy = null, audit = null) {
+    if (!ids || ids.length === 0) return 0;
+
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
     try {
-      // Delete widget mappings
-      await connection.execute(
-        'DELETE FROM idx2_dashboard_widget_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
-        [id, tenant, subtenant]
+      const placeholders = ids.map(() => '?').join(',');
+      const [result] = await connection.execute(
+        `UPDATE idx2_dashboard
+         SET deleted_at = NOW(), deleted_by = ?
+         WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ? AND deleted_at IS NULL`,
+        [deletedBy, ...ids, tenant, subtenant]
       );
 
-      // Delete user mappings
-      await connection.execute(
-        'DELETE FROM idx2_dashboard_user_map WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
-        [id, tenant, subtenant]
-      );
+      if (audit && result.affectedRows > 0) await audit(connection, { count: result.affectedRows });
 
-      // Delete dashboard
+      await connection.commit();
+      return result.affectedRows;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Get dashboards in Trash with the date they will be purged
+   */
+  async getTrash(tenant, subtenant) {
+    const query = `
+      SELECT id, dashboard_name, dashboard_desc, deleted_at, deleted_by,
+             DATE_ADD(deleted_at, INTERVAL ${TRASH_RETENTION_DAYS} DAY) AS purge_at
+      FROM idx2_dashboard
+      WHERE tenant = ? AND subtenant = ? AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `;
+    const [rows] = await pool.execute(query, [tenant, subtenant]);
+    return rows;
+  },
+
+  /**
+   * Restore dashboards from Trash
+   * audit details: { count } (audited only if a dashboard was restored)
+   */
+  async restore(ids, tenant, subtenant, audit = null) {
+    if (!ids || ids.length === 0) return 0;
+
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const placeholders = ids.map(() => '?').join(',');
       const [result] = await connection.execute(
-        'DELETE FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ?',
-        [id, tenant, subtenant]
+        `UPDATE idx2_dashboard
+         SET deleted_at = NULL, deleted_by = NULL
+         WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ? AND deleted_at IS NOT NULL`,
+        [...ids, tenant, subtenant]
       );
 
+      if (audit && result.affectedRows > 0) await audit(connection, { count: result.affectedRows });
+
       await connection.commit();
-      return result.affectedRows > 0;
+      return result.affectedRows;
 
     } catch (error) {
       await connection.rollback();
@@ -369,37 +926,78 @@ const Dashboard = {
   },
 
   /**
-   * Delete multiple dashboards
+   * Permanently delete dashboards in Trash together with their widget, user,
+   * access rule, report schedule and revision data
+   * Returns { count, filePaths }: the caller removes the report snapshot files
+   * audit details: { count } (audited only if a dashboard was purged)
    */
-  async deleteMultiple(ids, tenant, subtenant) {
+  async purge(ids, tenant, subtenant, audit = null) {
     if (!ids || ids.length === 0) return 0;
 
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
     try {
-      const placeholders = ids.map(() => '?').join(',');
+      // Only dashboards that are in Trash can be purged
+      const [trashed] = await connection.execute(
+        `SELECT id FROM idx2_dashboard
+         WHERE id IN (${ids.map(() => '?').join(',')}) AND tenant = ? AND subtenant = ? AND deleted_at IS NOT NULL`,
+        [...ids, tenant, subtenant]
+      );
+      const purgeIds = trashed.map(row => row.id);
+
+      if (purgeIds.length === 0) {
+        await connection.commit();
+        return { count: 0, filePaths: [] };
+      }
+
+      const placeholders = purgeIds.map(() => '?').join(',');
 
       // Delete widget mappings
       await connection.execute(
         `DELETE FROM idx2_dashboard_widget_map WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
-        [...ids, tenant, subtenant]
+        [...purgeIds, tenant, subtenant]
       );
 
       // Delete user mappings
       await connection.execute(
         `DELETE FROM idx2_dashboard_user_map WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
-        [...ids, tenant, subtenant]
+        [...purgeIds, tenant, subtenant]
       );
 
+      // Delete access rules
+      await connection.execute(
+        `DELETE FROM idx2_dashboard_access_rule WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...purgeIds, tenant, subtenant]
+      );
+
+      // Delete report snapshot records and schedules
+      const [snapshots] = await connection.execute(
+        `SELECT file_path FROM idx2_dashboard_report_snapshot WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...purgeIds, tenant, subtenant]
+      );
+      await connection.execute(
+        `DELETE FROM idx2_dashboard_report_snapshot WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...purgeIds, tenant, subtenant]
+      );
+      await connection.execute(
+        `DELETE FROM idx2_dashboard_report_schedule WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+        [...purgeIds, tenant, subtenant]
+      );
+
+      // Delete revision history
+      await DashboardRevision.deleteForDashboards(connection, purgeIds, tenant, subtenant);
+
       // Delete dashboards
       const [result] = await connection.execute(
         `DELETE FROM idx2_dashboard WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
-        [...ids, tenant, subtenant]
+        [...purgeIds, tenant, subtenant]
       );
 
+      if (audit) await audit(connection, { count: result.affectedRows });
+
       await connection.commit();
-      return result.affectedRows;
+      return { count: result.affectedRows, filePaths: snapshots.map(row => row.file_path) };
 
     } catch (error) {
       await connection.rollback();
@@ -409,6 +1007,34 @@ const Dashboard = {
     }
   },
 
+  /**
+   * Purge dashboards that have been in Trash longer than the retention period
+   * (all tenants; run by the trash purge job)
+   * Returns { count, filePaths } like purge
+   */
+  async purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+    const [rows] = await pool.execute(
+      `SELECT id, tenant, subtenant
+       FROM idx2_dashboard
+       WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ${parseInt(retentionDays, 10)} DAY)`
+    );
+
+    // Purge per tenant/subtenant so every delete stays tenant-scoped
+    const groups = {};
+    rows.forEach(row => {
+      const key = `${row.tenant}-${row.subtenant}`;
+      (groups[key] = groups[key] || { tenant: row.tenant, subtenant: row.subtenant, ids: [] }).ids.push(row.id);
+    });
+
+    const purged = { count: 0, filePaths: [] };
+    for (const { tenant, subtenant, ids } of Object.values(groups)) {
+      const { count, filePaths } = await this.purge(ids, tenant, subtenant);
+      purged.count += count;
+      purged.filePaths.push(...filePaths);
+    }
+    return purged;
+  },
+
   /**
    * Get all users for dropdown (to assign to dashboards)
    */
@@ -429,18 +1055,57 @@ const Dashboard = {
     `;
     const [users] = await pool.execute(query, [tenant, subtenant]);
 
-    // Process to get display names
-    const processedUsers = await Promise.all(users.map(async (user) => {
-      const displayName = await this.getUserDisplayName(user.id, user.profile_id, user.userAttrs, tenant, subtenant);
-      return {
-        id: user.id,
-        userName: displayName,
-        profile: user.profile_name,
-        status: user.status
-      };
+    // Resolve display names in memory
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+    return users.map(user => ({
+      id: user.id,
+      userName: displayName(user.id, user.profile_id, user.userAttrs),
+      profileId: user.profile_id,
+      profile: user.profile_name,
+      status: user.status
     }));
+  },
+
+  /**
+   * Get display names for the given user ids
+   * Returns { [userId]: displayName }
+   */
+  async getUserLabels(userIds, tenant, subtenant) {
+    const ids = [...new Set((userIds || []).filter(id => id !== null && id !== undefined))];
+    if (ids.length === 0) return {};
+
+    const placeholders = ids.map(() => '?').join(',');
+    const [users] = await pool.execute(
+      `SELECT id, profile as profile_id, userAttrs
+       FROM idx_users
+       WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+      [...ids, tenant, subtenant]
+    );
 
-    return processedUsers;
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+    const labels = {};
+    users.forEach(user => {
+      labels[user.id] = displayName(user.id, user.profile_id, user.userAttrs);
+    });
+    return labels;
+  },
+
+  /**
+   * Get name and Trash state for the given dashboard ids (including dashboards in Trash)
+   * Returns [{ id, dashboardName, deletedAt }]
+   */
+  async getStates(ids, tenant, subtenant) {
+    if (!ids || ids.length === 0) return [];
+
+    const placeholders = ids.map(() => '?').join(',');
+    const [rows] = await pool.execute(
+      `SELECT id, dashboard_name, deleted_at
+       FROM idx2_dashboard
+       WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+      [...ids, tenant, subtenant]
+    );
+
+    return rows.map(row => ({ id: row.id, dashboardName: row.dashboard_name, deletedAt: row.deleted_at }));
   },
 
   /**
@@ -465,51 +1130,256 @@ const Dashboard = {
   },
 
   /**
-   * Add user to dashboard
+   * Add user to dashboard with a permission level (VIEWER by default)
    */
-  async addUser(dashboardId, userId, tenant, subtenant) {
-    // Check if mapping already exists
-    const [existing] = await pool.execute(
-      'SELECT id FROM idx2_dashboard_user_map WHERE dashboard = ? AND user = ? AND tenant = ? AND subtenant = ?',
-      [dashboardId, userId, tenant, subtenant]
-    );
+  async addUser(dashboardId, userId, tenant, subtenant, author = null, permission = DEFAULT_PERMISSION, audit = null) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    if (existing.length > 0) {
-      return { alreadyExists: true };
-    }
+    try {
+      // Verify dashboard exists (not in Trash)
+      const [dashboards] = await connection.execute(
+        'SELECT id FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
+        [dashboardId, tenant, subtenant]
+      );
 
-    const query = `
-      INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user)
-      VALUES (?, ?, ?, ?)
-    `;
-    await pool.execute(query, [tenant, subtenant, dashboardId, userId]);
-    return { success: true };
+      if (dashboards.length === 0) {
+        throw new Error('Dashboard not found');
+      }
+
+      // Check if mapping already exists
+      const [existing] = await connection.execute(
+        'SELECT id FROM idx2_dashboard_user_map WHERE dashboard = ? AND user = ? AND tenant = ? AND subtenant = ?',
+        [dashboardId, userId, tenant, subtenant]
+      );
+
+      if (existing.length > 0) {
+        await connection.rollback();
+        return { alreadyExists: true };
+      }
+
+      await DashboardRevision.ensureBaseline(connection, dashboardId, tenant, subtenant);
+
+      const query = `
+        INSERT INTO idx2_dashboard_user_map (tenant, subtenant, dashboard, user, permission, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      await connection.execute(query, [tenant, subtenant, dashboardId, userId, normalizePermission(permission), author || null]);
+
+      await DashboardRevision.record(connection, dashboardId, author, tenant, subtenant);
+
+      if (audit) await audit(connection, {});
+
+      await connection.commit();
+      return { success: true };
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   },
 
   /**
    * Remove user from dashboard
    */
-  async removeUser(dashboardId, userId, tenant, subtenant) {
-    const [result] = await pool.execute(
-      'DELETE FROM idx2_dashboard_user_map WHERE dashboard = ? AND user = ? AND tenant = ? AND subtenant = ?',
-      [dashboardId, userId, tenant, subtenant]
-    );
-    return result.affectedRows > 0;
+  async removeUser(dashboardId, userId, tenant, subtenant, author = null, audit = null) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      // Verify dashboard exists (not in Trash)
+      const [dashboards] = await connection.execute(
+        'SELECT id FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
+        [dashboardId, tenant, subtenant]
+      );
+
+      if (dashboards.length === 0) {
+        throw new Error('Dashboard not found');
+      }
+
+      await DashboardRevision.ensureBaseline(connection, dashboardId, tenant, subtenant);
+
+      const [result] = await connection.execute(
+        'DELETE FROM idx2_dashboard_user_map WHERE dashboard = ? AND user = ? AND tenant = ? AND subtenant = ?',
+        [dashboardId, userId, tenant, subtenant]
+      );
+
+      if (result.affectedRows > 0) {
+        await DashboardRevision.record(connection, dashboardId, author, tenant, subtenant);
+        if (audit) await audit(connection, {});
+      }
+
+      await connection.commit();
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Get revision history of a dashboard (newest first, with changes)
+   */
+  async getRevisions(dashboardId, tenant, subtenant) {
+    return DashboardRevision.getAll(dashboardId, tenant, subtenant);
+  },
+
+  /**
+   * Restore a dashboard to an earlier revision in one transaction.
+   * The restore is itself recorded as a new revision.
+   * Custom widgets that no longer exist are skipped.
+   * audit details: { before, after, restoredFrom }
+   */
+  async revertToRevision(id, revisionId, author, tenant, subtenant, audit = null) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      // 1. Verify dashboard and revision exist
+      const [existing] = await connection.execute(
+        'SELECT id FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
+        [id, tenant, subtenant]
+      );
+
+      if (existing.length === 0) {
+        throw new Error('Dashboard not found');
+      }
+
+      const target = await DashboardRevision.getById(connection, id, revisionId, tenant, subtenant);
+      if (!target || !target.snapshot) {
+        throw new Error('Revision not found');
+      }
+
+      const { snapshot } = target;
+      await DashboardRevision.ensureBaseline(connection, id, tenant, subtenant);
+      const before = await DashboardRevision.snapshot(connection, id, tenant, subtenant);
+
+      // 2. Restore name, description, predefined widgets and filters
+      await connection.execute(
+        `UPDATE idx2_dashboard
+         SET dashboard_name = ?, dashboard_desc = ?, widget_cfg = ?, dashboard_filters = ?
+         WHERE id = ? AND tenant = ? AND subtenant = ?`,
+        [
+          snapshot.dashboardName,
+          snapshot.dashboardDesc || '',
+          JSON.stringify(snapshot.widgetCfg || []),
+          JSON.stringify(snapshot.filters || []),
+          id,
+          tenant,
+          subtenant
+        ]
+      );
+
+      // 3. Restore custom widgets that still exist, with their layout
+      const snapshotWidgets = snapshot.customWidgets || [];
+      let widgetIds = [];
+      if (snapshotWidgets.length > 0) {
+        const placeholders = snapshotWidgets.map(() => '?').join(',');
+        const [rows] = await connection.execute(
+          `SELECT id FROM idx2_dashboard_widget WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+          [...snapshotWidgets.map(w => w.widgetId), tenant, subtenant]
+        );
+        const existingIds = rows.map(row => String(row.id));
+        widgetIds = snapshotWidgets.map(w => w.widgetId).filter(widgetId => existingIds.includes(String(widgetId)));
+      }
+
+      const layoutMap = {};
+      snapshotWidgets.forEach(w => {
+        if (w.layout) layoutMap[`custom-${w.widgetId}`] = w.layout;
+      });
+      await this.saveWidgetMap(connection, id, widgetIds, layoutMap, tenant, subtenant);
+
+      // 4. Restore direct user access
+      const userPermissions = snapshot.userPermissions || {};
+      const users = (snapshot.users || []).map(userId => ({ userId, permission: userPermissions[userId] }));
+      await this.saveUserMap(connection, id, users, tenant, subtenant, author);
+
+      // 5. Restore Profile/Role access rules
+      await this.saveAccessRules(connection, id, snapshot.accessRules || [], tenant, subtenant, author);
+
+      // 6. Record the restore as a new revision
+      const { revision, snapshot: after } = await DashboardRevision.record(connection, id, author, tenant, subtenant, target.revision);
+
+      if (audit) await audit(connection, { before, after, restoredFrom: target.revision });
+
+      await connection.commit();
+      return { id, revision, restoredFrom: target.revision, before, after };
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   },
 
   /**
    * Get dashboards for a specific user (User Console)
+   * Includes direct assignments and dashboards granted through the
+   * user's current profile or roles, each with the user's effective permission.
    */
   async getDashboardsForUser(userId, tenant, subtenant) {
     const query = `
-      SELECT d.id, d.dashboard_name, d.dashboard_desc, d.widget_cfg
+      SELECT d.id, d.dashboard_name, d.dashboard_desc, d.widget_cfg,
+             ${USER_PERMISSION_RANK} AS permission_rank
       FROM idx2_dashboard d
-      JOIN idx2_dashboard_user_map dum ON d.id = dum.dashboard
-      WHERE dum.user = ? AND dum.tenant = ? AND dum.subtenant = ?
+      WHERE d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL
+      AND ${USER_ACCESS_CONDITION}
       ORDER BY d.dashboard_name
     `;
-    const [rows] = await pool.execute(query, [userId, tenant, subtenant]);
-    return rows;
+    const [rows] = await pool.execute(query, [userId, userId, userId, tenant, subtenant, userId, userId, userId]);
+    return rows.map(({ permission_rank, ...row }) => ({ ...row, permission: rankToPermission(permission_rank) }));
+  },
+
+  /**
+   * Check whether a user can open a dashboard
+   * (direct assignment or a matching Profile/Role rule)
+   */
+  async hasUserAccess(dashboardId, userId, tenant, subtenant) {
+    const query = `
+      SELECT 1
+      FROM idx2_dashboard d
+      WHERE d.id = ? AND d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL
+      AND ${USER_ACCESS_CONDITION}
+      LIMIT 1
+    `;
+    const [rows] = await pool.execute(query, [dashboardId, tenant, subtenant, userId, userId, userId]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Get a user's effective permission on a dashboard: the highest level of
+   * the direct assignment and matching Profile/Role rules.
+   * Returns 'VIEWER' | 'EDITOR' | 'OWNER', or null without access (or if not found).
+   */
+  async getUserPermission(dashboardId, userId, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT ${USER_PERMISSION_RANK} AS permission_rank
+       FROM idx2_dashboard d
+       WHERE d.id = ? AND d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL`,
+      [userId, userId, userId, dashboardId, tenant, subtenant]
+    );
+    return rows.length > 0 ? rankToPermission(rows[0].permission_rank) : null;
+  },
+
+  /**
+   * Check whether a user has at least the given permission on any dashboard outside Trash
+   */
+  async hasAnyPermission(userId, required, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT 1
+       FROM idx2_dashboard d
+       WHERE d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL
+       AND ${USER_PERMISSION_RANK} >= ?
+       LIMIT 1`,
+      [tenant, subtenant, userId, userId, userId, PERMISSIONS.indexOf(required) + 1]
+    );
+    return rows.length > 0;
   }
 };
 
@@ -0,0 +1,216 @@
+/**
+ * Dashboard Bundle Model
+ *
+ * Portable JSON bundles for moving dashboards between tenants/subtenants.
+ * Custom widgets are referenced by name and remapped to the target
+ * tenant's widget ids on import; widgets missing there are reported.
+ *
+ * Tables used:
+ * - idx2_dashboard, idx2_dashboard_widget_map: Read on export
+ * - idx2_dashboard_widget: Custom widget names/ids
+ */
+
+import { pool } from '../config/db.js';
+import Dashboard, { parseWidgetCfg } from './Dashboard.js';
+import { validateFilters, parseFilters } from './DashboardFilter.js';
+
+// Bundle identification; bump BUNDLE_VERSION when the format changes
+export const BUNDLE_FORMAT = 'diy-dashboard-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Upper bound for dashboards in one bundle
+export const MAX_BUNDLE_DASHBOARDS = 100;
+
+/**
+ * Check a bundle's structure. Returns an error message or null.
+ */
+export const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object') {
+    return 'Bundle must be a JSON object';
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return `Not a dashboard bundle (expected format "${BUNDLE_FORMAT}")`;
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return `Unsupported bundle version ${bundle.version} (supported: 1 to ${BUNDLE_VERSION})`;
+  }
+  if (!Array.isArray(bundle.dashboards) || bundle.dashboards.length === 0) {
+    return 'Bundle contains no dashboards';
+  }
+  if (bundle.dashboards.length > MAX_BUNDLE_DASHBOARDS) {
+    return `A bundle can contain at most ${MAX_BUNDLE_DASHBOARDS} dashboards`;
+  }
+
+  for (const [index, dashboard] of bundle.dashboards.entries()) {
+    if (!dashboard || typeof dashboard.name !== 'string' || dashboard.name.trim() === '') {
+      return `Dashboard ${index + 1} has no name`;
+    }
+    if (dashboard.widgetCfg !== undefined && !Array.isArray(dashboard.widgetCfg)) {
+      return `Dashboard "${dashboard.name}" has an invalid widgetCfg`;
+    }
+    if (dashboard.customWidgets !== undefined && !Array.isArray(dashboard.customWidgets)) {
+      return `Dashboard "${dashboard.name}" has an invalid customWidgets list`;
+    }
+    if (dashboard.filters !== undefined) {
+      const filterError = validateFilters(dashboard.filters);
+      if (filterError) {
+        return `Dashboard "${dashboard.name}": ${filterError}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const DashboardBundle = {
+  /**
+   * Build a bundle of the given dashboards (Trash excluded)
+   */
+  async export(ids, tenant, subtenant) {
+    const placeholders = ids.map(() => '?').join(',');
+
+    const [dashboards] = await pool.execute(
+      `SELECT id, dashboard_name, dashboard_desc, widget_cfg, dashboard_filters
+       FROM idx2_dashboard
+       WHERE id IN (${placeholders}) AND tenant = ? AND subtenant = ? AND deleted_at IS NULL
+       ORDER BY id`,
+      [...ids, tenant, subtenant]
+    );
+
+    if (dashboards.length === 0) {
+      return null;
+    }
+
+    const [widgetRows] = await pool.execute(
+      `SELECT dwm.dashboard, w.widget_name, dwm.pos_x, dwm.pos_y, dwm.width, dwm.height
+       FROM idx2_dashboard_widget_map dwm
+       JOIN idx2_dashboard_widget w ON dwm.widget = w.id AND dwm.tenant = w.tenant AND dwm.subtenant = w.subtenant
+       WHERE dwm.dashboard IN (${dashboards.map(() => '?').join(',')}) AND dwm.tenant = ? AND dwm.subtenant = ?
+       ORDER BY dwm.id`,
+      [...dashboards.map(d => d.id), tenant, subtenant]
+    );
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      dashboards: dashboards.map(dashboard => ({
+        name: dashboard.dashboard_name,
+        description: dashboard.dashboard_desc || '',
+        widgetCfg: parseWidgetCfg(dashboard.widget_cfg),
+        filters: parseFilters(dashboard.dashboard_filters),
+        customWidgets: widgetRows
+          .filter(row => row.dashboard === dashboard.id)
+          .map(row => ({
+            name: row.widget_name,
+            layout: row.pos_x !== null && row.pos_y !== null && row.width && row.height
+              ? { x: row.pos_x, y: row.pos_y, w: row.width, h: row.height }
+              : null
+          }))
+      }))
+    };
+  },
+
+  /**
+   * Resolve custom widget names to the target tenant's widget ids
+   * Returns { [widgetName]: id }
+   */
+  async resolveWidgetNames(names, tenant, subtenant) {
+    const uniqueNames = [...new Set(names)];
+    if (uniqueNames.length === 0) return {};
+
+    const placeholders = uniqueNames.map(() => '?').join(',');
+    const [rows] = await pool.execute(
+      `SELECT id, widget_name FROM idx2_dashboard_widget
+       WHERE widget_name IN (${placeholders}) AND tenant = ? AND subtenant = ?
+       ORDER BY id`,
+      [...uniqueNames, tenant, subtenant]
+    );
+
+    // Duplicate names in the target tenant resolve to the oldest widget
+    const widgetIds = {};
+    rows.forEach(row => {
+      if (!(row.widget_name in widgetIds)) widgetIds[row.widget_name] = row.id;
+    });
+    return widgetIds;
+  },
+
+  /**
+   * Import a validated bundle into the caller's tenant/subtenant.
+   * Each dashboard is created in its own transaction (with its first revision).
+   * With dryRun nothing is written; the result shows what would be imported.
+   * audit(connection, result) runs in each dashboard's transaction (see Dashboard model).
+   *
+   * Returns [{ name, id, snapshot, widgetsMapped, missingWidgets }]
+   */
+  async import(bundle, { author = null, dryRun = false } = {}, tenant, subtenant, audit = null) {
+    const widgetNames = bundle.dashboards.flatMap(d => (d.customWidgets || []).map(w => w && w.name).filter(name => typeof name === 'string'));
+    const widgetIds = await this.resolveWidgetNames(widgetNames, tenant, subtenant);
+    const predefinedWidgets = Dashboard.getPredefinedWidgets();
+
+    const results = [];
+    for (const item of bundle.dashboards) {
+      const layout = [];
+      const customWidgetIds = [];
+      const missingWidgets = [];
+
+      // Predefined widgets: enabled status and layout from widget_cfg
+      const selectedPredefinedWidgets = (item.widgetCfg || [])
+        .filter(cfg => cfg && cfg.status === 'true' && predefinedWidgets.includes(cfg.dwname))
+        .map(cfg => cfg.dwname);
+      (item.widgetCfg || []).forEach(cfg => {
+        if (cfg && cfg.layout && predefinedWidgets.includes(cfg.dwname)) {
+          layout.push({ ...cfg.layout, i: `predefined-${cfg.dwname}` });
+        }
+      });
+
+      // Custom widgets: remap by name
+      (item.customWidgets || []).forEach(widget => {
+        if (!widget || typeof widget.name !== 'string') return;
+        const widgetId = widgetIds[widget.name];
+
+        if (!widgetId) {
+          if (!missingWidgets.includes(widget.name)) missingWidgets.push(widget.name);
+          return;
+        }
+        if (customWidgetIds.includes(widgetId)) return;
+
+        customWidgetIds.push(widgetId);
+        if (widget.layout) {
+          layout.push({ ...widget.layout, i: `custom-${widgetId}` });
+        }
+      });
+
+      const result = {
+        name: item.name.trim(),
+        id: null,
+        snapshot: null,
+        widgetsMapped: customWidgetIds.length,
+        missingWidgets
+      };
+
+      if (!dryRun) {
+        const created = await Dashboard.create({
+          dashboardName: result.name,
+          dashboardDesc: typeof item.description === 'string' ? item.description.trim() : '',
+          selectedPredefinedWidgets,
+          customWidgetIds,
+          users: [],
+          layout,
+          filters: item.filters || [],
+          author,
+          tenant,
+          subtenant
+        }, audit && ((connection, { id, snapshot }) => audit(connection, { ...result, id, snapshot })));
+        result.id = created.id;
+        result.snapshot = created.snapshot;
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+};
+
+export default DashboardBundle;
@@ -0,0 +1,176 @@
+/**
+ * Dashboard Filter Model
+ *
+ * Dashboard-level filters (idx2_dashboard.dashboard_filters JSON). Each filter
+ * is shown in the viewer's filter bar and its value is sent as a query
+ * parameter with every custom widget's data request, merged with the
+ * widget's own widget_filter.
+ *
+ * Filter definition: { key, label, type, options, defaultValue }
+ * - text / date: value sent as ?<key>=<value>
+ * - select: one of options, sent as ?<key>=<value>
+ * - dateRange: sent as ?<key>From=<date>&<key>To=<date>
+ *
+ * The widget data proxy accepts only these parameters from the client
+ * (see resolveFilterParams).
+ */
+
+export const DASHBOARD_FILTER_TYPES = ['text', 'select', 'date', 'dateRange'];
+
+export const MAX_DASHBOARD_FILTERS = 10;
+
+const MAX_OPTIONS = 100;
+const MAX_VALUE_LENGTH = 255;
+
+// Query parameter names: letters, digits, "_", "." and "-"
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Used by the widget data proxy (tenant/subtenant from the caller's token, refresh bypasses its cache)
+const RESERVED_PARAMS = ['tenant', 'subtenant', 'refresh'];
+
+/**
+ * Query parameter names of a filter
+ */
+const paramNames = (filter) => filter.type === 'dateRange'
+  ? [`${filter.key}From`, `${filter.key}To`]
+  : [filter.key];
+
+/**
+ * Check a client filter list. Returns an error message or null.
+ */
+export const validateFilters = (filters) => {
+  if (!Array.isArray(filters)) {
+    return 'Filters must be an array';
+  }
+  if (filters.length > MAX_DASHBOARD_FILTERS) {
+    return `A dashboard can have at most ${MAX_DASHBOARD_FILTERS} filters`;
+  }
+
+  // Parameter names in use, including the From/To pair of date ranges
+  const params = new Set();
+
+  for (const [index, filter] of filters.entries()) {
+    if (!filter || typeof filter !== 'object') {
+      return `Filter ${index + 1} is invalid`;
+    }
+
+    const { key, label, type, options, defaultValue } = filter;
+
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return `Filter ${index + 1} needs a key of letters, digits, "_", "." or "-"`;
+    }
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_VALUE_LENGTH)) {
+      return `Filter "${key}" has an invalid label`;
+    }
+    if (!DASHBOARD_FILTER_TYPES.includes(type)) {
+      return `Filter "${key}" type must be one of ${DASHBOARD_FILTER_TYPES.join(', ')}`;
+    }
+
+    const names = paramNames({ key, type });
+    const reserved = names.find(name => RESERVED_PARAMS.includes(name));
+    if (reserved) {
+      return `Filter parameter "${reserved}" is reserved`;
+    }
+    const duplicate = names.find(name => params.has(name));
+    if (duplicate) {
+      return `Filter parameter "${duplicate}" is used more than once`;
+    }
+    names.forEach(name => params.add(name));
+
+    if (type === 'select') {
+      if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+        return `Filter "${key}" needs between 1 and ${MAX_OPTIONS} options`;
+      }
+      if (!options.every(option => typeof option === 'string' && option.trim() !== '' && option.length <= MAX_VALUE_LENGTH)) {
+        return `Filter "${key}" options must be non-empty text`;
+      }
+    }
+
+    if (defaultValue !== undefined && defaultValue !== null && defaultValue !== '') {
+      if (type === 'dateRange') {
+        return `Filter "${key}" cannot have a default value`;
+      }
+      if (typeof defaultValue !== 'string' || defaultValue.length > MAX_VALUE_LENGTH) {
+        return `Filter "${key}" default value must be text`;
+      }
+      if (type === 'select' && !options.includes(defaultValue)) {
+        return `Filter "${key}" default value must be one of its options`;
+      }
+      if (type === 'date' && !DATE_PATTERN.test(defaultValue)) {
+        return `Filter "${key}" default value must be a date (YYYY-MM-DD)`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Map validated client filters to the stored shape (unknown properties dropped)
+ */
+export const normalizeFilters = (filters) => filters.map(({ key, label, type, options, defaultValue }) => ({
+  key,
+  label: (label || '').trim() || key,
+  type,
+  options: type === 'select' ? options.map(option => option.trim()) : [],
+  defaultValue: type === 'dateRange' ? '' : (defaultValue || '')
+}));
+
+/**
+ * Parse the dashboard_filters column
+ */
+export const parseFilters = (value) => {
+  if (!value) return [];
+  try {
+    const filters = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(filters) ? filters : [];
+  } catch (e) {
+    console.error('Error parsing dashboard_filters:', e);
+    return [];
+  }
+};
+
+/**
+ * Pick a dashboard's filter values from a request query (other parameters are ignored).
+ * Values are checked against the filter type and select options.
+ * Returns { params } or { error }.
+ */
+export const resolveFilterParams = (filters, query = {}) => {
+  const params = {};
+
+  for (const filter of filters) {
+    for (const name of paramNames(filter)) {
+      const value = query[name];
+      if (value === undefined || value === '') continue;
+
+      if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+        return { error: `Invalid value for filter "${name}"` };
+      }
+      if (filter.type === 'select' && !(filter.options || []).includes(value)) {
+        return { error: `"${value}" is not an option of filter "${filter.key}"` };
+      }
+      if ((filter.type === 'date' || filter.type === 'dateRange') && !DATE_PATTERN.test(value)) {
+        return { error: `Filter "${name}" must be a date (YYYY-MM-DD)` };
+      }
+
+      params[name] = value;
+    }
+  }
+
+  return { params };
+};
+
+/**
+ * Filter parameters for the filters' default values
+ * (used where no filter bar is shown, e.g. scheduled reports)
+ */
+export const defaultFilterParams = (filters) => {
+  const query = {};
+  filters.forEach(filter => {
+    if (filter.type !== 'dateRange' && filter.defaultValue) {
+      query[filter.key] = filter.defaultValue;
+    }
+  });
+  return resolveFilterParams(filters, query).params || {};
+};
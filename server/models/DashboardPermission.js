@@ -0,0 +1,26 @@
+/**
+ * Dashboard Permission Levels
+ *
+ * Permission levels of dashboard access grants, lowest first (see
+ * server/sql/011_dashboard_access_permission.sql). Viewers open the dashboard,
+ * editors also change its content, owners also manage its access.
+ */
+
+export const PERMISSIONS = ['VIEWER', 'EDITOR', 'OWNER'];
+
+// Level of grants saved without one (and of grants recorded before levels existed)
+export const DEFAULT_PERMISSION = 'VIEWER';
+
+// Effective permission of admin callers on every dashboard
+export const ADMIN_PERMISSION = 'OWNER';
+
+/**
+ * Check whether a permission (null without access) is at least the required level
+ */
+export const hasPermission = (permission, required) =>
+  PERMISSIONS.includes(permission) && PERMISSIONS.indexOf(permission) >= PERMISSIONS.indexOf(required);
+
+/**
+ * A valid permission level, else DEFAULT_PERMISSION
+ */
+export const normalizePermission = (permission) => PERMISSIONS.includes(permission) ? permission : DEFAULT_PERMISSION;
@@ -0,0 +1,266 @@
+/**
+ * Dashboard Revision Model
+ *
+ * Immutable revision history for custom dashboards.
+ * Each save stores a snapshot of the dashboard; the history
+ * endpoint returns revisions with the differences to the previous one.
+ *
+ * Tables used:
+ * - idx2_dashboard_revision: Revision snapshots (author, timestamp)
+ * - idx2_dashboard, idx2_dashboard_widget_map, idx2_dashboard_user_map,
+ *   idx2_dashboard_access_rule: Read to build snapshots
+ */
+
+import { pool } from '../config/db.js';
+import { parseFilters } from './DashboardFilter.js';
+import { DEFAULT_PERMISSION } from './DashboardPermission.js';
+
+/**
+ * Parse a JSON column value
+ */
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.error('Error parsing revision snapshot:', e);
+    return fallback;
+  }
+};
+
+const ruleKey = (rule) => `${rule.ruleType}-${rule.ruleRef}`;
+
+
+/**
+ * Permission of every grant in a snapshot: { 'USER-<id>' | '<ruleType>-<ref>': permission }
+ */
+const grantPermissions = (snapshot) => {
+  const permissions = {};
+  (snapshot.users || []).forEach(userId => {
+    permissions[`USER-${userId}`] = (snapshot.userPermissions || {})[userId] || DEFAULT_PERMISSION;
+  });
+  (snapshot.accessRules || []).forEach(rule => {
+    permissions[ruleKey(rule)] = rule.permission || DEFAULT_PERMISSION;
+  });
+  return permissions;
+};
+
+/**
+ * Compare two snapshots. prev is null for the first revision.
+ */
+export const diffSnapshots = (prev, next) => {
+  const before = prev || { widgetCfg: [], filters: [], customWidgets: [], users: [], accessRules: [] };
+
+  const enabled = (snapshot) => (snapshot.widgetCfg || [])
+    .filter(w => w.status === 'true')
+    .map(w => w.dwname);
+  const widgetIds = (snapshot) => (snapshot.customWidgets || []).map(w => w.widgetId);
+  const added = (from, to) => to.filter(item => !from.includes(item));
+
+  const prevRules = (before.accessRules || []).map(ruleKey);
+  const nextRules = (next.accessRules || []).map(ruleKey);
+
+  // Permission changes of grants present in both snapshots
+  const prevPermissions = grantPermissions(before);
+  const nextPermissions = grantPermissions(next);
+  const permissionsChanged = Object.keys(nextPermissions)
+    .filter(key => key in prevPermissions && prevPermissions[key] !== nextPermissions[key])
+    .map(key => {
+      const separator = key.indexOf('-');
+      return {
+        ruleType: key.slice(0, separator),
+        ruleRef: key.slice(separator + 1),
+        from: prevPermissions[key],
+        to: nextPermissions[key]
+      };
+    });
+
+  // Layout of widgets present in both snapshots
+  const layoutOf = (snapshot) => {
+    const layouts = {};
+    (snapshot.widgetCfg || []).forEach(w => { layouts[`predefined-${w.dwname}`] = w.layout || null; });
+    (snapshot.customWidgets || []).forEach(w => { layouts[`custom-${w.widgetId}`] = w.layout || null; });
+    return layouts;
+  };
+  const prevLayout = layoutOf(before);
+  const nextLayout = layoutOf(next);
+  const layoutChanged = Boolean(prev) && Object.keys(nextLayout).some(key =>
+    key in prevLayout && JSON.stringify(prevLayout[key]) !== JSON.stringify(nextLayout[key])
+  );
+
+  return {
+    nameChanged: prev && prev.dashboardName !== next.dashboardName
+      ? { from: prev.dashboardName, to: next.dashboardName }
+      : null,
+    descriptionChanged: Boolean(prev) && prev.dashboardDesc !== next.dashboardDesc,
+    filtersChanged: Boolean(prev) && JSON.stringify(before.filters || []) !== JSON.stringify(next.filters || []),
+    predefinedAdded: added(enabled(before), enabled(next)),
+    predefinedRemoved: added(enabled(next), enabled(before)),
+    widgetsAdded: added(widgetIds(before), widgetIds(next)),
+    widgetsRemoved: added(widgetIds(next), widgetIds(before)),
+    usersGranted: added(before.users || [], next.users || []),
+    usersRevoked: added(next.users || [], before.users || []),
+    rulesAdded: (next.accessRules || []).filter(rule => !prevRules.includes(ruleKey(rule))),
+    rulesRemoved: (before.accessRules || []).filter(rule => !nextRules.includes(ruleKey(rule))),
+    permissionsChanged,
+    layoutChanged
+  };
+};
+
+const DashboardRevision = {
+  /**
+   * Build a snapshot of the dashboard's current state
+   * (run on the transaction's connection to see its uncommitted writes)
+   */
+  async snapshot(connection, dashboardId, tenant, subtenant) {
+    const [dashboards] = await connection.execute(
+      'SELECT dashboard_name, dashboard_desc, widget_cfg, dashboard_filters FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+
+    if (dashboards.length === 0) {
+      return null;
+    }
+
+    const [widgetRows] = await connection.execute(
+      `SELECT widget, pos_x, pos_y, width, height
+       FROM idx2_dashboard_widget_map
+       WHERE dashboard = ? AND tenant = ? AND subtenant = ?
+       ORDER BY id`,
+      [dashboardId, tenant, subtenant]
+    );
+
+    const [userRows] = await connection.execute(
+      'SELECT user, permission FROM idx2_dashboard_user_map WHERE dashboard = ? AND tenant = ? AND subtenant = ? ORDER BY id',
+      [dashboardId, tenant, subtenant]
+    );
+
+    const [ruleRows] = await connection.execute(
+      'SELECT rule_type, rule_ref, permission FROM idx2_dashboard_access_rule WHERE dashboard = ? AND tenant = ? AND subtenant = ? ORDER BY id',
+      [dashboardId, tenant, subtenant]
+    );
+
+    return {
+      dashboardName: dashboards[0].dashboard_name,
+      dashboardDesc: dashboards[0].dashboard_desc || '',
+      widgetCfg: parseJson(dashboards[0].widget_cfg, []),
+      filters: parseFilters(dashboards[0].dashboard_filters),
+      customWidgets: widgetRows.map(row => ({
+        widgetId: row.widget,
+        layout: row.pos_x !== null && row.pos_y !== null && row.width && row.height
+          ? { x: row.pos_x, y: row.pos_y, w: row.width, h: row.height }
+          : null
+      })),
+      users: userRows.map(row => row.user),
+      userPermissions: Object.fromEntries(userRows.map(row => [row.user, row.permission])),
+      accessRules: ruleRows.map(row => ({ ruleType: row.rule_type, ruleRef: row.rule_ref, permission: row.permission }))
+    };
+  },
+
+  /**
+   * Record the dashboard's current state as a new revision
+   * Returns { revision, snapshot }
+   */
+  async record(connection, dashboardId, author, tenant, subtenant, restoredFrom = null) {
+    const snapshot = await this.snapshot(connection, dashboardId, tenant, subtenant);
+    if (!snapshot) return { revision: null, snapshot: null };
+
+    const [rows] = await connection.execute(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS next_revision FROM idx2_dashboard_revision WHERE dashboard = ? AND tenant = ? AND subtenant = ?',
+      [dashboardId, tenant, subtenant]
+    );
+    const revision = rows[0].next_revision;
+
+    await connection.execute(
+      `INSERT INTO idx2_dashboard_revision (tenant, subtenant, dashboard, revision, snapshot, author, restored_from)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [tenant, subtenant, dashboardId, revision, JSON.stringify(snapshot), author || null, restoredFrom]
+    );
+
+    return { revision, snapshot };
+  },
+
+  /**
+   * Dashboards saved before history existed have no revisions.
+   * Record their current state (no author) before the first change.
+   */
+  async ensureBaseline(connection, dashboardId, tenant, subtenant) {
+    const [rows] = await connection.execute(
+      'SELECT id FROM idx2_dashboard_revision WHERE dashboard = ? AND tenant = ? AND subtenant = ? LIMIT 1',
+      [dashboardId, tenant, subtenant]
+    );
+
+    if (rows.length === 0) {
+      await this.record(connection, dashboardId, null, tenant, subtenant);
+    }
+  },
+
+  /**
+   * Get revisions of a dashboard, newest first, each with its changes
+   * compared to the previous revision
+   */
+  async getAll(dashboardId, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, revision, snapshot, author, restored_from, created_at
+       FROM idx2_dashboard_revision
+       WHERE dashboard = ? AND tenant = ? AND subtenant = ?
+       ORDER BY revision`,
+      [dashboardId, tenant, subtenant]
+    );
+
+    let previous = null;
+    const revisions = rows.map(row => {
+      const snapshot = parseJson(row.snapshot, {});
+      const revision = {
+        id: row.id,
+        revision: row.revision,
+        author: row.author,
+        restoredFrom: row.restored_from,
+        createdAt: row.created_at,
+        snapshot,
+        changes: diffSnapshots(previous, snapshot)
+      };
+      previous = snapshot;
+      return revision;
+    });
+
+    return revisions.reverse();
+  },
+
+  /**
+   * Get a single revision (snapshot included)
+   */
+  async getById(connection, dashboardId, revisionId, tenant, subtenant) {
+    const [rows] = await connection.execute(
+      `SELECT id, revision, snapshot
+       FROM idx2_dashboard_revision
+       WHERE id = ? AND dashboard = ? AND tenant = ? AND subtenant = ?`,
+      [revisionId, dashboardId, tenant, subtenant]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      id: rows[0].id,
+      revision: rows[0].revision,
+      snapshot: parseJson(rows[0].snapshot, null)
+    };
+  },
+
+  /**
+   * Delete all revisions of the given dashboards (within a transaction)
+   */
+  async deleteForDashboards(connection, ids, tenant, subtenant) {
+    if (!ids || ids.length === 0) return;
+
+    const placeholders = ids.map(() => '?').join(',');
+    await connection.execute(
+      `DELETE FROM idx2_dashboard_revision WHERE dashboard IN (${placeholders}) AND tenant = ? AND subtenant = ?`,
+      [...ids, tenant, subtenant]
+    );
+  }
+};
+
+export default DashboardRevision;
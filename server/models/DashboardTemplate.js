@@ -0,0 +1,167 @@
+/**
+ * Dashboard Template Model
+ *
+ * Starting points for new dashboards: built-in templates defined below
+ * and tenant-level templates saved from existing dashboards.
+ *
+ * Tables used:
+ * - idx2_dashboard_template: Tenant templates (widget_cfg and custom widgets JSON)
+ * - idx2_dashboard, idx2_dashboard_widget_map: Read when saving a dashboard as template
+ */
+
+import { pool } from '../config/db.js';
+
+// Built-in templates, available to every tenant (ids are prefixed "builtin-")
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-access-review',
+    templateName: 'Access Review Overview',
+    templateDesc: 'Overdue reviews, campaigns and approvals',
+    predefinedWidgets: ['Overdue Reviews', 'Overdue Campaigns', 'Overdue Approvals']
+  },
+  {
+    id: 'builtin-identity-overview',
+    templateName: 'Identity Overview',
+    templateDesc: 'Identity, role and orphan account distribution',
+    predefinedWidgets: ['Identity Distribution', 'Role Distribution', 'Orphan Account Distribution']
+  },
+  {
+    id: 'builtin-authentication-activity',
+    templateName: 'Authentication Activity',
+    templateDesc: 'Login, password reset and single sign-on activity',
+    predefinedWidgets: ['Login', 'Forgot Password', 'Single Sign On']
+  }
+];
+
+/**
+ * Parse a JSON column value
+ */
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.error('Error parsing template JSON:', e);
+    return fallback;
+  }
+};
+
+/**
+ * Map a template row to the client shape:
+ * { id, builtIn, templateName, templateDesc, predefinedWidgets, customWidgetIds, layout }
+ * layout uses the grid item ids of the layout editor ("custom-<id>" / "predefined-<dwname>")
+ */
+const toTemplate = (row) => {
+  const widgetCfg = parseJson(row.widget_cfg, []);
+  const customWidgets = parseJson(row.custom_widgets, []);
+
+  return {
+    id: row.id,
+    builtIn: false,
+    templateName: row.template_name,
+    templateDesc: row.template_desc || '',
+    predefinedWidgets: widgetCfg.filter(w => w.status === 'true').map(w => w.dwname),
+    customWidgetIds: customWidgets.map(w => w.widgetId),
+    layout: [
+      ...widgetCfg.filter(w => w.layout).map(w => ({ i: `predefined-${w.dwname}`, ...w.layout })),
+      ...customWidgets.filter(w => w.layout).map(w => ({ i: `custom-${w.widgetId}`, ...w.layout }))
+    ],
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+};
+
+const DashboardTemplate = {
+  /**
+   * Get built-in templates followed by the tenant's templates
+   */
+  async getAll(tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, template_name, template_desc, widget_cfg, custom_widgets, created_by, created_at
+       FROM idx2_dashboard_template
+       WHERE tenant = ? AND subtenant = ?
+       ORDER BY template_name`,
+      [tenant, subtenant]
+    );
+
+    const builtIn = BUILT_IN_TEMPLATES.map(template => ({
+      ...template,
+      builtIn: true,
+      customWidgetIds: [],
+      layout: [],
+      createdBy: null,
+      createdAt: null
+    }));
+
+    return [...builtIn, ...rows.map(toTemplate)];
+  },
+
+  /**
+   * Save a dashboard's widgets and layout as a tenant template
+   * Returns null if the dashboard does not exist
+   */
+  async createFromDashboard(dashboardId, { templateName, templateDesc, createdBy = null }, tenant, subtenant) {
+    const [dashboards] = await pool.execute(
+      'SELECT widget_cfg FROM idx2_dashboard WHERE id = ? AND tenant = ? AND subtenant = ? AND deleted_at IS NULL',
+      [dashboardId, tenant, subtenant]
+    );
+
+    if (dashboards.length === 0) {
+      return null;
+    }
+
+    const [widgetRows] = await pool.execute(
+      `SELECT widget, pos_x, pos_y, width, height
+       FROM idx2_dashboard_widget_map
+       WHERE dashboard = ? AND tenant = ? AND subtenant = ?
+       ORDER BY id`,
+      [dashboardId, tenant, subtenant]
+    );
+
+    const widgetCfg = parseJson(dashboards[0].widget_cfg, []);
+    const customWidgets = widgetRows.map(row => ({
+      widgetId: row.widget,
+      layout: row.pos_x !== null && row.pos_y !== null && row.width && row.height
+        ? { x: row.pos_x, y: row.pos_y, w: row.width, h: row.height }
+        : null
+    }));
+
+    const [result] = await pool.execute(
+      `INSERT INTO idx2_dashboard_template
+         (tenant, subtenant, template_name, template_desc, widget_cfg, custom_widgets, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenant,
+        subtenant,
+        templateName,
+        templateDesc || '',
+        JSON.stringify(widgetCfg),
+        JSON.stringify(customWidgets),
+        createdBy
+      ]
+    );
+
+    return toTemplate({
+      id: result.insertId,
+      template_name: templateName,
+      template_desc: templateDesc,
+      widget_cfg: widgetCfg,
+      custom_widgets: customWidgets,
+      created_by: createdBy,
+      created_at: new Date()
+    });
+  },
+
+  /**
+   * Delete a tenant template (built-in templates cannot be deleted)
+   */
+  async delete(id, tenant, subtenant) {
+    const [result] = await pool.execute(
+      'DELETE FROM idx2_dashboard_template WHERE id = ? AND tenant = ? AND subtenant = ?',
+      [id, tenant, subtenant]
+    );
+    return result.affectedRows > 0;
+  }
+};
+
+export default DashboardTemplate;
@@ -0,0 +1,376 @@
+/**
+ * Report Schedule Model
+ *
+ * Database operations for scheduled dashboard reports. A schedule has a cron
+ * expression (see CronExpression), snapshot formats (pdf, csv), a transport
+ * (see ReportTransport) and recipients: users assigned to the dashboard
+ * in idx2_dashboard_user_map. Runs are done by ReportSnapshot.run.
+ *
+ * Recipient email addresses come from the user attribute REPORT_EMAIL_ATTR
+ * (attribute id in userAttrs) when set, else from a username that is an
+ * email address, else from the first attribute value that looks like one.
+ *
+ * Tables used:
+ * - idx2_dashboard_report_schedule: Schedules
+ * - idx2_dashboard_report_snapshot: Stored snapshot files
+ * - idx2_dashboard: Dashboard names
+ * - idx2_dashboard_user_map, idx_users, idx_identity_profile: Recipients
+ */
+
+import { pool } from '../config/db.js';
+import UserDisplayName from './UserDisplayName.js';
+import { validateCron, nextRunAt } from './CronExpression.js';
+
+export const REPORT_FORMATS = ['pdf', 'csv'];
+
+const EMAIL_ATTR = process.env.REPORT_EMAIL_ATTR || '';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_CRON_LENGTH = 100;
+const MAX_SNAPSHOTS = 100;
+
+const SCHEDULE_COLUMNS = `
+  s.id, s.dashboard, d.dashboard_name, d.deleted_at AS dashboard_deleted_at,
+  s.cron_expr, s.formats, s.transport, s.recipients, s.enabled,
+  s.next_run_at, s.last_run_at, s.last_status, s.last_error, s.created_by, s.created_at
+`;
+
+/**
+ * Parse a JSON array column
+ */
+const parseList = (value) => {
+  if (!value) return [];
+  try {
+    const list = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const toSchedule = ({ dashboard_deleted_at, ...row }) => ({
+  ...row,
+  enabled: Boolean(row.enabled),
+  formats: parseList(row.formats),
+  recipients: parseList(row.recipients).map(Number),
+  dashboard_in_trash: Boolean(dashboard_deleted_at)
+});
+
+/**
+ * Find a user's email address (see module comment)
+ */
+const resolveEmail = (username, userAttrs) => {
+  let attrs = [];
+  try {
+    attrs = userAttrs ? (typeof userAttrs === 'string' ? JSON.parse(userAttrs) : userAttrs) : [];
+  } catch (e) {
+    attrs = [];
+  }
+  if (!Array.isArray(attrs)) attrs = [];
+
+  if (EMAIL_ATTR) {
+    const attr = attrs.find(item => item && String(item.attrId) === EMAIL_ATTR);
+    return attr && EMAIL_PATTERN.test(attr.attrVal || '') ? attr.attrVal : null;
+  }
+  if (username && EMAIL_PATTERN.test(username)) {
+    return username;
+  }
+  const attr = attrs.find(item => item && EMAIL_PATTERN.test(item.attrVal || ''));
+  return attr ? attr.attrVal : null;
+};
+
+/**
+ * Check schedule fields from the client
+ * ({ dashboardId, cronExpr, formats, transport, recipients, enabled }).
+ * transports: names of the available transports.
+ * Returns an error message or null.
+ */
+export const validateSchedule = ({ dashboardId, cronExpr, formats, transport, recipients, enabled }, transports) => {
+  if (!dashboardId || !Number.isInteger(Number(dashboardId))) {
+    return 'Dashboard is required';
+  }
+  if (typeof cronExpr !== 'string' || cronExpr.trim().length > MAX_CRON_LENGTH) {
+    return 'Schedule is required';
+  }
+  const cronError = validateCron(cronExpr);
+  if (cronError) {
+    return cronError;
+  }
+  if (!Array.isArray(formats) || formats.length === 0 || !formats.every(format => REPORT_FORMATS.includes(format))) {
+    return `Formats must be one or more of ${REPORT_FORMATS.join(', ')}`;
+  }
+  if (!transports.includes(transport)) {
+    return `Transport must be one of ${transports.join(', ')}`;
+  }
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return 'Select at least one recipient';
+  }
+  if (!recipients.every(userId => Number.isInteger(Number(userId)) && Number(userId) > 0)) {
+    return 'Recipients must be user IDs';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'Enabled must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Map client fields to column values
+ */
+const toColumns = ({ dashboardId, cronExpr, formats, transport, recipients, enabled }) => {
+  const isEnabled = enabled !== false;
+  return {
+    dashboard: Number(dashboardId),
+    cron_expr: cronExpr.trim(),
+    formats: REPORT_FORMATS.filter(format => formats.includes(format)),
+    transport,
+    recipients: [...new Set(recipients.map(Number))],
+    enabled: isEnabled,
+    next_run_at: isEnabled ? nextRunAt(cronExpr) : null
+  };
+};
+
+const ReportSchedule = {
+  /**
+   * Get all report schedules of the tenant with dashboard names
+   */
+  async getAll(tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT ${SCHEDULE_COLUMNS}
+       FROM idx2_dashboard_report_schedule s
+       JOIN idx2_dashboard d ON s.dashboard = d.id AND s.tenant = d.tenant AND s.subtenant = d.subtenant
+       WHERE s.tenant = ? AND s.subtenant = ?
+       ORDER BY d.dashboard_name, s.id`,
+      [tenant, subtenant]
+    );
+    return rows.map(toSchedule);
+  },
+
+  /**
+   * Get a report schedule by ID
+   */
+  async getById(id, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT ${SCHEDULE_COLUMNS}
+       FROM idx2_dashboard_report_schedule s
+       JOIN idx2_dashboard d ON s.dashboard = d.id AND s.tenant = d.tenant AND s.subtenant = d.subtenant
+       WHERE s.id = ? AND s.tenant = ? AND s.subtenant = ?`,
+      [id, tenant, subtenant]
+    );
+    return rows.length > 0 ? { ...toSchedule(rows[0]), tenant, subtenant } : null;
+  },
+
+  /**
+   * Users assigned to a dashboard (idx2_dashboard_user_map) who can receive its reports,
+   * with display name and email address (null if none is known)
+   */
+  async getRecipientCandidates(dashboardId, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT DISTINCT u.id AS user_id, u.username, u.profile AS profile_id, u.userAttrs, ip.profile_name
+       FROM idx2_dashboard_user_map dum
+       JOIN idx_users u ON dum.user = u.id AND dum.tenant = u.tenant AND dum.subtenant = u.subtenant
+       LEFT JOIN idx_identity_profile ip ON u.profile = ip.id AND u.tenant = ip.tenant AND u.subtenant = ip.subtenant
+       WHERE dum.dashboard = ? AND dum.tenant = ? AND dum.subtenant = ?
+       AND (u.isdeleted = '0' OR u.isdeleted IS NULL OR u.isdeleted = 0)
+       AND u.status = 'ACTIVE'`,
+      [dashboardId, tenant, subtenant]
+    );
+
+    const displayName = await UserDisplayName.getResolver(tenant, subtenant);
+    return rows
+      .map(row => ({
+        userId: row.user_id,
+        userName: displayName(row.user_id, row.profile_id, row.userAttrs),
+        profile: row.profile_name,
+        email: resolveEmail(row.username, row.userAttrs)
+      }))
+      .sort((a, b) => a.userName.localeCompare(b.userName));
+  },
+
+  /**
+   * Recipients of a schedule who are still assigned to its dashboard
+   */
+  async getRecipients(schedule) {
+    const candidates = await this.getRecipientCandidates(schedule.dashboard, schedule.tenant, schedule.subtenant);
+    return candidates.filter(candidate => schedule.recipients.includes(Number(candidate.userId)));
+  },
+
+  /**
+   * Create a report schedule
+   */
+  async create(scheduleData, createdBy, tenant, subtenant) {
+    const columns = toColumns(scheduleData);
+
+    const [result] = await pool.execute(
+      `INSERT INTO idx2_dashboard_report_schedule
+         (tenant, subtenant, dashboard, cron_expr, formats, transport, recipients, enabled, next_run_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenant,
+        subtenant,
+        columns.dashboard,
+        columns.cron_expr,
+        JSON.stringify(columns.formats),
+        columns.transport,
+        JSON.stringify(columns.recipients),
+        columns.enabled ? 1 : 0,
+        columns.next_run_at,
+        createdBy || null
+      ]
+    );
+
+    return this.getById(result.insertId, tenant, subtenant);
+  },
+
+  /**
+   * Update a report schedule (the next run is recalculated)
+   * Returns null if the schedule does not exist
+   */
+  async update(id, scheduleData, tenant, subtenant) {
+    const columns = toColumns(scheduleData);
+
+    const [result] = await pool.execute(
+      `UPDATE idx2_dashboard_report_schedule
+       SET dashboard = ?, cron_expr = ?, formats = ?, transport = ?, recipients = ?, enabled = ?, next_run_at = ?
+       WHERE id = ? AND tenant = ? AND subtenant = ?`,
+      [
+        columns.dashboard,
+        columns.cron_expr,
+        JSON.stringify(columns.formats),
+        columns.transport,
+        JSON.stringify(columns.recipients),
+        columns.enabled ? 1 : 0,
+        columns.next_run_at,
+        id,
+        tenant,
+        subtenant
+      ]
+    );
+
+    return result.affectedRows > 0 ? this.getById(id, tenant, subtenant) : null;
+  },
+
+  /**
+   * Delete a report schedule and its snapshot records.
+   * Returns the paths of the snapshot files to remove, or null if the schedule does not exist.
+   */
+  async delete(id, tenant, subtenant) {
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [snapshots] = await connection.execute(
+        'SELECT file_path FROM idx2_dashboard_report_snapshot WHERE schedule = ? AND tenant = ? AND subtenant = ?',
+        [id, tenant, subtenant]
+      );
+
+      await connection.execute(
+        'DELETE FROM idx2_dashboard_report_snapshot WHERE schedule = ? AND tenant = ? AND subtenant = ?',
+        [id, tenant, subtenant]
+      );
+
+      const [result] = await connection.execute(
+        'DELETE FROM idx2_dashboard_report_schedule WHERE id = ? AND tenant = ? AND subtenant = ?',
+        [id, tenant, subtenant]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      await connection.commit();
+      return snapshots.map(row => row.file_path);
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * Get enabled schedules of all tenants whose next run is due
+   */
+  async getDue(limit = 20) {
+    const [rows] = await pool.execute(
+      `SELECT s.id, s.tenant, s.subtenant, s.next_run_at
+       FROM idx2_dashboard_report_schedule s
+       WHERE s.enabled = 1 AND s.next_run_at IS NOT NULL AND s.next_run_at <= NOW()
+       ORDER BY s.next_run_at
+       LIMIT ${Number(limit)}`
+    );
+    return rows;
+  },
+
+  /**
+   * Move a due schedule to its next run. Returns false if another
+   * server instance already claimed this run.
+   */
+  async claimRun(due, cronExpr) {
+    const [result] = await pool.execute(
+      `UPDATE idx2_dashboard_report_schedule
+       SET next_run_at = ?
+       WHERE id = ? AND tenant = ? AND subtenant = ? AND next_run_at = ?`,
+      [nextRunAt(cronExpr), due.id, due.tenant, due.subtenant, due.next_run_at]
+    );
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Record the outcome of a run (status SUCCESS or FAILED)
+   */
+  async recordRun(id, tenant, subtenant, status, errorMessage = null) {
+    await pool.execute(
+      `UPDATE idx2_dashboard_report_schedule
+       SET last_run_at = NOW(), last_status = ?, last_error = ?
+       WHERE id = ? AND tenant = ? AND subtenant = ?`,
+      [status, errorMessage ? String(errorMessage).slice(0, 2000) : null, id, tenant, subtenant]
+    );
+  },
+
+  /**
+   * Record a stored snapshot file
+   */
+  async addSnapshot(schedule, { format, fileName, filePath, fileSize }) {
+    const [result] = await pool.execute(
+      `INSERT INTO idx2_dashboard_report_snapshot
+         (tenant, subtenant, schedule, dashboard, format, file_name, file_path, file_size)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [schedule.tenant, schedule.subtenant, schedule.id, schedule.dashboard, format, fileName, filePath, fileSize]
+    );
+    return { id: result.insertId, format, file_name: fileName, file_size: fileSize };
+  },
+
+  /**
+   * Get the latest snapshots of a schedule, newest first
+   */
+  async getSnapshots(scheduleId, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, format, file_name, file_size, created_at
+       FROM idx2_dashboard_report_snapshot
+       WHERE schedule = ? AND tenant = ? AND subtenant = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${MAX_SNAPSHOTS}`,
+      [scheduleId, tenant, subtenant]
+    );
+    return rows;
+  },
+
+  /**
+   * Get a snapshot with its file path
+   */
+  async getSnapshot(id, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT id, schedule, format, file_name, file_path, file_size, created_at
+       FROM idx2_dashboard_report_snapshot
+       WHERE id = ? AND tenant = ? AND subtenant = ?`,
+      [id, tenant, subtenant]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default ReportSchedule;
@@ -0,0 +1,286 @@
+/**
+ * Report Snapshot Model
+ *
+ * Runs a report schedule: loads the data of every custom widget on the dashboard
+ * (through the widget data proxy, with the dashboard filters' default values),
+ * renders it to PDF and/or CSV, stores the files under
+ * REPORT_STORAGE_DIR/<tenant>/<subtenant>/<dashboard>/ and delivers them
+ * to the schedule's recipients with its transport.
+ *
+ * Widget data is loaded as the user who created the schedule, so relative data
+ * URLs receive a short-lived user token (see signServiceToken).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import PDFDocument from 'pdfkit';
+import Dashboard from './Dashboard.js';
+import WidgetData, { WidgetDataError } from './WidgetData.js';
+import ReportSchedule from './ReportSchedule.js';
+import ReportTransport from './ReportTransport.js';
+import { defaultFilterParams } from './DashboardFilter.js';
+import { signServiceToken, ROLES } from '../middleware/auth.js';
+import { toCsvLine } from '../utils/csv.js';
+
+const STORAGE_DIR = path.resolve(process.env.REPORT_STORAGE_DIR || 'storage/reports');
+
+// Table rows printed per widget in the PDF (the CSV has all rows)
+const MAX_PDF_ROWS = 200;
+const MAX_PDF_COLUMNS = 6;
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv'
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * File-name friendly version of a dashboard name
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'dashboard';
+
+/**
+ * Load the data of every custom widget.
+ * Returns [{ widget, data }] or [{ widget, error }] in layout order.
+ */
+const loadWidgets = async (dashboard, schedule) => {
+  const context = {
+    tenant: schedule.tenant,
+    subtenant: schedule.subtenant,
+    userId: schedule.created_by,
+    role: ROLES.USER,
+    authorization: `Bearer ${signServiceToken({
+      tenant: schedule.tenant,
+      subtenant: schedule.subtenant,
+      userId: schedule.created_by
+    })}`
+  };
+  const filterParams = defaultFilterParams(dashboard.filters || []);
+
+  const results = [];
+  for (const widget of dashboard.customWidgets) {
+    try {
+      const { data } = await WidgetData.load(widget, filterParams, context, { refresh: true });
+      results.push({ widget, data });
+    } catch (error) {
+      if (!(error instanceof WidgetDataError)) throw error;
+      results.push({ widget, error: error.message });
+    }
+  }
+  return results;
+};
+
+/**
+ * Render widget results as CSV: one section per widget
+ */
+const renderCsv = (dashboard, results, generatedAt) => {
+  const lines = [
+    toCsvLine(['Dashboard', dashboard.dashboard_name]),
+    toCsvLine(['Generated', generatedAt.toISOString()])
+  ];
+
+  results.forEach(({ widget, data, error }) => {
+    lines.push('', toCsvLine(['Widget', widget.widget_name]));
+    if (error) {
+      lines.push(toCsvLine(['Error', error]));
+      return;
+    }
+    if (data.columns.length === 0) {
+      lines.push(toCsvLine(['Value', data.value]));
+      return;
+    }
+    lines.push(toCsvLine(data.columns));
+    data.rows.forEach(row => lines.push(toCsvLine(data.columns.map(column => row[column]))));
+  });
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+/**
+ * Render widget results as PDF: KPI values and tables per widget
+ */
+const renderPdf = (dashboard, results, generatedAt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  doc.fontSize(18).font('Helvetica-Bold').text(dashboard.dashboard_name);
+  if (dashboard.dashboard_desc) {
+    doc.fontSize(10).font('Helvetica').fillColor('#555555').text(dashboard.dashboard_desc);
+  }
+  doc.fontSize(9).font('Helvetica').fillColor('#555555').text(`Generated ${generatedAt.toLocaleString()}`);
+  doc.fillColor('#000000');
+
+  if (results.length === 0) {
+    doc.moveDown().fontSize(11).text('This dashboard has no custom widgets.');
+  }
+
+  results.forEach(({ widget, data, error }) => {
+    doc.moveDown(1.2);
+    ensureSpace(60);
+    doc.x = left;
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('#000000').text(widget.widget_name);
+    doc.moveDown(0.3);
+
+    if (error) {
+      doc.fontSize(10).font('Helvetica').fillColor('#b91c1c').text(error);
+      doc.fillColor('#000000');
+      return;
+    }
+
+    if ((widget.widget_chart || '').toLowerCase() === 'kpi' && data.value !== null) {
+      doc.fontSize(24).font('Helvetica-Bold').text(String(data.value));
+      return;
+    }
+
+    if (data.rows.length === 0) {
+      doc.fontSize(10).font('Helvetica').text('No data');
+      return;
+    }
+
+    const columns = data.columns.slice(0, MAX_PDF_COLUMNS);
+    const columnWidth = width / columns.length;
+    const drawRow = (values, bold) => {
+      ensureSpace(16);
+      const y = doc.y;
+      doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      values.forEach((value, index) => {
+        doc.text(value, left + index * columnWidth, y, {
+          width: columnWidth - 6,
+          lineBreak: false,
+          ellipsis: true
+        });
+      });
+      doc.x = left;
+      doc.y = y + 14;
+    };
+
+    drawRow(columns, true);
+    data.rows.slice(0, MAX_PDF_ROWS).forEach(row => {
+      drawRow(columns.map(column => formatCell(row[column])), false);
+    });
+
+    const hidden = [];
+    if (data.rows.length > MAX_PDF_ROWS) hidden.push(`${data.rows.length - MAX_PDF_ROWS} more rows`);
+    if (data.columns.length > columns.length) hidden.push(`${data.columns.length - columns.length} more columns`);
+    if (hidden.length > 0) {
+      doc.fontSize(8).font('Helvetica-Oblique').fillColor('#555555').text(`${hidden.join(' and ')} in the CSV snapshot`, left);
+      doc.fillColor('#000000');
+    }
+  });
+
+  doc.end();
+});
+
+const RENDERERS = {
+  pdf: renderPdf,
+  csv: renderCsv
+};
+
+/**
+ * Write a rendered snapshot below the tenant's storage directory
+ */
+const storeFile = async (schedule, fileName, content) => {
+  const dir = path.join(STORAGE_DIR, String(schedule.tenant), String(schedule.subtenant), String(schedule.dashboard));
+  await fs.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, fileName);
+  await fs.writeFile(filePath, content);
+  return filePath;
+};
+
+const ReportSnapshot = {
+  /**
+   * Run a schedule (from ReportSchedule.getById): render, store and deliver its snapshots,
+   * then record the outcome on the schedule.
+   * Returns { snapshots, recipients }; throws if the run failed.
+   */
+  async run(schedule) {
+    try {
+      const dashboard = await Dashboard.getById(schedule.dashboard, schedule.tenant, schedule.subtenant);
+      if (!dashboard) {
+        throw new Error('Dashboard not found or in Trash');
+      }
+
+      const recipients = await ReportSchedule.getRecipients(schedule);
+      if (recipients.length === 0) {
+        throw new Error('None of the recipients is assigned to the dashboard anymore');
+      }
+
+      const generatedAt = new Date();
+      const results = await loadWidgets(dashboard, schedule);
+      const stamp = generatedAt.toISOString().slice(0, 19).replace(/[T:]/g, '-');
+
+      const snapshots = [];
+      const attachments = [];
+      for (const format of schedule.formats) {
+        const content = await RENDERERS[format](dashboard, results, generatedAt);
+        const fileName = `${slugify(dashboard.dashboard_name)}-${stamp}-${schedule.id}.${format}`;
+        const filePath = await storeFile(schedule, fileName, content);
+
+        snapshots.push(await ReportSchedule.addSnapshot(schedule, {
+          format,
+          fileName,
+          filePath,
+          fileSize: content.length
+        }));
+        attachments.push({ fileName, filePath, contentType: CONTENT_TYPES[format] });
+      }
+
+      const failed = results.filter(result => result.error).length;
+      await ReportTransport.send(schedule.transport, {
+        tenant: schedule.tenant,
+        subtenant: schedule.subtenant,
+        recipients,
+        subject: `Dashboard report: ${dashboard.dashboard_name}`,
+        text: [
+          `Attached is the "${dashboard.dashboard_name}" dashboard as of ${generatedAt.toLocaleString()}.`,
+          failed > 0 ? `${failed} widget(s) could not be loaded; see the report for details.` : ''
+        ].filter(Boolean).join('\n\n'),
+        attachments
+      });
+
+      await ReportSchedule.recordRun(schedule.id, schedule.tenant, schedule.subtenant, 'SUCCESS');
+      return { snapshots, recipients: recipients.length };
+
+    } catch (error) {
+      await ReportSchedule.recordRun(schedule.id, schedule.tenant, schedule.subtenant, 'FAILED', error.message)
+        .catch(recordError => console.error('Failed to record report run:', recordError));
+      throw error;
+    }
+  },
+
+  /**
+   * Remove snapshot files (missing files are ignored)
+   */
+  async removeFiles(filePaths) {
+    await Promise.all(filePaths.map(filePath => fs.rm(filePath, { force: true })));
+  },
+
+  /**
+   * Check that a stored path is inside the snapshot storage directory
+   */
+  isStoredPath(filePath) {
+    const relative = path.relative(STORAGE_DIR, path.resolve(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+};
+
+export default ReportSnapshot;
@@ -0,0 +1,136 @@
+/**
+ * Report Transport
+ *
+ * Delivers report snapshots. Built-in transports:
+ * - smtp: emails the snapshots as attachments (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER, SMTP_PASSWORD, REPORT_MAIL_FROM). For local testing point
+ *   SMTP_HOST/SMTP_PORT at a test server such as MailHog or smtp4dev.
+ * - file: copies the snapshots and a manifest.json (recipients, subject) into
+ *   REPORT_FILE_DROP_DIR/<tenant>/<subtenant>/<run>/ for another system to pick up.
+ *
+ * Other transports can be added with registerTransport(name, transport); a transport
+ * needs an async send(message) where message is
+ * { tenant, subtenant, recipients: [{ userId, userName, email }], subject, text,
+ *   attachments: [{ fileName, filePath, contentType }] }.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+const FILE_DROP_DIR = path.resolve(process.env.REPORT_FILE_DROP_DIR || 'storage/report-drop');
+
+const MAIL_FROM = process.env.REPORT_MAIL_FROM || 'dashboards@localhost';
+
+/**
+ * Error while delivering a report (e.g. no recipient has an email address)
+ */
+export class ReportTransportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportTransportError';
+  }
+}
+
+let mailer = null;
+
+// Created on first use so servers without SMTP settings can still use the file transport
+const getMailer = () => {
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' }
+        : undefined
+    });
+  }
+  return mailer;
+};
+
+const smtpTransport = {
+  async send({ recipients, subject, text, attachments }) {
+    const to = recipients.filter(recipient => recipient.email).map(recipient => recipient.email);
+    if (to.length === 0) {
+      throw new ReportTransportError('None of the recipients has an email address');
+    }
+
+    await getMailer().sendMail({
+      from: MAIL_FROM,
+      // One message per run; recipients do not see each other
+      bcc: to,
+      subject,
+      text,
+      attachments: attachments.map(({ fileName, filePath, contentType }) => ({
+        filename: fileName,
+        path: filePath,
+        contentType
+      }))
+    });
+  }
+};
+
+const fileTransport = {
+  async send({ tenant, subtenant, recipients, subject, text, attachments }) {
+    const runDir = path.join(
+      FILE_DROP_DIR,
+      String(tenant),
+      String(subtenant),
+      `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}`
+    );
+    await fs.mkdir(runDir, { recursive: true });
+
+    for (const { fileName, filePath } of attachments) {
+      await fs.copyFile(filePath, path.join(runDir, fileName));
+    }
+
+    const manifest = {
+      subject,
+      text,
+      recipients,
+      files: attachments.map(({ fileName, contentType }) => ({ fileName, contentType })),
+      createdAt: new Date().toISOString()
+    };
+    await fs.writeFile(path.join(runDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  }
+};
+
+// Transport name -> transport
+const transports = new Map([
+  ['smtp', smtpTransport],
+  ['file', fileTransport]
+]);
+
+const ReportTransport = {
+  /**
+   * Add or replace a transport (see module comment for the interface)
+   */
+  registerTransport(name, transport) {
+    transports.set(name, transport);
+  },
+
+  /**
+   * Names of the available transports
+   */
+  names() {
+    return [...transports.keys()];
+  },
+
+  has(name) {
+    return transports.has(name);
+  },
+
+  /**
+   * Deliver a message with the named transport
+   */
+  async send(name, message) {
+    const transport = transports.get(name);
+    if (!transport) {
+      throw new ReportTransportError(`Unknown report transport "${name}"`);
+    }
+    await transport.send(message);
+  }
+};
+
+export default ReportTransport;
@@ -0,0 +1,89 @@
+/**
+ * Role Model
+ *
+ * Database operations for roles used in dashboard access rules.
+ *
+ * Tables used:
+ * - idx_roles: Role definitions (role_name, role_type)
+ * - idx_role_user_map: Links roles to users (role membership)
+ * - idx_users: User information (only active users count as members)
+ */
+
+import { pool } from '../config/db.js';
+import { likeContains } from '../utils/sql.js';
+
+const Role = {
+  /**
+   * Get roles for tenant/subtenant with their active member count
+   *
+   * Options: { search, page, pageSize, includeMembers } (includeMembers adds members: [{ userId }])
+   * Returns: { roles, total }
+   */
+  async getAll(tenant, subtenant, { search = '', page = 1, pageSize = 50, includeMembers = false } = {}) {
+    const conditions = ['r.tenant = ?', 'r.subtenant = ?'];
+    const params = [tenant, subtenant];
+
+    if (search) {
+      conditions.push(`r.role_name LIKE ? ESCAPE '!'`);
+      params.push(likeContains(search));
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    // 1. Count matching roles
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) AS total FROM idx_roles r WHERE ${whereClause}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    // 2. Get the requested page of roles
+    // LIMIT/OFFSET are validated integers, inlined because execute() rejects them as placeholders
+    const offset = (page - 1) * pageSize;
+    const [rows] = await pool.execute(
+      `SELECT r.id, r.role_name, r.role_type
+       FROM idx_roles r
+       WHERE ${whereClause}
+       ORDER BY r.role_name, r.id
+       LIMIT ${pageSize} OFFSET ${offset}`,
+      params
+    );
+
+    if (rows.length === 0) {
+      return { roles: [], total };
+    }
+
+    // 3. Get active members for the roles on this page
+    const roleIds = rows.map(r => r.id);
+    const placeholders = roleIds.map(() => '?').join(',');
+    const [memberRows] = await pool.execute(
+      `SELECT rum.role, rum.user
+       FROM idx_role_user_map rum
+       JOIN idx_users u ON rum.user = u.id AND rum.tenant = u.tenant AND rum.subtenant = u.subtenant
+       WHERE rum.role IN (${placeholders}) AND rum.tenant = ? AND rum.subtenant = ?
+       AND (u.isdeleted = '0' OR u.isdeleted IS NULL OR u.isdeleted = 0)
+       AND u.status = 'ACTIVE'`,
+      [...roleIds, tenant, subtenant]
+    );
+
+    const membersByRole = {};
+    memberRows.forEach(row => {
+      (membersByRole[row.role] = membersByRole[row.role] || []).push({ userId: row.user });
+    });
+
+    const roles = rows.map(role => {
+      const members = membersByRole[role.id] || [];
+      return {
+        id: role.id,
+        roleName: role.role_name,
+        roleType: role.role_type || 'N/A',
+        memberCount: members.length,
+        ...(includeMembers && { members })
+      };
+    });
+
+    return { roles, total };
+  }
+};
+
+export default Role;
@@ -0,0 +1,115 @@
+/**
+ * User Display Name Model
+ *
+ * Resolves user display names in memory. Each profile's display attribute
+ * (idx_identity_profile_attrcfg.display_attr) is loaded once per tenant with a
+ * single query and cached; names are then read from the users' userAttrs JSON.
+ *
+ * The cache expires after USER_DISPLAY_CACHE_TTL_SECONDS (default 300) and can be
+ * dropped with invalidate(), e.g. after profile attributes change in the IAM console.
+ *
+ * Tables used:
+ * - idx_identity_profile_attrcfg: Profile attribute config (display_attr)
+ */
+
+import { pool } from '../config/db.js';
+
+const CACHE_TTL_MS = (parseInt(process.env.USER_DISPLAY_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+
+// `${tenant}:${subtenant}` -> { expiresAt, displayAttrs: Promise<Map<profileId, attrId>> }
+const cache = new Map();
+
+const cacheKey = (tenant, subtenant) => `${tenant}:${subtenant}`;
+
+/**
+ * Load the display attribute of every profile of the tenant
+ */
+const loadDisplayAttrs = async (tenant, subtenant) => {
+  const [rows] = await pool.execute(
+    'SELECT profile, display_attr FROM idx_identity_profile_attrcfg WHERE tenant = ? AND subtenant = ?',
+    [tenant, subtenant]
+  );
+
+  const displayAttrs = new Map();
+  rows.forEach(row => {
+    // First config row per profile wins, like the former per-user lookup
+    if (!displayAttrs.has(String(row.profile)) && row.display_attr !== null) {
+      displayAttrs.set(String(row.profile), String(row.display_attr));
+    }
+  });
+  return displayAttrs;
+};
+
+/**
+ * Resolve one user's display name.
+ * Uses the profile's display attribute, else the first non-empty attribute value,
+ * else "User <id>". Users of profiles without attribute config are "User <id>".
+ */
+const resolveDisplayName = (displayAttrs, userId, profileId, userAttrs) => {
+  const displayAttrId = displayAttrs.get(String(profileId));
+  if (displayAttrId === undefined) {
+    return `User ${userId}`;
+  }
+
+  let attrs = [];
+  if (userAttrs) {
+    try {
+      attrs = typeof userAttrs === 'string' ? JSON.parse(userAttrs) : userAttrs;
+    } catch (e) {
+      return `User ${userId}`;
+    }
+  }
+  if (!Array.isArray(attrs)) {
+    return `User ${userId}`;
+  }
+
+  const displayAttr = attrs.find(attr => attr && String(attr.attrId) === displayAttrId);
+  if (displayAttr && displayAttr.attrVal) {
+    return displayAttr.attrVal;
+  }
+
+  // Fallback: first non-empty attribute value
+  const firstValue = attrs.find(attr => attr && attr.attrVal && attr.attrVal.length > 0);
+  return firstValue ? firstValue.attrVal : `User ${userId}`;
+};
+
+const UserDisplayName = {
+  /**
+   * Get a resolver for the tenant: (userId, profileId, userAttrs) => displayName
+   * Loads the tenant's display attributes on first use or after the cache expired;
+   * concurrent callers share one load.
+   */
+  async getResolver(tenant, subtenant) {
+    const key = cacheKey(tenant, subtenant);
+    let entry = cache.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = {
+        expiresAt: Date.now() + CACHE_TTL_MS,
+        displayAttrs: loadDisplayAttrs(tenant, subtenant)
+      };
+      cache.set(key, entry);
+
+      // A failed load is not cached
+      entry.displayAttrs.catch(() => {
+        if (cache.get(key) === entry) cache.delete(key);
+      });
+    }
+
+    const displayAttrs = await entry.displayAttrs;
+    return (userId, profileId, userAttrs) => resolveDisplayName(displayAttrs, userId, profileId, userAttrs);
+  },
+
+  /**
+   * Drop the cached display attributes of a tenant (all tenants without arguments)
+   */
+  invalidate(tenant, subtenant) {
+    if (tenant === undefined) {
+      cache.clear();
+    } else {
+      cache.delete(cacheKey(tenant, subtenant));
+    }
+  }
+};
+
+export default UserDisplayName;
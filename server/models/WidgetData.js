@@ -0,0 +1,356 @@
+/**
+ * Widget Data Model
+ *
+ * Server-side proxy for custom widget data. The server (not the browser) calls the
+ * widget's widget_url with the caller's tenant/subtenant and the widget_filter merged
+ * with the dashboard filter values, and normalizes the response for the charts.
+ *
+ * Relative widget URLs ("/api/...") are resolved against WIDGET_DATA_BASE_URL
+ * (default: this server) and, if they stay on its origin, receive the caller's token.
+ * Other URLs receive no token, must use one of WIDGET_DATA_ALLOWED_HOSTS
+ * (comma-separated host names; none by default) and must not resolve to loopback,
+ * private or link-local addresses. The address is checked when the connection is
+ * opened, so a host cannot pass the check and then resolve elsewhere.
+ * Requests are aborted after WIDGET_DATA_TIMEOUT_MS (default 10000).
+ * Responses are cached per tenant, widget and filters (see WidgetDataCache); responses
+ * of relative URLs, which depend on the caller's token, are cached per user and role.
+ *
+ * Tables used:
+ * - idx2_dashboard: Dashboard filters (dashboard_filters)
+ * - idx2_dashboard_widget_map, idx2_dashboard_widget: Widgets on the dashboard
+ */
+
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { pool } from '../config/db.js';
+import { parseWidgetFilter } from './CustomWidget.js';
+import { parseFilters } from './DashboardFilter.js';
+import WidgetDataCache from './WidgetDataCache.js';
+
+export const WIDGET_DATA_TIMEOUT_MS = parseInt(process.env.WIDGET_DATA_TIMEOUT_MS, 10) || 10000;
+
+const BASE_URL = process.env.WIDGET_DATA_BASE_URL || `http://127.0.0.1:${process.env.PORT || 5001}`;
+const BASE_ORIGIN = new URL(BASE_URL).origin;
+
+const ALLOWED_HOSTS = (process.env.WIDGET_DATA_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses absolute widget URLs must not resolve to: this host, private networks,
+// link-local (incl. cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Messages for upstream HTTP errors (others: "failed with status <status>")
+const UPSTREAM_ERRORS = {
+  400: 'rejected the request',
+  401: 'refused the request',
+  403: 'refused the request',
+  404: 'was not found',
+  429: 'is rate limited'
+};
+
+/**
+ * Error while loading widget data; status is the HTTP status for the caller
+ * (502 for upstream failures, 504 for timeouts), upstreamStatus the data source's status
+ */
+export class WidgetDataError extends Error {
+  constructor(message, status = 502, upstreamStatus = null) {
+    super(message);
+    this.name = 'WidgetDataError';
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+const timeoutError = () => new WidgetDataError(
+  `Widget data source did not respond within ${WIDGET_DATA_TIMEOUT_MS / 1000} seconds`,
+  504
+);
+
+const isTimeout = (error) => error.name === 'TimeoutError' || error.name === 'AbortError';
+
+/**
+ * Normalize a widget data response into rows and chart keys
+ *
+ * Accepts { success, data }, a plain array of objects,
+ * { labels: [], values: [] } or a single number (KPI).
+ * Returns { rows, columns, labelKey, valueKey, value }
+ */
+export const normalizeWidgetData = (payload) => {
+  let data = payload;
+  if (data && typeof data === 'object' && !Array.isArray(data) && 'data' in data) {
+    data = data.data;
+  }
+
+  // Single value (KPI)
+  if (typeof data === 'number' || (typeof data === 'string' && data.trim() !== '' && !isNaN(data))) {
+    const value = Number(data);
+    return { rows: [{ label: 'Value', value }], columns: ['label', 'value'], labelKey: 'label', valueKey: 'value', value };
+  }
+
+  let rows = [];
+  if (Array.isArray(data)) {
+    rows = data.map(item => (item && typeof item === 'object' ? item : { label: String(item), value: item }));
+  } else if (data && Array.isArray(data.labels) && Array.isArray(data.values)) {
+    rows = data.labels.map((label, index) => ({ label, value: data.values[index] }));
+  } else if (data && typeof data === 'object') {
+    if ('value' in data && !isNaN(data.value)) {
+      const value = Number(data.value);
+      return { rows: [{ label: data.label || 'Value', value }], columns: ['label', 'value'], labelKey: 'label', valueKey: 'value', value };
+    }
+    // Plain object map: { "Active": 10, "Inactive": 2 }
+    rows = Object.entries(data).map(([label, value]) => ({ label, value }));
+  }
+
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+  // First non-numeric column is the label, first numeric column is the value
+  const isNumeric = (key) => rows.every(row => row[key] === null || row[key] === '' || !isNaN(row[key]));
+  const valueKey = columns.find(key => isNumeric(key)) || null;
+  const labelKey = columns.find(key => key !== valueKey) || valueKey;
+
+  const value = valueKey && rows.length > 0 ? Number(rows[0][valueKey]) : null;
+
+  return { rows, columns, labelKey, valueKey, value };
+};
+
+/**
+ * Whether a widget URL points at our own endpoints: a path that, once resolved
+ * against BASE_URL, is still on BASE_URL's origin ("/\host/..." resolves to another host)
+ */
+const isInternalUrl = (widgetUrl) => {
+  if (!widgetUrl.startsWith('/') || widgetUrl.startsWith('//')) {
+    return false;
+  }
+  try {
+    return new URL(widgetUrl, BASE_URL).origin === BASE_ORIGIN;
+  } catch (e) {
+    return false;
+  }
+};
+
+const isBlockedAddress = (address, family) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+const BLOCKED_ADDRESS = 'EBLOCKEDADDRESS';
+
+/**
+ * dns.lookup for data source connections that fails for blocked addresses. It runs
+ * when the socket connects, so the checked address is the one connected to.
+ */
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      const blocked = new Error(`${hostname} resolves to a blocked address`);
+      blocked.code = BLOCKED_ADDRESS;
+      return callback(blocked);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const notAllowedError = (url) => new WidgetDataError(`Widget data host "${url.hostname}" is not allowed`);
+
+/**
+ * Check that an external URL's host is allowed. IP literals are checked here (sockets
+ * skip the lookup for them), host names by checkedLookup when connecting.
+ */
+const assertAllowedHost = (url) => {
+  if (!ALLOWED_HOSTS.includes(url.hostname.toLowerCase())) {
+    throw notAllowedError(url);
+  }
+
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(address);
+  if (family && isBlockedAddress(address, family)) {
+    throw notAllowedError(url);
+  }
+};
+
+/**
+ * Build the data source request: URL with the merged filter and tenant applied, headers,
+ * and whether it goes to our own endpoints
+ */
+const buildRequest = (widgetUrl, filter, { tenant, subtenant, authorization }) => {
+  const internal = isInternalUrl(widgetUrl);
+
+  let url;
+  try {
+    url = new URL(widgetUrl, BASE_URL);
+  } catch (e) {
+    throw new WidgetDataError('Widget data URL is invalid');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new WidgetDataError('Widget data URL must use http or https');
+  }
+  if (!internal) {
+    assertAllowedHost(url);
+  }
+
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+  });
+
+  // Set last so neither widget_filter nor the client can change the tenant
+  url.searchParams.set('tenant', tenant);
+  url.searchParams.set('subtenant', subtenant);
+
+  const headers = { Accept: 'application/json' };
+
+  // Only send the caller's token to our own endpoints
+  if (internal && authorization) {
+    headers.Authorization = authorization;
+  }
+
+  return { url, headers, internal };
+};
+
+/**
+ * GET a URL without following redirects; resolves to { status, body }
+ */
+const requestSource = (url, headers, lookup) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, { headers, lookup, signal: AbortSignal.timeout(WIDGET_DATA_TIMEOUT_MS) }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+});
+
+/**
+ * Call a widget's data source and normalize the response
+ */
+const fetchSourceData = async (widgetId, widgetUrl, filter, context) => {
+  const { url, headers, internal } = buildRequest(widgetUrl, filter, context);
+
+  let response;
+  try {
+    response = await requestSource(url, headers, internal ? undefined : checkedLookup);
+  } catch (error) {
+    if (isTimeout(error)) {
+      throw timeoutError();
+    }
+    if (error.code === BLOCKED_ADDRESS) {
+      throw notAllowedError(url);
+    }
+    console.error(`Widget ${widgetId} data source unreachable:`, error);
+    throw new WidgetDataError('Widget data source is unreachable');
+  }
+
+  // Redirects are not followed, so they fail like other non-2xx responses
+  if (response.status < 200 || response.status >= 300) {
+    const reason = UPSTREAM_ERRORS[response.status] || `failed with status ${response.status}`;
+    throw new WidgetDataError(`Widget data source ${reason}`, 502, response.status);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(response.body);
+  } catch (error) {
+    throw new WidgetDataError('Widget data source returned invalid JSON', 502, response.status);
+  }
+
+  if (payload && payload.success === false) {
+    throw new WidgetDataError(
+      payload.message ? `Widget data source error: ${payload.message}` : 'Widget data source reported an error',
+      502,
+      response.status
+    );
+  }
+
+  return normalizeWidgetData(payload);
+};
+
+// Cache key -> pending data source call
+const inFlight = new Map();
+
+const WidgetData = {
+  /**
+   * Get a custom widget placed on a dashboard, with the dashboard's filters
+   * Returns { widget, filters } or null if the dashboard or widget mapping does not exist
+   */
+  async getDashboardWidget(dashboardId, widgetId, tenant, subtenant) {
+    const [rows] = await pool.execute(
+      `SELECT w.id, w.widget_name, w.widget_url, w.widget_chart, w.widget_filter, w.cache_ttl_seconds, d.dashboard_filters
+       FROM idx2_dashboard d
+       JOIN idx2_dashboard_widget_map dwm
+         ON dwm.dashboard = d.id AND dwm.tenant = d.tenant AND dwm.subtenant = d.subtenant
+       JOIN idx2_dashboard_widget w
+         ON dwm.widget = w.id AND w.tenant = d.tenant AND w.subtenant = d.subtenant
+       WHERE d.id = ? AND w.id = ? AND d.tenant = ? AND d.subtenant = ? AND d.deleted_at IS NULL
+       LIMIT 1`,
+      [dashboardId, widgetId, tenant, subtenant]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const { dashboard_filters, ...widget } = rows[0];
+    return { widget, filters: parseFilters(dashboard_filters) };
+  },
+
+  /**
+   * Load a widget's normalized data, from the cache while it is fresh.
+   * filterParams (dashboard filter values) override widget_filter keys of the same name.
+   * context: { tenant, subtenant, userId, role, authorization } of the caller
+   * refresh bypasses the cache and stores the new data.
+   * Returns { data, lastUpdated, cached }.
+   * Throws WidgetDataError when the data source fails, times out or returns invalid data.
+   */
+  async load(widget, filterParams, context, { refresh = false } = {}) {
+    if (!widget.widget_url) {
+      throw new WidgetDataError('Widget has no data URL configured');
+    }
+
+    const widgetUrl = widget.widget_url.trim();
+    const filter = { ...(parseWidgetFilter(widget.widget_filter || '') || {}), ...filterParams };
+    const ttl = WidgetDataCache.ttlOf(widget);
+    // Data loaded with the caller's token is only shared with the same user and role
+    const scope = isInternalUrl(widgetUrl) && context.authorization ? `${context.userId}:${context.role}` : null;
+    const cacheKey = WidgetDataCache.key(context.tenant, context.subtenant, widget.id, widgetUrl, filter, scope);
+
+    if (!refresh && ttl > 0) {
+      const entry = await WidgetDataCache.get(cacheKey);
+      if (entry) {
+        return { ...entry, cached: true };
+      }
+    }
+
+    // Concurrent requests for the same data share one data source call
+    if (!inFlight.has(cacheKey)) {
+      const request = fetchSourceData(widget.id, widgetUrl, filter, context)
+        .then(async (data) => {
+          const entry = { data, lastUpdated: new Date().toISOString() };
+          await WidgetDataCache.set(cacheKey, entry, ttl);
+          return entry;
+        })
+        .finally(() => inFlight.delete(cacheKey));
+      inFlight.set(cacheKey, request);
+    }
+
+    const entry = await inFlight.get(cacheKey);
+    return { ...entry, cached: false };
+  }
+};
+
+export default WidgetData;
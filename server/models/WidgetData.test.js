@@ -0,0 +1,93 @@
+/**
+ * Widget Data Model tests: which widget URLs receive the caller's token and which
+ * hosts may be called. Run with `npm test`.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Stands in for this server (WIDGET_DATA_BASE_URL); records the requests it receives
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push({ url: req.url, authorization: req.headers.authorization });
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ success: true, data: [{ label: 'Open', value: 3 }] }));
+});
+
+let WidgetData;
+let validateWidget;
+
+const context = { tenant: 't1', subtenant: 's1', userId: 1, role: 'user', authorization: 'Bearer secret' };
+
+const load = (widgetUrl) => WidgetData.load(
+  { id: 1, widget_url: widgetUrl, widget_filter: '', cache_ttl_seconds: 0 },
+  {},
+  context
+);
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.WIDGET_DATA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.WIDGET_DATA_ALLOWED_HOSTS = 'localhost,127.0.0.1,[::1],unresolvable.invalid';
+  // Imported after the environment is set, as the model reads it on load
+  ({ default: WidgetData } = await import('./WidgetData.js'));
+  ({ validateWidget } = await import('./CustomWidget.js'));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('WidgetData.load', () => {
+  test('calls relative URLs on the base URL with the caller\'s token and tenant', async () => {
+    requests.length = 0;
+    const { data } = await load('/api/reports/open?tenant=other');
+
+    assert.equal(data.value, 3);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].authorization, 'Bearer secret');
+    assert.match(requests[0].url, /^\/api\/reports\/open\?tenant=t1&subtenant=s1$/);
+  });
+
+  test('treats "/\\host" as another host, not a relative URL', async () => {
+    await assert.rejects(load('/\\evil.example/x'), { message: 'Widget data host "evil.example" is not allowed' });
+  });
+
+  test('treats "//host" as another host, not a relative URL', async () => {
+    await assert.rejects(load('//evil.example/x'), { message: 'Widget data host "evil.example" is not allowed' });
+  });
+
+  test('refuses hosts that are not allowlisted', async () => {
+    await assert.rejects(load('https://evil.example/x'), { message: 'Widget data host "evil.example" is not allowed' });
+  });
+
+  test('refuses allowlisted hosts with private addresses', async () => {
+    const port = server.address().port;
+    requests.length = 0;
+
+    await assert.rejects(load(`http://127.0.0.1:${port}/x`), { message: 'Widget data host "127.0.0.1" is not allowed' });
+    await assert.rejects(load(`http://[::1]:${port}/x`), { message: 'Widget data host "[::1]" is not allowed' });
+    // Host names are checked on the address the connection is made to
+    await assert.rejects(load(`http://localhost:${port}/x`), { message: 'Widget data host "localhost" is not allowed' });
+    assert.equal(requests.length, 0);
+  });
+
+  test('calls allowlisted hosts', async () => {
+    // Passes the host checks and fails resolving the name
+    await assert.rejects(load('https://unresolvable.invalid/x'), { message: 'Widget data source is unreachable' });
+  });
+});
+
+describe('validateWidget', () => {
+  const widget = { widgetName: 'Open reports', widgetChart: 'bar' };
+
+  test('accepts paths and http(s) URLs', () => {
+    assert.equal(validateWidget({ ...widget, widgetUrl: '/api/reports/open' }), null);
+    assert.equal(validateWidget({ ...widget, widgetUrl: 'https://reports.example.com/open' }), null);
+  });
+
+  test('rejects URLs that resolve to another host', () => {
+    assert.ok(validateWidget({ ...widget, widgetUrl: '//evil.example/x' }));
+    assert.ok(validateWidget({ ...widget, widgetUrl: '/\\evil.example/x' }));
+    assert.ok(validateWidget({ ...widget, widgetUrl: '/\t/evil.example/x' }));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Widget Data Cache
+ *
+ * Cache for normalized widget data, keyed by tenant/subtenant, widget, the
+ * effective request (widget_url plus merged filters) and, for data loaded with
+ * the caller's token, the caller's user and role. Entries expire after the
+ * widget's cache_ttl_seconds (default WIDGET_DATA_CACHE_TTL_SECONDS).
+ *
+ * Storage is pluggable: the default store keeps entries in process memory
+ * (at most WIDGET_DATA_CACHE_MAX_ENTRIES). Another store, e.g. Redis, can be
+ * installed with setStore(); it needs async get(key) and set(key, entry, ttlSeconds),
+ * where get resolves to the stored entry, or null once it expired.
+ */
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_CACHE_TTL_SECONDS = parseInt(process.env.WIDGET_DATA_CACHE_TTL_SECONDS, 10) >= 0
+  ? parseInt(process.env.WIDGET_DATA_CACHE_TTL_SECONDS, 10)
+  : 300;
+
+const MAX_ENTRIES = parseInt(process.env.WIDGET_DATA_CACHE_MAX_ENTRIES, 10) || 1000;
+
+/**
+ * In-process store; the oldest entry is evicted when the store is full
+ */
+export const createMemoryStore = (maxEntries = MAX_ENTRIES) => {
+  // key -> { entry, expiresAt }
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+
+    async set(key, entry, ttlSeconds) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Stable JSON of a flat filter object (keys sorted)
+ */
+const stableFilter = (filter) => JSON.stringify(
+  Object.keys(filter).sort().map(key => [key, filter[key]])
+);
+
+const WidgetDataCache = {
+  /**
+   * Replace the cache store (see module comment for the interface)
+   */
+  setStore(newStore) {
+    store = newStore;
+  },
+
+  /**
+   * Cache key of a widget request; editing the widget's URL changes the key
+   * scope ("<userId>:<role>") limits the entry to one caller, null shares it in the tenant.
+   */
+  key(tenant, subtenant, widgetId, widgetUrl, filter, scope = null) {
+    const request = crypto
+      .createHash('sha1')
+      .update(`${widgetUrl}\n${stableFilter(filter)}`)
+      .digest('hex');
+    return `widget-data:${tenant}:${subtenant}:${widgetId}:${scope ? `user:${scope}:` : ''}${request}`;
+  },
+
+  /**
+   * TTL in seconds of a widget (cache_ttl_seconds, else the default); 0 disables caching
+   */
+  ttlOf(widget) {
+    return widget.cache_ttl_seconds !== null && widget.cache_ttl_seconds !== undefined
+      ? Number(widget.cache_ttl_seconds)
+      : DEFAULT_CACHE_TTL_SECONDS;
+  },
+
+  /**
+   * Get a cached entry ({ data, lastUpdated }) or null.
+   * Store failures are logged and treated as a miss.
+   */
+  async get(key) {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error('Widget data cache read failed:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Store an entry; failures are logged and ignored
+   */
+  async set(key, entry, ttlSeconds) {
+    if (ttlSeconds <= 0) return;
+    try {
+      await store.set(key, entry, ttlSeconds);
+    } catch (error) {
+      console.error('Widget data cache write failed:', error);
+    }
+  }
+};
+
+export default WidgetDataCache;
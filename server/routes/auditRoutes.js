@@ -0,0 +1,22 @@
+/**
+ * Audit Routes
+ *
+ * API endpoints for the dashboard and access audit trail.
+ */
+
+import express from 'express';
+import auditController from '../controllers/auditController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/audit - Get audit entries (filters: action, actor, targetType, targetId, from, to, search; paged)
+router.get('/', auditController.getAuditLog);
+
+// GET /api/audit/export - Download filtered audit entries as CSV
+router.get('/export', auditController.exportAuditLog);
+
+export default router;
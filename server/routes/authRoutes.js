@@ -1,20 +1,38 @@
 /**
  * Authentication Routes
  *
- * Defines API endpoints for JWT token generation.
+ * Defines API endpoints for authentication, JWT token generation, refresh and logout.
  */
 
 import express from 'express';
 import authController from '../controllers/authController.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * POST /api/auth/token
- * Generate JWT token from tenant/subtenant codes
+ * Authenticate and generate JWT token
  *
- * Body: { tenant: "CODE", subtenant: "CODE" }
+ * Body: { tenant: "CODE", subtenant: "CODE", username, password }
+ *    or { assertion: "<signed hand-off JWT from the host IAM console>" }
  */
 router.post('/token', authController.generateToken);
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * Body: { refreshToken }
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the caller's access token and the session's refresh token
+ *
+ * Body: { refreshToken }
+ */
+router.post('/logout', authenticateToken, authController.logout);
+
 export default router;
@@ -6,28 +6,52 @@
 
 import express from 'express';
 import dashboardController from '../controllers/dashboardController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { requireDashboardPermission, requireAnyDashboardPermission } from '../middleware/dashboardPermission.js';
 
 const router = express.Router();
 
 // All routes require authentication
+// Admin-only routes add requireAdmin; dashboard routes for editors/owners add
+// requireDashboardPermission (admins pass); the rest check user access in the controller
 router.use(authenticateToken);
 
 // ============================================
 // UTILITY ROUTES (must be before :id routes)
 // ============================================
 
-// GET /api/dashboards/users/all - Get all users for dropdown
-router.get('/users/all', dashboardController.getAllUsers);
+// GET /api/dashboards/users/all - Get all users for dropdown (?refresh=true reloads display name config)
+router.get('/users/all', requireAnyDashboardPermission('OWNER'), dashboardController.getAllUsers);
+
+// GET /api/dashboards/access-matrix - Users versus dashboards they can open (?profile=1,2&search=)
+router.get('/access-matrix', requireAdmin, dashboardController.getAccessMatrix);
+
+// GET /api/dashboards/access-matrix/export - Download the access matrix (?format=csv|xlsx)
+router.get('/access-matrix/export', requireAdmin, dashboardController.exportAccessMatrix);
 
 // GET /api/dashboards/widgets/all - Get all custom widgets for dropdown
-router.get('/widgets/all', dashboardController.getAllCustomWidgets);
+router.get('/widgets/all', requireAnyDashboardPermission('EDITOR'), dashboardController.getAllCustomWidgets);
 
 // GET /api/dashboards/widgets/predefined - Get predefined widgets list
-router.get('/widgets/predefined', dashboardController.getPredefinedWidgets);
+router.get('/widgets/predefined', requireAnyDashboardPermission('EDITOR'), dashboardController.getPredefinedWidgets);
 
 // POST /api/dashboards/delete-multiple - Delete multiple dashboards
-router.post('/delete-multiple', dashboardController.deleteMultipleDashboards);
+router.post('/delete-multiple', requireAdmin, dashboardController.deleteMultipleDashboards);
+
+// POST /api/dashboards/export - Export dashboards as a JSON bundle
+router.post('/export', requireAdmin, dashboardController.exportDashboards);
+
+// POST /api/dashboards/import - Import dashboards from a JSON bundle
+router.post('/import', requireAdmin, dashboardController.importDashboards);
+
+// GET /api/dashboards/trash - Get deleted dashboards
+router.get('/trash', requireAdmin, dashboardController.getTrash);
+
+// POST /api/dashboards/trash/restore - Restore dashboards from Trash
+router.post('/trash/restore', requireAdmin, dashboardController.restoreDashboards);
+
+// POST /api/dashboards/trash/purge - Permanently delete dashboards in Trash
+router.post('/trash/purge', requireAdmin, dashboardController.purgeDashboards);
 
 // GET /api/dashboards/user/:userId - Get dashboards for specific user
 router.get('/user/:userId', dashboardController.getUserDashboards);
@@ -36,29 +60,52 @@ router.get('/user/:userId', dashboardController.getUserDashboards);
 // DASHBOARD CRUD ROUTES
 // ============================================
 
-// GET /api/dashboards - Get all dashboards
+// GET /api/dashboards - Get dashboards with the caller's effective permission
 router.get('/', dashboardController.getAllDashboards);
 
 // GET /api/dashboards/:id - Get single dashboard
 router.get('/:id', dashboardController.getDashboard);
 
 // POST /api/dashboards - Create new dashboard
-router.post('/', dashboardController.createDashboard);
+router.post('/', requireAdmin, dashboardController.createDashboard);
 
-// PUT /api/dashboards/:id - Update dashboard
-router.put('/:id', dashboardController.updateDashboard);
+// PUT /api/dashboards/:id - Update dashboard (editor; access changes need owner)
+router.put('/:id', requireDashboardPermission('EDITOR'), dashboardController.updateDashboard);
 
 // DELETE /api/dashboards/:id - Delete single dashboard
-router.delete('/:id', dashboardController.deleteDashboard);
+router.delete('/:id', requireDashboardPermission('OWNER'), dashboardController.deleteDashboard);
+
+// POST /api/dashboards/:id/clone - Clone dashboard (widgets, optionally user access)
+router.post('/:id/clone', requireAdmin, dashboardController.cloneDashboard);
+
+// ============================================
+// WIDGET DATA ROUTES
+// ============================================
+
+// GET /api/dashboards/:id/widgets/:widgetId/data - Load widget data through the server (filter values as query)
+router.get('/:id/widgets/:widgetId/data', dashboardController.getWidgetData);
 
 // ============================================
 // USER ACCESS ROUTES
 // ============================================
 
 // POST /api/dashboards/:id/users - Add user to dashboard
-router.post('/:id/users', dashboardController.addUserToDashboard);
+router.post('/:id/users', requireDashboardPermission('OWNER'), dashboardController.addUserToDashboard);
 
 // DELETE /api/dashboards/:id/users/:userId - Remove user from dashboard
-router.delete('/:id/users/:userId', dashboardController.removeUserFromDashboard);
+router.delete('/:id/users/:userId', requireDashboardPermission('OWNER'), dashboardController.removeUserFromDashboard);
+
+// GET /api/dashboards/:id/users/:userId/explain - Why the user can open the dashboard (grants with origin)
+router.get('/:id/users/:userId/explain', requireDashboardPermission('OWNER'), dashboardController.explainUserAccess);
+
+// ============================================
+// REVISION HISTORY ROUTES
+// ============================================
+
+// GET /api/dashboards/:id/revisions - Get revision history with changes
+router.get('/:id/revisions', requireDashboardPermission('EDITOR'), dashboardController.getDashboardRevisions);
+
+// POST /api/dashboards/:id/revisions/:revisionId/revert - Restore an earlier revision
+router.post('/:id/revisions/:revisionId/revert', requireDashboardPermission('OWNER'), dashboardController.revertDashboard);
 
 export default router;
@@ -0,0 +1,19 @@
+/**
+ * Current User Routes
+ *
+ * API endpoints resolved from the caller's token identity (User Console).
+ */
+
+import express from 'express';
+import dashboardController from '../controllers/dashboardController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/me/dashboards - Get dashboards assigned to the calling user
+router.get('/dashboards', dashboardController.getMyDashboards);
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * Report Routes
+ *
+ * API endpoints for scheduled dashboard reports (idx2_dashboard_report_schedule).
+ */
+
+import express from 'express';
+import reportController from '../controllers/reportController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/report-schedules - Get all report schedules with formats and transports
+router.get('/', reportController.getAllSchedules);
+
+// GET /api/report-schedules/recipients?dashboardId= - Users assigned to a dashboard
+router.get('/recipients', reportController.getRecipientCandidates);
+
+// GET /api/report-schedules/snapshots/:snapshotId/download - Download a stored snapshot
+router.get('/snapshots/:snapshotId/download', reportController.downloadSnapshot);
+
+// GET /api/report-schedules/:id - Get report schedule
+router.get('/:id', reportController.getSchedule);
+
+// POST /api/report-schedules - Create report schedule
+router.post('/', reportController.createSchedule);
+
+// PUT /api/report-schedules/:id - Update report schedule
+router.put('/:id', reportController.updateSchedule);
+
+// DELETE /api/report-schedules/:id - Delete report schedule and its snapshots
+router.delete('/:id', reportController.deleteSchedule);
+
+// POST /api/report-schedules/:id/run - Run a schedule now
+router.post('/:id/run', reportController.runSchedule);
+
+// GET /api/report-schedules/:id/snapshots - Latest snapshots of a schedule
+router.get('/:id/snapshots', reportController.getSnapshots);
+
+export default router;
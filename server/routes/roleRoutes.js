@@ -0,0 +1,20 @@
+/**
+ * Role Routes
+ *
+ * API endpoints for roles used in dashboard access rules.
+ */
+
+import express from 'express';
+import roleController from '../controllers/roleController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAnyDashboardPermission } from '../middleware/dashboardPermission.js';
+
+const router = express.Router();
+
+// All routes require an admin token or owner permission on a dashboard (to add Role rules)
+router.use(authenticateToken, requireAnyDashboardPermission('OWNER'));
+
+// GET /api/roles - Get roles with member counts, members for admins (supports search, page, pageSize)
+router.get('/', roleController.getAllRoles);
+
+export default router;
@@ -0,0 +1,25 @@
+/**
+ * Template Routes
+ *
+ * API endpoints for dashboard templates.
+ */
+
+import express from 'express';
+import templateController from '../controllers/templateController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/templates - Get built-in and tenant templates
+router.get('/', templateController.getAllTemplates);
+
+// POST /api/templates - Save a dashboard as a tenant template
+router.post('/', templateController.createTemplate);
+
+// DELETE /api/templates/:id - Delete a tenant template
+router.delete('/:id', templateController.deleteTemplate);
+
+export default router;
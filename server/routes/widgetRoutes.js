@@ -0,0 +1,31 @@
+/**
+ * Widget Routes
+ *
+ * API endpoints for custom widget operations (idx2_dashboard_widget).
+ */
+
+import express from 'express';
+import widgetController from '../controllers/widgetController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/widgets - Get all custom widgets with usage counts
+router.get('/', widgetController.getAllWidgets);
+
+// GET /api/widgets/:id - Get custom widget with the dashboards using it
+router.get('/:id', widgetController.getWidget);
+
+// POST /api/widgets - Create custom widget
+router.post('/', widgetController.createWidget);
+
+// PUT /api/widgets/:id - Update custom widget
+router.put('/:id', widgetController.updateWidget);
+
+// DELETE /api/widgets/:id - Delete custom widget (?force=true if dashboards use it)
+router.delete('/:id', widgetController.deleteWidget);
+
+export default router;
@@ -0,0 +1,16 @@
+-- Profile/Role access rules for custom dashboards.
+-- User rules stay in idx2_dashboard_user_map; rows here are resolved
+-- to users (idx_users.profile / idx_role_user_map) whenever they are read.
+
+CREATE TABLE IF NOT EXISTS idx2_dashboard_access_rule (
+  id INT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  dashboard INT NOT NULL,
+  rule_type ENUM('PROFILE', 'ROLE') NOT NULL,
+  rule_ref INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_dashboard_rule (tenant, subtenant, dashboard, rule_type, rule_ref),
+  KEY idx_rule_lookup (tenant, subtenant, rule_type, rule_ref)
+);
@@ -0,0 +1,9 @@
+-- Grid layout (position and size) of custom widgets on a dashboard.
+-- Predefined widgets keep their layout in idx2_dashboard.widget_cfg
+-- ({ dwname, status, layout: { x, y, w, h } }).
+
+ALTER TABLE idx2_dashboard_widget_map
+  ADD COLUMN pos_x INT NULL,
+  ADD COLUMN pos_y INT NULL,
+  ADD COLUMN width INT NULL,
+  ADD COLUMN height INT NULL;
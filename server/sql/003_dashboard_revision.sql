@@ -0,0 +1,18 @@
+-- Immutable revision history for custom dashboards.
+-- Every save stores a full snapshot (name, description, widget_cfg,
+-- custom widgets with layout, users and Profile/Role rules) as JSON.
+-- Rows are only ever inserted; a revert adds a new revision with restored_from set.
+
+CREATE TABLE IF NOT EXISTS idx2_dashboard_revision (
+  id INT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  dashboard INT NOT NULL,
+  revision INT NOT NULL,
+  snapshot JSON NOT NULL,
+  author INT NULL,
+  restored_from INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_dashboard_revision (tenant, subtenant, dashboard, revision)
+);
@@ -0,0 +1,8 @@
+-- Soft delete for custom dashboards.
+-- Deleted dashboards keep their widget/user/rule mappings and show in Trash
+-- until restored or purged (DASHBOARD_TRASH_RETENTION_DAYS, default 30).
+
+ALTER TABLE idx2_dashboard
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by INT NULL,
+  ADD KEY idx_dashboard_deleted (tenant, subtenant, deleted_at);
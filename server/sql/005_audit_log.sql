@@ -0,0 +1,25 @@
+-- Audit trail for dashboard and access mutations.
+-- One row per action with the actor, the target and a before/after summary.
+-- Rows are never updated or deleted by the application.
+
+CREATE TABLE IF NOT EXISTS idx2_audit_log (
+  id BIGINT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  actor INT NULL,
+  actor_name VARCHAR(255) NULL,
+  actor_role VARCHAR(32) NULL,
+  action VARCHAR(64) NOT NULL,
+  target_type VARCHAR(32) NOT NULL,
+  target_id INT NULL,
+  target_name VARCHAR(255) NULL,
+  summary VARCHAR(2000) NULL,
+  before_state JSON NULL,
+  after_state JSON NULL,
+  ip_address VARCHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_audit_tenant_time (tenant, subtenant, created_at),
+  KEY idx_audit_target (tenant, subtenant, target_type, target_id),
+  KEY idx_audit_actor (tenant, subtenant, actor)
+);
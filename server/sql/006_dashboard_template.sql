@@ -0,0 +1,18 @@
+-- Tenant-level dashboard templates.
+-- A template stores a dashboard's predefined widget config (widget_cfg, same
+-- format as idx2_dashboard) and its custom widgets with layout as JSON.
+-- Built-in templates are defined in code (server/models/DashboardTemplate.js).
+
+CREATE TABLE IF NOT EXISTS idx2_dashboard_template (
+  id INT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  template_name VARCHAR(255) NOT NULL,
+  template_desc VARCHAR(1000) NULL,
+  widget_cfg JSON NOT NULL,
+  custom_widgets JSON NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_dashboard_template_name (tenant, subtenant, template_name)
+);
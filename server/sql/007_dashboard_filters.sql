@@ -0,0 +1,6 @@
+-- Dashboard-level filters shown in the viewer's filter bar and sent with
+-- every custom widget's data request (see server/models/DashboardFilter.js).
+-- JSON array of { key, label, type, options, defaultValue }.
+
+ALTER TABLE idx2_dashboard
+  ADD COLUMN dashboard_filters JSON NULL;
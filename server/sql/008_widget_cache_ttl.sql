@@ -0,0 +1,5 @@
+-- Cache lifetime of a custom widget's data in seconds.
+-- NULL uses WIDGET_DATA_CACHE_TTL_SECONDS (default 300); 0 disables caching.
+
+ALTER TABLE idx2_dashboard_widget
+  ADD COLUMN cache_ttl_seconds INT NULL;
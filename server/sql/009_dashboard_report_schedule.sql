@@ -0,0 +1,43 @@
+-- Scheduled dashboard reports.
+-- A schedule renders a dashboard's custom widget data into PDF and/or CSV
+-- snapshots on a cron expression (server time) and delivers them to users
+-- of the dashboard (idx2_dashboard_user_map) through a transport (smtp or file).
+-- Snapshot files are stored per tenant under REPORT_STORAGE_DIR; one
+-- idx2_dashboard_report_snapshot row is kept per file.
+
+CREATE TABLE IF NOT EXISTS idx2_dashboard_report_schedule (
+  id INT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  dashboard INT NOT NULL,
+  cron_expr VARCHAR(100) NOT NULL,
+  formats JSON NOT NULL,
+  transport VARCHAR(32) NOT NULL,
+  recipients JSON NOT NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  next_run_at DATETIME NULL,
+  last_run_at DATETIME NULL,
+  last_status VARCHAR(16) NULL,
+  last_error VARCHAR(2000) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_report_schedule_dashboard (tenant, subtenant, dashboard),
+  KEY idx_report_schedule_due (enabled, next_run_at)
+);
+
+CREATE TABLE IF NOT EXISTS idx2_dashboard_report_snapshot (
+  id INT NOT NULL AUTO_INCREMENT,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  schedule INT NOT NULL,
+  dashboard INT NOT NULL,
+  format VARCHAR(8) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_path VARCHAR(1000) NOT NULL,
+  file_size INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_report_snapshot_schedule (tenant, subtenant, schedule, created_at)
+);
@@ -0,0 +1,13 @@
+-- When and by whom a dashboard access mapping was added.
+-- Rows that existed before this script keep NULL; their origin is looked up
+-- in the revision history (idx2_dashboard_revision) instead.
+
+ALTER TABLE idx2_dashboard_user_map
+  ADD COLUMN created_at DATETIME NULL,
+  ADD COLUMN created_by INT NULL;
+
+ALTER TABLE idx2_dashboard_user_map
+  MODIFY COLUMN created_at DATETIME NULL DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE idx2_dashboard_access_rule
+  ADD COLUMN created_by INT NULL;
@@ -0,0 +1,11 @@
+-- Permission level of each dashboard access grant.
+-- VIEWER opens the dashboard, EDITOR also changes its name, widgets, layout and filters,
+-- OWNER also manages its access, restores revisions and moves it to Trash.
+-- A user's effective permission is the highest level of all grants that match the user.
+-- Existing grants become VIEWER.
+
+ALTER TABLE idx2_dashboard_user_map
+  ADD COLUMN permission ENUM('VIEWER', 'EDITOR', 'OWNER') NOT NULL DEFAULT 'VIEWER';
+
+ALTER TABLE idx2_dashboard_access_rule
+  ADD COLUMN permission ENUM('VIEWER', 'EDITOR', 'OWNER') NOT NULL DEFAULT 'VIEWER';
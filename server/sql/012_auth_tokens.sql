@@ -0,0 +1,36 @@
+-- Refresh tokens and revoked access tokens.
+-- Refresh tokens are stored as SHA-256 hashes and rotated on every use; all tokens
+-- rotated from the same sign-in share a family, which is revoked as a whole on
+-- logout or when an already used refresh token is presented again.
+-- session_started_at is the sign-in time of the family; no token of the family
+-- expires later than REFRESH_SESSION_MAX_DAYS after it.
+-- Revoked access tokens are listed by their jti until they expire.
+
+CREATE TABLE IF NOT EXISTS idx2_auth_refresh_token (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  token_hash CHAR(64) NOT NULL,
+  family CHAR(36) NOT NULL,
+  tenant INT NOT NULL,
+  subtenant INT NOT NULL,
+  tenant_code VARCHAR(100) NOT NULL,
+  subtenant_code VARCHAR(100) NOT NULL,
+  user INT NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  session_started_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_auth_refresh_token_hash (token_hash),
+  KEY idx_auth_refresh_token_family (family),
+  KEY idx_auth_refresh_token_expires (expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS idx2_auth_revoked_token (
+  jti CHAR(36) PRIMARY KEY,
+  tenant INT NULL,
+  subtenant INT NULL,
+  user INT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_auth_revoked_token_expires (expires_at)
+);
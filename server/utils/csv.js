@@ -0,0 +1,27 @@
+/**
+ * CSV helpers for exports (audit trail, access matrix, report snapshots)
+ */
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV value (RFC 4180)
+ * Objects are written as JSON. Text that would be read as a formula is prefixed
+ * with ' so spreadsheet apps show it as text; numbers are kept as they are.
+ */
+export const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line of values (without line break)
+ */
+export const toCsvLine = (values) => values.map(toCsvValue).join(',');
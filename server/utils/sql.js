@@ -0,0 +1,13 @@
+/**
+ * SQL query helpers
+ */
+
+// Escape character for LIKE patterns; use with `LIKE ? ESCAPE '!'`
+const LIKE_ESCAPE = '!';
+
+/**
+ * LIKE pattern matching values that contain the search term
+ * %, _ and the escape character in the term match literally.
+ */
+export const likeContains = (search) =>
+  `%${String(search).replace(/[!%_]/g, (char) => `${LIKE_ESCAPE}${char}`)}%`;
@@ -2,16 +2,25 @@
  * App Component
  *
  * Main entry point for Custom Dashboard application.
- * Handles authentication initialization and renders the dashboard page.
+ * Handles authentication initialization (IAM hand-off or sign-in)
+ * and renders the dashboard page:
+ * - /admin/         Admin page (manage dashboards, admins only)
+ * - /admin/console  User Console (view assigned dashboards)
  */
 
 import { useState, useEffect } from 'react';
-import { initializeAuthFromURL } from './utils/auth';
+import { initializeAuthFromURL, isAdminUser } from './utils/auth';
 import CustomDashboardPage from './components/CustomDashboardPage';
+import UserConsolePage from './components/UserConsolePage';
 import ErrorPage from './components/ErrorPage';
+import LoginPage from './components/LoginPage';
 import ThemeToggle from './components/ThemeToggle';
+import SignOutButton from './components/SignOutButton';
 import './styles/App.css';
 
+// User Console is served under <base>/console
+const isConsoleRoute = () => window.location.pathname.replace(/\/+$/, '').endsWith('/console');
+
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
@@ -54,6 +63,17 @@ function App() {
     );
   }
 
+  if (authError && authError.type === 'login_required') {
+    return (
+      <LoginPage
+        onLogin={() => {
+          setAuthError(null);
+          setIsAuthenticated(true);
+        }}
+      />
+    );
+  }
+
   if (authError) {
     const handleRetry = () => {
       setAuthError(null);
@@ -86,7 +106,19 @@ function App() {
         <span></span>
       </div>
       <ThemeToggle />
-      {isAuthenticated && <CustomDashboardPage />}
+      {isAuthenticated && (
+        <SignOutButton
+          onSignOut={() => {
+            setIsAuthenticated(false);
+            setAuthError({
+              type: 'login_required',
+              message: 'Please sign in to continue.'
+            });
+          }}
+        />
+      )}
+      {/* Non-admins use the console, which offers editing on dashboards they can edit */}
+      {isAuthenticated && (isConsoleRoute() || !isAdminUser() ? <UserConsolePage /> : <CustomDashboardPage />)}
     </div>
   );
 }
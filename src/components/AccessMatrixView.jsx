@@ -0,0 +1,281 @@
+/**
+ * Access Matrix View
+ *
+ * Users versus the dashboards they can open, for the whole subtenant,
+ * on the Custom Dashboard page.
+ * Features: Profile and text filters, paging, CSV/XLSX export
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+
+const API_BASE_URL = '/api';
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { profileIds: [], search: '' };
+
+// Cell badge per access source
+const SOURCE_BADGES = {
+  User: 'U',
+  Profile: 'P',
+  Role: 'R'
+};
+
+/**
+ * Build the query string for the filters (empty values omitted)
+ */
+const buildQuery = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  if (filters.profileIds.length > 0) {
+    params.set('profile', filters.profileIds.join(','));
+  }
+  if (filters.search.trim()) {
+    params.set('search', filters.search.trim());
+  }
+  Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+  return params.toString();
+};
+
+const AccessMatrixView = ({ onBack }) => {
+  const [matrix, setMatrix] = useState({ dashboards: [], users: [] });
+  const [profiles, setProfiles] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null); // 'csv' | 'xlsx' while downloading
+  const [error, setError] = useState(null);
+
+  // Fetch a page of users for the applied filters
+  const fetchMatrix = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const query = buildQuery(appliedFilters, { page, pageSize: PAGE_SIZE });
+      const response = await fetch(`${API_BASE_URL}/dashboards/access-matrix?${query}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch access matrix');
+      }
+
+      setMatrix(result.data);
+      setProfiles(result.profiles || []);
+      setTotal(result.pagination.total);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching access matrix:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    fetchMatrix();
+  }, [fetchMatrix]);
+
+  const toggleProfile = (profileId) => {
+    setFilters(prev => ({
+      ...prev,
+      profileIds: prev.profileIds.includes(profileId)
+        ? prev.profileIds.filter(id => id !== profileId)
+        : [...prev.profileIds, profileId]
+    }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Download the filtered matrix as CSV or XLSX
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(
+        `${API_BASE_URL}/dashboards/access-matrix/export?${buildQuery(appliedFilters, { format })}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'Failed to export access matrix');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `access-matrix-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error exporting access matrix:', err);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <>
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      <div className="dashboard-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Dashboards
+        </button>
+        <button
+          className="btn btn-add"
+          onClick={() => handleExport('csv')}
+          disabled={exporting !== null || total === 0}
+        >
+          {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+        </button>
+        <button
+          className="btn btn-add"
+          onClick={() => handleExport('xlsx')}
+          disabled={exporting !== null || total === 0}
+        >
+          {exporting === 'xlsx' ? 'Exporting...' : 'Export XLSX'}
+        </button>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleApplyFilters}>
+        <input
+          type="text"
+          placeholder="Search user or profile..."
+          value={filters.search}
+          onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+        />
+        <button type="submit" className="btn-row-action">Apply</button>
+        <button type="button" className="btn-row-action" onClick={handleClearFilters}>Clear</button>
+      </form>
+
+      {profiles.length > 0 && (
+        <div className="matrix-profile-filter">
+          <span>Profiles:</span>
+          {profiles.map(profile => (
+            <button
+              key={profile.id}
+              type="button"
+              className={`matrix-profile-chip ${filters.profileIds.includes(profile.id) ? 'selected' : ''}`}
+              onClick={() => toggleProfile(profile.id)}
+            >
+              {profile.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <p className="matrix-legend">
+        U = assigned directly, P = through a Profile rule, R = through a Role rule
+      </p>
+
+      {loading ? (
+        <div className="loading">Loading access matrix...</div>
+      ) : (
+        <div className="dashboard-table-container matrix-container">
+          <table className="dashboard-table matrix-table">
+            <thead>
+              <tr>
+                <th className="matrix-user-col">User</th>
+                <th>Profile</th>
+                {matrix.dashboards.map(dashboard => (
+                  <th key={dashboard.id} className="matrix-dashboard-col" title={dashboard.name}>
+                    {dashboard.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.users.length === 0 ? (
+                <tr>
+                  <td colSpan={matrix.dashboards.length + 2} className="no-data">
+                    No users with dashboard access match the filters.
+                  </td>
+                </tr>
+              ) : (
+                matrix.users.map(user => (
+                  <tr key={user.userId}>
+                    <td className="matrix-user-col">{user.userName}</td>
+                    <td>{user.profile}</td>
+                    {matrix.dashboards.map(dashboard => {
+                      const sources = user.access[dashboard.id] || [];
+                      return (
+                        <td
+                          key={dashboard.id}
+                          className="matrix-cell"
+                          title={sources.length > 0 ? `${dashboard.name}: ${sources.join(', ')}` : ''}
+                        >
+                          {sources.map(source => (
+                            <span key={source} className={`matrix-badge ${source.toLowerCase()}`}>
+                              {SOURCE_BADGES[source]}
+                            </span>
+                          ))}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="table-pagination">
+          <button
+            className="btn-row-action"
+            onClick={() => setPage(p => p - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span>Page {page} of {totalPages} ({total} users)</span>
+          <button
+            className="btn-row-action"
+            onClick={() => setPage(p => p + 1)}
+            disabled={page >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AccessMatrixView;
@@ -2,32 +2,69 @@
  * Add Dashboard Modal
  *
  * Modal for creating a new dashboard with:
+ * - Template selection (built-in or tenant templates)
  * - Dashboard name and description
  * - Predefined widgets selection
+ * - Custom widgets selection
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import '../styles/AddDashboardModal.css';
 
-const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
+const AddDashboardModal = ({ customWidgets, predefinedWidgets = [], templates = [], onClose, onSubmit, onDeleteTemplate }) => {
   const [formData, setFormData] = useState({
     dashboardName: '',
     dashboardDesc: '',
+    selectedPredefinedWidgets: [],
     selectedWidgetIds: []
   });
-
-  // Auto-select all widgets (30 defaults) when modal opens
-  useEffect(() => {
-    if (customWidgets && customWidgets.length > 0) {
-      setFormData(prev => ({
-        ...prev,
-        selectedWidgetIds: customWidgets.map(w => w.id)
-      }));
-    }
-  }, [customWidgets]);
+  const [templateId, setTemplateId] = useState('');
+  const [templateLayout, setTemplateLayout] = useState([]);
+  const [missingTemplateWidgets, setMissingTemplateWidgets] = useState(0);
+  const [confirmTemplateDelete, setConfirmTemplateDelete] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  const selectedTemplate = templates.find(t => String(t.id) === templateId) || null;
+
+  // Apply a template's widgets and layout ('' starts a blank dashboard)
+  const handleTemplateChange = (e) => {
+    const id = e.target.value;
+    const template = templates.find(t => String(t.id) === id);
+    const availableWidgetIds = customWidgets.map(w => w.id);
+
+    setTemplateId(id);
+    setConfirmTemplateDelete(false);
+    setTemplateLayout(template ? template.layout : []);
+    setMissingTemplateWidgets(template
+      ? template.customWidgetIds.filter(widgetId => !availableWidgetIds.includes(widgetId)).length
+      : 0);
+    setFormData(prev => ({
+      ...prev,
+      dashboardDesc: template && !prev.dashboardDesc.trim() ? template.templateDesc : prev.dashboardDesc,
+      selectedPredefinedWidgets: template
+        ? template.predefinedWidgets.filter(name => predefinedWidgets.includes(name))
+        : [],
+      selectedWidgetIds: template
+        ? template.customWidgetIds.filter(widgetId => availableWidgetIds.includes(widgetId))
+        : []
+    }));
+  };
+
+  const handleDeleteTemplate = async () => {
+    const result = await onDeleteTemplate(selectedTemplate.id);
+
+    if (!result.success) {
+      setErrors({ submit: result.error });
+      return;
+    }
+
+    setTemplateId('');
+    setTemplateLayout([]);
+    setMissingTemplateWidgets(0);
+    setConfirmTemplateDelete(false);
+  };
+
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -48,6 +85,24 @@ const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
     }));
   };
 
+  // Handle predefined widget toggle
+  const handlePredefinedToggle = (widgetName) => {
+    setFormData(prev => ({
+      ...prev,
+      selectedPredefinedWidgets: prev.selectedPredefinedWidgets.includes(widgetName)
+        ? prev.selectedPredefinedWidgets.filter(name => name !== widgetName)
+        : [...prev.selectedPredefinedWidgets, widgetName]
+    }));
+  };
+
+  // Handle select all predefined widgets
+  const handleSelectAllPredefined = (e) => {
+    setFormData(prev => ({
+      ...prev,
+      selectedPredefinedWidgets: e.target.checked ? [...predefinedWidgets] : []
+    }));
+  };
+
   // Handle select all widgets
   const handleSelectAllWidgets = (e) => {
     if (e.target.checked) {
@@ -90,7 +145,9 @@ const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
     const result = await onSubmit({
       dashboardName: formData.dashboardName.trim(),
       dashboardDesc: formData.dashboardDesc.trim(),
-      customWidgetIds: formData.selectedWidgetIds
+      selectedPredefinedWidgets: formData.selectedPredefinedWidgets,
+      customWidgetIds: formData.selectedWidgetIds,
+      layout: templateLayout
     });
 
     setIsSubmitting(false);
@@ -109,6 +166,53 @@ const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
         </div>
 
         <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="template">Template:</label>
+            <div className="template-picker">
+              <select id="template" value={templateId} onChange={handleTemplateChange}>
+                <option value="">Blank dashboard</option>
+                {templates.some(t => t.builtIn) && (
+                  <optgroup label="Built-in">
+                    {templates.filter(t => t.builtIn).map(template => (
+                      <option key={template.id} value={template.id}>{template.templateName}</option>
+                    ))}
+                  </optgroup>
+                )}
+                {templates.some(t => !t.builtIn) && (
+                  <optgroup label="Tenant templates">
+                    {templates.filter(t => !t.builtIn).map(template => (
+                      <option key={template.id} value={template.id}>{template.templateName}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+              {selectedTemplate && !selectedTemplate.builtIn && onDeleteTemplate && (
+                confirmTemplateDelete ? (
+                  <>
+                    <button type="button" className="btn-template-action danger" onClick={handleDeleteTemplate}>
+                      Confirm Delete
+                    </button>
+                    <button type="button" className="btn-template-action" onClick={() => setConfirmTemplateDelete(false)}>
+                      Keep
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" className="btn-template-action" onClick={() => setConfirmTemplateDelete(true)}>
+                    Delete Template
+                  </button>
+                )
+              )}
+            </div>
+            {selectedTemplate && selectedTemplate.templateDesc && (
+              <p className="template-hint">{selectedTemplate.templateDesc}</p>
+            )}
+            {missingTemplateWidgets > 0 && (
+              <p className="template-hint warning">
+                {missingTemplateWidgets} custom widget(s) of this template no longer exist and were skipped.
+              </p>
+            )}
+          </div>
+
           <div className="form-group">
             <label htmlFor="dashboardName">
               Dashboard Name:<span className="required">*</span>
@@ -146,10 +250,48 @@ const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
           </div>
 
           <div className="form-group">
-            <label>Choose widgets:</label>
+            <label>Predefined widgets:</label>
+            <div className="widget-list">
+              {predefinedWidgets.length === 0 ? (
+                <p className="no-widgets">No predefined widgets available.</p>
+              ) : (
+                <>
+                  <div className="widget-item select-all-item">
+                    <input
+                      type="checkbox"
+                      checked={formData.selectedPredefinedWidgets.length === predefinedWidgets.length}
+                      onChange={handleSelectAllPredefined}
+                    />
+                    <span className="select-all-label">Select All</span>
+                  </div>
+                  {predefinedWidgets.map(widgetName => (
+                  <div
+                    key={widgetName}
+                    className={`widget-item ${formData.selectedPredefinedWidgets.includes(widgetName) ? 'selected' : ''}`}
+                    onClick={() => handlePredefinedToggle(widgetName)}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={formData.selectedPredefinedWidgets.includes(widgetName)}
+                      onChange={() => {}}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handlePredefinedToggle(widgetName);
+                      }}
+                    />
+                    <span>{widgetName}</span>
+                  </div>
+                ))}
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Custom widgets:</label>
             <div className="widget-list">
               {customWidgets.length === 0 ? (
-                <p className="no-widgets">No widgets available. Please configure widgets in the Custom Widgets layer first.</p>
+                <p className="no-widgets">No widgets available. Add custom widgets from the Widgets screen first.</p>
               ) : (
                 <>
                   <div className="widget-item select-all-item">
@@ -163,7 +305,7 @@ const AddDashboardModal = ({ customWidgets, onClose, onSubmit }) => {
                   {customWidgets.map(widget => (
                   <div
                     key={widget.id}
-                    className={`widget-item ${formData.selectedWidgetIds.includes(widget.id) ? 'selected' : ''}`}
+                    className={`widget-item custom ${formData.selectedWidgetIds.includes(widget.id) ? 'selected' : ''}`}
                     onClick={() => handleWidgetToggle(widget.id)}
                   >
                     <input
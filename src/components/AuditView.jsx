@@ -0,0 +1,281 @@
+/**
+ * Audit View
+ *
+ * Audit trail of dashboard and access changes on the Custom Dashboard page.
+ * Features: Filter by action/date/text, paging, before/after details, CSV export
+ */
+
+import { useState, useEffect, useCallback, Fragment } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+
+const API_BASE_URL = '/api';
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { action: '', from: '', to: '', search: '' };
+
+// Readable labels for audit actions
+const ACTION_LABELS = {
+  DASHBOARD_CREATE: 'Dashboard created',
+  DASHBOARD_UPDATE: 'Dashboard updated',
+  DASHBOARD_CLONE: 'Dashboard cloned',
+  DASHBOARD_IMPORT: 'Dashboard imported',
+  DASHBOARD_DELETE: 'Moved to Trash',
+  DASHBOARD_RESTORE: 'Restored from Trash',
+  DASHBOARD_PURGE: 'Permanently deleted',
+  DASHBOARD_REVERT: 'Revision restored',
+  ACCESS_GRANT: 'Access granted',
+  ACCESS_REVOKE: 'Access revoked'
+};
+
+/**
+ * Build the query string for the current filters (empty values omitted)
+ */
+const buildQuery = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  });
+  return params.toString();
+};
+
+const AuditView = ({ onBack }) => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState(Object.keys(ACTION_LABELS));
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch a page of audit entries for the applied filters
+  const fetchAuditLog = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const query = buildQuery(appliedFilters, { page, pageSize: PAGE_SIZE });
+      const response = await fetch(`${API_BASE_URL}/audit?${query}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch audit log');
+      }
+
+      setEntries(result.data);
+      setTotal(result.pagination.total);
+      if (result.actions) setActions(result.actions);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching audit log:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    fetchAuditLog();
+  }, [fetchAuditLog]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Download the filtered audit log as CSV
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/audit/export?${buildQuery(appliedFilters)}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'Failed to export audit log');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error exporting audit log:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <>
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      <div className="dashboard-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Dashboards
+        </button>
+        <button
+          className="btn btn-add"
+          onClick={handleExport}
+          disabled={exporting || total === 0}
+        >
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleApplyFilters}>
+        <select name="action" value={filters.action} onChange={handleFilterChange}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{ACTION_LABELS[action] || action}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </label>
+        <input
+          type="text"
+          name="search"
+          placeholder="Search actor, dashboard or summary..."
+          value={filters.search}
+          onChange={handleFilterChange}
+        />
+        <button type="submit" className="btn-row-action">Apply</button>
+        <button type="button" className="btn-row-action" onClick={handleClearFilters}>Clear</button>
+      </form>
+
+      {loading ? (
+        <div className="loading">Loading audit log...</div>
+      ) : (
+        <div className="dashboard-table-container">
+          <table className="dashboard-table audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Dashboard</th>
+                <th>Summary</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="no-data">
+                    No audit entries match the filters.
+                  </td>
+                </tr>
+              ) : (
+                entries.map(entry => (
+                  <Fragment key={entry.id}>
+                    <tr
+                      className={expandedId === entry.id ? 'selected' : ''}
+                      onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                      style={{ cursor: 'pointer' }}
+                    >
+                      <td className="audit-time">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td>{entry.actorName || (entry.actor ? `User ${entry.actor}` : 'System')}</td>
+                      <td>
+                        <span className={`audit-action ${entry.action.toLowerCase()}`}>
+                          {ACTION_LABELS[entry.action] || entry.action}
+                        </span>
+                      </td>
+                      <td>{entry.targetName || (entry.targetId ? `#${entry.targetId}` : '-')}</td>
+                      <td className="audit-summary">{entry.summary || '-'}</td>
+                    </tr>
+                    {expandedId === entry.id && (
+                      <tr className="audit-details-row">
+                        <td colSpan="5">
+                          <div className="audit-details">
+                            <div>
+                              <h4>Before</h4>
+                              <pre>{entry.before ? JSON.stringify(entry.before, null, 2) : '-'}</pre>
+                            </div>
+                            <div>
+                              <h4>After</h4>
+                              <pre>{entry.after ? JSON.stringify(entry.after, null, 2) : '-'}</pre>
+                            </div>
+                          </div>
+                          <p className="audit-meta">
+                            Role: {entry.actorRole || '-'} | IP: {entry.ipAddress || '-'}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="table-pagination">
+          <button
+            className="btn-row-action"
+            onClick={() => setPage(p => p - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </button>
+          <span>Page {page} of {totalPages} ({total} entries)</span>
+          <button
+            className="btn-row-action"
+            onClick={() => setPage(p => p + 1)}
+            disabled={page >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AuditView;
@@ -2,39 +2,69 @@
  * Custom Dashboard Page
  *
  * Main admin page for managing custom dashboards.
- * Features: List dashboards, Add, Edit, Delete
+ * Features: List dashboards (paged, sortable, searchable), Add, Edit, Delete, Preview
  */
 
 import { useState, useEffect, useCallback } from 'react';
 import { getValidAuthToken } from '../utils/auth';
 import AddDashboardModal from './AddDashboardModal';
 import ViewDashboardModal from './ViewDashboardModal';
+import TrashView from './TrashView';
+import AuditView from './AuditView';
+import WidgetsView from './WidgetsView';
+import ReportSchedulesView from './ReportSchedulesView';
+import AccessMatrixView from './AccessMatrixView';
+import ImportDashboardsModal from './ImportDashboardsModal';
+import DashboardViewer from './DashboardViewer';
 import IAMHeaderCanvas from './IAMHeaderCanvas';
 import '../styles/CustomDashboardPage.css';
 
 const API_BASE_URL = '/api';
 
+// Dashboard list page sizes (first is the default)
+const PAGE_SIZES = [25, 50, 100];
+
+// Delay before the search box queries the server
+const SEARCH_DELAY_MS = 300;
+
 const CustomDashboardPage = () => {
   const [dashboards, setDashboards] = useState([]);
   const [widgets, setWidgets] = useState([]);
+  const [predefinedWidgets, setPredefinedWidgets] = useState([]);
+  const [templates, setTemplates] = useState([]);
   const [users, setUsers] = useState([]);
-  const [roles, setRoles] = useState([]);
   const [selectedDashboards, setSelectedDashboards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [selectedDashboard, setSelectedDashboard] = useState(null);
+  const [previewDashboard, setPreviewDashboard] = useState(null);
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, ids: [] });
-
-  // Fetch all dashboards
+  const [cloneModal, setCloneModal] = useState({ isOpen: false, dashboard: null, includeUsers: false });
+  const [templateModal, setTemplateModal] = useState({ isOpen: false, dashboard: null, templateName: '', templateDesc: '', error: null });
+  const [view, setView] = useState('dashboards'); // 'dashboards' | 'trash' | 'audit' | 'widgets' | 'reports' | 'access'
+  const [searchInput, setSearchInput] = useState('');
+  const [query, setQuery] = useState({ search: '', page: 1, pageSize: PAGE_SIZES[0], sort: 'id', order: 'desc' });
+  const [total, setTotal] = useState(0);
+
+  // Fetch the current page of dashboards
   const fetchDashboards = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
       const token = await getValidAuthToken();
 
-      const response = await fetch(`${API_BASE_URL}/dashboards`, {
+      const params = new URLSearchParams({
+        page: query.page,
+        pageSize: query.pageSize,
+        sort: query.sort,
+        order: query.order
+      });
+      if (query.search) params.set('search', query.search);
+
+      const response = await fetch(`${API_BASE_URL}/dashboards?${params}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -47,7 +77,14 @@ const CustomDashboardPage = () => {
 
       const result = await response.json();
       if (result.success) {
+        // A page emptied by deletes steps back to the last page with results
+        const lastPage = Math.max(Math.ceil(result.pagination.total / query.pageSize), 1);
+        if (query.page > lastPage) {
+          setQuery(prev => ({ ...prev, page: lastPage }));
+          return;
+        }
         setDashboards(result.data);
+        setTotal(result.pagination.total);
       } else {
         throw new Error(result.message || 'Failed to fetch dashboards');
       }
@@ -57,7 +94,36 @@ const CustomDashboardPage = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [query]);
+
+  useEffect(() => {
+    fetchDashboards();
+  }, [fetchDashboards]);
+
+  // Apply the search box after typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(prev => (prev.search === searchInput.trim()
+        ? prev
+        : { ...prev, search: searchInput.trim(), page: 1 }));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Sort by a column; clicking the sorted column flips the order
+  const handleSort = (sort) => {
+    setQuery(prev => ({
+      ...prev,
+      sort,
+      order: prev.sort === sort && prev.order === 'asc' ? 'desc' : 'asc',
+      page: 1
+    }));
+  };
+
+  const sortIndicator = (sort) => {
+    if (query.sort !== sort) return '';
+    return query.order === 'asc' ? ' \u25B2' : ' \u25BC';
+  };
 
   // Fetch widgets from Layer 1 (idx2_dashboard_widget)
   const fetchWidgets = useCallback(async () => {
@@ -81,11 +147,11 @@ const CustomDashboardPage = () => {
     }
   }, []);
 
-  // Fetch users
-  const fetchUsers = useCallback(async () => {
+  // Fetch predefined widget names (stored in widget_cfg)
+  const fetchPredefinedWidgets = useCallback(async () => {
     try {
       const token = await getValidAuthToken();
-      const response = await fetch(`${API_BASE_URL}/dashboards/users/all`, {
+      const response = await fetch(`${API_BASE_URL}/dashboards/widgets/predefined`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -95,19 +161,41 @@ const CustomDashboardPage = () => {
       if (response.ok) {
         const result = await response.json();
         if (result.success) {
-          setUsers(result.data);
+          setPredefinedWidgets(result.data);
         }
       }
     } catch (err) {
-      console.error('Error fetching users:', err);
+      console.error('Error fetching predefined widgets:', err);
+    }
+  }, []);
+
+  // Fetch built-in and tenant templates
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const token = await getValidAuthToken();
+      const response = await fetch(`${API_BASE_URL}/templates`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        if (result.success) {
+          setTemplates(result.data);
+        }
+      }
+    } catch (err) {
+      console.error('Error fetching templates:', err);
     }
   }, []);
 
-  // Fetch roles
-  const fetchRoles = useCallback(async () => {
+  // Fetch users
+  const fetchUsers = useCallback(async () => {
     try {
       const token = await getValidAuthToken();
-      const response = await fetch(`${API_BASE_URL}/roles`, {
+      const response = await fetch(`${API_BASE_URL}/dashboards/users/all`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -117,11 +205,11 @@ const CustomDashboardPage = () => {
       if (response.ok) {
         const result = await response.json();
         if (result.success) {
-          setRoles(result.data);
+          setUsers(result.data);
         }
       }
     } catch (err) {
-      console.error('Error fetching roles:', err);
+      console.error('Error fetching users:', err);
     }
   }, []);
 
@@ -133,11 +221,12 @@ const CustomDashboardPage = () => {
       if (!isMounted) return;
 
       // Fetch all data in parallel - token mutex prevents race condition
+      // (dashboards load in their own effect as the query changes)
       await Promise.all([
-        fetchDashboards(),
         fetchWidgets(),
-        fetchUsers(),
-        fetchRoles()
+        fetchPredefinedWidgets(),
+        fetchTemplates(),
+        fetchUsers()
       ]);
     };
 
@@ -146,7 +235,7 @@ const CustomDashboardPage = () => {
     return () => {
       isMounted = false;
     };
-  }, [fetchDashboards, fetchWidgets, fetchUsers]);
+  }, [fetchWidgets, fetchPredefinedWidgets, fetchTemplates, fetchUsers]);
 
   // Create new dashboard
   const handleCreateDashboard = async (dashboardData) => {
@@ -237,12 +326,169 @@ const CustomDashboardPage = () => {
     }
   };
 
-  // Selection handlers
+  // Clone dashboard (widgets, optionally user access)
+  const handleClone = async () => {
+    try {
+      const token = await getValidAuthToken();
+      const { dashboard, includeUsers } = cloneModal;
+
+      const response = await fetch(`${API_BASE_URL}/dashboards/${dashboard.id}/clone`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ includeUsers })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to clone dashboard');
+      }
+
+      fetchDashboards();
+    } catch (err) {
+      setError(err.message);
+      console.error('Error cloning dashboard:', err);
+    } finally {
+      setCloneModal({ isOpen: false, dashboard: null, includeUsers: false });
+    }
+  };
+
+  // Save a dashboard as a tenant template
+  const handleSaveTemplate = async () => {
+    try {
+      const token = await getValidAuthToken();
+      const { dashboard, templateName, templateDesc } = templateModal;
+
+      if (!templateName.trim()) {
+        throw new Error('Template name is required');
+      }
+
+      const response = await fetch(`${API_BASE_URL}/templates`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ dashboardId: dashboard.id, templateName, templateDesc })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save template');
+      }
+
+      setTemplateModal({ isOpen: false, dashboard: null, templateName: '', templateDesc: '', error: null });
+      fetchTemplates();
+    } catch (err) {
+      setTemplateModal(prev => ({ ...prev, error: err.message }));
+      console.error('Error saving template:', err);
+    }
+  };
+
+  // Delete a tenant template (from the Add modal)
+  const handleDeleteTemplate = async (id) => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/templates/${id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete template');
+      }
+
+      fetchTemplates();
+      return { success: true };
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Export selected dashboards as a JSON bundle
+  const handleExport = async () => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/dashboards/export`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ids: selectedDashboards })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || result.success === false) {
+        throw new Error(result.message || 'Failed to export dashboards');
+      }
+
+      const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `dashboards-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error exporting dashboards:', err);
+    }
+  };
+
+  // Import a JSON bundle (dryRun only reports the widget mapping)
+  const handleImport = async (bundle, dryRun) => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/dashboards/import`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ bundle, dryRun })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to import dashboards');
+      }
+
+      if (!dryRun) {
+        setIsImportModalOpen(false);
+        fetchDashboards();
+      }
+      return { success: true, data: result.data };
+    } catch (err) {
+      console.error('Error importing dashboards:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Selection handlers (select all applies to the current page; selections on other pages are kept)
   const handleSelectAll = (e) => {
+    const pageIds = dashboards.map(d => d.id);
     if (e.target.checked) {
-      setSelectedDashboards(dashboards.map(d => d.id));
+      setSelectedDashboards(prev => [...prev, ...pageIds.filter(id => !prev.includes(id))]);
     } else {
-      setSelectedDashboards([]);
+      setSelectedDashboards(prev => prev.filter(id => !pageIds.includes(id)));
     }
   };
 
@@ -254,12 +500,33 @@ const CustomDashboardPage = () => {
     );
   };
 
-  // View/Edit dashboard
-  const handleViewDashboard = async (id) => {
+  // Fetch dashboard details (widgets and users)
+  const fetchDashboardDetails = async (id) => {
+    const token = await getValidAuthToken();
+
+    const response = await fetch(`${API_BASE_URL}/dashboards/${id}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || 'Failed to fetch dashboard details');
+    }
+
+    return result.data;
+  };
+
+  // Restore an earlier revision and reload the open dashboard
+  const handleRevertDashboard = async (id, revisionId) => {
     try {
       const token = await getValidAuthToken();
 
-      const response = await fetch(`${API_BASE_URL}/dashboards/${id}`, {
+      const response = await fetch(`${API_BASE_URL}/dashboards/${id}/revisions/${revisionId}/revert`, {
+        method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -268,103 +535,300 @@ const CustomDashboardPage = () => {
 
       const result = await response.json();
 
-      if (response.ok && result.success) {
-        setSelectedDashboard(result.data);
-        setIsViewModalOpen(true);
-      } else {
-        throw new Error(result.message || 'Failed to fetch dashboard details');
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to restore revision');
       }
+
+      const dashboard = await fetchDashboardDetails(id);
+      setSelectedDashboard(dashboard);
+      fetchDashboards();
+      return { success: true };
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // View/Edit dashboard
+  const handleViewDashboard = async (id) => {
+    try {
+      const dashboard = await fetchDashboardDetails(id);
+      setSelectedDashboard(dashboard);
+      setIsViewModalOpen(true);
     } catch (err) {
       setError(err.message);
       console.error('Error fetching dashboard:', err);
     }
   };
 
+  // Preview dashboard with rendered widgets
+  const handlePreviewDashboard = async (id) => {
+    try {
+      const dashboard = await fetchDashboardDetails(id);
+      setPreviewDashboard(dashboard);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching dashboard:', err);
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(total / query.pageSize), 1);
+
   return (
     <div className="custom-dashboard-page">
       <IAMHeaderCanvas title="Custom Dashboard" />
 
-      {error && (
-        <div className="error-container">
-          <span>{error}</span>
-          <button onClick={() => setError(null)}>x</button>
-        </div>
-      )}
-
-      <div className="dashboard-actions">
-        <button
-          className="btn btn-add"
-          onClick={() => setIsAddModalOpen(true)}
-        >
-          Add Custom Dashboard
-        </button>
-        <button
-          className="btn btn-delete"
-          onClick={() => setConfirmModal({ isOpen: true, ids: selectedDashboards })}
-          disabled={selectedDashboards.length === 0}
-        >
-          Delete Custom Dashboard
-        </button>
-      </div>
-
-      {loading ? (
-        <div className="loading">Loading dashboards...</div>
+      {view === 'trash' ? (
+        <TrashView
+          onBack={() => {
+            setView('dashboards');
+            fetchDashboards();
+          }}
+        />
+      ) : view === 'audit' ? (
+        <AuditView onBack={() => setView('dashboards')} />
+      ) : view === 'widgets' ? (
+        <WidgetsView
+          onBack={() => {
+            setView('dashboards');
+            fetchWidgets();
+            fetchDashboards();
+          }}
+        />
+      ) : view === 'reports' ? (
+        <ReportSchedulesView onBack={() => setView('dashboards')} />
+      ) : view === 'access' ? (
+        <AccessMatrixView onBack={() => setView('dashboards')} />
       ) : (
-        <div className="dashboard-table-container">
-          <table className="dashboard-table">
-            <thead>
-              <tr>
-                <th className="checkbox-col">
-                  <input
-                    type="checkbox"
-                    checked={selectedDashboards.length === dashboards.length && dashboards.length > 0}
-                    onChange={handleSelectAll}
-                  />
-                </th>
-                <th>#</th>
-                <th>Dashboard Name</th>
-                <th>Dashboard Description</th>
-              </tr>
-            </thead>
-            <tbody>
-              {dashboards.length === 0 ? (
-                <tr>
-                  <td colSpan="4" className="no-data">
-                    No dashboards found. Click "Add Custom Dashboard" to create one.
-                  </td>
-                </tr>
-              ) : (
-                dashboards.map((dashboard, index) => (
-                  <tr
-                    key={dashboard.id}
-                    className={selectedDashboards.includes(dashboard.id) ? 'selected' : ''}
-                    onClick={() => handleViewDashboard(dashboard.id)}
-                    style={{ cursor: 'pointer' }}
-                  >
-                    <td className="checkbox-col" onClick={(e) => e.stopPropagation()}>
+        <>
+          {error && (
+            <div className="error-container">
+              <span>{error}</span>
+              <button onClick={() => setError(null)}>x</button>
+            </div>
+          )}
+
+          <div className="dashboard-actions">
+            <button
+              className="btn btn-add"
+              onClick={() => setIsAddModalOpen(true)}
+            >
+              Add Custom Dashboard
+            </button>
+            <button
+              className="btn btn-delete"
+              onClick={() => setConfirmModal({ isOpen: true, ids: selectedDashboards })}
+              disabled={selectedDashboards.length === 0}
+            >
+              Delete Custom Dashboard
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={handleExport}
+              disabled={selectedDashboards.length === 0}
+            >
+              Export
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setIsImportModalOpen(true)}
+            >
+              Import
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setSelectedDashboards([]);
+                setView('trash');
+              }}
+            >
+              Trash
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setSelectedDashboards([]);
+                setView('audit');
+              }}
+            >
+              Audit
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setSelectedDashboards([]);
+                setView('widgets');
+              }}
+            >
+              Widgets
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setSelectedDashboards([]);
+                setView('reports');
+              }}
+            >
+              Reports
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setSelectedDashboards([]);
+                setView('access');
+              }}
+            >
+              Access Matrix
+            </button>
+          </div>
+
+          <div className="table-toolbar">
+            <input
+              type="text"
+              className="table-search"
+              placeholder="Search name or description..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <span className="table-count">
+              {total} dashboard(s){selectedDashboards.length > 0 ? `, ${selectedDashboards.length} selected` : ''}
+            </span>
+          </div>
+
+          {loading ? (
+            <div className="loading">Loading dashboards...</div>
+          ) : (
+            <div className="dashboard-table-container">
+              <table className="dashboard-table">
+                <thead>
+                  <tr>
+                    <th className="checkbox-col">
                       <input
                         type="checkbox"
-                        checked={selectedDashboards.includes(dashboard.id)}
-                        onChange={() => handleSelectDashboard(dashboard.id)}
+                        checked={dashboards.length > 0 && dashboards.every(d => selectedDashboards.includes(d.id))}
+                        onChange={handleSelectAll}
                       />
-                    </td>
-                    <td>{index + 1}</td>
-                    <td>{dashboard.dashboard_name}</td>
-                    <td>{dashboard.dashboard_desc || '-'}</td>
+                    </th>
+                    <th className="sortable" onClick={() => handleSort('id')}>
+                      #{sortIndicator('id')}
+                    </th>
+                    <th className="sortable" onClick={() => handleSort('name')}>
+                      Dashboard Name{sortIndicator('name')}
+                    </th>
+                    <th className="sortable" onClick={() => handleSort('description')}>
+                      Dashboard Description{sortIndicator('description')}
+                    </th>
+                    <th className="actions-col">Actions</th>
                   </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
+                </thead>
+                <tbody>
+                  {dashboards.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="no-data">
+                        {query.search
+                          ? `No dashboards match "${query.search}".`
+                          : 'No dashboards found. Click "Add Custom Dashboard" to create one.'}
+                      </td>
+                    </tr>
+                  ) : (
+                    dashboards.map((dashboard, index) => (
+                      <tr
+                        key={dashboard.id}
+                        className={selectedDashboards.includes(dashboard.id) ? 'selected' : ''}
+                        onClick={() => handleViewDashboard(dashboard.id)}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <td className="checkbox-col" onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            checked={selectedDashboards.includes(dashboard.id)}
+                            onChange={() => handleSelectDashboard(dashboard.id)}
+                          />
+                        </td>
+                        <td>{(query.page - 1) * query.pageSize + index + 1}</td>
+                        <td>{dashboard.dashboard_name}</td>
+                        <td>{dashboard.dashboard_desc || '-'}</td>
+                        <td className="actions-col" onClick={(e) => e.stopPropagation()}>
+                          <button
+                            className="btn-row-action"
+                            onClick={() => handlePreviewDashboard(dashboard.id)}
+                          >
+                            Preview
+                          </button>
+                          <button
+                            className="btn-row-action"
+                            onClick={() => setCloneModal({ isOpen: true, dashboard, includeUsers: false })}
+                          >
+                            Clone
+                          </button>
+                          <button
+                            className="btn-row-action"
+                            onClick={() => setTemplateModal({
+                              isOpen: true,
+                              dashboard,
+                              templateName: dashboard.dashboard_name,
+                              templateDesc: dashboard.dashboard_desc || '',
+                              error: null
+                            })}
+                          >
+                            Save as Template
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {total > 0 && (
+            <div className="table-pagination">
+              <button
+                className="btn-row-action"
+                onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={query.page <= 1}
+              >
+                Previous
+              </button>
+              <span>Page {query.page} of {totalPages}</span>
+              <button
+                className="btn-row-action"
+                onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={query.page >= totalPages}
+              >
+                Next
+              </button>
+              <select
+                value={query.pageSize}
+                onChange={(e) => setQuery(prev => ({ ...prev, pageSize: Number(e.target.value), page: 1 }))}
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size} per page</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </>
       )}
 
       {/* Add Dashboard Modal */}
       {isAddModalOpen && (
         <AddDashboardModal
           customWidgets={widgets}
+          predefinedWidgets={predefinedWidgets}
+          templates={templates}
           onClose={() => setIsAddModalOpen(false)}
           onSubmit={handleCreateDashboard}
+          onDeleteTemplate={handleDeleteTemplate}
+        />
+      )}
+
+      {/* Import Dashboards Modal */}
+      {isImportModalOpen && (
+        <ImportDashboardsModal
+          onClose={() => setIsImportModalOpen(false)}
+          onImport={handleImport}
         />
       )}
 
@@ -373,16 +837,107 @@ const CustomDashboardPage = () => {
         <ViewDashboardModal
           dashboard={selectedDashboard}
           customWidgets={widgets}
+          predefinedWidgets={predefinedWidgets}
           allUsers={users}
-          allRoles={roles}
           onClose={() => {
             setIsViewModalOpen(false);
             setSelectedDashboard(null);
           }}
           onUpdate={handleUpdateDashboard}
+          onRevert={handleRevertDashboard}
         />
       )}
 
+      {/* Dashboard Preview */}
+      {previewDashboard && (
+        <div className="modal-overlay" onClick={() => setPreviewDashboard(null)}>
+          <div className="viewer-modal" onClick={(e) => e.stopPropagation()}>
+            <DashboardViewer
+              dashboard={previewDashboard}
+              onClose={() => setPreviewDashboard(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Clone Confirmation Modal */}
+      {cloneModal.isOpen && (
+        <div className="modal-overlay">
+          <div className="confirm-modal">
+            <h3>Clone Dashboard</h3>
+            <p>
+              Create a copy of "{cloneModal.dashboard.dashboard_name}" with its description and widgets?
+            </p>
+            <label className="clone-option">
+              <input
+                type="checkbox"
+                checked={cloneModal.includeUsers}
+                onChange={(e) => setCloneModal(prev => ({ ...prev, includeUsers: e.target.checked }))}
+              />
+              Also copy user access
+            </label>
+            <div className="confirm-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setCloneModal({ isOpen: false, dashboard: null, includeUsers: false })}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn-confirm"
+                onClick={handleClone}
+              >
+                Clone
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Save as Template Modal */}
+      {templateModal.isOpen && (
+        <div className="modal-overlay">
+          <div className="confirm-modal">
+            <h3>Save as Template</h3>
+            <p>
+              Save the widgets and layout of "{templateModal.dashboard.dashboard_name}" as a template
+              for new dashboards.
+            </p>
+            <div className="template-form">
+              <input
+                type="text"
+                placeholder="Template name"
+                value={templateModal.templateName}
+                onChange={(e) => setTemplateModal(prev => ({ ...prev, templateName: e.target.value, error: null }))}
+              />
+              <input
+                type="text"
+                placeholder="Template description"
+                value={templateModal.templateDesc}
+                onChange={(e) => setTemplateModal(prev => ({ ...prev, templateDesc: e.target.value }))}
+              />
+              {templateModal.error && (
+                <span className="template-form-error">{templateModal.error}</span>
+              )}
+            </div>
+            <div className="confirm-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setTemplateModal({ isOpen: false, dashboard: null, templateName: '', templateDesc: '', error: null })}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn-confirm"
+                onClick={handleSaveTemplate}
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {confirmModal.isOpen && (
         <div className="modal-overlay">
@@ -390,7 +945,7 @@ const CustomDashboardPage = () => {
             <h3>Confirm Delete</h3>
             <p>
               Are you sure you want to delete {confirmModal.ids.length} dashboard(s)?
-              This action cannot be undone.
+              They will be moved to Trash and can be restored from there.
             </p>
             <div className="confirm-actions">
               <button
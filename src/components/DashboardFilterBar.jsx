@@ -0,0 +1,111 @@
+/**
+ * Dashboard Filter Bar
+ *
+ * Inputs for a dashboard's filters (text, select, date, date range)
+ * shown above the widgets in the dashboard viewer.
+ * Changes are applied to the widgets with Apply; Reset restores the defaults.
+ */
+
+import { useState, useEffect } from 'react';
+import { getDefaultFilterValues } from '../utils/widgetData';
+
+const DashboardFilterBar = ({ filters, values, onApply }) => {
+  const [draft, setDraft] = useState(values);
+
+  // Follow the applied values (e.g. when another dashboard is opened)
+  useEffect(() => {
+    setDraft(values);
+  }, [values]);
+
+  const setValue = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  const handleReset = () => {
+    const defaults = getDefaultFilterValues(filters);
+    setDraft(defaults);
+    onApply(defaults);
+  };
+
+  const renderInput = (filter) => {
+    const value = draft[filter.key];
+    const id = `dashboard-filter-${filter.key}`;
+
+    switch (filter.type) {
+      case 'select':
+        return (
+          <select id={id} value={value || ''} onChange={(e) => setValue(filter.key, e.target.value)}>
+            <option value="">All</option>
+            {filter.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'date':
+        return (
+          <input
+            id={id}
+            type="date"
+            value={value || ''}
+            onChange={(e) => setValue(filter.key, e.target.value)}
+          />
+        );
+      case 'dateRange': {
+        const range = value || { from: '', to: '' };
+        return (
+          <span className="filter-range">
+            <input
+              id={id}
+              type="date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(e) => setValue(filter.key, { ...range, from: e.target.value })}
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(e) => setValue(filter.key, { ...range, to: e.target.value })}
+            />
+          </span>
+        );
+      }
+      default:
+        return (
+          <input
+            id={id}
+            type="text"
+            value={value || ''}
+            onChange={(e) => setValue(filter.key, e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <form className="dashboard-filter-bar" onSubmit={handleSubmit}>
+      {filters.map(filter => (
+        <div key={filter.key} className="filter-field">
+          <label htmlFor={`dashboard-filter-${filter.key}`}>{filter.label || filter.key}</label>
+          {renderInput(filter)}
+        </div>
+      ))}
+      <div className="filter-bar-actions">
+        <button type="button" className="btn-filter-reset" onClick={handleReset}>
+          Reset
+        </button>
+        <button type="submit" className="btn-filter-apply">
+          Apply
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DashboardFilterBar;
@@ -0,0 +1,195 @@
+/**
+ * Dashboard Viewer
+ *
+ * Read-only rendering of a dashboard:
+ * - Custom widgets: data loaded through the server's widget data proxy
+ *   (widget_url with widget_filter), drawn according to widget_chart
+ * - Predefined widgets: enabled entries from widget_cfg
+ * - Filter bar: dashboard filters, applied to every custom widget's data request
+ * - Last updated time per widget; Refresh reloads data bypassing the server cache
+ * Widgets are placed on the saved grid layout (static, not editable here).
+ */
+
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import GridLayout, { WidthProvider } from 'react-grid-layout';
+import WidgetChart from './WidgetChart';
+import DashboardFilterBar from './DashboardFilterBar';
+import { fetchWidgetData, getChartType, getDefaultFilterValues, getDashboardFilterParams } from '../utils/widgetData';
+import { buildLayout, customLayoutKey, predefinedLayoutKey, GRID_COLS, ROW_HEIGHT } from '../utils/dashboardLayout';
+import 'react-grid-layout/css/styles.css';
+import '../styles/DashboardViewer.css';
+
+const ResponsiveGrid = WidthProvider(GridLayout);
+
+const DashboardViewer = ({ dashboard, onClose }) => {
+  // Widget data state keyed by widget id: { loading, error, data, lastUpdated }
+  const [widgetState, setWidgetState] = useState({});
+  // Latest request number per widget id; older responses are ignored
+  const requestSeq = useRef({});
+  // Filter values applied by the filter bar, for the dashboard they were applied to
+  const [appliedFilters, setAppliedFilters] = useState({ dashboard: null, values: {} });
+
+  const customWidgets = dashboard.customWidgets || [];
+  const predefinedWidgets = (dashboard.widgetCfg || []).filter(w => w.status === 'true');
+  const filters = dashboard.filters || [];
+
+  // Another dashboard starts from its filters' default values
+  const filterValues = useMemo(
+    () => appliedFilters.dashboard === dashboard
+      ? appliedFilters.values
+      : getDefaultFilterValues(dashboard.filters || []),
+    [appliedFilters, dashboard]
+  );
+
+  const layout = useMemo(
+    () => buildLayout(dashboard.customWidgets || [], (dashboard.widgetCfg || []).filter(w => w.status === 'true')),
+    [dashboard]
+  );
+
+  const filterParams = useMemo(
+    () => getDashboardFilterParams(dashboard.filters || [], filterValues),
+    [dashboard, filterValues]
+  );
+
+  // Load one widget's data; refresh bypasses the server cache
+  const loadWidget = useCallback(async (widget, refresh = false) => {
+    const seq = (requestSeq.current[widget.id] || 0) + 1;
+    requestSeq.current[widget.id] = seq;
+
+    setWidgetState(prev => ({ ...prev, [widget.id]: { ...prev[widget.id], loading: true, error: null } }));
+
+    try {
+      const result = await fetchWidgetData(dashboard.id, widget, filterParams, { refresh });
+      if (requestSeq.current[widget.id] === seq) {
+        setWidgetState(prev => ({
+          ...prev,
+          [widget.id]: { loading: false, error: null, data: result.data, lastUpdated: result.lastUpdated }
+        }));
+      }
+    } catch (err) {
+      console.error(`Error loading widget ${widget.id}:`, err);
+      if (requestSeq.current[widget.id] === seq) {
+        setWidgetState(prev => ({ ...prev, [widget.id]: { loading: false, error: err.message, data: null } }));
+      }
+    }
+  }, [dashboard.id, filterParams]);
+
+  // Load data for every custom widget in parallel (again when filters are applied)
+  useEffect(() => {
+    const widgets = dashboard.customWidgets || [];
+    const seqs = requestSeq.current;
+
+    setWidgetState({});
+    widgets.forEach(widget => loadWidget(widget));
+
+    // Ignore responses that arrive after the dashboard or filters changed
+    return () => {
+      widgets.forEach(widget => {
+        seqs[widget.id] = (seqs[widget.id] || 0) + 1;
+      });
+    };
+  }, [dashboard, loadWidget]);
+
+  const handleRefreshAll = () => {
+    customWidgets.forEach(widget => loadWidget(widget, true));
+  };
+
+  const formatUpdated = (lastUpdated) => lastUpdated
+    ? new Date(lastUpdated).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '';
+
+  return (
+    <div className="dashboard-viewer">
+      <div className="viewer-header">
+        <div>
+          <h2>{dashboard.dashboard_name}</h2>
+          {dashboard.dashboard_desc && <p>{dashboard.dashboard_desc}</p>}
+        </div>
+        <div className="viewer-header-actions">
+          {customWidgets.length > 0 && (
+            <button className="btn-viewer-refresh" onClick={handleRefreshAll} title="Reload all widgets from their data sources">
+              Refresh
+            </button>
+          )}
+          {onClose && (
+            <button className="close-btn" onClick={onClose}>x</button>
+          )}
+        </div>
+      </div>
+
+      {filters.length > 0 && customWidgets.length > 0 && (
+        <DashboardFilterBar
+          filters={filters}
+          values={filterValues}
+          onApply={(values) => setAppliedFilters({ dashboard, values })}
+        />
+      )}
+
+      {customWidgets.length === 0 && predefinedWidgets.length === 0 ? (
+        <div className="viewer-empty">This dashboard has no widgets.</div>
+      ) : (
+        <ResponsiveGrid
+          className="viewer-grid"
+          layout={layout}
+          cols={GRID_COLS}
+          rowHeight={ROW_HEIGHT}
+          isDraggable={false}
+          isResizable={false}
+        >
+          {customWidgets.map(widget => {
+            const state = widgetState[widget.id] || { loading: true };
+            const chartType = getChartType(widget.widget_chart);
+
+            return (
+              <div
+                key={customLayoutKey(widget.id)}
+                className={`widget-card chart-${chartType}${state.loading && state.data ? ' refreshing' : ''}`}
+              >
+                <div className="widget-card-header">
+                  <h3 title={widget.widget_desc || ''}>{widget.widget_name}</h3>
+                  <span className="widget-chart-badge">{chartType}</span>
+                </div>
+                <div className="widget-card-body">
+                  {state.loading && !state.data ? (
+                    <div className="widget-loading">Loading...</div>
+                  ) : state.error ? (
+                    <div className="widget-error">{state.error}</div>
+                  ) : (
+                    <WidgetChart chartType={chartType} data={state.data} />
+                  )}
+                </div>
+                <div className="widget-card-footer">
+                  <span className="widget-updated">
+                    {state.lastUpdated ? `Updated ${formatUpdated(state.lastUpdated)}` : ''}
+                  </span>
+                  <button
+                    className="widget-refresh-btn"
+                    onClick={() => loadWidget(widget, true)}
+                    disabled={state.loading}
+                    title="Reload from the data source"
+                  >
+                    Refresh
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+
+          {predefinedWidgets.map(widget => (
+            <div key={predefinedLayoutKey(widget.dwname)} className="widget-card predefined">
+              <div className="widget-card-header">
+                <h3>{widget.dwname}</h3>
+                <span className="widget-chart-badge">system</span>
+              </div>
+              <div className="widget-card-body">
+                <div className="widget-empty">Rendered by the IAM console</div>
+              </div>
+            </div>
+          ))}
+        </ResponsiveGrid>
+      )}
+    </div>
+  );
+};
+
+export default DashboardViewer;
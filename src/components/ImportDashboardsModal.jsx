@@ -0,0 +1,146 @@
+/**
+ * Import Dashboards Modal
+ *
+ * Modal for importing dashboards from a JSON bundle (see Export on the dashboard list):
+ * - Bundle file selection
+ * - Preview of the dashboards with custom widgets missing in this tenant
+ * - Import
+ */
+
+import { useState } from 'react';
+import '../styles/AddDashboardModal.css';
+
+const ImportDashboardsModal = ({ onClose, onImport }) => {
+  const [fileName, setFileName] = useState('');
+  const [bundle, setBundle] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Read the bundle file and ask the server which widgets can be mapped
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setBundle(null);
+    setPreview(null);
+    setError(null);
+    if (!file) return;
+
+    setFileName(file.name);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      setError('The selected file is not valid JSON');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await onImport(parsed, true);
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setBundle(parsed);
+    setPreview(result.data);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!bundle) return;
+
+    setIsSubmitting(true);
+    const result = await onImport(bundle, false);
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const missingCount = preview
+    ? preview.reduce((count, item) => count + item.missingWidgets.length, 0)
+    : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="add-dashboard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Dashboards</h2>
+          <button className="close-btn" onClick={onClose}>x</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="bundleFile">
+              Dashboard Bundle (JSON):<span className="required">*</span>
+            </label>
+            <input
+              type="file"
+              id="bundleFile"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+              disabled={isSubmitting}
+            />
+            {fileName && !preview && !error && isSubmitting && (
+              <p className="import-hint">Checking {fileName}...</p>
+            )}
+          </div>
+
+          {preview && (
+            <div className="form-group">
+              <label>Dashboards to Import ({preview.length})</label>
+              <div className="widget-list">
+                {preview.map((item, index) => (
+                  <div key={index} className="import-item">
+                    <span className="import-name">{item.name}</span>
+                    <span className="import-widgets">
+                      {item.widgetsMapped} custom widget(s) mapped
+                    </span>
+                    {item.missingWidgets.length > 0 && (
+                      <span className="import-missing">
+                        Missing: {item.missingWidgets.join(', ')}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {missingCount > 0 && (
+                <p className="import-hint">
+                  Custom widgets missing in this tenant are skipped. Create them first to include them.
+                </p>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="submit-error">{error}</div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              className="btn-cancel"
+              onClick={onClose}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn-submit"
+              disabled={isSubmitting || !bundle}
+            >
+              {isSubmitting && bundle ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDashboardsModal;
@@ -0,0 +1,93 @@
+/**
+ * LoginPage Component
+ *
+ * Sign-in form for the tenant/subtenant in the URL.
+ * Authenticates against idx_users credentials; users coming from the
+ * host IAM console are signed in by hand-off and never see this page.
+ */
+
+import { useState } from 'react';
+import { loginWithCredentials } from '../utils/auth';
+import '../styles/LoginPage.css';
+
+const LoginPage = ({ onLogin }) => {
+  const [formData, setFormData] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const urlParams = new URLSearchParams(window.location.search);
+  const tenant = urlParams.get('tenant');
+  const subtenant = urlParams.get('subtenant');
+
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.username.trim() || !formData.password) {
+      setError('Username and password are required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await loginWithCredentials(formData.username.trim(), formData.password);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      onLogin(result.data);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-card">
+        <span className="login-subtitle">{tenant} / {subtenant}</span>
+        <h1 className="login-title">Sign In</h1>
+        <p className="login-message">Sign in with your IAM account to manage dashboards.</p>
+
+        <form onSubmit={handleSubmit}>
+          <div className="login-field">
+            <label htmlFor="username">Username</label>
+            <input
+              type="text"
+              id="username"
+              name="username"
+              autoComplete="username"
+              value={formData.username}
+              onChange={handleChange}
+              autoFocus
+            />
+          </div>
+
+          <div className="login-field">
+            <label htmlFor="password">Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              autoComplete="current-password"
+              value={formData.password}
+              onChange={handleChange}
+            />
+          </div>
+
+          {error && <div className="login-error">{error}</div>}
+
+          <button type="submit" className="btn-login" disabled={isSubmitting}>
+            {isSubmitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginPage;
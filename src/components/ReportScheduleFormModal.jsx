@@ -0,0 +1,377 @@
+/**
+ * Report Schedule Form Modal
+ *
+ * Modal for creating or editing a scheduled dashboard report with:
+ * - Dashboard
+ * - Schedule (preset or cron expression, server time)
+ * - Formats (PDF, CSV) and transport (email or file drop)
+ * - Recipients: users assigned to the dashboard
+ * - Enabled
+ */
+
+import { useState, useEffect } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+import '../styles/AddDashboardModal.css';
+
+const API_BASE_URL = '/api';
+
+const CUSTOM_SCHEDULE = 'custom';
+
+// Labels for the server's schedule presets
+const PRESET_LABELS = {
+  '@hourly': 'Every hour',
+  '@daily': 'Every day',
+  '@weekly': 'Every week',
+  '@monthly': 'Every month'
+};
+
+const TRANSPORT_LABELS = {
+  smtp: 'Email (SMTP)',
+  file: 'File drop'
+};
+
+const ReportScheduleFormModal = ({ schedule, dashboards, formats, transports, presets, onClose, onSubmit }) => {
+  const isNew = !schedule.id;
+  const initialCron = schedule.cron_expr || '@weekly';
+  const [formData, setFormData] = useState({
+    dashboardId: schedule.dashboard ? String(schedule.dashboard) : '',
+    preset: presets[initialCron] ? initialCron : CUSTOM_SCHEDULE,
+    cronExpr: presets[initialCron] ? presets[initialCron] : initialCron,
+    formats: schedule.formats || formats,
+    transport: schedule.transport || transports[0] || '',
+    recipients: schedule.recipients || [],
+    enabled: schedule.enabled !== false
+  });
+  const [candidates, setCandidates] = useState([]);
+  const [loadingCandidates, setLoadingCandidates] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load the users assigned to the selected dashboard
+  useEffect(() => {
+    if (!formData.dashboardId) {
+      setCandidates([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchCandidates = async () => {
+      try {
+        setLoadingCandidates(true);
+        const token = await getValidAuthToken();
+
+        const response = await fetch(
+          `${API_BASE_URL}/report-schedules/recipients?dashboardId=${encodeURIComponent(formData.dashboardId)}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Failed to fetch recipients');
+        }
+
+        if (!cancelled) setCandidates(result.data);
+      } catch (err) {
+        console.error('Error fetching recipients:', err);
+        if (!cancelled) setErrors(prev => ({ ...prev, recipients: err.message }));
+      } finally {
+        if (!cancelled) setLoadingCandidates(false);
+      }
+    };
+
+    fetchCandidates();
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.dashboardId]);
+
+  const setField = (name, value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Another dashboard has other users; recipients are picked again
+  const handleDashboardChange = (e) => {
+    setFormData(prev => ({ ...prev, dashboardId: e.target.value, recipients: [] }));
+    setErrors(prev => ({ ...prev, dashboardId: '', recipients: '' }));
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = e.target.value;
+    setFormData(prev => ({
+      ...prev,
+      preset,
+      cronExpr: preset === CUSTOM_SCHEDULE ? prev.cronExpr : presets[preset]
+    }));
+    setErrors(prev => ({ ...prev, cronExpr: '' }));
+  };
+
+  const toggleFormat = (format) => {
+    setField('formats', formData.formats.includes(format)
+      ? formData.formats.filter(item => item !== format)
+      : [...formData.formats, format]);
+  };
+
+  const toggleRecipient = (userId) => {
+    setField('recipients', formData.recipients.includes(userId)
+      ? formData.recipients.filter(id => id !== userId)
+      : [...formData.recipients, userId]);
+  };
+
+  const handleSelectAllRecipients = () => {
+    setField('recipients', formData.recipients.length === candidates.length
+      ? []
+      : candidates.map(candidate => candidate.userId));
+  };
+
+  // Validate form (the server repeats these checks)
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.dashboardId) {
+      newErrors.dashboardId = 'Dashboard is required';
+    }
+    if (formData.cronExpr.trim().split(/\s+/).length !== 5) {
+      newErrors.cronExpr = 'Use 5 fields: minute hour day-of-month month day-of-week';
+    }
+    if (formData.formats.length === 0) {
+      newErrors.formats = 'Select at least one format';
+    }
+    if (formData.recipients.length === 0) {
+      newErrors.recipients = 'Select at least one recipient';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) return;
+
+    setIsSubmitting(true);
+
+    const result = await onSubmit({
+      dashboardId: Number(formData.dashboardId),
+      cronExpr: formData.preset === CUSTOM_SCHEDULE ? formData.cronExpr.trim() : formData.preset,
+      formats: formData.formats,
+      transport: formData.transport,
+      recipients: formData.recipients,
+      enabled: formData.enabled
+    });
+
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setErrors({ submit: result.error });
+    }
+  };
+
+  const missingEmails = formData.transport === 'smtp'
+    ? candidates.filter(candidate => formData.recipients.includes(candidate.userId) && !candidate.email).length
+    : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="add-dashboard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{isNew ? 'Add Report Schedule' : 'Edit Report Schedule'}</h2>
+          <button className="close-btn" onClick={onClose}>x</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="reportDashboard">
+              Dashboard:<span className="required">*</span>
+            </label>
+            <div className="template-picker">
+              <select
+                id="reportDashboard"
+                value={formData.dashboardId}
+                onChange={handleDashboardChange}
+              >
+                <option value="">Select a dashboard</option>
+                {dashboards.map(dashboard => (
+                  <option key={dashboard.id} value={dashboard.id}>{dashboard.dashboard_name}</option>
+                ))}
+              </select>
+            </div>
+            {errors.dashboardId && (
+              <span className="error-message">{errors.dashboardId}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="reportPreset">
+              Schedule:<span className="required">*</span>
+            </label>
+            <div className="template-picker">
+              <select id="reportPreset" value={formData.preset} onChange={handlePresetChange}>
+                {Object.keys(presets).map(preset => (
+                  <option key={preset} value={preset}>
+                    {PRESET_LABELS[preset] || preset} ({presets[preset]})
+                  </option>
+                ))}
+                <option value={CUSTOM_SCHEDULE}>Custom (cron expression)</option>
+              </select>
+            </div>
+            {formData.preset === CUSTOM_SCHEDULE && (
+              <input
+                type="text"
+                id="reportCron"
+                value={formData.cronExpr}
+                onChange={(e) => setField('cronExpr', e.target.value)}
+                placeholder="0 7 * * 1 (Mondays at 07:00)"
+                className={`report-cron-input ${errors.cronExpr ? 'error' : ''}`}
+              />
+            )}
+            <p className="template-hint">Minute hour day-of-month month day-of-week, in server time.</p>
+            {errors.cronExpr && (
+              <span className="error-message">{errors.cronExpr}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>
+              Formats:<span className="required">*</span>
+            </label>
+            <div className="report-format-options">
+              {formats.map(format => (
+                <label key={format} className="report-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.formats.includes(format)}
+                    onChange={() => toggleFormat(format)}
+                  />
+                  {format.toUpperCase()}
+                </label>
+              ))}
+            </div>
+            {errors.formats && (
+              <span className="error-message">{errors.formats}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="reportTransport">
+              Delivery:<span className="required">*</span>
+            </label>
+            <div className="template-picker">
+              <select
+                id="reportTransport"
+                value={formData.transport}
+                onChange={(e) => setField('transport', e.target.value)}
+              >
+                {transports.map(transport => (
+                  <option key={transport} value={transport}>{TRANSPORT_LABELS[transport] || transport}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>
+              Recipients:<span className="required">*</span>
+            </label>
+            <div className="widget-list">
+              {!formData.dashboardId ? (
+                <p className="no-widgets">Select a dashboard to see its users.</p>
+              ) : loadingCandidates ? (
+                <p className="no-widgets">Loading users...</p>
+              ) : candidates.length === 0 ? (
+                <p className="no-widgets">No users are assigned to this dashboard. Add users in Manage Access first.</p>
+              ) : (
+                <>
+                  <div className="widget-item select-all-item">
+                    <input
+                      type="checkbox"
+                      checked={formData.recipients.length === candidates.length}
+                      onChange={handleSelectAllRecipients}
+                    />
+                    <span className="select-all-label">Select All</span>
+                  </div>
+                  {candidates.map(candidate => (
+                  <div
+                    key={candidate.userId}
+                    className={`widget-item ${formData.recipients.includes(candidate.userId) ? 'selected' : ''}`}
+                    onClick={() => toggleRecipient(candidate.userId)}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={formData.recipients.includes(candidate.userId)}
+                      onChange={() => {}}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleRecipient(candidate.userId);
+                      }}
+                    />
+                    <span>
+                      {candidate.userName}
+                      <span className="recipient-email">{candidate.email || 'no email address'}</span>
+                    </span>
+                  </div>
+                ))}
+                </>
+              )}
+            </div>
+            {missingEmails > 0 && (
+              <p className="template-hint warning">
+                {missingEmails} selected recipient(s) have no email address and will not receive the email.
+              </p>
+            )}
+            {errors.recipients && (
+              <span className="error-message">{errors.recipients}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label className="report-option">
+              <input
+                type="checkbox"
+                checked={formData.enabled}
+                onChange={(e) => setField('enabled', e.target.checked)}
+              />
+              Enabled
+            </label>
+          </div>
+
+          {errors.submit && (
+            <div className="submit-error">{errors.submit}</div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              className="btn-cancel"
+              onClick={onClose}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn-submit"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : (isNew ? 'Create Schedule' : 'Save Schedule')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportScheduleFormModal;
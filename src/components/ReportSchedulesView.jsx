@@ -0,0 +1,427 @@
+/**
+ * Report Schedules View
+ *
+ * Admin screen for scheduled dashboard reports on the Custom Dashboard page.
+ * Features: List with next/last run, Add, Edit, Delete, Run now,
+ * stored snapshots with download
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+import ReportScheduleFormModal from './ReportScheduleFormModal';
+
+const API_BASE_URL = '/api';
+
+// Dashboards offered in the schedule form (largest page the list API allows)
+const DASHBOARD_PAGE_SIZE = 200;
+
+const EMPTY_SNAPSHOTS = { schedule: null, items: [], loading: false };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(Math.round(bytes / 1024), 1)} KB`);
+
+const ReportSchedulesView = ({ onBack }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [options, setOptions] = useState({ formats: [], transports: [], presets: {} });
+  const [dashboards, setDashboards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [runningId, setRunningId] = useState(null);
+  const [formSchedule, setFormSchedule] = useState(null); // {} for a new schedule
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [snapshots, setSnapshots] = useState(EMPTY_SNAPSHOTS);
+
+  // Fetch report schedules with the available formats, transports and presets
+  const fetchSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch report schedules');
+      }
+
+      setSchedules(result.data);
+      setOptions({
+        formats: result.formats || [],
+        transports: result.transports || [],
+        presets: result.presets || {}
+      });
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching report schedules:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Fetch dashboards for the schedule form
+  const fetchDashboards = useCallback(async () => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(
+        `${API_BASE_URL}/dashboards?pageSize=${DASHBOARD_PAGE_SIZE}&sort=name&order=asc`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch dashboards');
+      }
+
+      setDashboards(result.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching dashboards:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedules();
+    fetchDashboards();
+  }, [fetchSchedules, fetchDashboards]);
+
+  // Create or update a schedule
+  const handleSave = async (scheduleData) => {
+    try {
+      const token = await getValidAuthToken();
+      const isNew = !formSchedule.id;
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules${isNew ? '' : `/${formSchedule.id}`}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(scheduleData)
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save report schedule');
+      }
+
+      setFormSchedule(null);
+      fetchSchedules();
+      return { success: true };
+    } catch (err) {
+      console.error('Error saving report schedule:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a schedule and its stored snapshots
+  const handleDelete = async () => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules/${confirmDelete.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete report schedule');
+      }
+
+      setConfirmDelete(null);
+      fetchSchedules();
+    } catch (err) {
+      setConfirmDelete(null);
+      setError(err.message);
+      console.error('Error deleting report schedule:', err);
+    }
+  };
+
+  // Render and deliver a report now
+  const handleRun = async (schedule) => {
+    try {
+      setRunningId(schedule.id);
+      setNotice(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules/${schedule.id}/run`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to run report');
+      }
+
+      setNotice(`${schedule.dashboard_name}: ${result.message}`);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error running report:', err);
+    } finally {
+      setRunningId(null);
+      fetchSchedules();
+    }
+  };
+
+  // Show the stored snapshots of a schedule
+  const handleShowSnapshots = async (schedule) => {
+    try {
+      setSnapshots({ schedule, items: [], loading: true });
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules/${schedule.id}/snapshots`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch snapshots');
+      }
+
+      setSnapshots({ schedule, items: result.data, loading: false });
+    } catch (err) {
+      setSnapshots(EMPTY_SNAPSHOTS);
+      setError(err.message);
+      console.error('Error fetching snapshots:', err);
+    }
+  };
+
+  // Download a stored snapshot file
+  const handleDownload = async (snapshot) => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/report-schedules/snapshots/${snapshot.id}/download`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'Failed to download snapshot');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = snapshot.file_name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error downloading snapshot:', err);
+    }
+  };
+
+  return (
+    <>
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      {notice && (
+        <div className="notice-container">
+          <span>{notice}</span>
+          <button onClick={() => setNotice(null)}>x</button>
+        </div>
+      )}
+
+      <div className="dashboard-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Dashboards
+        </button>
+        <button className="btn btn-add" onClick={() => setFormSchedule({})}>
+          Add Report Schedule
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading report schedules...</div>
+      ) : (
+        <div className="dashboard-table-container">
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Dashboard</th>
+                <th>Schedule</th>
+                <th>Formats</th>
+                <th>Delivery</th>
+                <th>Recipients</th>
+                <th>Next Run</th>
+                <th>Last Run</th>
+                <th className="actions-col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.length === 0 ? (
+                <tr>
+                  <td colSpan="9" className="no-data">
+                    No report schedules yet. Click "Add Report Schedule" to create one.
+                  </td>
+                </tr>
+              ) : (
+                schedules.map((schedule, index) => (
+                  <tr key={schedule.id} onClick={() => setFormSchedule(schedule)} style={{ cursor: 'pointer' }}>
+                    <td>{index + 1}</td>
+                    <td>
+                      {schedule.dashboard_name}
+                      {schedule.dashboard_in_trash && <span className="report-status failed">In Trash</span>}
+                    </td>
+                    <td className="report-cron-cell">{schedule.cron_expr}</td>
+                    <td>{schedule.formats.map(format => format.toUpperCase()).join(', ')}</td>
+                    <td>{schedule.transport}</td>
+                    <td>{schedule.recipients.length}</td>
+                    <td>{schedule.enabled ? formatDateTime(schedule.next_run_at) : 'Disabled'}</td>
+                    <td title={schedule.last_error || ''}>
+                      {formatDateTime(schedule.last_run_at)}
+                      {schedule.last_status && (
+                        <span className={`report-status ${schedule.last_status === 'SUCCESS' ? 'success' : 'failed'}`}>
+                          {schedule.last_status === 'SUCCESS' ? 'Sent' : 'Failed'}
+                        </span>
+                      )}
+                    </td>
+                    <td className="actions-col" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        className="btn-row-action"
+                        onClick={() => handleRun(schedule)}
+                        disabled={runningId !== null}
+                      >
+                        {runningId === schedule.id ? 'Running...' : 'Run Now'}
+                      </button>
+                      <button
+                        className="btn-row-action"
+                        onClick={() => handleShowSnapshots(schedule)}
+                      >
+                        Snapshots
+                      </button>
+                      <button
+                        className="btn-row-action danger"
+                        onClick={() => setConfirmDelete(schedule)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Schedule Modal */}
+      {formSchedule && (
+        <ReportScheduleFormModal
+          schedule={formSchedule}
+          dashboards={dashboards}
+          formats={options.formats}
+          transports={options.transports}
+          presets={options.presets}
+          onClose={() => setFormSchedule(null)}
+          onSubmit={handleSave}
+        />
+      )}
+
+      {/* Snapshots Modal */}
+      {snapshots.schedule && (
+        <div className="modal-overlay" onClick={() => setSnapshots(EMPTY_SNAPSHOTS)}>
+          <div className="confirm-modal report-snapshots-modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Snapshots: {snapshots.schedule.dashboard_name}</h3>
+            {snapshots.loading ? (
+              <p>Loading snapshots...</p>
+            ) : snapshots.items.length === 0 ? (
+              <p>No snapshots yet. They are stored each time the report runs.</p>
+            ) : (
+              <ul className="report-snapshot-list">
+                {snapshots.items.map(snapshot => (
+                  <li key={snapshot.id}>
+                    <span>
+                      {formatDateTime(snapshot.created_at)} · {snapshot.format.toUpperCase()} · {formatSize(snapshot.file_size)}
+                    </span>
+                    <button className="btn-row-action" onClick={() => handleDownload(snapshot)}>
+                      Download
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="confirm-actions">
+              <button className="btn-cancel" onClick={() => setSnapshots(EMPTY_SNAPSHOTS)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {confirmDelete && (
+        <div className="modal-overlay">
+          <div className="confirm-modal">
+            <h3>Delete Report Schedule</h3>
+            <p>
+              Delete the report schedule for "{confirmDelete.dashboard_name}"?
+              Its stored snapshots are deleted as well.
+            </p>
+            <div className="confirm-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setConfirmDelete(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn-confirm-delete"
+                onClick={handleDelete}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ReportSchedulesView;
@@ -0,0 +1,30 @@
+/**
+ * SignOutButton Component
+ * Floating sign-out button (top-right corner, next to the theme toggle)
+ */
+import { useState } from 'react';
+import { logout } from '../utils/auth';
+import './SignOutButton.css';
+
+function SignOutButton({ onSignOut }) {
+  const [isSigningOut, setIsSigningOut] = useState(false);
+
+  const handleSignOut = async () => {
+    setIsSigningOut(true);
+    await logout();
+    onSignOut();
+  };
+
+  return (
+    <button
+      className="sign-out-btn"
+      onClick={handleSignOut}
+      disabled={isSigningOut}
+      title="Sign out"
+    >
+      {isSigningOut ? 'Signing out...' : 'Sign out'}
+    </button>
+  );
+}
+
+export default SignOutButton;
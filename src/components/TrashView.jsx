@@ -0,0 +1,237 @@
+/**
+ * Trash View
+ *
+ * Lists deleted dashboards on the Custom Dashboard page.
+ * Features: Restore, permanent delete (purge), purge date per dashboard
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+
+const API_BASE_URL = '/api';
+
+const TrashView = ({ onBack }) => {
+  const [dashboards, setDashboards] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [confirmPurge, setConfirmPurge] = useState({ isOpen: false, ids: [] });
+
+  // Fetch deleted dashboards
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/dashboards/trash`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch trash');
+      }
+
+      setDashboards(result.data);
+      setRetentionDays(result.retentionDays);
+      setSelectedIds(prev => prev.filter(id => result.data.some(d => d.id === id)));
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching trash:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // POST ids to a trash action endpoint (restore / purge)
+  const postTrashAction = async (action, ids) => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/dashboards/trash/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ids })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `Failed to ${action} dashboards`);
+      }
+
+      fetchTrash();
+    } catch (err) {
+      setError(err.message);
+      console.error(`Error during ${action}:`, err);
+    }
+  };
+
+  const handleRestore = (ids) => postTrashAction('restore', ids);
+
+  const handlePurge = async () => {
+    await postTrashAction('purge', confirmPurge.ids);
+    setConfirmPurge({ isOpen: false, ids: [] });
+  };
+
+  // Selection handlers
+  const handleSelectAll = (e) => {
+    setSelectedIds(e.target.checked ? dashboards.map(d => d.id) : []);
+  };
+
+  const handleSelect = (id) => {
+    setSelectedIds(prev =>
+      prev.includes(id)
+        ? prev.filter(i => i !== id)
+        : [...prev, id]
+    );
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  return (
+    <>
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      <div className="dashboard-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Dashboards
+        </button>
+        <button
+          className="btn btn-add"
+          onClick={() => handleRestore(selectedIds)}
+          disabled={selectedIds.length === 0}
+        >
+          Restore
+        </button>
+        <button
+          className="btn btn-delete"
+          onClick={() => setConfirmPurge({ isOpen: true, ids: selectedIds })}
+          disabled={selectedIds.length === 0}
+        >
+          Delete Permanently
+        </button>
+      </div>
+
+      {retentionDays && (
+        <p className="trash-notice">
+          Deleted dashboards are permanently removed {retentionDays} day(s) after deletion.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading trash...</div>
+      ) : (
+        <div className="dashboard-table-container">
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th className="checkbox-col">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.length === dashboards.length && dashboards.length > 0}
+                    onChange={handleSelectAll}
+                  />
+                </th>
+                <th>#</th>
+                <th>Dashboard Name</th>
+                <th>Deleted</th>
+                <th>Purged On</th>
+                <th className="actions-col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dashboards.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="no-data">
+                    Trash is empty.
+                  </td>
+                </tr>
+              ) : (
+                dashboards.map((dashboard, index) => (
+                  <tr
+                    key={dashboard.id}
+                    className={selectedIds.includes(dashboard.id) ? 'selected' : ''}
+                  >
+                    <td className="checkbox-col">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(dashboard.id)}
+                        onChange={() => handleSelect(dashboard.id)}
+                      />
+                    </td>
+                    <td>{index + 1}</td>
+                    <td title={dashboard.dashboard_desc || ''}>{dashboard.dashboard_name}</td>
+                    <td>{formatDate(dashboard.deleted_at)}</td>
+                    <td>{formatDate(dashboard.purge_at)}</td>
+                    <td className="actions-col">
+                      <button
+                        className="btn-row-action"
+                        onClick={() => handleRestore([dashboard.id])}
+                      >
+                        Restore
+                      </button>
+                      <button
+                        className="btn-row-action danger"
+                        onClick={() => setConfirmPurge({ isOpen: true, ids: [dashboard.id] })}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Purge Confirmation Modal */}
+      {confirmPurge.isOpen && (
+        <div className="modal-overlay">
+          <div className="confirm-modal">
+            <h3>Delete Permanently</h3>
+            <p>
+              Permanently delete {confirmPurge.ids.length} dashboard(s) with their widgets,
+              access assignments and history? This action cannot be undone.
+            </p>
+            <div className="confirm-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setConfirmPurge({ isOpen: false, ids: [] })}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn-confirm-delete"
+                onClick={handlePurge}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default TrashView;
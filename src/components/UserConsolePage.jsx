@@ -0,0 +1,271 @@
+/**
+ * User Console Page
+ *
+ * End-user page for viewing assigned dashboards.
+ * Features: List assigned dashboards, remember last opened, viewer, and editing
+ * for users with editor or owner permission on the open dashboard
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getValidAuthToken, getCurrentUserId } from '../utils/auth';
+import DashboardViewer from './DashboardViewer';
+import ViewDashboardModal from './ViewDashboardModal';
+import IAMHeaderCanvas from './IAMHeaderCanvas';
+import '../styles/UserConsolePage.css';
+
+const API_BASE_URL = '/api';
+
+// localStorage key for the last dashboard opened by a user
+const lastDashboardKey = (userId) => `console_last_dashboard_${userId}`;
+
+// Permission levels that may edit a dashboard (see server/models/DashboardPermission.js)
+const EDIT_PERMISSIONS = ['EDITOR', 'OWNER'];
+
+/**
+ * Send an authenticated request to the API and return result.data
+ * Throws with the server's message when the request fails
+ */
+const apiRequest = async (path, { method = 'GET', body } = {}, fallbackMessage = 'Request failed') => {
+  const token = await getValidAuthToken();
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || fallbackMessage);
+  }
+  return result.data;
+};
+
+const UserConsolePage = () => {
+  const userId = getCurrentUserId();
+  const [dashboards, setDashboards] = useState([]);
+  const [activeDashboard, setActiveDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dashboardLoading, setDashboardLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Editor state: the edit modal's dashboard and the lists it picks from (null until loaded, then kept)
+  const [editingDashboard, setEditingDashboard] = useState(null);
+  const [editOptions, setEditOptions] = useState({ customWidgets: null, predefinedWidgets: null, users: null });
+  const [editLoading, setEditLoading] = useState(false);
+
+  const canEdit = Boolean(activeDashboard && EDIT_PERMISSIONS.includes(activeDashboard.permission));
+
+  // Open a dashboard in the viewer
+  const openDashboard = useCallback(async (id) => {
+    try {
+      setDashboardLoading(true);
+      setError(null);
+
+      const dashboard = await apiRequest(`/dashboards/${id}`, {}, 'Failed to fetch dashboard');
+
+      setActiveDashboard(dashboard);
+      localStorage.setItem(lastDashboardKey(userId), id);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error opening dashboard:', err);
+    } finally {
+      setDashboardLoading(false);
+    }
+  }, [userId]);
+
+  // Fetch dashboards assigned to the signed-in user
+  const fetchDashboards = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/me/dashboards`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch dashboards');
+      }
+
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to fetch dashboards');
+      }
+
+      setDashboards(result.data);
+
+      // Reopen the last dashboard if it is still assigned, else the first one
+      if (result.data.length > 0) {
+        const lastId = parseInt(localStorage.getItem(lastDashboardKey(userId)));
+        const initial = result.data.find(d => d.id === lastId) || result.data[0];
+        openDashboard(initial.id);
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching dashboards:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, openDashboard]);
+
+  useEffect(() => {
+    if (userId) {
+      fetchDashboards();
+    } else {
+      setLoading(false);
+    }
+  }, [userId, fetchDashboards]);
+
+  // Open the edit modal for the active dashboard, loading the lists it has not loaded yet
+  // Widget lists need editor permission, the user list (Manage Access) owner permission
+  const openEditor = async () => {
+    try {
+      setEditLoading(true);
+      setError(null);
+
+      const requests = {
+        customWidgets: () => apiRequest('/dashboards/widgets/all', {}, 'Failed to fetch widgets'),
+        predefinedWidgets: () => apiRequest('/dashboards/widgets/predefined', {}, 'Failed to fetch widgets'),
+        users: activeDashboard.permission === 'OWNER'
+          ? () => apiRequest('/dashboards/users/all', {}, 'Failed to fetch users')
+          : null
+      };
+      const missing = Object.keys(requests).filter(key => requests[key] && editOptions[key] === null);
+      const results = await Promise.allSettled(missing.map(key => requests[key]()));
+
+      // A list that failed stays empty in the modal and is loaded again on the next open
+      const loaded = {};
+      const failures = [];
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          loaded[missing[index]] = result.value;
+        } else {
+          failures.push(result.reason.message);
+          console.error('Error loading dashboard editor options:', result.reason);
+        }
+      });
+
+      setEditOptions(prev => ({ ...prev, ...loaded }));
+      if (failures.length > 0) {
+        setError([...new Set(failures)].join('; '));
+      }
+      setEditingDashboard(activeDashboard);
+    } finally {
+      setEditLoading(false);
+    }
+  };
+
+  // Save changes from the edit modal, then reload the dashboard
+  // Save errors are returned to the modal, which shows them and stays open
+  const handleUpdateDashboard = async (id, dashboardData) => {
+    try {
+      await apiRequest(`/dashboards/${id}`, { method: 'PUT', body: dashboardData }, 'Failed to update dashboard');
+
+      setDashboards(prev => prev.map(dashboard => dashboard.id === id
+        ? { ...dashboard, dashboard_name: dashboardData.dashboardName, dashboard_desc: dashboardData.dashboardDesc }
+        : dashboard
+      ));
+      await openDashboard(id);
+      setEditingDashboard(null);
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating dashboard:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Restore an earlier revision (owners only) and reload the dashboard in the modal
+  const handleRevertDashboard = async (id, revisionId) => {
+    try {
+      await apiRequest(`/dashboards/${id}/revisions/${revisionId}/revert`, { method: 'POST' }, 'Failed to restore revision');
+
+      const dashboard = await apiRequest(`/dashboards/${id}`, {}, 'Failed to fetch dashboard');
+      setEditingDashboard(dashboard);
+      setActiveDashboard(dashboard);
+      setDashboards(prev => prev.map(item => item.id === id
+        ? { ...item, dashboard_name: dashboard.dashboard_name, dashboard_desc: dashboard.dashboard_desc }
+        : item
+      ));
+      return { success: true };
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  return (
+    <div className="user-console-page">
+      <IAMHeaderCanvas title="My Dashboards" />
+
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      {!userId ? (
+        <div className="console-empty">No signed-in user. Please open the console from the IAM portal.</div>
+      ) : loading ? (
+        <div className="loading">Loading dashboards...</div>
+      ) : dashboards.length === 0 ? (
+        <div className="console-empty">No dashboards have been shared with you yet.</div>
+      ) : (
+        <div className="console-layout">
+          <nav className="console-sidebar">
+            {dashboards.map(dashboard => (
+              <button
+                key={dashboard.id}
+                className={`console-dashboard-item ${activeDashboard?.id === dashboard.id ? 'active' : ''}`}
+                onClick={() => openDashboard(dashboard.id)}
+                title={dashboard.dashboard_desc || ''}
+              >
+                {dashboard.dashboard_name}
+              </button>
+            ))}
+          </nav>
+
+          <main className="console-content">
+            {dashboardLoading && !activeDashboard ? (
+              <div className="loading">Loading dashboard...</div>
+            ) : activeDashboard ? (
+              <>
+                {canEdit && (
+                  <div className="console-toolbar">
+                    <button className="console-edit-btn" onClick={openEditor} disabled={editLoading}>
+                      {editLoading ? 'Opening...' : 'Edit Dashboard'}
+                    </button>
+                  </div>
+                )}
+                <DashboardViewer dashboard={activeDashboard} />
+              </>
+            ) : null}
+          </main>
+        </div>
+      )}
+
+      {editingDashboard && (
+        <ViewDashboardModal
+          dashboard={editingDashboard}
+          customWidgets={editOptions.customWidgets || []}
+          predefinedWidgets={editOptions.predefinedWidgets || []}
+          allUsers={editOptions.users || []}
+          onClose={() => setEditingDashboard(null)}
+          onUpdate={handleUpdateDashboard}
+          onRevert={handleRevertDashboard}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UserConsolePage;
@@ -4,24 +4,79 @@
  * Modal with tabs for viewing and editing a dashboard:
  * - General: Dashboard name and description
  * - Widgets: Select predefined and custom widgets
- * - Manage Access: Manage access rules (users, profiles, roles)
+ * - Layout: Drag and resize widgets on the dashboard grid
+ * - Filters: Dashboard filters applied to every custom widget
+ * - Manage Access: Manage access rules (users, profiles, roles) with their permission level
+ *   and explain why a user has access
+ * - History: Revision history with changes and one-click restore
+ *
+ * Editors get every tab except Manage Access, and cannot restore revisions;
+ * owners (and admins, whose dashboard.permission is OWNER) get all of them.
  */
 
 import { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
+import GridLayout, { WidthProvider } from 'react-grid-layout';
+import { getValidAuthToken } from '../utils/auth';
+import { buildLayout, serializeLayout, customLayoutKey, predefinedLayoutKey, GRID_COLS, ROW_HEIGHT } from '../utils/dashboardLayout';
+import 'react-grid-layout/css/styles.css';
+import 'react-resizable/css/styles.css';
 import '../styles/ViewDashboardModal.css';
 
-const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [], onClose, onUpdate }) => {
+const API_BASE_URL = '/api';
+
+const ResponsiveGrid = WidthProvider(GridLayout);
+
+// Dashboard filter types (see server/models/DashboardFilter.js)
+const FILTER_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'select', label: 'Select' },
+  { value: 'date', label: 'Date' },
+  { value: 'dateRange', label: 'Date Range' }
+];
+
+// Access rule permission levels, lowest first (see server/models/DashboardPermission.js)
+const PERMISSION_OPTIONS = [
+  { value: 'VIEWER', label: 'Viewer' },
+  { value: 'EDITOR', label: 'Editor' },
+  { value: 'OWNER', label: 'Owner' }
+];
+const DEFAULT_PERMISSION = 'VIEWER';
+
+// Access rules as sent to the server, for saving and change detection
+const serializeAccessRules = (accessRules) => accessRules.map(rule => ({
+  ruleType: rule.ruleType,
+  ruleRef: rule.ruleRef,
+  permission: rule.permission
+}));
+
+const getPermissionLabel = (permission) => {
+  const option = PERMISSION_OPTIONS.find(o => o.value === permission);
+  return option ? option.label : permission;
+};
+
+// Roles are searched and paged on the server (GET /api/roles)
+const ROLE_PAGE_SIZE = 50;
+const ROLE_SEARCH_DELAY_MS = 300;
+
+const ViewDashboardModal = ({ dashboard, customWidgets, predefinedWidgets = [], allUsers, onClose, onUpdate, onRevert }) => {
   const [activeTab, setActiveTab] = useState('general');
   const [formData, setFormData] = useState({
     dashboardName: '',
     dashboardDesc: '',
+    selectedPredefinedWidgets: [],
     selectedWidgetIds: [],
-    accessRules: [] // Array of {id, ruleType, condition, details, userIds}
+    layout: [], // Array of {i, x, y, w, h} edited on the Layout tab
+    filters: [], // Array of {key, label, type, options (comma-separated text), defaultValue}
+    accessRules: [] // Array of {id, ruleType, ruleRef, condition, details, userIds, permission}
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Only owners see and change the dashboard's access (the server enforces this too)
+  const canManageAccess = dashboard?.permission === 'OWNER';
+  const savedAccessRef = useRef('[]'); // Serialized access rules as loaded
+
   // Access tab state
   const [selectedRules, setSelectedRules] = useState([]);
   const [showAddRuleModal, setShowAddRuleModal] = useState(false);
@@ -36,6 +91,29 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
   const [selectedUsersToAdd, setSelectedUsersToAdd] = useState([]);
   const [selectedProfilesToAdd, setSelectedProfilesToAdd] = useState([]);
   const [selectedRolesToAdd, setSelectedRolesToAdd] = useState([]);
+  const [newRulePermission, setNewRulePermission] = useState(DEFAULT_PERMISSION);
+
+  // Role search state (Add Rule Modal, Roles tab)
+  const [roleResults, setRoleResults] = useState([]);
+  const [roleTotal, setRoleTotal] = useState(0);
+  const [rolePage, setRolePage] = useState(1);
+  const [rolesLoading, setRolesLoading] = useState(false);
+  const [rolesError, setRolesError] = useState(null);
+  const [knownRoles, setKnownRoles] = useState({}); // id -> role, every role loaded so far
+  const roleRequestRef = useRef(0);
+
+  // History tab state
+  const [revisions, setRevisions] = useState([]);
+  const [revisionsLoading, setRevisionsLoading] = useState(false);
+  const [revisionsError, setRevisionsError] = useState(null);
+  const [confirmRevisionId, setConfirmRevisionId] = useState(null);
+  const [isReverting, setIsReverting] = useState(false);
+
+  // Access explanation state ("Why does this user have access?")
+  const [explainUserId, setExplainUserId] = useState('');
+  const [explanation, setExplanation] = useState(null);
+  const [explainLoading, setExplainLoading] = useState(false);
+  const [explainError, setExplainError] = useState(null);
 
   // Rule Users Popup state (for viewing users in Profile/Role rules)
   const [showRuleUsersPopup, setShowRuleUsersPopup] = useState(false);
@@ -52,92 +130,148 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  // Initialize form data from dashboard
-  useEffect(() => {
-    if (dashboard) {
-      const widgetIds = dashboard.customWidgets
-        ? dashboard.customWidgets.map(w => w.id)
-        : [];
+  // Load a page of roles matching the search term (page 1 replaces the results)
+  const fetchRoles = async (search, page) => {
+    const requestId = ++roleRequestRef.current;
 
-      // Smart grouping: detect Profile and Role rules from user assignments
-      const dashboardUserIds = new Set((dashboard.users || []).map(u => u.userId));
-      const existingRules = [];
-      const assignedUserIds = new Set();
-      let ruleIdCounter = Date.now();
-
-      // First, try to detect complete Profile assignments
-      const profileGroups = {};
-      allUsers.forEach(user => {
-        if (!profileGroups[user.profile]) {
-          profileGroups[user.profile] = { total: [], assigned: [] };
-        }
-        profileGroups[user.profile].total.push(user);
-        if (dashboardUserIds.has(user.id)) {
-          profileGroups[user.profile].assigned.push(user);
-        }
-      });
+    try {
+      setRolesLoading(true);
+      setRolesError(null);
+      const token = await getValidAuthToken();
+      const params = new URLSearchParams({ search, page, pageSize: ROLE_PAGE_SIZE });
 
-      // Create Profile rules for profiles where ALL users are assigned
-      Object.entries(profileGroups).forEach(([profileName, { total, assigned }]) => {
-        if (assigned.length > 0 && assigned.length === total.length) {
-          // All users from this profile are assigned - create a Profile rule
-          existingRules.push({
-            id: `profile-${profileName}-${ruleIdCounter++}`,
-            ruleType: 'Profile',
-            condition: profileName,
-            details: `${assigned.length} user(s)`,
-            userIds: assigned.map(u => u.id)
-          });
-          assigned.forEach(u => assignedUserIds.add(u.id));
+      const response = await fetch(`${API_BASE_URL}/roles?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
         }
       });
 
-      // Second, try to detect complete Role assignments
-      allRoles.forEach(role => {
-        if (role.members && role.members.length > 0) {
-          const roleUserIds = role.members.map(m => m.userId);
-          const assignedFromRole = roleUserIds.filter(uid =>
-            dashboardUserIds.has(uid) && !assignedUserIds.has(uid)
-          );
-
-          // If all role members (not already assigned via profile) are present
-          const unassignedRoleMembers = roleUserIds.filter(uid => !assignedUserIds.has(uid));
-          if (unassignedRoleMembers.length > 0 &&
-              assignedFromRole.length === unassignedRoleMembers.length) {
-            existingRules.push({
-              id: `role-${role.id}-${ruleIdCounter++}`,
-              ruleType: 'Role',
-              condition: role.roleName,
-              details: `${assignedFromRole.length} user(s) - ${role.roleType}`,
-              userIds: assignedFromRole
-            });
-            assignedFromRole.forEach(uid => assignedUserIds.add(uid));
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch roles');
+      }
+
+      // Ignore responses to an older search
+      if (requestId !== roleRequestRef.current) return;
+
+      setRoleResults(prev => page === 1 ? result.data : [...prev, ...result.data]);
+      setRoleTotal(result.pagination.total);
+      setRolePage(page);
+      setKnownRoles(prev => ({
+        ...prev,
+        ...Object.fromEntries(result.data.map(role => [role.id, role]))
+      }));
+    } catch (err) {
+      console.error('Error fetching roles:', err);
+      if (requestId === roleRequestRef.current) setRolesError(err.message);
+    } finally {
+      if (requestId === roleRequestRef.current) setRolesLoading(false);
+    }
+  };
+
+  // Search roles as the user types on the Roles tab of the Add Rule Modal
+  useEffect(() => {
+    if (!showAddRuleModal || addRuleTab !== 'roles') return;
+
+    const timer = setTimeout(() => fetchRoles(addRuleSearchTerm.trim(), 1), ROLE_SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [showAddRuleModal, addRuleTab, addRuleSearchTerm]);
+
+  // Load revision history when the History tab is opened (and after a restore)
+  useEffect(() => {
+    if (activeTab !== 'history' || !dashboard) return;
+
+    let isMounted = true;
+
+    const loadRevisions = async () => {
+      try {
+        setRevisionsLoading(true);
+        setRevisionsError(null);
+        const token = await getValidAuthToken();
+
+        const response = await fetch(`${API_BASE_URL}/dashboards/${dashboard.id}/revisions`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
           }
-        }
-      });
+        });
 
-      // Finally, create User rules for remaining individual users
-      (dashboard.users || []).forEach((user, index) => {
-        if (!assignedUserIds.has(user.userId)) {
-          existingRules.push({
-            id: `user-${user.userId}-${index}`,
-            ruleType: 'User',
-            condition: user.userName,
-            details: user.profile || 'N/A',
-            userIds: [user.userId]
-          });
-          assignedUserIds.add(user.userId);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Failed to fetch revisions');
         }
-      });
+
+        if (isMounted) setRevisions(result.data);
+      } catch (err) {
+        console.error('Error fetching revisions:', err);
+        if (isMounted) setRevisionsError(err.message);
+      } finally {
+        if (isMounted) setRevisionsLoading(false);
+      }
+    };
+
+    loadRevisions();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [activeTab, dashboard]);
+
+  // Initialize form data from dashboard
+  useEffect(() => {
+    if (dashboard) {
+      const widgetIds = dashboard.customWidgets
+        ? dashboard.customWidgets.map(w => w.id)
+        : [];
+
+      // Access rules as saved: direct User rules from the user map,
+      // Profile/Role rules resolved to their current members by the server
+      const existingRules = [
+        ...(dashboard.accessRules || []).map(rule => ({
+          id: `${rule.ruleType.toLowerCase()}-${rule.ruleRef}`,
+          ruleType: rule.ruleType,
+          ruleRef: rule.ruleRef,
+          condition: rule.condition,
+          details: rule.ruleType === 'Role'
+            ? `${rule.userIds.length} user(s) - ${rule.roleType || 'N/A'}`
+            : `${rule.userIds.length} user(s)`,
+          userIds: rule.userIds,
+          permission: rule.permission || DEFAULT_PERMISSION
+        })),
+        ...(dashboard.users || []).map(user => ({
+          id: `user-${user.userId}`,
+          ruleType: 'User',
+          ruleRef: user.userId,
+          condition: user.userName,
+          details: user.profile || 'N/A',
+          userIds: [user.userId],
+          permission: user.permission || DEFAULT_PERMISSION
+        }))
+      ];
 
       setFormData({
         dashboardName: dashboard.dashboard_name || '',
         dashboardDesc: dashboard.dashboard_desc || '',
+        selectedPredefinedWidgets: (dashboard.widgetCfg || [])
+          .filter(w => w.status === 'true')
+          .map(w => w.dwname),
         selectedWidgetIds: widgetIds,
+        layout: [],
+        filters: (dashboard.filters || []).map(filter => ({
+          key: filter.key,
+          label: filter.label || '',
+          type: filter.type,
+          options: (filter.options || []).join(', '),
+          defaultValue: filter.defaultValue || ''
+        })),
         accessRules: existingRules
       });
+      savedAccessRef.current = JSON.stringify(serializeAccessRules(existingRules));
     }
-  }, [dashboard, allUsers, allRoles]);
+  }, [dashboard]);
 
   // General tab handlers
   const handleChange = (e) => {
@@ -158,6 +292,22 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     }));
   };
 
+  const handlePredefinedToggle = (widgetName) => {
+    setFormData(prev => ({
+      ...prev,
+      selectedPredefinedWidgets: prev.selectedPredefinedWidgets.includes(widgetName)
+        ? prev.selectedPredefinedWidgets.filter(name => name !== widgetName)
+        : [...prev.selectedPredefinedWidgets, widgetName]
+    }));
+  };
+
+  const handleSelectAllPredefined = (e) => {
+    setFormData(prev => ({
+      ...prev,
+      selectedPredefinedWidgets: e.target.checked ? [...predefinedWidgets] : []
+    }));
+  };
+
   const handleSelectAllWidgets = (e) => {
     if (e.target.checked) {
       setFormData(prev => ({
@@ -172,17 +322,73 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     }
   };
 
+  // Layout tab: selected custom widgets and enabled predefined widgets
+  const getLayoutWidgets = () => {
+    const savedCustom = dashboard?.customWidgets || [];
+    const custom = formData.selectedWidgetIds.map(widgetId => {
+      const widget = customWidgets.find(w => w.id === widgetId) || savedCustom.find(w => w.id === widgetId);
+      const saved = savedCustom.find(w => w.id === widgetId);
+      return {
+        id: widgetId,
+        name: widget ? widget.widget_name : `Widget ${widgetId}`,
+        layout: saved ? saved.layout : null
+      };
+    });
+    const predefined = formData.selectedPredefinedWidgets.map(widgetName => {
+      const saved = (dashboard?.widgetCfg || []).find(w => w.dwname === widgetName);
+      return { dwname: widgetName, layout: saved ? saved.layout : null };
+    });
+    return { custom, predefined };
+  };
+
+  const handleLayoutChange = (newLayout) => {
+    setFormData(prev => ({ ...prev, layout: serializeLayout(newLayout) }));
+  };
+
+  // Filters tab handlers
+  const handleAddDashboardFilter = () => {
+    setFormData(prev => ({
+      ...prev,
+      filters: [...prev.filters, { key: '', label: '', type: 'text', options: '', defaultValue: '' }]
+    }));
+  };
+
+  const handleDashboardFilterChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      filters: prev.filters.map((filter, i) => {
+        if (i !== index) return filter;
+        const updated = { ...filter, [field]: value };
+        // Date ranges have no default; other defaults may not fit the new type
+        if (field === 'type') updated.defaultValue = '';
+        return updated;
+      })
+    }));
+    if (errors.filters) {
+      setErrors(prev => ({ ...prev, filters: '' }));
+    }
+  };
+
+  const handleRemoveDashboardFilter = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      filters: prev.filters.filter((_, i) => i !== index)
+    }));
+  };
+
   // Get unique profiles from all users
-  const availableProfiles = [...new Set(allUsers.map(u => u.profile))].filter(Boolean);
+  const availableProfiles = Object.values(
+    allUsers.reduce((profiles, user) => {
+      if (user.profile && !profiles[user.profileId]) {
+        profiles[user.profileId] = { id: user.profileId, name: user.profile };
+      }
+      return profiles;
+    }, {})
+  );
 
   // Filter profiles by search term
   const filteredProfiles = availableProfiles.filter(profile =>
-    profile.toLowerCase().includes(addRuleSearchTerm.toLowerCase())
-  );
-
-  // Filter roles by search term
-  const filteredRoles = allRoles.filter(role =>
-    role.roleName.toLowerCase().includes(addRuleSearchTerm.toLowerCase())
+    profile.name.toLowerCase().includes(addRuleSearchTerm.toLowerCase())
   );
 
   // Get user IDs already covered by existing rules
@@ -194,9 +400,13 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     return userIds;
   };
 
-  // Get available users (not already added)
+  // Check whether a rule for the same user/profile/role already exists
+  const hasRule = (ruleType, ruleRef) =>
+    formData.accessRules.some(rule => rule.ruleType === ruleType && rule.ruleRef === ruleRef);
+
+  // Get available users (not already added as a User rule)
   const availableUsers = allUsers.filter(
-    user => !getExistingUserIds().has(user.id)
+    user => !hasRule('User', user.id)
   );
 
   // Filter available users by search term
@@ -264,54 +474,60 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
   };
 
   // Add Access Rules handler
+  // Profile and Role rules are stored as rules and resolved by the server,
+  // so they always cover all current members of the profile or role
   const handleAddRules = () => {
-    const existingUserIds = getExistingUserIds();
     const newRules = [];
-    let ruleIdCounter = Date.now();
 
     if (addRuleTab === 'users') {
       // Add individual user rules
       selectedUsersToAdd.forEach(userId => {
         const user = allUsers.find(u => u.id === userId);
-        if (user) {
+        if (user && !hasRule('User', userId)) {
           newRules.push({
-            id: `user-${userId}-${ruleIdCounter++}`,
+            id: `user-${userId}`,
             ruleType: 'User',
+            ruleRef: userId,
             condition: user.userName,
             details: user.profile || 'N/A',
-            userIds: [userId]
+            userIds: [userId],
+            permission: newRulePermission
           });
         }
       });
     } else if (addRuleTab === 'profiles') {
       // Add profile rules
-      selectedProfilesToAdd.forEach(profile => {
-        const usersInProfile = allUsers.filter(u => u.profile === profile && !existingUserIds.has(u.id));
-        if (usersInProfile.length > 0) {
+      selectedProfilesToAdd.forEach(profileId => {
+        const profile = availableProfiles.find(p => p.id === profileId);
+        if (profile && !hasRule('Profile', profileId)) {
+          const usersInProfile = allUsers.filter(u => u.profileId === profileId);
           newRules.push({
-            id: `profile-${profile}-${ruleIdCounter++}`,
+            id: `profile-${profileId}`,
             ruleType: 'Profile',
-            condition: profile,
+            ruleRef: profileId,
+            condition: profile.name,
             details: `${usersInProfile.length} user(s)`,
-            userIds: usersInProfile.map(u => u.id)
+            userIds: usersInProfile.map(u => u.id),
+            permission: newRulePermission
           });
         }
       });
     } else if (addRuleTab === 'roles') {
       // Add role rules
       selectedRolesToAdd.forEach(roleId => {
-        const role = allRoles.find(r => r.id === roleId);
-        if (role && role.members) {
-          const newMembers = role.members.filter(m => !existingUserIds.has(m.userId));
-          if (newMembers.length > 0) {
-            newRules.push({
-              id: `role-${roleId}-${ruleIdCounter++}`,
-              ruleType: 'Role',
-              condition: role.roleName,
-              details: `${newMembers.length} user(s) - ${role.roleType}`,
-              userIds: newMembers.map(m => m.userId)
-            });
-          }
+        const role = knownRoles[roleId];
+        if (role && !hasRule('Role', roleId)) {
+          // Members are only listed for admins; the server resolves the rule either way
+          const members = role.members || [];
+          newRules.push({
+            id: `role-${roleId}`,
+            ruleType: 'Role',
+            ruleRef: roleId,
+            condition: role.roleName,
+            details: `${role.memberCount} user(s) - ${role.roleType}`,
+            userIds: members.map(m => m.userId),
+            permission: newRulePermission
+          });
         }
       });
     }
@@ -325,11 +541,20 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     setSelectedUsersToAdd([]);
     setSelectedProfilesToAdd([]);
     setSelectedRolesToAdd([]);
+    setNewRulePermission(DEFAULT_PERMISSION);
     setAddRuleSearchTerm('');
     setAddRuleTab('users');
     setShowAddRuleModal(false);
   };
 
+  // Change the permission level of a rule
+  const handleRulePermissionChange = (ruleId, permission) => {
+    setFormData(prev => ({
+      ...prev,
+      accessRules: prev.accessRules.map(rule => rule.id === ruleId ? { ...rule, permission } : rule)
+    }));
+  };
+
   // Delete selected rules
   const handleDeleteRules = () => {
     setFormData(prev => ({
@@ -356,6 +581,51 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     });
   };
 
+  // Load the saved grants that let the selected user open this dashboard
+  const handleExplainAccess = async () => {
+    if (!explainUserId) return;
+
+    try {
+      setExplainLoading(true);
+      setExplainError(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(
+        `${API_BASE_URL}/dashboards/${dashboard.id}/users/${encodeURIComponent(explainUserId)}/explain`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to explain access');
+      }
+
+      setExplanation(result.data);
+    } catch (err) {
+      console.error('Error explaining access:', err);
+      setExplainError(err.message);
+      setExplanation(null);
+    } finally {
+      setExplainLoading(false);
+    }
+  };
+
+  const describeGrantOrigin = (grant) => {
+    if (!grant.addedAt && grant.addedBy === null) {
+      return 'Added before access changes were recorded';
+    }
+    const when = grant.addedAt ? new Date(grant.addedAt).toLocaleString() : 'Unknown time';
+    const by = grant.addedByName || 'System';
+    const fromHistory = grant.addedSource === 'history' ? ' (from revision history)' : '';
+    return `Added ${when} by ${by}${fromHistory}`;
+  };
+
   // Toggle rule selection
   const handleToggleRule = (ruleId) => {
     setSelectedRules(prev =>
@@ -384,11 +654,11 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     );
   };
 
-  const handleToggleProfileToAdd = (profile) => {
+  const handleToggleProfileToAdd = (profileId) => {
     setSelectedProfilesToAdd(prev =>
-      prev.includes(profile)
-        ? prev.filter(p => p !== profile)
-        : [...prev, profile]
+      prev.includes(profileId)
+        ? prev.filter(id => id !== profileId)
+        : [...prev, profileId]
     );
   };
 
@@ -407,25 +677,40 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
       newErrors.dashboardName = 'Dashboard name is required';
     }
 
+    if (formData.filters.some(filter => !filter.key.trim())) {
+      newErrors.filters = 'Every filter needs a key';
+    }
+
     if (Object.keys(newErrors).length > 0) {
       setErrors(newErrors);
-      setActiveTab('general');
+      setActiveTab(newErrors.dashboardName ? 'general' : 'filters');
       return;
     }
 
     setIsSubmitting(true);
 
-    // Collect all unique user IDs from all rules
-    const allUserIds = new Set();
-    formData.accessRules.forEach(rule => {
-      rule.userIds.forEach(id => allUserIds.add(id));
-    });
+    const { custom, predefined } = getLayoutWidgets();
+
+    // Access is only sent when an owner changed it; the server keeps access it does not receive
+    const accessRules = serializeAccessRules(formData.accessRules);
+    const accessChanged = canManageAccess && JSON.stringify(accessRules) !== savedAccessRef.current;
 
     const result = await onUpdate(dashboard.id, {
       dashboardName: formData.dashboardName.trim(),
       dashboardDesc: formData.dashboardDesc.trim(),
+      selectedPredefinedWidgets: formData.selectedPredefinedWidgets,
       customWidgetIds: formData.selectedWidgetIds,
-      users: Array.from(allUserIds)
+      layout: buildLayout(custom, predefined, formData.layout),
+      filters: formData.filters.map(filter => ({
+        key: filter.key.trim(),
+        label: filter.label.trim(),
+        type: filter.type,
+        options: filter.type === 'select'
+          ? filter.options.split(',').map(option => option.trim()).filter(Boolean)
+          : [],
+        defaultValue: filter.type === 'dateRange' ? '' : filter.defaultValue.trim()
+      })),
+      ...(accessChanged ? { accessRules } : {})
     });
 
     setIsSubmitting(false);
@@ -463,11 +748,150 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     </div>
   );
 
+  // Render Filters Tab
+  const renderFiltersTab = () => (
+    <div className="tab-content">
+      <p className="layout-hint">
+        Filters are shown above the dashboard and sent with every custom widget's data request,
+        together with the widget's own filter. A date range sends &lt;key&gt;From and &lt;key&gt;To.
+      </p>
+
+      {errors.filters && (
+        <div className="submit-error">{errors.filters}</div>
+      )}
+
+      {formData.filters.length === 0 ? (
+        <p className="no-widgets">No filters. Add one to let viewers slice every widget at once.</p>
+      ) : (
+        <table className="widgets-table filters-table">
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>Label</th>
+              <th>Type</th>
+              <th>Options</th>
+              <th>Default</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {formData.filters.map((filter, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={filter.key}
+                    placeholder="department"
+                    onChange={(e) => handleDashboardFilterChange(index, 'key', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={filter.label}
+                    placeholder="Department"
+                    onChange={(e) => handleDashboardFilterChange(index, 'label', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <select
+                    value={filter.type}
+                    onChange={(e) => handleDashboardFilterChange(index, 'type', e.target.value)}
+                  >
+                    {FILTER_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={filter.options}
+                    placeholder={filter.type === 'select' ? 'HR, Finance, IT' : ''}
+                    disabled={filter.type !== 'select'}
+                    onChange={(e) => handleDashboardFilterChange(index, 'options', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type={filter.type === 'date' ? 'date' : 'text'}
+                    value={filter.defaultValue}
+                    disabled={filter.type === 'dateRange'}
+                    onChange={(e) => handleDashboardFilterChange(index, 'defaultValue', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button
+                    className="btn-remove-filter"
+                    onClick={() => handleRemoveDashboardFilter(index)}
+                    title="Remove filter"
+                  >
+                    x
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="access-actions filters-actions">
+        <button className="btn-add-rule" onClick={handleAddDashboardFilter}>
+          Add Filter
+        </button>
+      </div>
+    </div>
+  );
+
   // Render Widgets Tab
   const renderWidgetsTab = () => (
     <div className="tab-content">
+      <h4 className="widgets-section-title">Predefined Widgets</h4>
+      {predefinedWidgets.length === 0 ? (
+        <p className="no-widgets">No predefined widgets available.</p>
+      ) : (
+        <table className="widgets-table">
+          <thead>
+            <tr>
+              <th>
+                <input
+                  type="checkbox"
+                  checked={formData.selectedPredefinedWidgets.length === predefinedWidgets.length}
+                  onChange={handleSelectAllPredefined}
+                  title="Select All"
+                />
+              </th>
+              <th>Widget</th>
+            </tr>
+          </thead>
+          <tbody>
+            {predefinedWidgets.map(widgetName => (
+              <tr
+                key={widgetName}
+                className={formData.selectedPredefinedWidgets.includes(widgetName) ? 'selected' : ''}
+                onClick={() => handlePredefinedToggle(widgetName)}
+              >
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={formData.selectedPredefinedWidgets.includes(widgetName)}
+                    onChange={() => {}}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handlePredefinedToggle(widgetName);
+                    }}
+                  />
+                </td>
+                <td>{widgetName}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4 className="widgets-section-title">Custom Widgets</h4>
       {customWidgets.length === 0 ? (
-        <p className="no-widgets">No widgets available. Please configure widgets in the Custom Widgets layer first.</p>
+        <p className="no-widgets">No widgets available. Add custom widgets from the Widgets screen first.</p>
       ) : (
         <table className="widgets-table">
           <thead>
@@ -510,6 +934,199 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
     </div>
   );
 
+  // History tab handlers
+  const handleRevert = async (revision) => {
+    setIsReverting(true);
+    const result = await onRevert(dashboard.id, revision.id);
+    setIsReverting(false);
+    setConfirmRevisionId(null);
+
+    if (!result.success) {
+      setRevisionsError(result.error);
+    }
+  };
+
+  const getUserLabel = (userId) => {
+    const user = allUsers.find(u => u.id === userId);
+    return user ? user.userName : `User ${userId}`;
+  };
+
+  const getWidgetLabel = (widgetId) => {
+    const widget = customWidgets.find(w => w.id === widgetId);
+    return widget ? widget.widget_name : `Widget ${widgetId} (deleted)`;
+  };
+
+  const getRuleLabel = (rule) => {
+    if (rule.ruleType === 'ROLE') {
+      const role = knownRoles[rule.ruleRef];
+      const current = formData.accessRules.find(r => r.ruleType === 'Role' && r.ruleRef === rule.ruleRef);
+      return `Role: ${role ? role.roleName : current ? current.condition : rule.ruleRef}`;
+    }
+    const profile = availableProfiles.find(p => p.id === rule.ruleRef);
+    return `Profile: ${profile ? profile.name : rule.ruleRef}`;
+  };
+
+  // Human-readable change list for a revision
+  const describeChanges = (revision) => {
+    const { changes } = revision;
+    const items = [];
+
+    if (changes.nameChanged) {
+      items.push({ type: 'changed', text: `Renamed "${changes.nameChanged.from}" to "${changes.nameChanged.to}"` });
+    }
+    if (changes.descriptionChanged) {
+      items.push({ type: 'changed', text: 'Description changed' });
+    }
+    if (changes.filtersChanged) {
+      items.push({ type: 'changed', text: 'Filters changed' });
+    }
+    changes.predefinedAdded.forEach(name => items.push({ type: 'added', text: `Widget added: ${name}` }));
+    changes.predefinedRemoved.forEach(name => items.push({ type: 'removed', text: `Widget removed: ${name}` }));
+    changes.widgetsAdded.forEach(id => items.push({ type: 'added', text: `Widget added: ${getWidgetLabel(id)}` }));
+    changes.widgetsRemoved.forEach(id => items.push({ type: 'removed', text: `Widget removed: ${getWidgetLabel(id)}` }));
+    changes.usersGranted.forEach(id => items.push({ type: 'added', text: `Access granted: ${getUserLabel(id)}` }));
+    changes.usersRevoked.forEach(id => items.push({ type: 'removed', text: `Access revoked: ${getUserLabel(id)}` }));
+    changes.rulesAdded.forEach(rule => items.push({ type: 'added', text: `Rule added: ${getRuleLabel(rule)}` }));
+    changes.rulesRemoved.forEach(rule => items.push({ type: 'removed', text: `Rule removed: ${getRuleLabel(rule)}` }));
+    (changes.permissionsChanged || []).forEach(change => {
+      const label = change.ruleType === 'USER'
+        ? getUserLabel(Number(change.ruleRef))
+        : getRuleLabel({ ruleType: change.ruleType, ruleRef: Number(change.ruleRef) });
+      items.push({
+        type: 'changed',
+        text: `Permission changed: ${label} from ${getPermissionLabel(change.from)} to ${getPermissionLabel(change.to)}`
+      });
+    });
+    if (changes.layoutChanged) {
+      items.push({ type: 'changed', text: 'Layout changed' });
+    }
+
+    return items;
+  };
+
+  // Render History Tab
+  const renderHistoryTab = () => {
+    if (revisionsLoading && revisions.length === 0) {
+      return (
+        <div className="tab-content">
+          <p className="no-widgets">Loading history...</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="tab-content">
+        {revisionsError && (
+          <div className="submit-error">{revisionsError}</div>
+        )}
+
+        {revisions.length === 0 ? (
+          <p className="no-widgets">No revisions recorded yet. A revision is saved every time this dashboard changes.</p>
+        ) : (
+          <ul className="revision-list">
+            {revisions.map((revision, index) => {
+              const changes = describeChanges(revision);
+              const isCurrent = index === 0;
+
+              return (
+                <li key={revision.id} className={`revision-item ${isCurrent ? 'current' : ''}`}>
+                  <div className="revision-header">
+                    <div className="revision-meta">
+                      <span className="revision-number">Revision {revision.revision}</span>
+                      {isCurrent && <span className="revision-badge">current</span>}
+                      <span className="revision-info">
+                        {new Date(revision.createdAt).toLocaleString()} by {revision.author ? getUserLabel(revision.author) : 'System'}
+                      </span>
+                      {revision.restoredFrom && (
+                        <span className="revision-info">Restored from revision {revision.restoredFrom}</span>
+                      )}
+                    </div>
+                    {!isCurrent && canManageAccess && (
+                      confirmRevisionId === revision.id ? (
+                        <div className="revision-actions">
+                          <button
+                            className="btn-revert confirm"
+                            onClick={() => handleRevert(revision)}
+                            disabled={isReverting}
+                          >
+                            {isReverting ? 'Restoring...' : 'Confirm Restore'}
+                          </button>
+                          <button
+                            className="btn-revert-cancel"
+                            onClick={() => setConfirmRevisionId(null)}
+                            disabled={isReverting}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <button className="btn-revert" onClick={() => setConfirmRevisionId(revision.id)}>
+                          Restore
+                        </button>
+                      )
+                    )}
+                  </div>
+
+                  {changes.length === 0 ? (
+                    <p className="revision-empty">
+                      {index === revisions.length - 1 ? 'First recorded revision' : 'No changes'}
+                    </p>
+                  ) : (
+                    <ul className="revision-changes">
+                      {changes.map((change, i) => (
+                        <li key={i} className={`revision-change ${change.type}`}>{change.text}</li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Render Layout Tab
+  const renderLayoutTab = () => {
+    const { custom, predefined } = getLayoutWidgets();
+    const layout = buildLayout(custom, predefined, formData.layout);
+
+    if (layout.length === 0) {
+      return (
+        <div className="tab-content">
+          <p className="no-widgets">No widgets selected. Select widgets on the Widgets tab to arrange them.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="tab-content layout-tab">
+        <p className="layout-hint">Drag widgets to move them and drag the corner handle to resize.</p>
+        <ResponsiveGrid
+          className="layout-editor"
+          layout={layout}
+          cols={GRID_COLS}
+          rowHeight={ROW_HEIGHT}
+          onLayoutChange={handleLayoutChange}
+          compactType="vertical"
+        >
+          {custom.map(widget => (
+            <div key={customLayoutKey(widget.id)} className="layout-item">
+              <span className="layout-item-name">{widget.name}</span>
+            </div>
+          ))}
+          {predefined.map(widget => (
+            <div key={predefinedLayoutKey(widget.dwname)} className="layout-item predefined">
+              <span className="layout-item-name">{widget.dwname}</span>
+              <span className="layout-item-badge">system</span>
+            </div>
+          ))}
+        </ResponsiveGrid>
+      </div>
+    );
+  };
+
   // Render Add Rule Modal
   const renderAddRuleModal = () => {
     const existingUserIds = getExistingUserIds();
@@ -521,23 +1138,27 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
         : selectedRolesToAdd.length;
 
     const usersFromProfiles = addRuleTab === 'profiles' && selectedProfilesToAdd.length > 0
-      ? allUsers.filter(u => selectedProfilesToAdd.includes(u.profile) && !existingUserIds.has(u.id)).length
+      ? allUsers.filter(u => selectedProfilesToAdd.includes(u.profileId) && !existingUserIds.has(u.id)).length
       : 0;
 
     const usersFromRoles = addRuleTab === 'roles' && selectedRolesToAdd.length > 0
       ? (() => {
           const uniqueUserIds = new Set();
+          // Without the member list (non-admins) count all of the role's members
+          let unlistedCount = 0;
           selectedRolesToAdd.forEach(roleId => {
-            const role = allRoles.find(r => r.id === roleId);
+            const role = knownRoles[roleId];
             if (role && role.members) {
               role.members.forEach(member => {
                 if (!existingUserIds.has(member.userId)) {
                   uniqueUserIds.add(member.userId);
                 }
               });
+            } else if (role) {
+              unlistedCount += role.memberCount;
             }
           });
-          return uniqueUserIds.size;
+          return uniqueUserIds.size + unlistedCount;
         })()
       : 0;
 
@@ -630,31 +1251,33 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
                 <div className="no-users-available">No profiles available</div>
               ) : (
                 filteredProfiles.map(profile => {
-                  const userCount = allUsers.filter(u => u.profile === profile).length;
-                  const newUserCount = allUsers.filter(u => u.profile === profile && !existingUserIds.has(u.id)).length;
+                  const userCount = allUsers.filter(u => u.profileId === profile.id).length;
+                  const newUserCount = allUsers.filter(u => u.profileId === profile.id && !existingUserIds.has(u.id)).length;
                   return (
                     <div
-                      key={profile}
-                      className={`user-item ${selectedProfilesToAdd.includes(profile) ? 'selected' : ''}`}
-                      onClick={() => handleToggleProfileToAdd(profile)}
+                      key={profile.id}
+                      className={`user-item ${selectedProfilesToAdd.includes(profile.id) ? 'selected' : ''}`}
+                      onClick={() => handleToggleProfileToAdd(profile.id)}
                     >
                       <input
                         type="checkbox"
-                        checked={selectedProfilesToAdd.includes(profile)}
+                        checked={selectedProfilesToAdd.includes(profile.id)}
                         onChange={() => {}}
                       />
-                      <span className="user-name">{profile}</span>
+                      <span className="user-name">{profile.name}</span>
                       <span className="user-profile">{newUserCount} new / {userCount} total users</span>
                     </div>
                   );
                 })
               )
             ) : (
-              filteredRoles.length === 0 ? (
-                <div className="no-users-available">No roles available</div>
+              rolesError ? (
+                <div className="no-users-available">{rolesError}</div>
+              ) : roleResults.length === 0 ? (
+                <div className="no-users-available">{rolesLoading ? 'Loading roles...' : 'No roles available'}</div>
               ) : (
-                filteredRoles.map(role => {
-                  const newUserCount = role.members ? role.members.filter(m => !existingUserIds.has(m.userId)).length : 0;
+                roleResults.map(role => {
+                  const newUserCount = role.members ? role.members.filter(m => !existingUserIds.has(m.userId)).length : null;
                   return (
                     <div
                       key={role.id}
@@ -668,12 +1291,40 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
                       />
                       <span className="user-name">{role.roleName}</span>
                       <span className={`role-type-badge ${role.roleType.toLowerCase()}`}>{role.roleType}</span>
-                      <span className="user-profile">{newUserCount} new / {role.memberCount} total</span>
+                      <span className="user-profile">
+                        {newUserCount !== null ? `${newUserCount} new / ${role.memberCount} total` : `${role.memberCount} total`}
+                      </span>
                     </div>
                   );
                 })
               )
             )}
+            {addRuleTab === 'roles' && !rolesError && roleResults.length < roleTotal && (
+              <button
+                className="btn-load-more"
+                onClick={() => fetchRoles(addRuleSearchTerm.trim(), rolePage + 1)}
+                disabled={rolesLoading}
+              >
+                {rolesLoading ? 'Loading...' : `Load more roles (${roleResults.length} of ${roleTotal})`}
+              </button>
+            )}
+          </div>
+
+          <div className="add-rule-permission">
+            <label htmlFor="new-rule-permission">Permission:</label>
+            <select
+              id="new-rule-permission"
+              className="rule-permission-select"
+              value={newRulePermission}
+              onChange={(e) => setNewRulePermission(e.target.value)}
+            >
+              {PERMISSION_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <span className="add-rule-permission-hint">
+              Editors can change widgets, layout and filters; owners can also manage access.
+            </span>
           </div>
 
           <div className="add-user-modal-actions">
@@ -684,6 +1335,7 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
                 setSelectedUsersToAdd([]);
                 setSelectedProfilesToAdd([]);
                 setSelectedRolesToAdd([]);
+                setNewRulePermission(DEFAULT_PERMISSION);
                 setAddRuleSearchTerm('');
                 setAddRuleTab('users');
               }}
@@ -801,12 +1453,13 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
               <th>Rule Type</th>
               <th>Rule Condition</th>
               <th>Details</th>
+              <th>Permission</th>
             </tr>
           </thead>
           <tbody>
             {filteredRules.length === 0 ? (
               <tr>
-                <td colSpan="4" className="no-data">No access rules configured</td>
+                <td colSpan="5" className="no-data">No access rules configured</td>
               </tr>
             ) : (
               filteredRules.map((rule) => {
@@ -834,16 +1487,101 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
                       {rule.details}
                       {isClickable && <span className="view-users-hint"> (click to view users)</span>}
                     </td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <select
+                        className="rule-permission-select"
+                        value={rule.permission}
+                        onChange={(e) => handleRulePermissionChange(rule.id, e.target.value)}
+                      >
+                        {PERMISSION_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </td>
                   </tr>
                 );
               })
             )}
           </tbody>
         </table>
+
+        {renderExplainPanel()}
       </div>
     );
   };
 
+  // Render "Why does this user have access?" panel (saved access only)
+  const renderExplainPanel = () => (
+    <div className="access-explain">
+      <h4>Why does this user have access?</h4>
+      <p className="access-explain-hint">
+        Lists every saved assignment and rule that lets the user open this dashboard. Save first to include unsaved changes.
+      </p>
+
+      <div className="access-explain-form">
+        <select
+          value={explainUserId}
+          onChange={(e) => {
+            setExplainUserId(e.target.value);
+            setExplanation(null);
+            setExplainError(null);
+          }}
+        >
+          <option value="">Select a user</option>
+          {allUsers.map(user => (
+            <option key={user.id} value={user.id}>{user.userName} ({user.profile})</option>
+          ))}
+        </select>
+        <button
+          className="btn-add-rule"
+          onClick={handleExplainAccess}
+          disabled={!explainUserId || explainLoading}
+        >
+          {explainLoading ? 'Checking...' : 'Explain'}
+        </button>
+      </div>
+
+      {explainError && (
+        <div className="submit-error">{explainError}</div>
+      )}
+
+      {explanation && (
+        explanation.grants.length === 0 ? (
+          <p className="access-explain-result none">
+            {explanation.user.userName} cannot open this dashboard: no assignment or rule grants access.
+          </p>
+        ) : (
+          <>
+            <p className="access-explain-result">
+              {explanation.user.userName} ({explanation.user.profile}) can open this dashboard as {getPermissionLabel(explanation.permission).toLowerCase()} through {explanation.grants.length} grant(s):
+            </p>
+            <ul className="access-explain-list">
+              {explanation.grants.map(grant => (
+                <li key={`${grant.type}-${grant.id}`} className="access-explain-item">
+                  <span className={`rule-type-badge ${grant.type.toLowerCase()}`}>{grant.type}</span>
+                  <div>
+                    <span className="access-explain-condition">
+                      {grant.condition}
+                      {grant.roleType && ` (${grant.roleType})`}
+                    </span>
+                    <span className="access-explain-origin">
+                      {getPermissionLabel(grant.permission)} permission. {describeGrantOrigin(grant)}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )
+      )}
+      {explanation && explanation.user.status !== 'ACTIVE' && (
+        <p className="access-explain-hint">
+          This user is {String(explanation.user.status).toLowerCase()}; Profile and Role rules only apply to active users.
+        </p>
+      )}
+    </div>
+  );
+
   return (
     <>
       <div className="modal-overlay" onClick={onClose}>
@@ -867,10 +1605,30 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
               Widgets
             </button>
             <button
-              className={`tab ${activeTab === 'access' ? 'active' : ''}`}
-              onClick={() => setActiveTab('access')}
+              className={`tab ${activeTab === 'layout' ? 'active' : ''}`}
+              onClick={() => setActiveTab('layout')}
+            >
+              Layout
+            </button>
+            <button
+              className={`tab ${activeTab === 'filters' ? 'active' : ''}`}
+              onClick={() => setActiveTab('filters')}
+            >
+              Filters
+            </button>
+            {canManageAccess && (
+              <button
+                className={`tab ${activeTab === 'access' ? 'active' : ''}`}
+                onClick={() => setActiveTab('access')}
+              >
+                Manage Access
+              </button>
+            )}
+            <button
+              className={`tab ${activeTab === 'history' ? 'active' : ''}`}
+              onClick={() => setActiveTab('history')}
             >
-              Manage Access
+              History
             </button>
             <button
               className="btn-save"
@@ -887,7 +1645,10 @@ const ViewDashboardModal = ({ dashboard, customWidgets, allUsers, allRoles = [],
 
           {activeTab === 'general' && renderGeneralTab()}
           {activeTab === 'widgets' && renderWidgetsTab()}
-          {activeTab === 'access' && renderAccessTab()}
+          {activeTab === 'layout' && renderLayoutTab()}
+          {activeTab === 'filters' && renderFiltersTab()}
+          {activeTab === 'access' && canManageAccess && renderAccessTab()}
+          {activeTab === 'history' && renderHistoryTab()}
         </div>
       </div>
 
@@ -0,0 +1,198 @@
+/**
+ * Widget Chart Component
+ *
+ * Draws normalized widget data as a bar, pie, line, table or KPI chart.
+ * Charts are plain SVG so they follow the app theme without a chart library.
+ */
+
+const CHART_COLORS = ['#9999FF', '#6fcf97', '#f2c94c', '#eb5757', '#56ccf2', '#bb6bd9', '#f2994a', '#8888EE'];
+
+const VIEW_WIDTH = 320;
+const VIEW_HEIGHT = 180;
+const PADDING = 24;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return isNaN(number) ? 0 : number;
+};
+
+const formatNumber = (value) => toNumber(value).toLocaleString();
+
+// Bar chart
+const BarChart = ({ rows, labelKey, valueKey }) => {
+  const max = Math.max(...rows.map(row => toNumber(row[valueKey])), 1);
+  const slot = (VIEW_WIDTH - PADDING * 2) / rows.length;
+  const barWidth = Math.max(Math.min(slot * 0.7, 48), 4);
+  const chartHeight = VIEW_HEIGHT - PADDING * 2;
+
+  return (
+    <svg className="widget-svg" viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`} role="img">
+      <line className="widget-axis" x1={PADDING} y1={VIEW_HEIGHT - PADDING} x2={VIEW_WIDTH - PADDING} y2={VIEW_HEIGHT - PADDING} />
+      {rows.map((row, index) => {
+        const height = (toNumber(row[valueKey]) / max) * chartHeight;
+        const x = PADDING + slot * index + (slot - barWidth) / 2;
+        return (
+          <g key={index}>
+            <rect
+              x={x}
+              y={VIEW_HEIGHT - PADDING - height}
+              width={barWidth}
+              height={height}
+              rx="3"
+              fill={CHART_COLORS[index % CHART_COLORS.length]}
+            >
+              <title>{`${row[labelKey]}: ${formatNumber(row[valueKey])}`}</title>
+            </rect>
+            {rows.length <= 12 && (
+              <text className="widget-axis-label" x={x + barWidth / 2} y={VIEW_HEIGHT - PADDING + 14} textAnchor="middle">
+                {String(row[labelKey]).slice(0, 8)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Line chart
+const LineChart = ({ rows, labelKey, valueKey }) => {
+  const values = rows.map(row => toNumber(row[valueKey]));
+  const max = Math.max(...values, 1);
+  const min = Math.min(...values, 0);
+  const range = max - min || 1;
+  const step = rows.length > 1 ? (VIEW_WIDTH - PADDING * 2) / (rows.length - 1) : 0;
+  const chartHeight = VIEW_HEIGHT - PADDING * 2;
+
+  const points = values.map((value, index) => ({
+    x: PADDING + step * index,
+    y: VIEW_HEIGHT - PADDING - ((value - min) / range) * chartHeight
+  }));
+
+  return (
+    <svg className="widget-svg" viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`} role="img">
+      <line className="widget-axis" x1={PADDING} y1={VIEW_HEIGHT - PADDING} x2={VIEW_WIDTH - PADDING} y2={VIEW_HEIGHT - PADDING} />
+      <polyline
+        fill="none"
+        stroke={CHART_COLORS[0]}
+        strokeWidth="2.5"
+        points={points.map(p => `${p.x},${p.y}`).join(' ')}
+      />
+      {points.map((point, index) => (
+        <circle key={index} cx={point.x} cy={point.y} r="3.5" fill={CHART_COLORS[7]}>
+          <title>{`${rows[index][labelKey]}: ${formatNumber(values[index])}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Pie chart with legend
+const PieChart = ({ rows, labelKey, valueKey }) => {
+  const total = rows.reduce((sum, row) => sum + toNumber(row[valueKey]), 0);
+  const radius = 70;
+  const cx = 80;
+  const cy = VIEW_HEIGHT / 2;
+  let angle = -Math.PI / 2;
+
+  const slices = rows.map((row, index) => {
+    const value = toNumber(row[valueKey]);
+    const sweep = total > 0 ? (value / total) * Math.PI * 2 : 0;
+    const start = angle;
+    angle += sweep;
+    return { row, value, start, end: angle, color: CHART_COLORS[index % CHART_COLORS.length] };
+  });
+
+  const arcPath = ({ start, end }) => {
+    // A full circle cannot be drawn with a single arc
+    if (end - start >= Math.PI * 2 - 0.0001) {
+      return `M ${cx - radius} ${cy} A ${radius} ${radius} 0 1 1 ${cx + radius} ${cy} A ${radius} ${radius} 0 1 1 ${cx - radius} ${cy} Z`;
+    }
+    const x1 = cx + radius * Math.cos(start);
+    const y1 = cy + radius * Math.sin(start);
+    const x2 = cx + radius * Math.cos(end);
+    const y2 = cy + radius * Math.sin(end);
+    const largeArc = end - start > Math.PI ? 1 : 0;
+    return `M ${cx} ${cy} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} Z`;
+  };
+
+  return (
+    <svg className="widget-svg" viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`} role="img">
+      {slices.filter(slice => slice.value > 0).map((slice, index) => (
+        <path key={index} d={arcPath(slice)} fill={slice.color}>
+          <title>{`${slice.row[labelKey]}: ${formatNumber(slice.value)}`}</title>
+        </path>
+      ))}
+      {slices.slice(0, 8).map((slice, index) => (
+        <g key={`legend-${index}`}>
+          <rect x="170" y={20 + index * 19} width="10" height="10" rx="2" fill={slice.color} />
+          <text className="widget-legend-label" x="186" y={29 + index * 19}>
+            {`${String(slice.row[labelKey]).slice(0, 14)} (${formatNumber(slice.value)})`}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Table
+const TableChart = ({ rows, columns }) => (
+  <div className="widget-table-wrapper">
+    <table className="widget-table">
+      <thead>
+        <tr>
+          {columns.map(column => <th key={column}>{column}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index}>
+            {columns.map(column => (
+              <td key={column}>
+                {row[column] !== null && typeof row[column] === 'object'
+                  ? JSON.stringify(row[column])
+                  : String(row[column] ?? '-')}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// KPI (single value)
+const KpiChart = ({ value, label }) => (
+  <div className="widget-kpi">
+    <span className="widget-kpi-value">{value === null ? '-' : formatNumber(value)}</span>
+    {label && <span className="widget-kpi-label">{label}</span>}
+  </div>
+);
+
+const WidgetChart = ({ chartType, data }) => {
+  if (!data || data.rows.length === 0) {
+    return <div className="widget-empty">No data</div>;
+  }
+
+  const { rows, columns, labelKey, valueKey, value } = data;
+
+  // Charts need a numeric column; fall back to a table otherwise
+  if (chartType !== 'table' && !valueKey) {
+    return <TableChart rows={rows} columns={columns} />;
+  }
+
+  switch (chartType) {
+    case 'bar':
+      return <BarChart rows={rows} labelKey={labelKey} valueKey={valueKey} />;
+    case 'line':
+      return <LineChart rows={rows} labelKey={labelKey} valueKey={valueKey} />;
+    case 'pie':
+      return <PieChart rows={rows} labelKey={labelKey} valueKey={valueKey} />;
+    case 'kpi':
+      return <KpiChart value={value} label={rows.length === 1 && labelKey !== valueKey ? rows[0][labelKey] : null} />;
+    default:
+      return <TableChart rows={rows} columns={columns} />;
+  }
+};
+
+export default WidgetChart;
@@ -0,0 +1,231 @@
+/**
+ * Widget Form Modal
+ *
+ * Modal for creating or editing a custom widget with:
+ * - Widget name and description
+ * - Data URL (same-origin path or http(s) URL)
+ * - Chart type
+ * - Filter (JSON object or query string sent with the data request)
+ * - Cache TTL (seconds the widget's data is cached; empty for the default)
+ */
+
+import { useState } from 'react';
+import { CHART_TYPES } from '../utils/widgetData';
+import '../styles/AddDashboardModal.css';
+
+const WidgetFormModal = ({ widget, chartTypes = CHART_TYPES, defaultCacheTtl = null, onClose, onSubmit }) => {
+  const isNew = !widget.id;
+  const [formData, setFormData] = useState({
+    widgetName: widget.widget_name || '',
+    widgetDesc: widget.widget_desc || '',
+    widgetUrl: widget.widget_url || '',
+    widgetChart: (widget.widget_chart || chartTypes[0] || '').toLowerCase(),
+    widgetFilter: widget.widget_filter || '',
+    cacheTtl: widget.cache_ttl_seconds ?? ''
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Validate form (the server repeats these checks)
+  const validate = () => {
+    const newErrors = {};
+    const url = formData.widgetUrl.trim();
+    const filter = formData.widgetFilter.trim();
+
+    if (!formData.widgetName.trim()) {
+      newErrors.widgetName = 'Widget name is required';
+    }
+
+    if (!url) {
+      newErrors.widgetUrl = 'Widget URL is required';
+    } else if (!/^\/(?!\/)/.test(url) && !/^https?:\/\//i.test(url)) {
+      newErrors.widgetUrl = 'Use a path starting with / or an http(s) URL';
+    }
+
+    if (filter.startsWith('{')) {
+      try {
+        JSON.parse(filter);
+      } catch (e) {
+        newErrors.widgetFilter = 'Filter is not valid JSON';
+      }
+    }
+
+    const ttl = String(formData.cacheTtl).trim();
+    if (ttl !== '' && !/^\d+$/.test(ttl)) {
+      newErrors.cacheTtl = 'Cache TTL must be a whole number of seconds';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validate()) return;
+
+    setIsSubmitting(true);
+
+    const result = await onSubmit({
+      widgetName: formData.widgetName.trim(),
+      widgetDesc: formData.widgetDesc.trim(),
+      widgetUrl: formData.widgetUrl.trim(),
+      widgetChart: formData.widgetChart,
+      widgetFilter: formData.widgetFilter.trim(),
+      cacheTtl: String(formData.cacheTtl).trim() === '' ? null : Number(formData.cacheTtl)
+    });
+
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setErrors({ submit: result.error });
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="add-dashboard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{isNew ? 'Add Custom Widget' : 'Edit Custom Widget'}</h2>
+          <button className="close-btn" onClick={onClose}>x</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="widgetName">
+              Widget Name:<span className="required">*</span>
+            </label>
+            <input
+              type="text"
+              id="widgetName"
+              name="widgetName"
+              value={formData.widgetName}
+              onChange={handleChange}
+              placeholder="Enter widget name"
+              className={errors.widgetName ? 'error' : ''}
+            />
+            {errors.widgetName && (
+              <span className="error-message">{errors.widgetName}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="widgetDesc">Widget Description:</label>
+            <input
+              type="text"
+              id="widgetDesc"
+              name="widgetDesc"
+              value={formData.widgetDesc}
+              onChange={handleChange}
+              placeholder="Enter widget description"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="widgetUrl">
+              Data URL:<span className="required">*</span>
+            </label>
+            <input
+              type="text"
+              id="widgetUrl"
+              name="widgetUrl"
+              value={formData.widgetUrl}
+              onChange={handleChange}
+              placeholder="/api/reports/identities or https://..."
+              className={errors.widgetUrl ? 'error' : ''}
+            />
+            {errors.widgetUrl && (
+              <span className="error-message">{errors.widgetUrl}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="widgetChart">
+              Chart Type:<span className="required">*</span>
+            </label>
+            <div className="template-picker">
+              <select
+                id="widgetChart"
+                name="widgetChart"
+                value={formData.widgetChart}
+                onChange={handleChange}
+              >
+                {chartTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="widgetFilter">Filter:</label>
+            <input
+              type="text"
+              id="widgetFilter"
+              name="widgetFilter"
+              value={formData.widgetFilter}
+              onChange={handleChange}
+              placeholder='{"status": "ACTIVE"} or status=ACTIVE&limit=10'
+              className={errors.widgetFilter ? 'error' : ''}
+            />
+            {errors.widgetFilter && (
+              <span className="error-message">{errors.widgetFilter}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="cacheTtl">Cache TTL (seconds):</label>
+            <input
+              type="number"
+              id="cacheTtl"
+              name="cacheTtl"
+              min="0"
+              value={formData.cacheTtl}
+              onChange={handleChange}
+              placeholder={defaultCacheTtl !== null ? `Default (${defaultCacheTtl}), 0 disables caching` : 'Default, 0 disables caching'}
+              className={errors.cacheTtl ? 'error' : ''}
+            />
+            {errors.cacheTtl && (
+              <span className="error-message">{errors.cacheTtl}</span>
+            )}
+          </div>
+
+          {errors.submit && (
+            <div className="submit-error">{errors.submit}</div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              className="btn-cancel"
+              onClick={onClose}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn-submit"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : (isNew ? 'Create Widget' : 'Save Widget')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WidgetFormModal;
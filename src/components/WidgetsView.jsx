@@ -0,0 +1,260 @@
+/**
+ * Widgets View
+ *
+ * Admin screen for custom widgets (idx2_dashboard_widget) on the Custom Dashboard page.
+ * Features: List with usage counts, Add, Edit, Delete (forced delete for widgets in use)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getValidAuthToken } from '../utils/auth';
+import WidgetFormModal from './WidgetFormModal';
+
+const API_BASE_URL = '/api';
+
+const EMPTY_DELETE = { isOpen: false, widget: null, usedBy: null };
+
+const WidgetsView = ({ onBack }) => {
+  const [widgets, setWidgets] = useState([]);
+  const [chartTypes, setChartTypes] = useState([]);
+  const [defaultCacheTtl, setDefaultCacheTtl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formWidget, setFormWidget] = useState(null); // {} for a new widget
+  const [confirmDelete, setConfirmDelete] = useState(EMPTY_DELETE);
+
+  // Fetch custom widgets with usage counts
+  const fetchWidgets = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const token = await getValidAuthToken();
+
+      const response = await fetch(`${API_BASE_URL}/widgets`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to fetch widgets');
+      }
+
+      setWidgets(result.data);
+      setChartTypes(result.chartTypes || []);
+      setDefaultCacheTtl(result.defaultCacheTtl ?? null);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching widgets:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWidgets();
+  }, [fetchWidgets]);
+
+  // Create or update a widget
+  const handleSave = async (widgetData) => {
+    try {
+      const token = await getValidAuthToken();
+      const isNew = !formWidget.id;
+
+      const response = await fetch(`${API_BASE_URL}/widgets${isNew ? '' : `/${formWidget.id}`}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(widgetData)
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save widget');
+      }
+
+      setFormWidget(null);
+      fetchWidgets();
+      return { success: true };
+    } catch (err) {
+      console.error('Error saving widget:', err);
+      return { success: false, error: err.message };
+    }
+  };
+
+  // Delete a widget; the server answers 409 with the dashboards using it unless forced
+  const handleDelete = async (force) => {
+    try {
+      const token = await getValidAuthToken();
+
+      const response = await fetch(
+        `${API_BASE_URL}/widgets/${confirmDelete.widget.id}${force ? '?force=true' : ''}`,
+        {
+          method: 'DELETE',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const result = await response.json();
+
+      if (response.status === 409 && result.data) {
+        setConfirmDelete(prev => ({ ...prev, usedBy: result.data.usedBy }));
+        return;
+      }
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete widget');
+      }
+
+      setConfirmDelete(EMPTY_DELETE);
+      fetchWidgets();
+    } catch (err) {
+      setConfirmDelete(EMPTY_DELETE);
+      setError(err.message);
+      console.error('Error deleting widget:', err);
+    }
+  };
+
+  // Cache column: widget TTL, the default TTL or "Off"
+  const formatCacheTtl = (ttl) => {
+    if (ttl === null || ttl === undefined) {
+      return defaultCacheTtl !== null ? `Default (${defaultCacheTtl}s)` : 'Default';
+    }
+    return Number(ttl) === 0 ? 'Off' : `${ttl}s`;
+  };
+
+  return (
+    <>
+      {error && (
+        <div className="error-container">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>x</button>
+        </div>
+      )}
+
+      <div className="dashboard-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Dashboards
+        </button>
+        <button className="btn btn-add" onClick={() => setFormWidget({})}>
+          Add Custom Widget
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading widgets...</div>
+      ) : (
+        <div className="dashboard-table-container">
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Widget Name</th>
+                <th>Chart</th>
+                <th>Data URL</th>
+                <th>Cache</th>
+                <th>Used By</th>
+                <th className="actions-col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {widgets.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="no-data">
+                    No custom widgets yet. Click "Add Custom Widget" to create one.
+                  </td>
+                </tr>
+              ) : (
+                widgets.map((widget, index) => (
+                  <tr key={widget.id} onClick={() => setFormWidget(widget)} style={{ cursor: 'pointer' }}>
+                    <td>{index + 1}</td>
+                    <td title={widget.widget_desc || ''}>{widget.widget_name}</td>
+                    <td>{widget.widget_chart || '-'}</td>
+                    <td className="widget-url-cell" title={widget.widget_url}>{widget.widget_url}</td>
+                    <td>{formatCacheTtl(widget.cache_ttl_seconds)}</td>
+                    <td>{widget.usage_count} dashboard(s)</td>
+                    <td className="actions-col" onClick={(e) => e.stopPropagation()}>
+                      <button
+                        className="btn-row-action"
+                        onClick={() => setFormWidget(widget)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn-row-action danger"
+                        onClick={() => setConfirmDelete({ isOpen: true, widget, usedBy: null })}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Widget Modal */}
+      {formWidget && (
+        <WidgetFormModal
+          widget={formWidget}
+          chartTypes={chartTypes}
+          defaultCacheTtl={defaultCacheTtl}
+          onClose={() => setFormWidget(null)}
+          onSubmit={handleSave}
+        />
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {confirmDelete.isOpen && (
+        <div className="modal-overlay">
+          <div className="confirm-modal">
+            <h3>Delete Widget</h3>
+            {confirmDelete.usedBy ? (
+              <>
+                <p>
+                  "{confirmDelete.widget.widget_name}" is used by {confirmDelete.usedBy.length} dashboard(s).
+                  Deleting it removes it from:
+                </p>
+                <ul className="widget-usage-list">
+                  {confirmDelete.usedBy.map(dashboard => (
+                    <li key={dashboard.id}>
+                      {dashboard.dashboardName}{dashboard.inTrash ? ' (in Trash)' : ''}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            ) : (
+              <p>Are you sure you want to delete "{confirmDelete.widget.widget_name}"?</p>
+            )}
+            <div className="confirm-actions">
+              <button
+                className="btn-cancel"
+                onClick={() => setConfirmDelete(EMPTY_DELETE)}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn-confirm-delete"
+                onClick={() => handleDelete(Boolean(confirmDelete.usedBy))}
+              >
+                {confirmDelete.usedBy ? 'Delete Anyway' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default WidgetsView;
@@ -1,14 +1,22 @@
 /**
  * Authentication Utility
  *
- * Handles JWT token generation and management for multi-tenant authentication.
+ * Handles sign-in, JWT token storage and management for multi-tenant authentication.
+ * Access tokens are short-lived and renewed with a rotating refresh token
+ * (POST /api/auth/refresh); signing out revokes both (POST /api/auth/logout).
  */
 
 const API_BASE_URL = '/api';
 
-// Mutex to prevent multiple simultaneous token refreshes
+// Mutex to prevent multiple simultaneous token refreshes in this tab
 let refreshPromise = null;
 
+// Web Lock shared by all tabs of the app: they share one refresh token in localStorage
+const REFRESH_LOCK_NAME = 'diy-dashboard-token-refresh';
+
+// 403 messages of authenticateToken for tokens that a refresh can replace
+const TOKEN_ERROR_MESSAGES = ['Invalid or expired token', 'Token has been revoked'];
+
 /**
  * Decode JWT token payload
  */
@@ -40,17 +48,19 @@ function isTokenExpired(token) {
 }
 
 /**
- * Generate JWT token from backend
+ * Request JWT token from backend
+ * Body is either { tenant, subtenant, username, password } or { assertion },
+ * or { refreshToken } for /auth/refresh
  * Returns { success: true, data: {...} } or { success: false, error: 'type', message: '...' }
  */
-async function generateToken(tenantCode, subtenantCode) {
+async function requestToken(body, path = '/auth/token') {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/token`, {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ tenant: tenantCode, subtenant: subtenantCode })
+      body: JSON.stringify(body)
     });
 
     const result = await response.json();
@@ -60,8 +70,13 @@ async function generateToken(tenantCode, subtenantCode) {
         success: true,
         data: {
           token: result.data.token,
+          refreshToken: result.data.refreshToken,
           tenantId: result.data.tenant,
-          subtenantId: result.data.subtenant
+          subtenantId: result.data.subtenant,
+          tenantCode: result.data.tenantCode,
+          subtenantCode: result.data.subtenantCode,
+          userId: result.data.userId,
+          role: result.data.role
         }
       };
     } else {
@@ -69,7 +84,7 @@ async function generateToken(tenantCode, subtenantCode) {
       return {
         success: false,
         error: 'auth_failed',
-        message: result.message || 'Invalid tenant or subtenant credentials.'
+        message: result.message || 'Authentication failed.'
       };
     }
   } catch (error) {
@@ -97,57 +112,132 @@ async function generateToken(tenantCode, subtenantCode) {
  */
 function storeAuthData(authData) {
   localStorage.setItem('auth_token', authData.token);
+  localStorage.setItem('refresh_token', authData.refreshToken);
   localStorage.setItem('tenant_id', authData.tenantId);
   localStorage.setItem('subtenant_id', authData.subtenantId);
   localStorage.setItem('tenant_code', authData.tenantCode);
   localStorage.setItem('subtenant_code', authData.subtenantCode);
+  localStorage.setItem('user_id', authData.userId);
+  localStorage.setItem('user_role', authData.role);
 }
 
 /**
- * Refresh auth token
+ * Store a successful token response and return the session summary
  */
-export async function refreshAuthToken() {
-  const tenantCode = localStorage.getItem('tenant_code');
-  const subtenantCode = localStorage.getItem('subtenant_code');
+function completeAuth(result) {
+  storeAuthData(result.data);
+
+  console.log('New token generated and stored');
+  return {
+    success: true,
+    data: {
+      tenant: result.data.tenantId,
+      subtenant: result.data.subtenantId,
+      userId: result.data.userId,
+      role: result.data.role,
+      token: result.data.token
+    }
+  };
+}
 
-  if (!tenantCode || !subtenantCode) {
-    console.error('Cannot refresh token: missing tenant/subtenant codes');
+/**
+ * Exchange the stored refresh token for a new access token and refresh token
+ * staleToken is the access token that needs replacing; if another tab already
+ * replaced it, the stored token is used instead of rotating again.
+ */
+async function exchangeRefreshToken(staleToken) {
+  const storedToken = localStorage.getItem('auth_token');
+  if (storedToken && storedToken !== staleToken && !isTokenExpired(storedToken)) {
+    return { token: storedToken };
+  }
+
+  const refreshToken = localStorage.getItem('refresh_token');
+  if (!refreshToken) {
+    console.warn('Session expired, please sign in again');
     return null;
   }
 
-  console.log('Refreshing expired token...');
-  const result = await generateToken(tenantCode, subtenantCode);
+  const result = await requestToken({ refreshToken }, '/auth/refresh');
+  if (result.success) {
+    return completeAuth(result).data;
+  }
 
-  if (result) {
-    storeAuthData({
-      token: result.token,
-      tenantId: result.tenantId,
-      subtenantId: result.subtenantId,
-      tenantCode,
-      subtenantCode
-    });
+  // Keep the session on network errors so a later call can retry
+  if (result.error === 'auth_failed') {
+    console.warn('Session expired, please sign in again');
+    clearAuth();
+  }
+  return null;
+}
 
-    console.log('Token refreshed successfully');
-    return {
-      tenant: result.tenantId,
-      subtenant: result.subtenantId,
-      token: result.token
-    };
+/**
+ * Run a refresh under the cross-tab lock, so only one tab rotates the refresh token
+ * and the others pick up its result (see exchangeRefreshToken).
+ * Browsers without the Web Locks API only get the per-tab mutex.
+ */
+function withRefreshLock(refresh) {
+  if (typeof navigator === 'undefined' || !navigator.locks) {
+    return refresh();
   }
+  return navigator.locks.request(REFRESH_LOCK_NAME, refresh);
+}
 
-  console.error('Failed to refresh token');
-  return null;
+/**
+ * Refresh auth token
+ * Uses a mutex so concurrent callers share one refresh, and a lock across tabs:
+ * a refresh token can only be used once.
+ * Returns { token, ... } or null
+ */
+export async function refreshAuthToken(staleToken = localStorage.getItem('auth_token')) {
+  // If a refresh is already in progress, wait for it
+  if (refreshPromise) {
+    console.log('Token refresh already in progress, waiting...');
+    return refreshPromise;
+  }
+
+  console.log('Starting token refresh...');
+  refreshPromise = withRefreshLock(() => exchangeRefreshToken(staleToken));
+
+  try {
+    return await refreshPromise;
+  } finally {
+    // Clear the promise after completion
+    refreshPromise = null;
+  }
 }
 
 /**
  * Initialize auth from URL parameters (STRICT MODE)
- * Requires tenant and subtenant in URL - no localStorage fallback
+ *
+ * - ?assertion=<signed JWT>: hand-off from the host IAM console
+ * - ?tenant=CODE&subtenant=CODE: reuse a valid cached token for this tenant
+ *   (renewing it with the refresh token if expired), otherwise the user has
+ *   to sign in (error 'login_required')
+ *
  * Returns { success: true, data: {...} } or { success: false, error: 'type', message: '...' }
  */
 export async function initializeAuthFromURL() {
   const urlParams = new URLSearchParams(window.location.search);
   const tenant = urlParams.get('tenant');
   const subtenant = urlParams.get('subtenant');
+  const assertion = urlParams.get('assertion');
+
+  // Hand-off from the host IAM console always starts a new session
+  if (assertion) {
+    // Drop the one-time assertion from the address bar and history
+    urlParams.delete('assertion');
+    const query = urlParams.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    const result = await requestToken({ assertion });
+    if (result.success) {
+      return completeAuth(result);
+    }
+
+    clearAuth();
+    console.error('Failed to exchange hand-off assertion:', result.message);
+    return result;
+  }
 
   // STRICT: Require URL params always
   if (!tenant || !subtenant) {
@@ -166,49 +256,79 @@ export async function initializeAuthFromURL() {
   const storedTenantCode = localStorage.getItem('tenant_code');
   const storedSubtenantCode = localStorage.getItem('subtenant_code');
 
-  if (storedToken && storedTenantCode === tenant && storedSubtenantCode === subtenant) {
+  const sameTenant = storedTenantCode === tenant && storedSubtenantCode === subtenant;
+  let validToken = null;
+
+  if (storedToken && sameTenant) {
     if (!isTokenExpired(storedToken)) {
-      const storedTenantId = localStorage.getItem('tenant_id');
-      const storedSubtenantId = localStorage.getItem('subtenant_id');
-      console.log('Using cached token (still valid)');
-      return {
-        success: true,
-        data: {
-          tenant: parseInt(storedTenantId),
-          subtenant: parseInt(storedSubtenantId),
-          token: storedToken
-        }
-      };
+      validToken = storedToken;
     } else {
-      console.log('Cached token expired, generating new one...');
+      const refreshed = await refreshAuthToken(storedToken);
+      validToken = refreshed ? refreshed.token : null;
     }
   }
 
-  // Generate new token
-  const result = await generateToken(tenant, subtenant);
-
-  if (result.success) {
-    storeAuthData({
-      token: result.data.token,
-      tenantId: result.data.tenantId,
-      subtenantId: result.data.subtenantId,
-      tenantCode: tenant,
-      subtenantCode: subtenant
-    });
-
-    console.log('New token generated and stored');
+  if (validToken) {
+    console.log(validToken === storedToken ? 'Using cached token (still valid)' : 'Session renewed with refresh token');
     return {
       success: true,
       data: {
-        tenant: result.data.tenantId,
-        subtenant: result.data.subtenantId,
-        token: result.data.token
+        tenant: parseInt(localStorage.getItem('tenant_id')),
+        subtenant: parseInt(localStorage.getItem('subtenant_id')),
+        userId: parseInt(localStorage.getItem('user_id')),
+        role: localStorage.getItem('user_role'),
+        token: validToken
       }
     };
   }
 
-  console.error('Failed to generate token:', result.message);
-  return result;  // Return the error object from generateToken
+  clearAuth();
+  return {
+    success: false,
+    error: 'login_required',
+    message: 'Please sign in to continue.'
+  };
+}
+
+/**
+ * Sign in with idx_users credentials for the tenant/subtenant in the URL
+ * Returns { success: true, data: {...} } or { success: false, error: 'type', message: '...' }
+ */
+export async function loginWithCredentials(username, password) {
+  const urlParams = new URLSearchParams(window.location.search);
+
+  const result = await requestToken({
+    tenant: urlParams.get('tenant'),
+    subtenant: urlParams.get('subtenant'),
+    username,
+    password
+  });
+
+  return result.success ? completeAuth(result) : result;
+}
+
+/**
+ * Sign out: revoke the access token and refresh token on the server, then clear auth data
+ * Auth data is cleared even if the server cannot be reached.
+ */
+export async function logout() {
+  try {
+    const token = await getValidAuthToken();
+    if (token) {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refresh_token') })
+      });
+    }
+  } catch (error) {
+    console.error('Error signing out:', error);
+  } finally {
+    clearAuth();
+  }
 }
 
 /**
@@ -224,7 +344,7 @@ export function getAuthToken() {
 
 /**
  * Get valid auth token, refreshing if necessary
- * Uses a mutex to prevent multiple simultaneous refresh attempts
+ * (refreshAuthToken prevents multiple simultaneous refresh attempts)
  */
 export async function getValidAuthToken() {
   const token = localStorage.getItem('auth_token');
@@ -232,24 +352,8 @@ export async function getValidAuthToken() {
   if (!token) return null;
 
   if (isTokenExpired(token)) {
-    // If a refresh is already in progress, wait for it
-    if (refreshPromise) {
-      console.log('Token refresh already in progress, waiting...');
-      const result = await refreshPromise;
-      return result ? result.token : null;
-    }
-
-    // Start a new refresh and store the promise
-    console.log('Starting token refresh...');
-    refreshPromise = refreshAuthToken();
-
-    try {
-      const refreshed = await refreshPromise;
-      return refreshed ? refreshed.token : null;
-    } finally {
-      // Clear the promise after completion
-      refreshPromise = null;
-    }
+    const refreshed = await refreshAuthToken(token);
+    return refreshed ? refreshed.token : null;
   }
 
   return token;
@@ -265,15 +369,36 @@ export function getTenantInfo() {
   };
 }
 
+/**
+ * Get signed-in user ID from the token
+ */
+export function getCurrentUserId() {
+  const token = localStorage.getItem('auth_token');
+  const payload = token ? decodeToken(token) : null;
+  return payload && payload.userId ? payload.userId : null;
+}
+
+/**
+ * Check if the signed-in user is a dashboard admin
+ */
+export function isAdminUser() {
+  const token = localStorage.getItem('auth_token');
+  const payload = token ? decodeToken(token) : null;
+  return !!(payload && payload.role === 'admin');
+}
+
 /**
  * Clear auth data
  */
 export function clearAuth() {
   localStorage.removeItem('auth_token');
+  localStorage.removeItem('refresh_token');
   localStorage.removeItem('tenant_id');
   localStorage.removeItem('subtenant_id');
   localStorage.removeItem('tenant_code');
   localStorage.removeItem('subtenant_code');
+  localStorage.removeItem('user_id');
+  localStorage.removeItem('user_role');
 }
 
 /**
@@ -285,11 +410,29 @@ export function isAuthenticated() {
   return !!(token && !isTokenExpired(token) && tenant && subtenant);
 }
 
+/**
+ * Whether a failed response was caused by the access token: 401, or the 403 that
+ * authenticateToken (server/middleware/auth.js) answers for invalid, expired or
+ * revoked tokens. Other 403s (missing permission) are not fixed by a new token.
+ */
+async function isTokenError(response) {
+  if (response.status === 401) return true;
+  if (response.status !== 403) return false;
+
+  try {
+    const result = await response.clone().json();
+    return TOKEN_ERROR_MESSAGES.includes(result.message);
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Handle auth error and refresh
+ * Retries once with a new token on token errors; returns other responses unchanged
  */
 export async function handleAuthError(response, retryFn) {
-  if (response.status === 401 || response.status === 403) {
+  if (await isTokenError(response)) {
     console.log('Auth error detected, attempting token refresh...');
     const refreshed = await refreshAuthToken();
 
@@ -0,0 +1,65 @@
+/**
+ * Dashboard Layout Utilities
+ *
+ * Builds react-grid-layout items for a dashboard's widgets.
+ * Item ids: "custom-<widgetId>" for custom widgets, "predefined-<dwname>" for predefined ones.
+ */
+
+export const GRID_COLS = 12;
+export const ROW_HEIGHT = 40;
+
+// Size given to widgets that have no saved layout yet
+const DEFAULT_WIDTH = 4;
+const DEFAULT_HEIGHT = 6;
+
+export const customLayoutKey = (widgetId) => `custom-${widgetId}`;
+export const predefinedLayoutKey = (dwname) => `predefined-${dwname}`;
+
+/**
+ * Build a layout for the given widgets
+ *
+ * @param {Array} customWidgets - [{ id, layout }] (layout may be null)
+ * @param {Array} predefinedWidgets - [{ dwname, layout }] (enabled entries only)
+ * @param {Array} currentLayout - Layout being edited; takes precedence over saved positions
+ * @returns {Array} [{ i, x, y, w, h }]
+ */
+export const buildLayout = (customWidgets = [], predefinedWidgets = [], currentLayout = []) => {
+  const items = [
+    ...customWidgets.map(widget => ({ i: customLayoutKey(widget.id), saved: widget.layout })),
+    ...predefinedWidgets.map(widget => ({ i: predefinedLayoutKey(widget.dwname), saved: widget.layout }))
+  ];
+
+  const layout = [];
+  const unplaced = [];
+
+  items.forEach(({ i, saved }) => {
+    const position = currentLayout.find(item => item.i === i) || saved;
+    if (position) {
+      layout.push({ i, x: position.x, y: position.y, w: position.w, h: position.h });
+    } else {
+      unplaced.push(i);
+    }
+  });
+
+  // Widgets without a position flow left to right below the placed ones
+  const startY = layout.reduce((max, item) => Math.max(max, item.y + item.h), 0);
+  const perRow = Math.floor(GRID_COLS / DEFAULT_WIDTH);
+
+  unplaced.forEach((i, index) => {
+    layout.push({
+      i,
+      x: (index % perRow) * DEFAULT_WIDTH,
+      y: startY + Math.floor(index / perRow) * DEFAULT_HEIGHT,
+      w: DEFAULT_WIDTH,
+      h: DEFAULT_HEIGHT
+    });
+  });
+
+  return layout;
+};
+
+/**
+ * Strip react-grid-layout internals so only { i, x, y, w, h } is saved
+ */
+export const serializeLayout = (layout = []) =>
+  layout.map(({ i, x, y, w, h }) => ({ i, x, y, w, h }));
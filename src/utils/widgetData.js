@@ -0,0 +1,102 @@
+/**
+ * Widget Data Utility
+ *
+ * Loads data for custom widgets (idx2_dashboard_widget) through the server.
+ * The server calls the widget's widget_url (data source) with its widget_filter
+ * and the dashboard filter values, and returns normalized rows for widget_chart.
+ */
+
+import { getValidAuthToken } from './auth';
+
+const API_BASE_URL = '/api';
+
+// Supported chart types
+export const CHART_TYPES = ['bar', 'pie', 'line', 'table', 'kpi'];
+
+// Aliases for widget_chart values used by older widget configs
+const CHART_ALIASES = {
+  column: 'bar',
+  donut: 'pie',
+  doughnut: 'pie',
+  area: 'line',
+  grid: 'table',
+  list: 'table',
+  number: 'kpi',
+  count: 'kpi',
+  metric: 'kpi'
+};
+
+/**
+ * Resolve widget_chart to one of CHART_TYPES (defaults to table)
+ */
+export function getChartType(widgetChart) {
+  const type = (widgetChart || '').toString().trim().toLowerCase();
+  if (CHART_TYPES.includes(type)) return type;
+  return CHART_ALIASES[type] || 'table';
+}
+
+/**
+ * Initial filter bar values: each dashboard filter's default value
+ * (date ranges start empty as { from: '', to: '' })
+ */
+export function getDefaultFilterValues(filters = []) {
+  const values = {};
+  filters.forEach(filter => {
+    values[filter.key] = filter.type === 'dateRange'
+      ? { from: '', to: '' }
+      : (filter.defaultValue || '');
+  });
+  return values;
+}
+
+/**
+ * Convert dashboard filter values into query parameters.
+ * A date range sends <key>From and <key>To; empty values are left out.
+ */
+export function getDashboardFilterParams(filters = [], values = {}) {
+  const params = {};
+  filters.forEach(filter => {
+    const value = values[filter.key];
+    if (filter.type === 'dateRange') {
+      if (value && value.from) params[`${filter.key}From`] = value.from;
+      if (value && value.to) params[`${filter.key}To`] = value.to;
+    } else if (value !== undefined && value !== null && value !== '') {
+      params[filter.key] = value;
+    }
+  });
+  return params;
+}
+
+/**
+ * Fetch data for a custom widget on a dashboard through the server's data proxy
+ * (GET /api/dashboards/:id/widgets/:widgetId/data). The server merges widget_filter
+ * with the dashboard filter values (see getDashboardFilterParams), normalizes the data
+ * and caches it for the widget's TTL; refresh bypasses that cache.
+ * Returns { data: { rows, columns, labelKey, valueKey, value }, lastUpdated, cached }
+ */
+export async function fetchWidgetData(dashboardId, widget, filterParams = {}, { refresh = false } = {}) {
+  const token = await getValidAuthToken();
+  const params = new URLSearchParams(filterParams);
+  if (refresh) {
+    params.set('refresh', 'true');
+  }
+  const query = params.toString();
+
+  const response = await fetch(
+    `${API_BASE_URL}/dashboards/${dashboardId}/widgets/${widget.id}/data${query ? `?${query}` : ''}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result || !result.success) {
+    throw new Error((result && result.message) || `Failed to load widget data (${response.status})`);
+  }
+
+  return { data: result.data, lastUpdated: result.lastUpdated, cached: result.cached };
+}